@@ -0,0 +1,412 @@
+/*
+ * ============================================================================
+ * ACCESS CONTROL - WHO MAY CALL WHICH API ROUTE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Apart from instructor login, the server never asked who was calling: any
+ * page could read a child's whole Child Names row (/api/student-detail/:id)
+ * or spend another child's points (/api/redeem). This file is one table of
+ * every /api route and who may call it, applied to all of them by a single
+ * middleware in server.js.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. ROUTE_PERMISSIONS: method + path (Express style, ":param", or "/*" for
+ *    everything below) -> access level:
+ *      public     anyone (login screens, project catalogue, leaderboard)
+ *      signedIn   anyone logged in, whatever their role
+ *      self       staff, or a student/parent whose children include the one
+ *                 named in the request (`student`: where to find its ID or
+ *                 name, e.g. 'params.studentId', 'body.studentId')
+ *      instructor instructors and admins
+ *      admin      admins only
+ * 2. ruleFor(method, path): the first matching entry (a route missing from
+ *    the table is treated as instructor-only, and logged).
+ * 3. checkAccess(user, rule, req): allowed, or 401 (not logged in) / 403
+ *    (logged in, but not allowed).
+ * 4. authorize: the Express middleware (after auth-service attachSession).
+ * 5. The same for Socket.IO: SOCKET_EVENT_PERMISSIONS lists each event a
+ *    page may send (unlisted ones are instructor-only), authorizeSocket
+ *    checks every event against the socket's session, and socketRooms puts
+ *    student and teacher sockets in separate rooms, so teacher pushes like
+ *    'navigate' only reach logged-in students.
+ *
+ * Roles and sessions themselves live in auth-service.js.
+ *
+ * ============================================================================
+ */
+
+const authService = require('./auth-service');
+
+const PUBLIC = 'public';
+const SIGNED_IN = 'signedIn';
+const SELF = 'self';
+const INSTRUCTOR = 'instructor';
+const ADMIN = 'admin';
+
+const LEVELS = [PUBLIC, SIGNED_IN, SELF, INSTRUCTOR, ADMIN];
+
+// ============================================================================
+// THE TABLE (first match wins, so specific entries go above "/*" ones)
+// ============================================================================
+
+const ROUTE_PERMISSIONS = [
+    // Pages, catalogue and status (the student screen before anyone logs in)
+    { method: 'GET', path: '/api/projects', access: PUBLIC },
+    { method: 'GET', path: '/api/connections', access: PUBLIC },
+    { method: 'GET', path: '/api/health', access: PUBLIC },
+    { method: 'GET', path: '/api/config', access: PUBLIC },
+    { method: 'GET', path: '/api/server-status', access: PUBLIC },
+    { method: 'POST', path: '/api/analytics/event', access: PUBLIC },
+    { method: 'GET', path: '/api/all-projects', access: PUBLIC },
+    { method: 'GET', path: '/api/project-parts', access: PUBLIC },
+    { method: 'GET', path: '/api/project-parts/:projectCode', access: PUBLIC },
+    { method: 'GET', path: '/api/project-list', access: PUBLIC },
+    { method: 'GET', path: '/api/tracks', access: PUBLIC },
+    { method: 'GET', path: '/api/prizes', access: PUBLIC },
+    { method: 'GET', path: '/api/leaderboard', access: PUBLIC },
+    { method: 'GET', path: '/api/leaderboard/seasons', access: PUBLIC },
+    { method: 'GET', path: '/api/badges', access: PUBLIC },
+    { method: 'GET', path: '/api/student-folders', access: PUBLIC },
+
+    // Logging in (the name pickers, and starting/ending sessions)
+    { method: 'GET', path: '/api/student-names', access: PUBLIC },
+    { method: 'GET', path: '/api/students', access: PUBLIC },
+    { method: 'GET', path: '/api/google-sheets/student-names', access: PUBLIC },
+    { method: 'GET', path: '/api/today-classes', access: PUBLIC },
+    { method: 'GET', path: '/api/instructors', access: PUBLIC },
+    { method: 'GET', path: '/api/instructors-list', access: PUBLIC },
+    { method: 'POST', path: '/api/check-parent-email', access: PUBLIC },
+    { method: 'POST', path: '/api/parent-login/verify', access: PUBLIC },
+    { method: 'GET', path: '/api/parent-login/link', access: PUBLIC },
+    // Offline, picking a name starts that student's session with no passcode,
+    // on purpose: the kids can't type passwords and the classroom network is
+    // the gate. Online this only works for a parent's own children (server.js).
+    { method: 'POST', path: '/api/login', access: PUBLIC },
+    { method: 'POST', path: '/api/card-login', access: PUBLIC },
+    { method: 'POST', path: '/api/instructor-login', access: PUBLIC },
+    { method: 'POST', path: '/api/instructor-logout', access: PUBLIC },
+    { method: 'POST', path: '/api/logout', access: PUBLIC },
+    { method: 'GET', path: '/api/session', access: PUBLIC },
+
+    // One child's own records: staff, the child, or their parent
+    { method: 'GET', path: '/api/student-summary/:studentId', access: SELF, student: 'params.studentId' },
+    { method: 'POST', path: '/api/attendance', access: SELF, student: 'body.studentId' },
+    { method: 'GET', path: '/api/attendance/:studentId', access: SELF, student: 'params.studentId' },
+    { method: 'GET', path: '/api/google-sheets/student-projects/:studentName', access: SELF, student: 'params.studentName' },
+    { method: 'GET', path: '/api/resolve-id/:studentName', access: SELF, student: 'params.studentName' },
+    { method: 'GET', path: '/api/student-assignments/:studentName', access: SELF, student: 'params.studentName' },
+    { method: 'GET', path: '/api/student-projects/:studentId', access: SELF, student: 'params.studentId' },
+    { method: 'GET', path: '/api/certificates/class/today', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/login-cards', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/login-cards/scans', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/certificates/:studentId/:projectCode', access: SELF, student: 'params.studentId' },
+    { method: 'GET', path: '/api/tracks/student/:studentId', access: SELF, student: 'params.studentId' },
+    { method: 'GET', path: '/api/recommendations/:studentId', access: SELF, student: 'params.studentId' },
+    { method: 'POST', path: '/api/redeem', access: SELF, student: 'body.studentId' },
+    { method: 'GET', path: '/api/badges/:studentId', access: SELF, student: 'params.studentId' },
+    { method: 'GET', path: '/api/points/ledger/:studentId', access: SELF, student: 'params.studentId' },
+    { method: 'GET', path: '/api/student-folders/:folderName/files', access: SELF, student: 'params.folderName' },
+    { method: 'GET', path: '/api/folder-path/:folderName', access: SELF, student: 'params.folderName' },
+    { method: 'POST', path: '/api/ratings', access: SELF, student: 'body.student' },
+
+    // Admins only: passcodes, the audit trail, mass email and repairs
+    { method: 'POST', path: '/api/admin/instructors/hash-passcodes', access: ADMIN },
+    { method: 'GET', path: '/api/admin/audit', access: ADMIN },
+    { method: 'POST', path: '/api/admin/digest/send', access: ADMIN },
+    { method: 'POST', path: '/api/admin/write-journal/:id/discard', access: ADMIN },
+    { method: 'POST', path: '/api/admin/google-api/reset-circuit', access: ADMIN },
+    { method: 'POST', path: '/api/admin/master-db/sync', access: ADMIN },
+    { method: 'GET', path: '/api/admin/sync-all', access: ADMIN },
+
+    // Everything else is the Teacher Panel's
+    { method: 'GET', path: '/api/admin/*', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/upload-video', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/admin/*', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/instructor-session', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/class-report', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/analytics/summary', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/teacher/navigate', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/teacher/clients', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/google-sheets/student-progress', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/mark-attendance', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/config/spreadsheet-id', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/debug/student-lookup/:name', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/all-kids', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/sync-headshots', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/google-sheets/clear-cache', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/student-detail/:id', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/student-update', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/upload-headshot', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/sync-students', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/rediscover-projects', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/todays-students', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/inventory', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/inventory/update', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/complete-project', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/assign-project', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/assign-project/bulk', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/redemptions', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/redemptions/:redemptionId/:action', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/points/adjust', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/add-booking', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/open-student-folder', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/update-student-note', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/ratings', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/delete-project-log', access: INSTRUCTOR },
+    { method: 'POST', path: '/api/restore-project-log', access: INSTRUCTOR },
+    { method: 'GET', path: '/api/project-log-archive', access: INSTRUCTOR }
+];
+
+// Routes missing from the table
+const DEFAULT_RULE = { method: '*', path: '*', access: INSTRUCTOR, isDefault: true };
+
+// ============================================================================
+// THE SOCKET TABLE (events a page sends to the server over Socket.IO)
+// ============================================================================
+
+const STUDENT_ROOM = 'students';
+const TEACHER_ROOM = 'teachers';
+
+const SOCKET_EVENT_PERMISSIONS = [
+    // Every page: connection quality and which page it's on
+    { event: 'client-telemetry', access: PUBLIC },
+    { event: 'telemetry-ping', access: PUBLIC },
+    { event: 'page-change', access: PUBLIC },
+    { event: 'esm_change', access: PUBLIC }, // The /status dashboard (express-status-monitor)
+
+    // "This screen is <student>" (checks them in): their own session, or staff.
+    // Older pages send only the name.
+    { event: 'student-login', access: SELF, student: ['data.studentId', 'data.studentName'] }
+];
+
+// Events missing from the table
+const DEFAULT_SOCKET_RULE = { event: '*', access: INSTRUCTOR, isDefault: true };
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * '/api/badges/:studentId' -> { pattern: /^\/api\/badges\/([^/]+)\/?$/, names: ['studentId'] }
+ */
+function compile(path) {
+    const names = [];
+    const wildcard = path.endsWith('/*');
+    const source = (wildcard ? path.slice(0, -2) : path)
+        .split('/')
+        .map(part => {
+            if (part.startsWith(':')) {
+                names.push(part.slice(1));
+                return '([^/]+)';
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    return { pattern: new RegExp(`^${source}${wildcard ? '(?:/.*)?' : '/?'}$`, 'i'), names };
+}
+
+const COMPILED = ROUTE_PERMISSIONS.map(rule => {
+    if (!LEVELS.includes(rule.access)) {
+        throw new Error(`Unknown access level "${rule.access}" for ${rule.method} ${rule.path}`);
+    }
+    return { rule, ...compile(rule.path) };
+});
+
+SOCKET_EVENT_PERMISSIONS.forEach(rule => {
+    if (!LEVELS.includes(rule.access)) {
+        throw new Error(`Unknown access level "${rule.access}" for socket event ${rule.event}`);
+    }
+});
+
+/**
+ * The value a rule's `student` points at ('params.studentId' -> params.studentId;
+ * a list means the first of them that is there)
+ */
+function studentNamed(rule, request) {
+    if (!rule.student) return '';
+    const places = Array.isArray(rule.student) ? rule.student : [rule.student];
+    for (const place of places) {
+        const [from, field] = place.split('.');
+        const source = request[from] || {};
+        const value = String(source[field] || '').trim();
+        if (value) return value;
+    }
+    return '';
+}
+
+/**
+ * Is this child (by ID, name or login name) one of the user's?
+ */
+function inScope(user, value) {
+    if (!user || !value) return false;
+    const wanted = value.toLowerCase();
+    return (user.students || []).some(s =>
+        [s.id, s.name, s.loginName].some(known => known && String(known).trim().toLowerCase() === wanted)
+    );
+}
+
+// ============================================================================
+// FUNCTIONS: Rules and Checks
+// ============================================================================
+
+/**
+ * The table entry for a request.
+ *
+ * @param {string} method - 'GET', 'POST', ...
+ * @param {string} path - '/api/badges/S001' (no query string)
+ * @returns {Object} - { rule, params }; rule is DEFAULT_RULE when nothing matches
+ */
+function ruleFor(method, path) {
+    const verb = String(method || '').toUpperCase() === 'HEAD' ? 'GET' : String(method || '').toUpperCase();
+    for (const entry of COMPILED) {
+        if (entry.rule.method !== verb) continue;
+        const match = entry.pattern.exec(path);
+        if (!match) continue;
+        const params = {};
+        entry.names.forEach((name, i) => {
+            try {
+                params[name] = decodeURIComponent(match[i + 1]);
+            } catch (e) {
+                params[name] = match[i + 1];
+            }
+        });
+        return { rule: entry.rule, params };
+    }
+    return { rule: DEFAULT_RULE, params: {} };
+}
+
+/**
+ * May this user make this request?
+ *
+ * @param {Object|null} user - req.user from auth-service attachSession
+ * @param {Object} rule - A ROUTE_PERMISSIONS or SOCKET_EVENT_PERMISSIONS entry
+ * @param {Object} [request] - { params, body, query }, or { data } for a
+ *                             socket event (for `self` rules)
+ * @returns {Object} - { allowed: true } or { allowed: false, status, error }
+ */
+function checkAccess(user, rule, request = {}) {
+    const role = user ? user.role : null;
+
+    switch (rule.access) {
+        case PUBLIC:
+            return { allowed: true };
+        case SIGNED_IN:
+            return user ? { allowed: true } : { allowed: false, status: 401, error: 'Login required' };
+        case SELF: {
+            if (authService.isStaff(user)) return { allowed: true };
+            if (!user) return { allowed: false, status: 401, error: 'Login required' };
+            return inScope(user, studentNamed(rule, request))
+                ? { allowed: true }
+                : { allowed: false, status: 403, error: 'Not allowed for this student' };
+        }
+        case INSTRUCTOR:
+            if (authService.isStaff(user)) return { allowed: true };
+            return user
+                ? { allowed: false, status: 403, error: 'Instructors only' }
+                : { allowed: false, status: 401, error: 'Instructor login required' };
+        case ADMIN:
+            if (role === 'admin') return { allowed: true };
+            return user
+                ? { allowed: false, status: 403, error: 'Admins only' }
+                : { allowed: false, status: 401, error: 'Instructor login required' };
+        default:
+            return { allowed: false, status: 403, error: 'Not allowed' };
+    }
+}
+
+/**
+ * Middleware: applies ROUTE_PERMISSIONS to every /api request. Needs
+ * req.user (auth-service attachSession) and a parsed body.
+ */
+function authorize(req, res, next) {
+    if (!req.path.startsWith('/api/')) return next();
+    if (req.user === undefined) {
+        return authService.attachSession(req, res, () => authorize(req, res, next));
+    }
+
+    const { rule, params } = ruleFor(req.method, req.path);
+    if (rule.isDefault) {
+        console.warn(`[ACCESS] No rule for ${req.method} ${req.path}; instructors only`);
+    }
+
+    const result = checkAccess(req.user, rule, { params, body: req.body || {}, query: req.query || {} });
+    if (result.allowed) return next();
+
+    if (result.status === 403) {
+        console.warn(`[ACCESS] ${req.user.role} ${req.user.name || ''} refused ${req.method} ${req.path}`);
+    }
+    res.status(result.status).json({ success: false, error: result.error });
+}
+
+// ============================================================================
+// FUNCTIONS: Socket.IO
+// ============================================================================
+
+/**
+ * The SOCKET_EVENT_PERMISSIONS entry for an event (DEFAULT_SOCKET_RULE when none)
+ */
+function ruleForEvent(event) {
+    return SOCKET_EVENT_PERMISSIONS.find(rule => rule.event === event) || DEFAULT_SOCKET_RULE;
+}
+
+/**
+ * The rooms a socket joins when it connects: staff in TEACHER_ROOM; students
+ * in STUDENT_ROOM and "student:<ID>" (their badge pushes); parents only in
+ * their children's "student:<ID>" rooms; nobody's socket in none.
+ *
+ * @param {Object|null} user - socket.data.user
+ * @returns {Array<string>}
+ */
+function socketRooms(user) {
+    if (!user) return [];
+    if (authService.isStaff(user)) return [TEACHER_ROOM];
+    const own = (user.students || []).map(s => `student:${s.id}`);
+    return user.role === 'student' ? [STUDENT_ROOM, ...own] : own;
+}
+
+/**
+ * Per-event middleware for one socket (socket.use): applies
+ * SOCKET_EVENT_PERMISSIONS with the socket's session as it is now (it may
+ * have ended since the handshake). A refused event never reaches its
+ * handler; the page gets 'not-allowed' (and its acknowledgement, if it
+ * asked for one, gets { success: false, error }).
+ *
+ * @param {Object} socket - After auth-service attachSocketSession
+ * @returns {Function} - (packet, next)
+ */
+function authorizeSocket(socket) {
+    return (packet, next) => {
+        const [event, data] = packet;
+        socket.data.user = authService.userFor(socket.request);
+
+        const rule = ruleForEvent(event);
+        if (rule.isDefault) {
+            console.warn(`[ACCESS] No rule for socket event "${event}"; instructors only`);
+        }
+
+        const result = checkAccess(socket.data.user, rule, { data: data && typeof data === 'object' ? data : {} });
+        if (result.allowed) return next();
+
+        const user = socket.data.user;
+        console.warn(`[ACCESS] ${user ? `${user.role} ${user.name || ''}` : 'Anonymous'} socket ${socket.id} refused "${event}"`);
+        const ack = packet[packet.length - 1];
+        if (packet.length > 1 && typeof ack === 'function') ack({ success: false, error: result.error });
+        socket.emit('not-allowed', { event, error: result.error });
+    };
+}
+
+module.exports = {
+    ROUTE_PERMISSIONS,
+    SOCKET_EVENT_PERMISSIONS,
+    STUDENT_ROOM,
+    TEACHER_ROOM,
+    LEVELS,
+    ruleFor,
+    ruleForEvent,
+    checkAccess,
+    inScope,
+    authorize,
+    socketRooms,
+    authorizeSocket
+};
@@ -0,0 +1,226 @@
+/*
+ * ============================================================================
+ * ATTENDANCE SERVICE - ATTENDANCE HISTORY, STREAKS AND CLASS REPORTS
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Check-in (markAttendanceByStudentId) only ticks today's "Checked In" cell
+ * on "All Booking Info"; nothing looked back over those cells. This file turns
+ * every booking into a history per student and per class.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Gives each booking a status:
+ *    - attended: Checked In is TRUE
+ *    - noShow:   the class day has passed and nobody checked in
+ *    - pending:  today's class, not checked in (yet)
+ *    - upcoming: a future class
+ * 2. Per student: attendance rate (attended / (attended + no-shows)),
+ *    current streak (classes attended in a row up to the latest one),
+ *    longest streak, and no-shows
+ * 3. Per class (Service Title) over a date range: each session's numbers and
+ *    each student's numbers
+ *
+ * google-sheets-service.js (getAttendanceHistory, getAttendanceReport) reads
+ * the bookings: the live sheet, or the local master DB when Google is down.
+ *
+ * ============================================================================
+ */
+
+// Report range when none is given: the last 4 weeks
+const DEFAULT_REPORT_DAYS = 28;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Class date text ("Jan 4, 2025", "1/4/2025") -> that day at midnight, or null
+ */
+function classDay(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+/**
+ * "2026-03-01" -> that day at midnight
+ */
+function parseDay(value) {
+    const text = String(value || '').trim();
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00`) : new Date(NaN);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value} (use YYYY-MM-DD)`);
+    }
+    return date;
+}
+
+function dayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function statusOf(booking, day, today) {
+    if (booking.checkedIn) return 'attended';
+    if (day < today) return 'noShow';
+    if (day.getTime() === today.getTime()) return 'pending';
+    return 'upcoming';
+}
+
+/**
+ * Attended as a percentage of the classes that are over (null when none are)
+ */
+function rateOf(attended, noShows) {
+    const held = attended + noShows;
+    return held === 0 ? null : Math.round((attended / held) * 100);
+}
+
+/**
+ * Bookings -> dated entries with a status, oldest first. Undated rows are left out.
+ */
+function withStatus(bookings, today) {
+    return bookings
+        .map(booking => {
+            const day = classDay(booking.classDate);
+            return day ? { ...booking, day, status: statusOf(booking, day, today) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.day - b.day);
+}
+
+function totals(entries) {
+    const count = status => entries.filter(e => e.status === status).length;
+    const attended = count('attended');
+    const noShows = count('noShow');
+    return { booked: entries.length, attended, noShows, attendanceRate: rateOf(attended, noShows) };
+}
+
+function today(options) {
+    const day = new Date(options.now || Date.now());
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+// ============================================================================
+// FUNCTION: One Student's History
+// ============================================================================
+
+/**
+ * Attendance history and streaks for one student.
+ *
+ * Streaks count classes, not weeks: a student booked every Saturday who came
+ * to the last 4 has a current streak of 4. Today's class only ends a streak
+ * once the day is over.
+ *
+ * @param {Array} bookings - That student's bookings (fetchBookingHistory entries)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - "Today"
+ * @returns {Object} - { booked, attended, noShows, pending, upcoming, attendanceRate (%, or null),
+ *                       currentStreak, longestStreak, lastAttended, history (newest first) }
+ */
+function summarizeStudent(bookings, options = {}) {
+    const entries = withStatus(bookings, today(options));
+    const held = entries.filter(e => e.status === 'attended' || e.status === 'noShow');
+
+    let run = 0;
+    let longestStreak = 0;
+    held.forEach(e => {
+        run = e.status === 'attended' ? run + 1 : 0;
+        longestStreak = Math.max(longestStreak, run);
+    });
+    // Today's class, not checked in yet, doesn't end the streak (it's not in `held`)
+    const currentStreak = run;
+
+    const lastAttended = held.filter(e => e.status === 'attended').pop();
+
+    return {
+        ...totals(entries),
+        pending: entries.filter(e => e.status === 'pending').length,
+        upcoming: entries.filter(e => e.status === 'upcoming').length,
+        currentStreak,
+        longestStreak,
+        lastAttended: lastAttended ? lastAttended.classDate : null,
+        history: entries
+            .slice()
+            .reverse()
+            .map(e => ({ classDate: e.classDate, day: dayKey(e.day), serviceTitle: e.serviceTitle, status: e.status }))
+    };
+}
+
+// ============================================================================
+// FUNCTION: Class Report
+// ============================================================================
+
+/**
+ * Attendance per class (Service Title) between two dates.
+ *
+ * @param {Array} bookings - Every booking (fetchBookingHistory entries)
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - YYYY-MM-DD, inclusive (default: 4 weeks before `to`)
+ * @param {string} [filters.to] - YYYY-MM-DD, inclusive (default: today)
+ * @param {string} [filters.serviceTitle] - Just this class (any case)
+ * @param {Date} [filters.now] - "Today"
+ * @returns {Object} - { from, to, classes: [{ serviceTitle, booked, attended, noShows, attendanceRate,
+ *                       sessions: [{ day, booked, attended, noShows, pending }], students: [...] }] }
+ * @throws {Error} - Invalid dates, or `from` after `to`
+ */
+function classReport(bookings, filters = {}) {
+    const now = today(filters);
+    const to = filters.to ? parseDay(filters.to) : now;
+    let from;
+    if (filters.from) {
+        from = parseDay(filters.from);
+    } else {
+        from = new Date(to);
+        from.setDate(from.getDate() - (DEFAULT_REPORT_DAYS - 1));
+    }
+    if (from > to) throw new Error('The report must start on or before its end date');
+
+    const wanted = String(filters.serviceTitle || '').trim().toLowerCase();
+    const entries = withStatus(bookings, now).filter(e =>
+        e.day >= from && e.day <= to && (!wanted || String(e.serviceTitle || '').trim().toLowerCase() === wanted)
+    );
+
+    const byClass = new Map();
+    entries.forEach(e => {
+        const title = String(e.serviceTitle || '').trim() || 'Unknown class';
+        if (!byClass.has(title)) byClass.set(title, []);
+        byClass.get(title).push(e);
+    });
+
+    const classes = Array.from(byClass.entries()).map(([serviceTitle, classEntries]) => {
+        const sessions = new Map();
+        const students = new Map();
+        classEntries.forEach(e => {
+            const key = dayKey(e.day);
+            if (!sessions.has(key)) sessions.set(key, []);
+            sessions.get(key).push(e);
+
+            const studentKey = e.studentId || e.studentName;
+            if (!students.has(studentKey)) students.set(studentKey, []);
+            students.get(studentKey).push(e);
+        });
+
+        return {
+            serviceTitle,
+            ...totals(classEntries),
+            sessions: Array.from(sessions.entries()).map(([day, list]) => ({
+                day,
+                ...totals(list),
+                pending: list.filter(e => e.status === 'pending').length
+            })),
+            // Lowest attendance first: the students to follow up with
+            students: Array.from(students.values())
+                .map(list => ({ studentId: list[0].studentId, studentName: list[0].studentName, ...totals(list) }))
+                .sort((a, b) => (a.attendanceRate ?? 101) - (b.attendanceRate ?? 101) || String(a.studentName).localeCompare(String(b.studentName)))
+        };
+    }).sort((a, b) => a.serviceTitle.localeCompare(b.serviceTitle));
+
+    return { from: dayKey(from), to: dayKey(to), classes };
+}
+
+module.exports = {
+    summarizeStudent,
+    classReport
+};
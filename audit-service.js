@@ -0,0 +1,221 @@
+/*
+ * ============================================================================
+ * AUDIT SERVICE - WHO CHANGED WHAT, AND WHEN
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Assignments, completions, deletions, redemptions, notes, inventory changes,
+ * student edits and attendance marks used to leave nothing but console logs.
+ * When a parent asks "why did my child's project disappear?" we had no answer.
+ * This file keeps an append-only log of every data-changing action.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Appends one line per action to data/audit-log.jsonl (never rewritten)
+ *    with: action, acting user, client IP, route, student(s), before & after
+ * 2. Searches the log by student, user, action and date range
+ *    (/api/admin/audit and public/audit.html)
+ *
+ * NOTE ON "USER":
+ * When someone is logged in (auth-service.js: an instructor, or a student or
+ * parent asking for a prize) the entry names them (userSource 'session'). Otherwise all we have is the free-text
+ * instructorName / userEmail in the request body (userSource 'request'), so
+ * nobody mistakes a typed-in name for a verified login.
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const AUDIT_LOG_PATH = path.join(DATA_DIR, 'audit-log.jsonl');
+
+// Most entries /api/admin/audit returns in one page
+const MAX_LIMIT = 1000;
+const DEFAULT_LIMIT = 200;
+
+// ============================================================================
+// HELPER: Request Context
+// ============================================================================
+
+/**
+ * Works out who did it, from where, through which route.
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} - { user, userSource, ip, route }
+ */
+function contextOf(req) {
+    const body = (req && req.body) || {};
+    const typedName = body.instructorName || body.userEmail || body.user || '';
+    const sessionName = req && req.user && req.user.source === 'session' ? req.user.name : '';
+
+    let user = 'unknown';
+    let userSource = 'none';
+    if (sessionName) {
+        user = sessionName;
+        userSource = 'session';
+    } else if (typedName) {
+        user = String(typedName).trim();
+        userSource = 'request';
+    }
+
+    return {
+        user,
+        userSource,
+        ip: req ? (req.ip || (req.connection && req.connection.remoteAddress) || '') : '',
+        route: req ? `${req.method} ${(req.originalUrl || req.url || '').split('?')[0]}` : ''
+    };
+}
+
+/**
+ * The parts of a request contextOf() reads, for an action that came in over
+ * Socket.IO: the socket's session user (auth-service.js), its address and the event.
+ *
+ * @param {Object} socket - Socket.IO server-side socket
+ * @param {string} event - e.g. 'student-login'
+ * @returns {Object} - Pass to record() in place of req
+ */
+function socketRequest(socket, event) {
+    return {
+        method: 'SOCKET',
+        originalUrl: event,
+        ip: (socket.handshake && socket.handshake.address) || '',
+        user: socket.data && socket.data.user,
+        body: {}
+    };
+}
+
+// ============================================================================
+// FUNCTION: Record an Action
+// ============================================================================
+
+/**
+ * Appends one entry to the audit log. Never throws: a full disk must not
+ * make the instructor's action fail.
+ *
+ * @param {Object} req - Express request (user, IP and route come from it)
+ * @param {Object} action
+ * @param {string} action.action - e.g. 'assignProject', 'deleteProjectEntry'
+ * @param {string} [action.studentId] - The child whose record changed
+ * @param {Array<string>} [action.studentIds] - When one action touched several children
+ * @param {string} [action.target] - What was changed, e.g. 'PROJ101' or 'INV-001/KIT1'
+ * @param {*} [action.before] - Values before the change (null when unknown or new)
+ * @param {*} [action.after] - Values after the change
+ * @param {boolean} [action.queued] - Saved in the write journal, not in Google Sheets yet
+ * @returns {Object|null} - The entry written
+ */
+function record(req, action) {
+    const entry = {
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        action: action.action,
+        ...contextOf(req),
+        studentId: action.studentId ? String(action.studentId).trim() : '',
+        studentIds: action.studentIds ? action.studentIds.map(id => String(id).trim()) : undefined,
+        target: action.target || '',
+        before: action.before === undefined ? null : action.before,
+        after: action.after === undefined ? null : action.after,
+        queued: !!action.queued
+    };
+
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.appendFileSync(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n');
+        return entry;
+    } catch (error) {
+        console.error('[AUDIT] Could not write audit entry:', error.message, entry);
+        return null;
+    }
+}
+
+// ============================================================================
+// FUNCTION: Search the Log
+// ============================================================================
+
+/**
+ * Reads every entry (oldest first). Lines that don't parse are skipped.
+ */
+function readAll() {
+    if (!fs.existsSync(AUDIT_LOG_PATH)) return [];
+
+    return fs.readFileSync(AUDIT_LOG_PATH, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * "2026-03-01" -> start of that day, or end of it when endOfDay is set.
+ * Full ISO timestamps are used as they are.
+ */
+function parseDateFilter(value, endOfDay) {
+    if (!value) return null;
+    const text = String(value).trim();
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`)
+        : new Date(text);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Searches the audit log.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.studentId] - Entries that touched this child
+ * @param {string} [filters.user] - Part of the acting user's name (any case)
+ * @param {string} [filters.action] - Exact action name
+ * @param {string} [filters.from] - Date (YYYY-MM-DD) or ISO timestamp, inclusive
+ * @param {string} [filters.to] - Date (YYYY-MM-DD) or ISO timestamp, inclusive
+ * @param {string} [filters.order] - 'desc' (newest first, default) or 'asc' (a child's story in order)
+ * @param {number} [filters.limit] - Page size (default 200, max 1000)
+ * @param {number} [filters.offset] - Entries to skip
+ * @returns {Object} - { total, entries, actions }
+ */
+function query(filters = {}) {
+    const all = readAll();
+    const studentId = filters.studentId ? String(filters.studentId).trim() : '';
+    const user = filters.user ? String(filters.user).trim().toLowerCase() : '';
+    const from = parseDateFilter(filters.from, false);
+    const to = parseDateFilter(filters.to, true);
+
+    let matches = all.filter(entry => {
+        if (studentId && entry.studentId !== studentId && !(entry.studentIds || []).includes(studentId)) return false;
+        if (user && !String(entry.user || '').toLowerCase().includes(user)) return false;
+        if (filters.action && entry.action !== filters.action) return false;
+        const at = new Date(entry.at);
+        if (from && at < from) return false;
+        if (to && at > to) return false;
+        return true;
+    });
+
+    if (filters.order !== 'asc') matches = matches.reverse();
+
+    const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    return {
+        total: matches.length,
+        entries: matches.slice(offset, offset + limit),
+        actions: Array.from(new Set(all.map(e => e.action))).sort()
+    };
+}
+
+module.exports = {
+    contextOf,
+    socketRequest,
+    record,
+    query,
+    AUDIT_LOG_PATH
+};
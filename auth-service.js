@@ -0,0 +1,389 @@
+/*
+ * ============================================================================
+ * AUTH SERVICE - INSTRUCTOR PASSCODES, SESSIONS AND ROUTE PROTECTION
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Instructor login used to compare the plaintext passcode from the
+ * instructors sheet (Column I) and answer { success: true }; the browser then
+ * set localStorage.instructorLoggedIn and every instructor route trusted
+ * anyone. This file gives instructors a real server-side session and lets
+ * routes insist on one.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Hashes passcodes (scrypt with a random salt): "scrypt$<salt>$<hash>".
+ *    Column I can hold the hash (POST /api/admin/instructors/hash-passcodes
+ *    converts it); plaintext is hashed as soon as it is read, so the app
+ *    never keeps it. Each plaintext passcode is hashed once, not on every
+ *    reload of the instructors cache.
+ * 2. Checks a login. After AUTH.MAX_FAILURES wrong passcodes for one name
+ *    within AUTH.FAILURE_WINDOW_MINUTES, that name is locked out for
+ *    AUTH.LOCKOUT_MINUTES. Records whose failures and lockout have run out
+ *    are dropped on the next login.
+ * 3. Sessions: a random token kept in server memory (a restart logs everyone
+ *    out, as the pages already expect), sent as an HttpOnly cookie
+ *    (ltb_session) or an "Authorization: Bearer <token>" header.
+ * 4. Express middleware: attachSession puts whoever is logged in on req.user
+ *    (and staff on req.instructor); requireInstructor answers 401 unless an
+ *    instructor or admin is logged in. attachSocketSession does the same for
+ *    Socket.IO connections (socket.data.user), from the handshake's cookie.
+ * 5. Roles: admin and instructor (from the instructors sheet, Column J
+ *    "Role"), student (the one child who logged in) and parent (the children
+ *    found for their email). Students and parents carry the children they may
+ *    see; access-control.js decides what each role may call.
+ *
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const config = require('./google-sheets-config');
+
+const COOKIE_NAME = 'ltb_session';
+const ROLES = ['admin', 'instructor', 'student', 'parent'];
+const STAFF_ROLES = ['admin', 'instructor'];
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 32;
+
+// token -> { token, name, role, students, createdAt, expiresAt }
+const sessions = new Map();
+
+// lowercased name -> { failures: [timestamps], lockedUntil }
+const attempts = new Map();
+
+// HMAC of a plaintext passcode -> its scrypt hash, so reloading the
+// instructors sheet doesn't run scrypt again for every plaintext passcode.
+// Keyed by an HMAC (with a key that only lives in memory) rather than the
+// passcode itself.
+const plaintextHashes = new Map();
+const PLAINTEXT_KEY = crypto.randomBytes(32);
+const MAX_PLAINTEXT_HASHES = 500;
+
+// Compared against when the name is unknown, so a wrong name takes as long
+// as a wrong passcode
+const DUMMY_HASH = hashPasscode(crypto.randomBytes(8).toString('hex'));
+
+// ============================================================================
+// FUNCTIONS: Passcode Hashing
+// ============================================================================
+
+/**
+ * "1234" -> "scrypt$<salt hex>$<hash hex>"
+ */
+function hashPasscode(passcode) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(passcode), salt, KEY_LENGTH);
+    return `${HASH_PREFIX}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function isHashed(value) {
+    return new RegExp(`^${HASH_PREFIX}\\$[0-9a-f]+\\$[0-9a-f]+$`).test(String(value || ''));
+}
+
+/**
+ * Whatever Column I holds (hash or legacy plaintext) -> a hash, or '' if empty.
+ * The same plaintext gets the same hash back (see plaintextHashes).
+ */
+function toHash(value) {
+    const text = String(value || '').trim();
+    if (!text) return '';
+    if (isHashed(text)) return text;
+
+    const key = crypto.createHmac('sha256', PLAINTEXT_KEY).update(text).digest('hex');
+    if (!plaintextHashes.has(key)) {
+        if (plaintextHashes.size >= MAX_PLAINTEXT_HASHES) plaintextHashes.clear();
+        plaintextHashes.set(key, hashPasscode(text));
+    }
+    return plaintextHashes.get(key);
+}
+
+/**
+ * Does the passcode match the stored hash? (constant time)
+ */
+function verifyPasscode(passcode, stored) {
+    if (!isHashed(stored)) return false;
+    const [, saltHex, hashHex] = stored.split('$');
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(String(passcode), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// ============================================================================
+// FUNCTIONS: Login and Lockout
+// ============================================================================
+
+function settings() {
+    return config.AUTH || {};
+}
+
+function recentFailures(record, now) {
+    const windowMs = (settings().FAILURE_WINDOW_MINUTES || 15) * 60000;
+    return record.failures.filter(at => now - at < windowMs);
+}
+
+/**
+ * Drops lockout records that no longer matter (no failures in the window and
+ * no lockout still running), so names typed once aren't kept forever
+ *
+ * @param {number} [now]
+ * @returns {number} - How many records were dropped
+ */
+function pruneAttempts(now = Date.now()) {
+    let dropped = 0;
+    for (const [key, record] of attempts) {
+        if (record.lockedUntil <= now && recentFailures(record, now).length === 0) {
+            attempts.delete(key);
+            dropped++;
+        }
+    }
+    return dropped;
+}
+
+/**
+ * Drops sessions past their expiry. getSession only removes the ones that
+ * come back; kiosks and parents who never return would stay in memory
+ * until the server restarts.
+ *
+ * @param {number} [now]
+ * @returns {number} - How many sessions were dropped
+ */
+function pruneSessions(now = Date.now()) {
+    let dropped = 0;
+    for (const [token, session] of sessions) {
+        if (session.expiresAt <= now) {
+            sessions.delete(token);
+            dropped++;
+        }
+    }
+    return dropped;
+}
+
+/**
+ * Checks a name and passcode and starts a session.
+ *
+ * @param {Object} credentials - { name, passcode }
+ * @param {Array} instructors - fetchInstructors() entries ({ name, passcodeHash, role })
+ * @param {Object} [options] - { now }
+ * @returns {Object} - The session: { token, name, role, students, createdAt, expiresAt }
+ * @throws {Error} - "Name and passcode required", "Invalid credentials",
+ *                   "Too many failed attempts..." (locked out)
+ */
+function login({ name, passcode }, instructors, options = {}) {
+    const now = options.now || Date.now();
+    const typedName = String(name || '').trim();
+    if (!typedName || !passcode) {
+        throw new Error('Name and passcode required');
+    }
+
+    pruneAttempts(now);
+    const key = typedName.toLowerCase();
+    const record = attempts.get(key) || { failures: [], lockedUntil: 0 };
+    if (record.lockedUntil > now) {
+        const minutes = Math.ceil((record.lockedUntil - now) / 60000);
+        throw new Error(`Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+    }
+
+    const instructor = instructors.find(i => i.name.toLowerCase() === key);
+    const matches = verifyPasscode(passcode, instructor && instructor.passcodeHash ? instructor.passcodeHash : DUMMY_HASH);
+
+    if (!instructor || !instructor.passcodeHash || !matches) {
+        record.failures = [...recentFailures(record, now), now];
+        if (record.failures.length >= (settings().MAX_FAILURES || 5)) {
+            record.lockedUntil = now + (settings().LOCKOUT_MINUTES || 15) * 60000;
+            record.failures = [];
+            console.warn(`[AUTH] ${typedName} locked out after repeated wrong passcodes`);
+        }
+        attempts.set(key, record);
+        throw new Error('Invalid credentials');
+    }
+
+    attempts.delete(key);
+    return startSession({ name: instructor.name, role: instructor.role === 'admin' ? 'admin' : 'instructor' }, { now });
+}
+
+/**
+ * Starts a session for someone already checked (instructor passcode above,
+ * a student picking their name, a parent's email)
+ *
+ * @param {Object} who - { name, role, students: [{ id, name, loginName, parentName, fileLink }] }
+ *                       (students: the children a student/parent may see)
+ * @param {Object} [options] - { now }
+ * @returns {Object} - The session
+ */
+function startSession({ name, role, students = [] }, options = {}) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+    const now = options.now || Date.now();
+    pruneSessions(now);
+    const session = {
+        token: crypto.randomBytes(32).toString('hex'),
+        name,
+        role,
+        students: students.map(s => ({
+            id: s.id,
+            name: s.name,
+            loginName: s.loginName || '',
+            parentName: s.parentName || '',
+            fileLink: s.fileLink || ''
+        })),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: now + (settings().SESSION_HOURS || 12) * 3600000
+    };
+    sessions.set(session.token, session);
+    return session;
+}
+
+/**
+ * The session for a token, or null (unknown or expired)
+ */
+function getSession(token, now = Date.now()) {
+    const session = token ? sessions.get(token) : null;
+    if (!session) return null;
+    if (session.expiresAt <= now) {
+        sessions.delete(token);
+        return null;
+    }
+    return session;
+}
+
+function logout(token) {
+    return sessions.delete(token);
+}
+
+/**
+ * Forgets every session and lockout (tests, or "log everyone out")
+ */
+function reset() {
+    sessions.clear();
+    attempts.clear();
+}
+
+// ============================================================================
+// FUNCTIONS: Cookies and Middleware
+// ============================================================================
+
+/**
+ * The session token a request carries (Bearer header first, then the cookie)
+ */
+function tokenFrom(req) {
+    const header = (req.headers && req.headers.authorization) || '';
+    const bearer = header.match(/^Bearer\s+([0-9a-f]+)$/i);
+    if (bearer) return bearer[1];
+
+    const cookies = (req.headers && req.headers.cookie) || '';
+    const match = cookies.split(';').map(part => part.trim()).find(part => part.startsWith(`${COOKIE_NAME}=`));
+    return match ? decodeURIComponent(match.slice(COOKIE_NAME.length + 1)) : null;
+}
+
+/**
+ * Set-Cookie value for a session (HttpOnly: page scripts can't read it)
+ */
+function sessionCookie(session, req) {
+    const maxAge = Math.max(0, Math.floor((session.expiresAt - Date.now()) / 1000));
+    const secure = req && (req.secure || req.get && req.get('x-forwarded-proto') === 'https') ? '; Secure' : '';
+    return `${COOKIE_NAME}=${session.token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+function clearedCookie() {
+    return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+/**
+ * Is the app running online (anyone on the internet can reach it) rather
+ * than on the classroom network?
+ */
+function isOnlineMode() {
+    return ['online', 'cloud'].includes((process.env.DEPLOYMENT_MODE || '').toLowerCase());
+}
+
+/**
+ * Is this request from the server computer itself, in the classroom (not
+ * online, not through a proxy), with AUTH.TRUST_LOCALHOST turned on?
+ */
+function isTrustedLocal(req) {
+    if (!settings().TRUST_LOCALHOST) return false;
+    if (isOnlineMode()) return false;
+    if (req.headers && (req.headers['x-forwarded-for'] || req.headers.forwarded)) return false;
+    const address = (req.socket && req.socket.remoteAddress) || '';
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address);
+}
+
+/**
+ * Admins and instructors
+ */
+function isStaff(user) {
+    return !!user && STAFF_ROLES.includes(user.role);
+}
+
+/**
+ * Whoever an HTTP request (or a Socket.IO handshake) comes from:
+ * { name, role, students, source }, or null. The server computer itself
+ * counts as an admin when trusted (see isTrustedLocal).
+ */
+function userFor(req) {
+    const session = getSession(tokenFrom(req));
+    if (session) {
+        return { name: session.name, role: session.role, students: session.students, source: 'session' };
+    }
+    if (isTrustedLocal(req)) {
+        return { name: null, role: 'admin', students: [], source: 'localhost' };
+    }
+    return null;
+}
+
+/**
+ * Middleware: req.user = whoever is logged in (see userFor), or null;
+ * req.instructor = the same for staff ({ name, role, source }), or null.
+ */
+function attachSession(req, res, next) {
+    req.user = userFor(req);
+    req.instructor = isStaff(req.user) ? { name: req.user.name, role: req.user.role, source: req.user.source } : null;
+    next();
+}
+
+/**
+ * Socket.IO middleware (io.use): socket.data.user = whoever the handshake's
+ * cookie belongs to, or null. Sockets without a session still connect (the
+ * student screen before anyone logs in); access-control.js decides what
+ * each one may send and receive.
+ */
+function attachSocketSession(socket, next) {
+    socket.data.user = userFor(socket.request);
+    next();
+}
+
+/**
+ * Middleware: only logged-in instructors and admins get through (401 otherwise)
+ */
+function requireInstructor(req, res, next) {
+    if (req.user === undefined) {
+        return attachSession(req, res, () => requireInstructor(req, res, next));
+    }
+    if (isStaff(req.user)) return next();
+    res.status(401).json({ success: false, error: 'Instructor login required' });
+}
+
+module.exports = {
+    hashPasscode,
+    isHashed,
+    toHash,
+    verifyPasscode,
+    login,
+    pruneAttempts,
+    pruneSessions,
+    startSession,
+    getSession,
+    logout,
+    reset,
+    tokenFrom,
+    sessionCookie,
+    clearedCookie,
+    isOnlineMode,
+    isStaff,
+    userFor,
+    attachSession,
+    attachSocketSession,
+    requireInstructor,
+    ROLES,
+    COOKIE_NAME
+};
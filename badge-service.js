@@ -0,0 +1,213 @@
+/*
+ * ============================================================================
+ * BADGE SERVICE - ACHIEVEMENT BADGES FROM PROJECTS AND ATTENDANCE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Points were the only reward. Badges mark milestones kids can see ("first
+ * Python project", "5 BUILDING projects", "10 classes attended", "rated 5
+ * stars by an instructor") and are pushed to them the moment they're earned.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Checks a student's completed projects and attended classes against the
+ *    badge rules (BADGES.RULES in google-sheets-config.js)
+ * 2. Works out WHEN each badge was earned: the date of the project or class
+ *    that reached the count (so badges earned before this existed get the
+ *    right date too)
+ * 3. Keeps awarded badges in data/badges.json. A badge is awarded once and
+ *    never taken away, even if the Project Log changes later
+ *
+ * google-sheets-service.js (checkBadges) gathers the student's data, and
+ * server.js pushes new badges over Socket.IO ('badge-earned').
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./google-sheets-config');
+
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const BADGES_PATH = path.join(DATA_DIR, 'badges.json');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function loadAwards() {
+    try {
+        if (fs.existsSync(BADGES_PATH)) {
+            const parsed = JSON.parse(fs.readFileSync(BADGES_PATH, 'utf8'));
+            if (parsed && parsed.students) return parsed;
+        }
+    } catch (err) {
+        console.error('[BADGES] Could not read badges file:', err.message);
+        // Never start fresh over a file we couldn't read: kids would lose their badges
+        throw new Error(`Badges file is unreadable (${err.message})`);
+    }
+    return { students: {} };
+}
+
+function saveAwards(data) {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    const tempPath = BADGES_PATH + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, BADGES_PATH);
+}
+
+function rules() {
+    return (config.BADGES && config.BADGES.RULES) || [];
+}
+
+/**
+ * "5", "5/5", "★★★★★", "⭐⭐⭐⭐" -> 5, 5, 5, 4 ("" -> 0)
+ */
+function parseRating(value) {
+    const text = String(value || '').trim();
+    const number = parseInt(text, 10);
+    if (!isNaN(number)) return number;
+    return (text.match(/[★⭐]/gu) || []).length;
+}
+
+/**
+ * Sheet date text -> Date, or null
+ */
+function toDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Does a completed project count towards a rule?
+ */
+function projectMatches(project, match = {}) {
+    if (match.projectType && !String(project.projectType || '').toLowerCase().includes(String(match.projectType).toLowerCase())) {
+        return false;
+    }
+    if (match.category) {
+        const category = String(project.category || '').toUpperCase();
+        const wanted = String(match.category).toUpperCase();
+        if (category !== wanted && !(category === 'BOTH' && ['BUILDING', 'CODING'].includes(wanted))) return false;
+    }
+    if (match.minRating && parseRating(project.rating) < match.minRating) return false;
+    return true;
+}
+
+/**
+ * The rule with its display fields (what the pages show)
+ */
+function describeRule(rule) {
+    return { id: rule.id, name: rule.name, icon: rule.icon, description: rule.description };
+}
+
+// ============================================================================
+// FUNCTION: Evaluate the Rules
+// ============================================================================
+
+/**
+ * Which badges a student has earned, and when.
+ *
+ * @param {Object} facts
+ * @param {Array} facts.projects - Completed projects: { projectType, category, rating, date }
+ * @param {Array} facts.attended - Dates (text or Date) of the classes they checked in to
+ * @returns {Array<Object>} - [{ badgeId, earnedAt (ISO, or null when no date is known) }]
+ */
+function evaluate({ projects = [], attended = [] }) {
+    // Oldest first, so the Nth item is the one that earned the badge
+    const byDate = (a, b) => (a.at ? a.at.getTime() : 0) - (b.at ? b.at.getTime() : 0);
+    const datedProjects = projects.map(p => ({ ...p, at: toDate(p.date) })).sort(byDate);
+    const datedClasses = attended.map(d => ({ at: toDate(d) })).sort(byDate);
+
+    const earned = [];
+    rules().forEach(rule => {
+        const count = rule.count || 1;
+        const qualifying = rule.type === 'attendance'
+            ? datedClasses
+            : datedProjects.filter(p => projectMatches(p, rule.match));
+        if (qualifying.length < count) return;
+
+        const reachedAt = qualifying[count - 1].at;
+        earned.push({ badgeId: rule.id, earnedAt: reachedAt ? reachedAt.toISOString() : null });
+    });
+    return earned;
+}
+
+// ============================================================================
+// FUNCTIONS: Awards
+// ============================================================================
+
+/**
+ * Stored awards -> badges with each rule's name/icon/description.
+ * Awards whose rule was removed from the config aren't shown.
+ */
+function describeAwards(awards) {
+    const ruleMap = new Map(rules().map(rule => [rule.id, rule]));
+    return awards
+        .filter(award => ruleMap.has(award.badgeId))
+        .map(award => ({ ...describeRule(ruleMap.get(award.badgeId)), awardedAt: award.awardedAt }));
+}
+
+/**
+ * A student's badges
+ *
+ * @returns {Array<Object>} - [{ id, name, icon, description, awardedAt }], in the order they were awarded
+ */
+function getAwards(studentId) {
+    return describeAwards(loadAwards().students[String(studentId || '').trim()] || []);
+}
+
+/**
+ * Every student's badges (for the leaderboard)
+ *
+ * @returns {Map<string, Array>} - studentId -> same as getAwards()
+ */
+function getAllAwards() {
+    const students = loadAwards().students;
+    return new Map(Object.keys(students).map(studentId => [studentId, describeAwards(students[studentId])]));
+}
+
+/**
+ * Stores the badges a student has earned that they didn't have yet.
+ *
+ * @param {string} studentId
+ * @param {Array} earned - From evaluate()
+ * @returns {Array<Object>} - The badges that are new (same shape as getAwards())
+ */
+function recordAwards(studentId, earned) {
+    const id = String(studentId || '').trim();
+    if (!id) throw new Error('Student ID is required');
+
+    const data = loadAwards();
+    const awards = data.students[id] || [];
+    const have = new Set(awards.map(a => a.badgeId));
+    const added = earned.filter(e => !have.has(e.badgeId));
+    if (added.length === 0) return [];
+
+    const now = new Date().toISOString();
+    added.forEach(e => awards.push({ badgeId: e.badgeId, awardedAt: e.earnedAt || now, recordedAt: now }));
+    data.students[id] = awards;
+    saveAwards(data);
+
+    return describeAwards(awards.slice(-added.length));
+}
+
+/**
+ * Every badge there is (for "badges still to earn")
+ */
+function listRules() {
+    return rules().map(describeRule);
+}
+
+module.exports = {
+    parseRating,
+    evaluate,
+    getAwards,
+    getAllAwards,
+    recordAwards,
+    listRules,
+    BADGES_PATH
+};
@@ -0,0 +1,292 @@
+/*
+ * ============================================================================
+ * CACHE MANAGER - ONE PLACE FOR ALL GOOGLE SHEETS CACHES
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Every fetcher in google-sheets-service.js used to keep its own pair of
+ * variables (studentsCache + lastStudentsFetch, bookingCache + ...), with its
+ * own copy of the "is it still fresh?" logic. Some fetchers had no cache at
+ * all, and the only way to throw data away was to clear everything.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Keeps each dataset (students, projectLog, bookings, ...) with its own
+ *    freshness time (ttl) from CACHE_DATASETS in google-sheets-config.js
+ * 2. Stale-while-revalidate: for a while after the ttl runs out, the old data
+ *    is returned straight away and a fresh copy downloads in the background
+ * 3. Single-flight: if ten requests ask for the same dataset at once, Google
+ *    is only asked once and all ten share the answer
+ * 4. If a download fails, the last good copy is returned instead (if any)
+ * 5. Targeted invalidation: after a write, only the datasets it touched are
+ *    marked out of date
+ * 6. Counts hits / misses / errors and the age of each dataset (for /api/admin/cache)
+ *
+ * HOW TO USE IT:
+ *   cacheManager.define('students', { ttl: 5 * 60 * 1000, staleFor: 10 * 60 * 1000 });
+ *   const students = await cacheManager.get('students', loadStudents, { forceRefresh });
+ *   cacheManager.invalidate('students');   // after writing to "Child Names"
+ *
+ * ============================================================================
+ */
+
+// Dataset name -> entry (see define())
+const datasets = new Map();
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function getEntry(name) {
+    const entry = datasets.get(name);
+    if (!entry) {
+        throw new Error(`Unknown cache dataset "${name}"`);
+    }
+    return entry;
+}
+
+/**
+ * Starts (or joins) a download for a dataset.
+ * A download that started BEFORE the latest invalidation is not joined,
+ * because it may not include the write that caused the invalidation.
+ */
+function refresh(entry, loader) {
+    if (entry.inFlight && entry.inFlightGeneration === entry.generation) {
+        return entry.inFlight;
+    }
+
+    const generation = entry.generation;
+    const startedAt = Date.now();
+    entry.stats.fetches++;
+
+    const promise = Promise.resolve()
+        .then(() => loader())
+        .then(value => {
+            // Only store if no newer download has already replaced this one
+            if (generation >= entry.storedGeneration) {
+                entry.value = value;
+                entry.hasValue = true;
+                entry.fetchedAt = startedAt;
+                entry.storedGeneration = generation;
+                // Invalidated while downloading? Keep the data, but fetch again next time
+                entry.invalid = generation !== entry.generation;
+            }
+            entry.stats.lastFetchMs = Date.now() - startedAt;
+            entry.stats.lastError = null;
+            return value;
+        })
+        .catch(error => {
+            entry.stats.errors++;
+            entry.stats.lastError = { message: error.message, at: new Date().toISOString() };
+            throw error;
+        })
+        .finally(() => {
+            if (entry.inFlight === promise) {
+                entry.inFlight = null;
+            }
+        });
+
+    entry.inFlight = promise;
+    entry.inFlightGeneration = generation;
+    return promise;
+}
+
+/**
+ * Rough size of a cached value (array length, Map size or key count)
+ */
+function sizeOf(value) {
+    if (value == null) return 0;
+    if (Array.isArray(value)) return value.length;
+    if (value instanceof Map || value instanceof Set) return value.size;
+    if (typeof value === 'object') return Object.keys(value).length;
+    return 1;
+}
+
+// ============================================================================
+// FUNCTION: Define a Dataset
+// ============================================================================
+
+/**
+ * Registers a dataset. Calling it again updates the settings but keeps the data.
+ *
+ * @param {string} name - Dataset name (e.g. 'students')
+ * @param {Object} options
+ * @param {number} options.ttl - How long (ms) data counts as fresh
+ * @param {number} [options.staleFor] - How much longer (ms) old data may be served while refreshing in the background
+ * @param {string} [options.description] - Shown on the admin stats page
+ */
+function define(name, options = {}) {
+    const existing = datasets.get(name);
+    const settings = {
+        ttl: options.ttl || 0,
+        staleFor: options.staleFor || 0,
+        description: options.description || ''
+    };
+
+    if (existing) {
+        Object.assign(existing, settings);
+        return;
+    }
+
+    datasets.set(name, {
+        name,
+        ...settings,
+        value: undefined,
+        hasValue: false,
+        fetchedAt: 0,
+        invalid: false,
+        generation: 0,
+        storedGeneration: 0,
+        inFlight: null,
+        inFlightGeneration: 0,
+        stats: {
+            hits: 0,
+            staleHits: 0,
+            misses: 0,
+            fetches: 0,
+            errors: 0,
+            fallbacks: 0,
+            invalidations: 0,
+            lastFetchMs: null,
+            lastError: null
+        }
+    });
+}
+
+// ============================================================================
+// FUNCTION: Get (Cached)
+// ============================================================================
+
+/**
+ * Returns a dataset, downloading it with `loader` only when needed.
+ *
+ * - Fresh data (younger than ttl): returned as-is
+ * - Stale data (within ttl + staleFor): returned as-is, refreshed in the background
+ * - Otherwise (or forceRefresh): waits for the loader
+ * - Loader failed: returns the last good copy, then options.fallback(error), then throws
+ *
+ * @param {string} name - Dataset name
+ * @param {Function} loader - async () => value (downloads the data)
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Always wait for fresh data
+ * @param {Function} [options.fallback] - (error) => value when there's nothing cached (NOT cached itself)
+ * @returns {Promise<*>}
+ */
+async function get(name, loader, options = {}) {
+    const entry = getEntry(name);
+    const age = Date.now() - entry.fetchedAt;
+
+    if (!options.forceRefresh && entry.hasValue && !entry.invalid) {
+        if (age < entry.ttl) {
+            entry.stats.hits++;
+            return entry.value;
+        }
+
+        if (age < entry.ttl + entry.staleFor) {
+            entry.stats.staleHits++;
+            if (!entry.inFlight) {
+                console.log(`[CACHE] "${name}" is ${Math.round(age / 1000)}s old. Serving it and refreshing in the background.`);
+            }
+            refresh(entry, loader).catch(error => {
+                console.warn(`[CACHE] Background refresh of "${name}" failed:`, error.message);
+            });
+            return entry.value;
+        }
+    }
+
+    entry.stats.misses++;
+    try {
+        return await refresh(entry, loader);
+    } catch (error) {
+        if (entry.hasValue) {
+            console.warn(`[CACHE] Could not refresh "${name}" (${error.message}). Returning data from ${new Date(entry.fetchedAt).toLocaleTimeString()}.`);
+            return entry.value;
+        }
+        if (options.fallback) {
+            entry.stats.fallbacks++;
+            return options.fallback(error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Returns the cached value without downloading anything (undefined if none)
+ */
+function peek(name) {
+    return getEntry(name).value;
+}
+
+// ============================================================================
+// FUNCTION: Invalidate
+// ============================================================================
+
+/**
+ * Marks datasets as out of date so the next get() waits for fresh data.
+ * The old copy is kept only as a fallback for when Google can't be reached.
+ *
+ * @param {string|Array<string>} [names] - Dataset name(s). Nothing = every dataset.
+ * @returns {Array<string>} - The datasets that were invalidated
+ */
+function invalidate(names) {
+    const list = names === undefined ? Array.from(datasets.keys()) : [].concat(names);
+    list.forEach(name => {
+        const entry = getEntry(name);
+        entry.invalid = true;
+        entry.generation++;
+        entry.stats.invalidations++;
+    });
+    if (list.length > 0) {
+        console.log(`[CACHE] Invalidated: ${list.join(', ')}`);
+    }
+    return list;
+}
+
+// ============================================================================
+// FUNCTION: Stats
+// ============================================================================
+
+/**
+ * Hit/miss counts, age and state of every dataset (for /api/admin/cache)
+ */
+function getStats() {
+    const now = Date.now();
+    const result = {};
+    datasets.forEach((entry, name) => {
+        const age = entry.hasValue ? now - entry.fetchedAt : null;
+        let state = 'empty';
+        if (entry.hasValue) {
+            if (entry.invalid) state = 'invalidated';
+            else if (age < entry.ttl) state = 'fresh';
+            else if (age < entry.ttl + entry.staleFor) state = 'stale';
+            else state = 'expired';
+        }
+
+        const lookups = entry.stats.hits + entry.stats.staleHits + entry.stats.misses;
+        result[name] = {
+            description: entry.description,
+            ttlMs: entry.ttl,
+            staleForMs: entry.staleFor,
+            state,
+            ageMs: age,
+            fetchedAt: entry.hasValue ? new Date(entry.fetchedAt).toISOString() : null,
+            size: entry.hasValue ? sizeOf(entry.value) : 0,
+            refreshing: !!entry.inFlight,
+            hitRate: lookups > 0 ? Math.round(((entry.stats.hits + entry.stats.staleHits) / lookups) * 100) : null,
+            ...entry.stats
+        };
+    });
+    return result;
+}
+
+function getDatasetNames() {
+    return Array.from(datasets.keys());
+}
+
+module.exports = {
+    define,
+    get,
+    peek,
+    invalidate,
+    getStats,
+    getDatasetNames
+};
@@ -0,0 +1,490 @@
+/*
+ * ============================================================================
+ * CERTIFICATE SERVICE - PRINTABLE PROJECT COMPLETION CERTIFICATES
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Kids love taking something home when they finish a project. This file makes
+ * a one-page certificate (PDF, landscape Letter) for a completed project:
+ * the child's name, the project name and icon from the Projects List, the
+ * date, the points and the instructor.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Writes the PDF itself (no PDF library needed): built-in Helvetica
+ *    fonts, a border, and the project icon when there is one
+ * 2. Loads project icons (Projects List Column M): JPEG or PNG, from a web
+ *    link or a Google Drive share link. A missing or unreadable icon just
+ *    leaves the icon out.
+ * 3. Puts several certificates in one PDF, one per page (bulk printing)
+ * 4. Keeps each child's certificate in data/certificates/ once it's made
+ *
+ * google-sheets-service.js (getCertificate, getClassCertificates) works out
+ * what goes on each certificate.
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const CERTIFICATES_DIR = path.join(DATA_DIR, 'certificates');
+
+// Landscape US Letter, in points (1/72 inch)
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 612;
+
+// Project icons: how long to wait for one, and the biggest we'll use
+const ICON_TIMEOUT_MS = 5000;
+const ICON_MAX_BYTES = 3 * 1024 * 1024;
+const ICON_BOX = 90;
+
+const COLORS = {
+    blue: [0.145, 0.388, 0.922],   // #2563EB
+    gold: [0.961, 0.620, 0.043],   // #F59E0B
+    dark: [0.067, 0.094, 0.153],   // #111827
+    grey: [0.420, 0.447, 0.502]    // #6B7280
+};
+
+// Character widths (1/1000 of the font size) for ASCII 32-126, from the
+// standard Helvetica metrics. Used to centre text and shrink long names.
+const WIDTHS = {
+    F1: [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584],
+    F2: [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584]
+};
+
+// Typographic characters outside Latin-1 that the PDF fonts (WinAnsi) still have
+const WIN_ANSI = { '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '…': 0x85 };
+
+// Icons already loaded (by link), so a class's worth of certificates
+// downloads each icon once
+const iconCache = new Map();
+
+// ============================================================================
+// HELPERS: Text
+// ============================================================================
+
+/**
+ * Text -> the font's bytes. Characters the font doesn't have (emoji, other
+ * alphabets) become "?".
+ */
+function encodeText(text) {
+    const bytes = [];
+    for (const char of String(text || '')) {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI[char]) bytes.push(WIN_ANSI[char]);
+        else if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) bytes.push(code);
+        else bytes.push(63); // "?"
+    }
+    return Buffer.from(bytes);
+}
+
+function pdfString(text) {
+    return `(${encodeText(text).toString('latin1').replace(/[\\()]/g, '\\$&')})`;
+}
+
+function textWidth(text, font, size) {
+    const widths = WIDTHS[font];
+    let total = 0;
+    for (const byte of encodeText(text)) {
+        total += byte >= 32 && byte <= 126 ? widths[byte - 32] : 556;
+    }
+    return (total * size) / 1000;
+}
+
+/**
+ * The largest size (down to `minSize`) at which the text fits; text that
+ * still doesn't fit is cut short with "..."
+ */
+function fitText(text, font, size, maxWidth, minSize = 12) {
+    let fitted = String(text || '');
+    let fittedSize = size;
+    while (fittedSize > minSize && textWidth(fitted, font, fittedSize) > maxWidth) fittedSize -= 1;
+    while (fitted.length > 1 && textWidth(fitted, font, fittedSize) > maxWidth) {
+        fitted = `${fitted.slice(0, -4).trimEnd()}...`;
+    }
+    return { text: fitted, size: fittedSize };
+}
+
+function color([r, g, b], op) {
+    return `${r} ${g} ${b} ${op}`;
+}
+
+/**
+ * "3/1/2026" -> "March 1, 2026" (text that isn't a date is shown as it is)
+ */
+function formatDate(value) {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) return String(value || '');
+    return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+// ============================================================================
+// HELPERS: Images (JPEG and PNG)
+// ============================================================================
+
+/**
+ * A JPEG goes into the PDF as it is; only its size is read from the header
+ */
+function decodeJpeg(buffer) {
+    let pos = 2;
+    while (pos + 9 < buffer.length) {
+        if (buffer[pos] !== 0xFF) return null;
+        const marker = buffer[pos + 1];
+        const length = buffer.readUInt16BE(pos + 2);
+        // SOF0-SOF15 (except DHT, JPG and DAC) hold the size
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            const components = buffer[pos + 9];
+            const colorSpace = { 1: 'DeviceGray', 3: 'DeviceRGB', 4: 'DeviceCMYK' }[components];
+            if (!colorSpace) return null;
+            return {
+                width: buffer.readUInt16BE(pos + 7),
+                height: buffer.readUInt16BE(pos + 5),
+                colorSpace,
+                filter: 'DCTDecode',
+                data: buffer,
+                alpha: null
+            };
+        }
+        pos += 2 + length;
+    }
+    return null;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * A PNG is unpacked into its colour and transparency so the PDF can show
+ * both. Handles the usual 8-bit, non-interlaced PNGs (anything else -> null).
+ */
+function decodePng(buffer) {
+    let pos = 8;
+    let header = null;
+    let palette = null;
+    const idat = [];
+    while (pos + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(pos);
+        const type = buffer.toString('latin1', pos + 4, pos + 8);
+        const chunk = buffer.subarray(pos + 8, pos + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+        pos += 12 + length;
+    }
+
+    const channels = header && { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+    if (!channels || header.bitDepth !== 8 || header.interlace !== 0 || (header.colorType === 3 && !palette)) {
+        return null;
+    }
+
+    const { width, height, colorType } = header;
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * channels;
+    const pixels = Buffer.alloc(stride * height);
+
+    // Undo the per-row filters
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const a = x >= channels ? pixels[out + x - channels] : 0;
+            const b = y > 0 ? pixels[out - stride + x] : 0;
+            const c = x >= channels && y > 0 ? pixels[out - stride + x - channels] : 0;
+            let value = row[x];
+            if (filter === 1) value += a;
+            else if (filter === 2) value += b;
+            else if (filter === 3) value += (a + b) >> 1;
+            else if (filter === 4) value += paeth(a, b, c);
+            pixels[out + x] = value & 0xFF;
+        }
+    }
+
+    const count = width * height;
+    const gray = colorType === 0 || colorType === 4;
+    const colorBytes = Buffer.alloc(count * (gray ? 1 : 3));
+    const alpha = colorType === 4 || colorType === 6 ? Buffer.alloc(count) : null;
+    for (let i = 0; i < count; i++) {
+        if (colorType === 3) {
+            palette.copy(colorBytes, i * 3, pixels[i] * 3, pixels[i] * 3 + 3);
+        } else if (gray) {
+            colorBytes[i] = pixels[i * channels];
+            if (alpha) alpha[i] = pixels[i * channels + 1];
+        } else {
+            pixels.copy(colorBytes, i * 3, i * channels, i * channels + 3);
+            if (alpha) alpha[i] = pixels[i * channels + 3];
+        }
+    }
+
+    return {
+        width,
+        height,
+        colorSpace: gray ? 'DeviceGray' : 'DeviceRGB',
+        filter: 'FlateDecode',
+        data: zlib.deflateSync(colorBytes),
+        alpha: alpha ? zlib.deflateSync(alpha) : null
+    };
+}
+
+/**
+ * Image file bytes -> what the PDF needs to draw it, or null if it's not a
+ * JPEG or PNG we can read
+ */
+function decodeImage(buffer) {
+    if (!buffer || buffer.length < 8) return null;
+    try {
+        if (buffer[0] === 0xFF && buffer[1] === 0xD8) return decodeJpeg(buffer);
+        if (buffer.toString('latin1', 1, 4) === 'PNG') return decodePng(buffer);
+    } catch (error) {
+        console.warn('[Certificates] Could not read image:', error.message);
+    }
+    return null;
+}
+
+/**
+ * Drive share links ("/file/d/<id>/view", "open?id=<id>") -> a link to the
+ * file itself
+ */
+function directLink(url) {
+    const match = url.match(/drive\.google\.com\/(?:file\/d\/|open\?id=|uc\?(?:.*&)?id=)([\w-]+)/);
+    return match ? `https://drive.google.com/uc?export=download&id=${match[1]}` : url;
+}
+
+/**
+ * Downloads and reads a project icon. Never throws: a certificate is still
+ * worth printing without its icon.
+ *
+ * @param {string} url - Projects List Column M (http(s), Drive or data: link)
+ * @returns {Promise<Object|null>}
+ */
+async function loadIcon(url) {
+    const link = String(url || '').trim();
+    if (!/^(https?:|data:image\/)/i.test(link)) return null;
+    if (iconCache.has(link)) return iconCache.get(link);
+
+    let image = null;
+    try {
+        const response = await fetch(directLink(link), { signal: AbortSignal.timeout(ICON_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const bytes = Buffer.from(await response.arrayBuffer());
+        if (bytes.length > ICON_MAX_BYTES) throw new Error('icon is too large');
+        image = decodeImage(bytes);
+    } catch (error) {
+        console.warn(`[Certificates] Could not load icon ${link.slice(0, 80)}: ${error.message}`);
+    }
+    iconCache.set(link, image);
+    return image;
+}
+
+// ============================================================================
+// FUNCTION: Draw a Certificate Page
+// ============================================================================
+
+/**
+ * The drawing commands for one certificate page
+ */
+function pageContent(certificate, icon) {
+    const ops = [];
+    const centered = (text, font, size, y, rgb, maxWidth = PAGE_WIDTH - 160) => {
+        const fitted = fitText(text, font, size, maxWidth);
+        const x = (PAGE_WIDTH - textWidth(fitted.text, font, fitted.size)) / 2;
+        ops.push(`BT ${color(rgb, 'rg')} /${font} ${fitted.size} Tf ${x.toFixed(2)} ${y} Td ${pdfString(fitted.text)} Tj ET`);
+    };
+
+    // Borders: thick blue outside, thin gold inside
+    ops.push(`${color(COLORS.blue, 'RG')} 6 w 24 24 ${PAGE_WIDTH - 48} ${PAGE_HEIGHT - 48} re S`);
+    ops.push(`${color(COLORS.gold, 'RG')} 1.5 w 38 38 ${PAGE_WIDTH - 76} ${PAGE_HEIGHT - 76} re S`);
+
+    centered('LearnToBot', 'F2', 16, 530, COLORS.blue);
+    centered('Certificate of Completion', 'F2', 36, 482, COLORS.dark);
+    centered('This certifies that', 'F1', 14, 446, COLORS.grey);
+    centered(certificate.studentName, 'F2', 40, 396, COLORS.blue);
+    ops.push(`${color(COLORS.gold, 'RG')} 1 w 196 384 m ${PAGE_WIDTH - 196} 384 l S`);
+    centered('has completed the project', 'F1', 14, 356, COLORS.grey);
+    centered(certificate.projectName || certificate.projectCode, 'F2', 26, 318, COLORS.dark);
+
+    if (icon) {
+        const { width, height } = icon;
+        const scale = Math.min(ICON_BOX / width, ICON_BOX / height);
+        const w = width * scale;
+        const h = height * scale;
+        ops.push(`q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${((PAGE_WIDTH - w) / 2).toFixed(2)} ${(210 + (ICON_BOX - h) / 2).toFixed(2)} cm /Icon Do Q`);
+    }
+
+    // Date, points and instructor along the bottom
+    const columns = [
+        { x: 216, value: formatDate(certificate.completedDate), label: 'Date' },
+        { x: PAGE_WIDTH / 2, value: `${certificate.points || 0} points`, label: 'Points' },
+        { x: PAGE_WIDTH - 216, value: certificate.instructor || 'LearnToBot', label: 'Instructor' }
+    ];
+    columns.forEach(({ x, value, label }) => {
+        const fitted = fitText(value, 'F2', 14, 170, 9);
+        ops.push(`BT ${color(COLORS.dark, 'rg')} /F2 ${fitted.size} Tf ${(x - textWidth(fitted.text, 'F2', fitted.size) / 2).toFixed(2)} 130 Td ${pdfString(fitted.text)} Tj ET`);
+        ops.push(`${color(COLORS.grey, 'RG')} 0.75 w ${x - 85} 122 m ${x + 85} 122 l S`);
+        ops.push(`BT ${color(COLORS.grey, 'rg')} /F1 10 Tf ${(x - textWidth(label, 'F1', 10) / 2).toFixed(2)} 108 Td ${pdfString(label)} Tj ET`);
+    });
+
+    return ops.join('\n');
+}
+
+// ============================================================================
+// FUNCTION: Write the PDF
+// ============================================================================
+
+/**
+ * Certificates -> one PDF, one page each.
+ *
+ * @param {Array<Object>} certificates - { studentName, projectCode, projectName, icon, completedDate, points, instructor }
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(certificates) {
+    if (!Array.isArray(certificates) || certificates.length === 0) {
+        throw new Error('No certificates to print');
+    }
+
+    // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, then each page's objects
+    const objects = [];
+    const add = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+    const stream = (dict, data) => Buffer.concat([
+        Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'),
+        data,
+        Buffer.from('\nendstream', 'latin1')
+    ]);
+
+    add('<< /Type /Catalog /Pages 2 0 R >>');
+    add(null); // Page tree, filled in once the pages are known
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = [];
+    for (const certificate of certificates) {
+        const icon = await loadIcon(certificate.icon);
+        let xObject = '';
+        if (icon) {
+            const mask = icon.alpha
+                ? add(stream(`/Type /XObject /Subtype /Image /Width ${icon.width} /Height ${icon.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, icon.alpha))
+                : null;
+            const imageId = add(stream(
+                `/Type /XObject /Subtype /Image /Width ${icon.width} /Height ${icon.height} /ColorSpace /${icon.colorSpace} /BitsPerComponent 8 /Filter /${icon.filter}${mask ? ` /SMask ${mask} 0 R` : ''}`,
+                icon.data
+            ));
+            xObject = ` /XObject << /Icon ${imageId} 0 R >>`;
+        }
+        const contentId = add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(pageContent(certificate, icon), 'latin1'))));
+        pageIds.push(add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Contents ${contentId} 0 R /Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObject} >> >>`));
+    }
+    objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    // Body, then the cross-reference table of byte offsets
+    const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let offset = parts[0].length;
+    const offsets = objects.map((body, i) => {
+        const part = Buffer.concat([
+            Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+            Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+            Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        parts.push(part);
+        const at = offset;
+        offset += part.length;
+        return at;
+    });
+    parts.push(Buffer.from([
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(at => `${String(at).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+        ''
+    ].join('\n'), 'latin1'));
+
+    return Buffer.concat(parts);
+}
+
+// ============================================================================
+// FUNCTIONS: Saved Certificates
+// ============================================================================
+
+function safePart(value) {
+    return String(value || '').trim().toUpperCase().replace(/[^A-Z0-9_-]/g, '_');
+}
+
+/**
+ * Where a child's certificate for a project is kept
+ */
+function certificatePath(studentId, projectCode) {
+    return path.join(CERTIFICATES_DIR, `${safePart(studentId)}-${safePart(projectCode)}.pdf`);
+}
+
+/**
+ * Download file name: "Ava Stone - PROJ101 certificate.pdf"
+ */
+function fileNameFor(certificate) {
+    return `${String(certificate.studentName || certificate.studentId).replace(/[^\w .-]/g, '')} - ${safePart(certificate.projectCode)} certificate.pdf`;
+}
+
+function saveCertificate(certificate, pdf) {
+    fs.mkdirSync(CERTIFICATES_DIR, { recursive: true });
+    const file = certificatePath(certificate.studentId, certificate.projectCode);
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, pdf);
+    fs.renameSync(temp, file);
+    return file;
+}
+
+/**
+ * A certificate made earlier, or null
+ */
+function readSavedCertificate(studentId, projectCode) {
+    const file = certificatePath(studentId, projectCode);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+}
+
+module.exports = {
+    renderPdf,
+    decodeImage,
+    loadIcon,
+    certificatePath,
+    fileNameFor,
+    saveCertificate,
+    readSavedCertificate,
+    CERTIFICATES_DIR
+};
@@ -0,0 +1,262 @@
+/*
+ * ============================================================================
+ * COLUMN RESOLVER - FIND SPREADSHEET COLUMNS BY HEADER TEXT
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The app used to read and write Google Sheets by hard-coded column numbers
+ * (e.g. "Status is Column J"). As soon as someone inserted a column in the
+ * spreadsheet, every number after it pointed at the wrong data.
+ *
+ * This module looks at the header row (Row 1) of a tab and works out where
+ * each logical field (STUDENT_NAME, PROJECT_STATUS, ...) lives RIGHT NOW.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Reads header aliases from google-sheets-config.js (COLUMN_HEADERS)
+ * 2. Matches them against the live header row (case/punctuation-insensitive)
+ * 3. Falls back to the configured column number when a header can't be found
+ * 4. Caches the result per tab (CACHE_DURATION) so we don't re-read Row 1 on every call
+ *
+ * HOW TO USE IT:
+ *   const cols = await columnResolver.getColumns(sheets, config.PROGRESS_SHEET);
+ *   const status = row[cols.PROJECT_STATUS];
+ *   const range = `${config.PROGRESS_SHEET}!${columnResolver.columnLetter(cols.PROJECT_STATUS)}5`;
+ *
+ * The returned object has the SAME shape as the config maps (FIELD -> 0-based index),
+ * so it is a drop-in replacement for config.PROGRESS_COLUMNS and friends.
+ *
+ * ============================================================================
+ */
+
+const config = require('./google-sheets-config');
+
+// Tab name -> { fallback index map, header alias map }
+const SCHEMAS = {
+    [config.STUDENT_NAMES_SHEET]: { indexes: config.ALL_KIDS_COLUMNS, headers: config.COLUMN_HEADERS.ALL_KIDS_COLUMNS },
+    [config.PROGRESS_SHEET]: { indexes: config.PROGRESS_COLUMNS, headers: config.COLUMN_HEADERS.PROGRESS_COLUMNS },
+    [config.BOOKING_SHEET]: { indexes: config.BOOKING_COLUMNS, headers: config.COLUMN_HEADERS.BOOKING_COLUMNS },
+    [config.PROJECT_LIST_SHEET]: { indexes: config.PROJECT_LIST_COLUMNS, headers: config.COLUMN_HEADERS.PROJECT_LIST_COLUMNS },
+    [config.INSTRUCTORS_SHEET]: { indexes: config.INSTRUCTOR_COLUMNS, headers: config.COLUMN_HEADERS.INSTRUCTOR_COLUMNS },
+    [config.INVENTORY_SHEET]: { indexes: config.INVENTORY_COLUMNS, headers: config.COLUMN_HEADERS.INVENTORY_COLUMNS },
+    [config.PROJECT_PARTS_SHEET]: { indexes: config.PROJECT_PARTS_COLUMNS, headers: config.COLUMN_HEADERS.PROJECT_PARTS_COLUMNS },
+    [config.CLASS_REPORT_SHEET]: { indexes: config.CLASS_REPORT_COLUMNS, headers: config.COLUMN_HEADERS.CLASS_REPORT_COLUMNS },
+    [config.REDEMPTIONS_SHEET]: { indexes: config.REDEMPTION_COLUMNS, headers: config.COLUMN_HEADERS.REDEMPTION_COLUMNS },
+    [config.POINTS_ADJUSTMENTS_SHEET]: { indexes: config.POINTS_ADJUSTMENT_COLUMNS, headers: config.COLUMN_HEADERS.POINTS_ADJUSTMENT_COLUMNS }
+};
+
+// Tab name -> { columns, report, fetchedAt }
+const cache = new Map();
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Normalizes header text so "Checked In?" and "checked  in" compare equal
+ */
+function normalizeHeader(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Converts a 0-based column index to a column letter (0 -> A, 27 -> AB)
+ */
+function columnLetter(index) {
+    let letters = '';
+    let temp = index;
+    while (temp >= 0) {
+        letters = String.fromCharCode(65 + (temp % 26)) + letters;
+        temp = Math.floor(temp / 26) - 1;
+    }
+    return letters;
+}
+
+/**
+ * Quotes a tab name for A1 notation ('Project Log'!A1)
+ */
+function quoteSheetName(sheetName) {
+    return `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+// ============================================================================
+// FUNCTION: Resolve Columns From a Header Row
+// ============================================================================
+
+/**
+ * Works out the live column index of every logical field for a tab.
+ * Also refreshes the cache, so call this whenever you already have Row 1.
+ *
+ * @param {string} sheetName - Tab name (e.g. 'Project Log')
+ * @param {Array<string>} headerRow - Values of Row 1
+ * @returns {Object} - { FIELD: index, ... } (same shape as the config maps)
+ */
+function resolveFromHeaderRow(sheetName, headerRow) {
+    const schema = SCHEMAS[sheetName];
+    if (!schema) {
+        throw new Error(`No column schema configured for sheet "${sheetName}"`);
+    }
+
+    const normalizedHeaders = (headerRow || []).map(normalizeHeader);
+    const columns = {};
+    const report = { sheetName, matched: {}, fallback: {}, missing: [], headerCount: normalizedHeaders.length };
+    const claimed = new Set();
+
+    Object.keys(schema.indexes).forEach(field => {
+        const fallbackIndex = schema.indexes[field];
+        const aliases = (schema.headers && schema.headers[field]) || [];
+
+        // Try each alias in priority order (most specific first)
+        let foundIndex = -1;
+        for (const alias of aliases) {
+            const target = normalizeHeader(alias);
+            foundIndex = normalizedHeaders.findIndex((h, i) => h === target && !claimed.has(i));
+            if (foundIndex !== -1) break;
+        }
+
+        if (foundIndex !== -1) {
+            columns[field] = foundIndex;
+            claimed.add(foundIndex);
+            report.matched[field] = { index: foundIndex, header: headerRow[foundIndex] };
+        } else {
+            // Positional fields (no aliases) and unmatched headers keep the configured number
+            columns[field] = fallbackIndex;
+            report.fallback[field] = { index: fallbackIndex, header: headerRow ? headerRow[fallbackIndex] : undefined };
+            if (aliases.length > 0) report.missing.push(field);
+        }
+    });
+
+    // Only warn when the list of missing headers changes (not on every read)
+    const previous = cache.get(sheetName);
+    const missingChanged = !previous || previous.report.missing.join() !== report.missing.join();
+    if (report.missing.length > 0 && normalizedHeaders.length > 0 && missingChanged) {
+        console.warn(`[COLUMNS] "${sheetName}": no header found for ${report.missing.join(', ')}. Using configured column numbers.`);
+    }
+
+    const frozen = Object.freeze(columns);
+    cache.set(sheetName, { columns: frozen, report, fetchedAt: Date.now() });
+    return frozen;
+}
+
+// ============================================================================
+// FUNCTION: Get Columns (Cached)
+// ============================================================================
+
+/**
+ * Returns the live column map for a tab, reading Row 1 if the cache is stale.
+ * If Row 1 can't be read (offline) we fall back to the last known map, then to config.
+ *
+ * @param {Object} sheets - Google Sheets API client
+ * @param {string} sheetName - Tab name
+ * @param {boolean} forceRefresh - If true, always re-read Row 1
+ * @returns {Promise<Object>} - { FIELD: index, ... }
+ */
+async function getColumns(sheets, sheetName, forceRefresh = false) {
+    const cached = cache.get(sheetName);
+    if (!forceRefresh && cached && (Date.now() - cached.fetchedAt) < config.CACHE_DURATION) {
+        return cached.columns;
+    }
+
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: config.SPREADSHEET_ID,
+            range: `${quoteSheetName(sheetName)}!1:1`,
+        });
+        const headerRow = response.data.values ? response.data.values[0] : [];
+        return resolveFromHeaderRow(sheetName, headerRow);
+    } catch (error) {
+        console.error(`[COLUMNS] Could not read headers for "${sheetName}":`, error.message);
+        if (cached) return cached.columns;
+        throw error;
+    }
+}
+
+/**
+ * Column map straight from config (no network). Used by offline fallbacks
+ * when we have neither a live header row nor a cached one.
+ */
+function getConfiguredColumns(sheetName) {
+    const cached = cache.get(sheetName);
+    if (cached) return cached.columns;
+    return Object.freeze({ ...SCHEMAS[sheetName].indexes });
+}
+
+/**
+ * Builds an A1 range that covers every configured field of a tab
+ * (e.g. "'Project Log'!A:AC"), based on the resolved columns.
+ *
+ * @param {string} sheetName - Tab name
+ * @param {Object} columns - Resolved column map
+ * @param {number} [minLastIndex] - Read at least up to this column (for extra, non-configured columns)
+ */
+function rangeFor(sheetName, columns, minLastIndex = 0) {
+    const lastIndex = Math.max(minLastIndex, ...Object.values(columns));
+    return `${quoteSheetName(sheetName)}!A:${columnLetter(lastIndex)}`;
+}
+
+/**
+ * Reads a whole tab with the live column map.
+ * Re-resolves from the returned header row, and reads again (once) if a
+ * column moved beyond the range we asked for.
+ *
+ * @param {Object} sheets - Google Sheets API client
+ * @param {string} sheetName - Tab name
+ * @param {Object} [options] - Extra values.get params (e.g. valueRenderOption)
+ * @returns {Promise<Object>} - { rows, columns }
+ */
+async function readSheet(sheets, sheetName, options = {}) {
+    let columns = await getColumns(sheets, sheetName);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: config.SPREADSHEET_ID,
+            range: rangeFor(sheetName, columns),
+            ...options
+        });
+        const rows = response.data.values || [];
+        const previous = columns;
+        columns = resolveFromHeaderRow(sheetName, rows[0] || []);
+
+        // If the layout changed since we cached it, a column may now be outside our range
+        const moved = Object.keys(columns).some(f => columns[f] !== previous[f]);
+        if (!moved || attempt === 1) {
+            return { rows, columns };
+        }
+        console.log(`[COLUMNS] "${sheetName}" layout changed since last read. Re-reading with new columns.`);
+        columns = await getColumns(sheets, sheetName, true);
+    }
+}
+
+/**
+ * Forgets the cached column map for a tab (or all tabs)
+ */
+function invalidate(sheetName) {
+    if (sheetName) {
+        cache.delete(sheetName);
+    } else {
+        cache.clear();
+    }
+}
+
+/**
+ * Returns how each field was resolved for every tab we've seen
+ * (matched by header vs. fell back to the configured column number)
+ */
+function getResolutionReport() {
+    const report = {};
+    cache.forEach((value, sheetName) => {
+        report[sheetName] = { ...value.report, resolvedAt: new Date(value.fetchedAt).toISOString() };
+    });
+    return report;
+}
+
+module.exports = {
+    getColumns,
+    getConfiguredColumns,
+    resolveFromHeaderRow,
+    readSheet,
+    rangeFor,
+    columnLetter,
+    quoteSheetName,
+    invalidate,
+    getResolutionReport
+};
@@ -0,0 +1,198 @@
+/*
+ * ============================================================================
+ * CURRICULUM SERVICE - PROJECT TRACKS AND "WHAT'S NEXT?"
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Every student follows a track (Column AC on "Child Names", e.g. "Track 1").
+ * Every project in "Projects List" says which tracks it belongs to
+ * (Recommended Tracks, Column BE, comma-separated) and how hard it is
+ * (Project Difficulty, Column BH). Together those describe an ordered list
+ * of projects per track, which this file works out.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Builds the ordered project sequence for every track
+ *    (easiest first, ties broken by project code)
+ * 2. Matches track names loosely: "Track 1", "track1" and "1" are the same track
+ * 3. Works out where a student is in their track from their Project Log rows
+ * 4. Picks the next project: the first one in the track they haven't completed
+ *
+ * This file only does the math. google-sheets-service.js feeds it the data
+ * (setupCurriculumTracks, getTrackProgress) and assigns the next project
+ * after markProjectComplete.
+ *
+ * ============================================================================
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * "Track 1" / "track1" / " 1 " -> "1", "Advanced Robotics" -> "advancedrobotics"
+ * Used to compare track names, never shown to anyone.
+ */
+function normalizeTrackName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '')
+        .replace(/^track(?=.)/, '');
+}
+
+/**
+ * "Track 1, Track 2" -> ['Track 1', 'Track 2']
+ */
+function parseTrackList(value) {
+    return String(value || '')
+        .split(/[,;\n]/)
+        .map(t => t.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Project Log statuses, grouped the same way getStudentProjects() does
+ */
+function statusOf(entry) {
+    const status = (entry.projectStatus || '').toLowerCase();
+    if (status.includes('completed')) return 'completed';
+    if (status.includes('progress') || status.includes('working')) return 'inProgress';
+    if (status === 'next' || status.includes('next project')) return 'next';
+    if (status.includes('assign')) return 'assigned';
+    return 'other';
+}
+
+// ============================================================================
+// FUNCTION: Build Track Sequences
+// ============================================================================
+
+/**
+ * Builds the ordered project list of every track from the Projects List.
+ *
+ * @param {Map} projectMap - fetchProjectList() result: Code -> { name, tracks, difficulty, points, category }
+ * @returns {Object} - {
+ *   tracks: [{ key, name, projects: [{ code, name, difficulty, points, category }] }],
+ *   untracked: ['PROJ999', ...]   // projects without any Recommended Track
+ * }
+ */
+function buildTrackSequences(projectMap) {
+    const tracks = new Map();
+    const untracked = [];
+
+    projectMap.forEach((info, code) => {
+        // The offline fallback of fetchProjectList only has names (no tracks)
+        const details = typeof info === 'object' && info !== null ? info : { name: info };
+        const trackNames = parseTrackList(details.tracks);
+
+        if (trackNames.length === 0) {
+            untracked.push(code);
+            return;
+        }
+
+        trackNames.forEach(trackName => {
+            const key = normalizeTrackName(trackName);
+            if (!key) return;
+            if (!tracks.has(key)) {
+                tracks.set(key, { key, name: trackName, projects: [], spellings: new Map() });
+            }
+            const track = tracks.get(key);
+            track.spellings.set(trackName, (track.spellings.get(trackName) || 0) + 1);
+            if (!track.projects.some(p => p.code === code)) {
+                track.projects.push({
+                    code,
+                    name: details.name || '',
+                    difficulty: Number.isFinite(details.difficulty) ? details.difficulty : 9999,
+                    points: details.points || 0,
+                    category: details.category || ''
+                });
+            }
+        });
+    });
+
+    tracks.forEach(track => {
+        track.projects.sort((a, b) => (a.difficulty - b.difficulty) || a.code.localeCompare(b.code));
+        // Show the track under the spelling most projects use ("Track 1", not a stray "track1")
+        let best = 0;
+        track.spellings.forEach((count, spelling) => {
+            if (count > best) {
+                best = count;
+                track.name = spelling;
+            }
+        });
+        delete track.spellings;
+    });
+
+    return {
+        tracks: Array.from(tracks.values()).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true })),
+        untracked: untracked.sort()
+    };
+}
+
+/**
+ * Finds a track by (loosely matched) name
+ *
+ * @param {Array} tracks - buildTrackSequences().tracks
+ * @param {string} trackName - e.g. the student's Column AC value
+ * @returns {Object|null}
+ */
+function findTrack(tracks, trackName) {
+    const key = normalizeTrackName(trackName);
+    if (!key) return null;
+    return tracks.find(t => t.key === key) || null;
+}
+
+// ============================================================================
+// FUNCTION: Student Progress Through a Track
+// ============================================================================
+
+/**
+ * Marks every project of a track with the student's status for it.
+ *
+ * @param {Object} track - One entry of buildTrackSequences().tracks
+ * @param {Array} studentEntries - The student's fetchProjectLog() rows
+ * @param {Object} [options]
+ * @param {Array<string>} [options.alsoCompleted] - Codes to count as completed
+ *        (e.g. the project being completed right now, before the log is re-read)
+ * @returns {Array} - [{ code, name, difficulty, points, status }] in track order
+ *        status: 'completed' | 'inProgress' | 'assigned' | 'next' | 'notStarted'
+ */
+function getTrackStatus(track, studentEntries, options = {}) {
+    const rank = { completed: 4, inProgress: 3, assigned: 2, next: 1, other: 0 };
+    const best = new Map();
+
+    studentEntries.forEach(entry => {
+        const code = (entry.projectName || '').trim().toUpperCase();
+        if (!code) return;
+        const status = statusOf(entry);
+        if (!best.has(code) || rank[status] > rank[best.get(code)]) {
+            best.set(code, status);
+        }
+    });
+    (options.alsoCompleted || []).forEach(code => best.set(String(code).trim().toUpperCase(), 'completed'));
+
+    return track.projects.map(project => {
+        const status = best.get(project.code);
+        return { ...project, status: !status || status === 'other' ? 'notStarted' : status };
+    });
+}
+
+/**
+ * Picks the student's next project in a track: the first one not completed yet.
+ *
+ * @param {Array} trackStatus - getTrackStatus() result
+ * @returns {Object|null} - { code, name, ..., status, alreadyAssigned } or null when the track is finished
+ */
+function findNextProject(trackStatus) {
+    const next = trackStatus.find(p => p.status !== 'completed');
+    if (!next) return null;
+    return { ...next, alreadyAssigned: next.status !== 'notStarted' };
+}
+
+module.exports = {
+    normalizeTrackName,
+    parseTrackList,
+    statusOf,
+    buildTrackSequences,
+    findTrack,
+    getTrackStatus,
+    findNextProject
+};
@@ -0,0 +1,255 @@
+/*
+ * ============================================================================
+ * DIGEST SERVICE - WEEKLY PARENT PROGRESS EMAIL
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Parents keep asking what their kid did this week. This file builds a short
+ * per-child report for the past week that instructors can preview and then
+ * email to every parent in one go.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Builds a child's digest: projects completed this week, what they're
+ *    working on now, points earned this week, upcoming classes, and the
+ *    instructor's note (Child Names Column X)
+ * 2. Renders it as an email (HTML + plain text) for the parent (Column B)
+ * 3. Remembers which digests were sent (data/digest-sent.jsonl) so a week's
+ *    digest isn't sent twice by accident
+ *
+ * google-sheets-service.js (buildParentDigest, sendParentDigests) gathers the
+ * data; mail-transport.js does the sending.
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./google-sheets-config');
+const pointsLedger = require('./points-ledger-service');
+
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const SENT_LOG_PATH = path.join(DATA_DIR, 'digest-sent.jsonl');
+
+// How many upcoming classes the digest lists
+const MAX_UPCOMING = 3;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function toDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function formatDay(date) {
+    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function dayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The week a digest covers: the last DIGEST.DAYS days up to now
+ *
+ * @returns {Object} - { from: Date (start of the first day), to: Date (now), weekOf: 'YYYY-MM-DD' }
+ */
+function weekWindow(now = new Date()) {
+    const days = (config.DIGEST && config.DIGEST.DAYS) || 7;
+    const from = new Date(now);
+    from.setHours(0, 0, 0, 0);
+    from.setDate(from.getDate() - (days - 1));
+    return { from, to: new Date(now), weekOf: dayKey(from) };
+}
+
+// ============================================================================
+// FUNCTION: Build a Digest
+// ============================================================================
+
+/**
+ * One child's week.
+ *
+ * @param {Object} sources
+ * @param {Object} sources.student - fetchStudents() entry ({ id, name, note, parentEmail, parentFirstName })
+ * @param {Object} sources.projects - getStudentProjects() result
+ * @param {Array} sources.transactions - The child's points ledger transactions
+ * @param {Array} sources.bookings - The child's bookings (fetchBookingHistory entries)
+ * @param {Date} [sources.now]
+ * @returns {Object} - { studentId, studentName, parentEmail, parentName, weekOf, from, to,
+ *                       completed, working, pointsEarned, upcoming, note }
+ */
+function buildDigest({ student, projects, transactions = [], bookings = [], now = new Date() }) {
+    const { from, to, weekOf } = weekWindow(now);
+    const inWeek = value => {
+        const date = toDate(value);
+        return date && date >= from && date <= to;
+    };
+
+    const completed = (projects.completedProjects || [])
+        .filter(p => inWeek(p.completedDate))
+        .map(p => ({ name: p.name, completedDate: p.completedDate, points: parseInt(p.points, 10) || 0 }));
+
+    const working = [...(projects.inProgressProjects || []), ...(projects.assignedProjects || [])].map(p => p.name);
+
+    const pointsEarned = pointsLedger.pointsBetween(transactions, from, to).get(student.id) || 0;
+
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    const upcoming = bookings
+        .map(b => ({ ...b, day: toDate(b.classDate) }))
+        .filter(b => b.day && b.day > today)
+        .sort((a, b) => a.day - b.day)
+        .slice(0, MAX_UPCOMING)
+        .map(b => ({ classDate: b.classDate, day: formatDay(b.day), serviceTitle: b.serviceTitle }));
+
+    return {
+        studentId: student.id,
+        studentName: student.name,
+        parentEmail: student.parentEmail || '',
+        parentName: student.parentFirstName || '',
+        weekOf,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        completed,
+        working,
+        pointsEarned,
+        upcoming,
+        note: student.note || ''
+    };
+}
+
+// ============================================================================
+// FUNCTION: Render as an Email
+// ============================================================================
+
+function subjectOf(digest) {
+    return `${digest.studentName}'s week at LearnToBot`;
+}
+
+/**
+ * The digest as an HTML email (inline styles: mail programs ignore <style>)
+ */
+function renderHtml(digest) {
+    const section = (title, body) => `
+        <h3 style="color:#2563EB;margin:24px 0 8px;">${title}</h3>
+        ${body}`;
+    const list = items => items.length
+        ? `<ul style="margin:0;padding-left:20px;">${items.map(item => `<li>${item}</li>`).join('')}</ul>`
+        : '<p style="color:#6B7280;margin:0;">Nothing this week.</p>';
+
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#111827;max-width:600px;margin:0 auto;padding:20px;">
+    <h2 style="margin:0 0 4px;">${escapeHtml(subjectOf(digest))}</h2>
+    <p style="color:#6B7280;margin:0 0 16px;">Week of ${escapeHtml(formatDay(new Date(digest.from)))}</p>
+    <p>Hi${digest.parentName ? ` ${escapeHtml(digest.parentName)}` : ''}, here's what ${escapeHtml(digest.studentName)} did this week.</p>
+    ${section('✅ Projects completed', list(digest.completed.map(p => `${escapeHtml(p.name)}${p.points ? ` (+${p.points} pts)` : ''}`)))}
+    ${section('🔧 Working on', list(digest.working.map(escapeHtml)))}
+    ${section('⭐ Points earned this week', `<p style="font-size:1.4em;font-weight:bold;margin:0;">${digest.pointsEarned}</p>`)}
+    ${section('📅 Upcoming classes', list(digest.upcoming.map(c => `${escapeHtml(c.day)} - ${escapeHtml(c.serviceTitle)}`)))}
+    ${digest.note ? section('📝 Note from the instructor', `<p style="margin:0;">${escapeHtml(digest.note)}</p>`) : ''}
+    <p style="color:#9CA3AF;font-size:0.8em;margin-top:32px;">LearnToBot weekly progress report</p>
+</body>
+</html>`;
+}
+
+/**
+ * The digest as plain text (for mail programs that don't show HTML)
+ */
+function renderText(digest) {
+    const list = items => items.length ? items.map(item => `  - ${item}`).join('\n') : '  Nothing this week.';
+    return [
+        subjectOf(digest),
+        '',
+        `Hi${digest.parentName ? ` ${digest.parentName}` : ''}, here's what ${digest.studentName} did this week.`,
+        '',
+        'Projects completed:',
+        list(digest.completed.map(p => `${p.name}${p.points ? ` (+${p.points} pts)` : ''}`)),
+        '',
+        'Working on:',
+        list(digest.working),
+        '',
+        `Points earned this week: ${digest.pointsEarned}`,
+        '',
+        'Upcoming classes:',
+        list(digest.upcoming.map(c => `${c.day} - ${c.serviceTitle}`)),
+        ...(digest.note ? ['', 'Note from the instructor:', `  ${digest.note}`] : []),
+        ''
+    ].join('\n');
+}
+
+/**
+ * The digest as a message for mail-transport.js
+ *
+ * @returns {Object} - { from, to, subject, html, text }
+ */
+function toMessage(digest) {
+    return {
+        from: config.DIGEST.FROM,
+        to: digest.parentEmail,
+        subject: subjectOf(digest),
+        html: renderHtml(digest),
+        text: renderText(digest)
+    };
+}
+
+// ============================================================================
+// FUNCTIONS: Sent Log
+// ============================================================================
+
+/**
+ * Has this child's digest for this week already been sent?
+ */
+function wasSent(studentId, weekOf) {
+    if (!fs.existsSync(SENT_LOG_PATH)) return false;
+    return fs.readFileSync(SENT_LOG_PATH, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .some(line => {
+            try {
+                const entry = JSON.parse(line);
+                return entry.studentId === studentId && entry.weekOf === weekOf;
+            } catch (e) {
+                return false;
+            }
+        });
+}
+
+/**
+ * Records a sent digest
+ */
+function recordSent(digest, result, sentBy) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(SENT_LOG_PATH, JSON.stringify({
+        studentId: digest.studentId,
+        weekOf: digest.weekOf,
+        to: digest.parentEmail,
+        messageId: result.messageId || null,
+        transport: result.transport || null,
+        sentBy: sentBy || 'Instructor',
+        sentAt: new Date().toISOString()
+    }) + '\n');
+}
+
+module.exports = {
+    weekWindow,
+    buildDigest,
+    renderHtml,
+    renderText,
+    toMessage,
+    wasSent,
+    recordSent,
+    SENT_LOG_PATH
+};
@@ -0,0 +1,400 @@
+/*
+ * ============================================================================
+ * GOOGLE API CLIENT - RETRIES, QUOTA TRACKING AND CIRCUIT BREAKER
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Every Google Sheets / Drive call used to get exactly one attempt. When Google
+ * answered "429 Too Many Requests" or "503 Unavailable" at the start of class
+ * (everyone logging in at once), kids saw a 500 error.
+ *
+ * getGoogleSheetsClient() / getGoogleDriveClient() in google-sheets-service.js
+ * pass their clients through wrap() below, so EVERY call made with them
+ * (sheets.spreadsheets.values.get, drive.files.list, ...) goes through here.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Retries failed calls with exponential backoff + jitter
+ *    (429, 5xx and dropped connections only - a 400 "bad range" won't fix itself)
+ * 2. Respects the Retry-After header when Google sends one
+ * 3. Counts requests per minute and slows down BEFORE hitting the Sheets quota
+ * 4. Circuit breaker: after several calls in a row fail, Google is treated as
+ *    "down" for a short cooldown. Calls fail instantly (code CIRCUIT_OPEN) so
+ *    fetchers fall straight back to the local master DB instead of each
+ *    request hanging through its retries.
+ *
+ * SAFETY:
+ * Writes that would be duplicated if repeated (append, create, structural
+ * batchUpdate like deleting a row) are only retried on 429, where Google
+ * tells us the request was rejected before doing anything.
+ * Uploads that stream a file are never retried (the stream is used up).
+ *
+ * Settings live in GOOGLE_API in google-sheets-config.js.
+ *
+ * ============================================================================
+ */
+
+const config = require('./google-sheets-config');
+
+const settings = config.GOOGLE_API;
+
+// Sliding window of request timestamps per quota bucket (last 60 seconds)
+const QUOTA_WINDOW_MS = 60 * 1000;
+const requestLog = {
+    sheetsRead: [],
+    sheetsWrite: [],
+    drive: []
+};
+
+// Circuit breaker state
+const circuit = {
+    state: 'closed',            // closed (normal) | open (Google treated as down) | half-open (trying one call)
+    consecutiveFailures: 0,
+    openedAt: null,
+    retryAt: null,
+    lastError: null
+};
+
+// Running totals for /api/admin/google-api
+const totals = {
+    calls: 0,
+    retries: 0,
+    failures: 0,
+    throttled: 0,
+    rejectedByCircuit: 0
+};
+
+// Methods that are NOT safe to repeat after a possible partial success
+const NON_IDEMPOTENT_METHODS = ['append', 'create', 'copy'];
+
+// Network errors that mean "couldn't reach Google" (see also write-journal-service.js)
+const NETWORK_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ENETUNREACH', 'EHOSTUNREACH', 'EPIPE'];
+
+// Errors that mean "we're offline" - retrying right away won't help
+const OFFLINE_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HTTP status of a googleapis error (undefined for network errors)
+ */
+function getStatus(error) {
+    if (!error) return undefined;
+    if (error.response && error.response.status) return error.response.status;
+    if (typeof error.status === 'number') return error.status;
+    if (typeof error.code === 'number') return error.code;
+    return undefined;
+}
+
+function isNetworkFailure(error) {
+    if (!error) return false;
+    if (error.code && NETWORK_CODES.includes(error.code)) return true;
+    const message = (error.message || '').toLowerCase();
+    return message.includes('socket hang up') || message.includes('timeout') || message.includes('getaddrinfo');
+}
+
+/**
+ * Is this the kind of failure that means Google is struggling or unreachable?
+ * (Counts against the circuit breaker. A 400/403/404 means Google answered fine.)
+ */
+function isServiceFailure(error) {
+    const status = getStatus(error);
+    if (status === 429 || (status >= 500 && status < 600)) return true;
+    return !status && isNetworkFailure(error);
+}
+
+/**
+ * Seconds (or HTTP date) from the Retry-After header, as milliseconds. null if absent.
+ */
+function getRetryAfterMs(error) {
+    const headers = error && error.response && error.response.headers;
+    if (!headers) return null;
+
+    const raw = typeof headers.get === 'function' ? headers.get('retry-after') : (headers['retry-after'] || headers['Retry-After']);
+    if (!raw) return null;
+
+    const seconds = Number(raw);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(raw);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with "full jitter": random delay between 0 and base * 2^attempt
+ */
+function backoffDelay(attempt) {
+    const cap = Math.min(settings.MAX_DELAY_MS, settings.BASE_DELAY_MS * Math.pow(2, attempt));
+    return Math.round(Math.random() * cap);
+}
+
+/**
+ * Which quota bucket a call belongs to, e.g. 'sheets.spreadsheets.values.get' -> 'sheetsRead'
+ */
+function getQuotaBucket(label) {
+    if (label.startsWith('drive.')) return 'drive';
+    const method = label.split('.').pop();
+    return ['get', 'batchGet', 'getByDataFilter', 'batchGetByDataFilter'].includes(method) ? 'sheetsRead' : 'sheetsWrite';
+}
+
+function getQuotaLimit(bucket) {
+    if (bucket === 'sheetsRead') return settings.SHEETS_READS_PER_MINUTE;
+    if (bucket === 'sheetsWrite') return settings.SHEETS_WRITES_PER_MINUTE;
+    return null; // Drive quota is far above what this app uses
+}
+
+function pruneRequestLog(bucket, now = Date.now()) {
+    const log = requestLog[bucket];
+    while (log.length > 0 && now - log[0] >= QUOTA_WINDOW_MS) {
+        log.shift();
+    }
+    return log;
+}
+
+/**
+ * Can this call be sent again if it fails?
+ */
+function isRetryable(label, params, error) {
+    // Streamed uploads can't be re-sent
+    if (params && params.media && params.media.body && typeof params.media.body.pipe === 'function') {
+        return false;
+    }
+
+    const status = getStatus(error);
+    const method = label.split('.').pop();
+    // sheets.spreadsheets.batchUpdate changes structure (e.g. deletes a row) - repeating it deletes another row
+    const isStructural = label === 'sheets.spreadsheets.batchUpdate';
+    if (NON_IDEMPOTENT_METHODS.includes(method) || isStructural) {
+        return status === 429;
+    }
+
+    if (!status && error.code && OFFLINE_CODES.includes(error.code)) return false;
+    return isServiceFailure(error);
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+function circuitError() {
+    const seconds = Math.max(0, Math.ceil((circuit.retryAt - Date.now()) / 1000));
+    const when = circuit.state === 'half-open' ? 'checking now' : `retrying in ${seconds}s`;
+    const error = new Error(`Google API unavailable (circuit open after ${circuit.consecutiveFailures} failures, ${when})`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+}
+
+/**
+ * Throws right away if the circuit is open. After the cooldown, lets ONE call
+ * through (half-open) to test whether Google is back.
+ */
+function checkCircuit() {
+    if (circuit.state === 'closed') return;
+
+    if (circuit.state === 'open' && Date.now() >= circuit.retryAt) {
+        circuit.state = 'half-open';
+        console.log('[GOOGLE API] Circuit half-open. Trying one request to see if Google is back...');
+        return;
+    }
+
+    totals.rejectedByCircuit++;
+    throw circuitError();
+}
+
+function recordSuccess() {
+    if (circuit.state !== 'closed') {
+        console.log('[GOOGLE API] ✅ Google is reachable again. Circuit closed.');
+    }
+    circuit.state = 'closed';
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+}
+
+function recordFailure(error) {
+    circuit.consecutiveFailures++;
+    circuit.lastError = { message: error.message, status: getStatus(error) || error.code || null, at: new Date().toISOString() };
+
+    if (circuit.state === 'half-open' || circuit.consecutiveFailures >= settings.CIRCUIT_FAILURE_THRESHOLD) {
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+        circuit.retryAt = circuit.openedAt + settings.CIRCUIT_COOLDOWN_MS;
+        console.warn(`[GOOGLE API] ⛔ Circuit OPEN after ${circuit.consecutiveFailures} failures (${error.message}). Using local data for ${settings.CIRCUIT_COOLDOWN_MS / 1000}s.`);
+    }
+}
+
+// ============================================================================
+// FUNCTION: Execute a Call
+// ============================================================================
+
+/**
+ * Runs one Google API call with quota pacing, retries and the circuit breaker.
+ *
+ * @param {string} label - e.g. 'sheets.spreadsheets.values.get' (for logs and quota)
+ * @param {Object} params - The request params (used to decide if a retry is safe)
+ * @param {Function} send - () => Promise - makes the actual request
+ * @returns {Promise<*>} - The API response
+ */
+async function execute(label, params, send) {
+    const bucket = getQuotaBucket(label);
+    const limit = getQuotaLimit(bucket);
+    const startedAt = Date.now();
+    totals.calls++;
+
+    for (let attempt = 0; ; attempt++) {
+        checkCircuit();
+
+        // Slow down before Google makes us (quota is per minute)
+        let log = pruneRequestLog(bucket);
+        if (limit && log.length >= limit) {
+            const waitMs = QUOTA_WINDOW_MS - (Date.now() - log[0]);
+            if (Date.now() + waitMs - startedAt > settings.MAX_RETRY_TIME_MS) {
+                const error = new Error(`Sheets quota reached (${log.length}/${limit} ${bucket} requests in the last minute)`);
+                error.code = 'QUOTA_EXCEEDED';
+                throw error;
+            }
+            totals.throttled++;
+            console.warn(`[GOOGLE API] ${log.length}/${limit} ${bucket} requests this minute. Waiting ${Math.ceil(waitMs / 1000)}s before ${label}.`);
+            await sleep(waitMs);
+            log = pruneRequestLog(bucket);
+        }
+        log.push(Date.now());
+
+        try {
+            const result = await send();
+            recordSuccess();
+            return result;
+        } catch (error) {
+            if (!isServiceFailure(error)) {
+                // Google answered (e.g. 400 bad range, 404) - it's up, the request was just wrong
+                recordSuccess();
+                throw error;
+            }
+
+            // The half-open test call gets one try: failing it re-opens the circuit
+            const canRetry = circuit.state !== 'half-open' && isRetryable(label, params, error) && attempt < settings.MAX_RETRIES;
+            const retryAfterMs = getRetryAfterMs(error);
+            const delay = retryAfterMs !== null ? retryAfterMs : backoffDelay(attempt);
+            const outOfTime = Date.now() + delay - startedAt > settings.MAX_RETRY_TIME_MS;
+
+            if (!canRetry || outOfTime) {
+                totals.failures++;
+                recordFailure(error);
+                throw error;
+            }
+
+            totals.retries++;
+            console.warn(`[GOOGLE API] ${label} failed (${getStatus(error) || error.code || error.message}). Retry ${attempt + 1}/${settings.MAX_RETRIES} in ${delay}ms${retryAfterMs !== null ? ' (Retry-After)' : ''}.`);
+            await sleep(delay);
+        }
+    }
+}
+
+// ============================================================================
+// FUNCTION: Wrap a googleapis Client
+// ============================================================================
+
+/**
+ * Returns a stand-in for a googleapis client (google.sheets(...) / google.drive(...))
+ * whose methods all go through execute(). Use it exactly like the original:
+ *   const sheets = wrap(google.sheets({ version: 'v4', auth }), 'sheets');
+ *   await sheets.spreadsheets.values.get({ ... });
+ *
+ * @param {Object} client - googleapis client
+ * @param {string} name - 'sheets' or 'drive'
+ */
+function wrap(client, name) {
+    const proxies = new WeakMap();
+
+    const wrapObject = (target, path) => {
+        if (proxies.has(target)) return proxies.get(target);
+
+        const proxy = new Proxy(target, {
+            get(obj, prop, receiver) {
+                const value = Reflect.get(obj, prop, receiver);
+                if (typeof prop !== 'string' || prop === 'context') return value;
+
+                const label = `${path}.${prop}`;
+                if (typeof value === 'function') {
+                    return (params, options) => {
+                        // Without a timeout a half-dead connection hangs the request forever.
+                        // Streamed uploads (videos) are allowed to take as long as they need.
+                        const isUpload = params && params.media && params.media.body;
+                        const requestOptions = isUpload ? options : { timeout: settings.REQUEST_TIMEOUT_MS, ...(options || {}) };
+                        return execute(label, params, () => value.call(obj, params, requestOptions));
+                    };
+                }
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    return wrapObject(value, label);
+                }
+                return value;
+            }
+        });
+
+        proxies.set(target, proxy);
+        return proxy;
+    };
+
+    return wrapObject(client, name);
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * True for errors that mean "Google can't be reached right now"
+ * (circuit open, offline, timeouts, 429/5xx after retries)
+ */
+function isUnavailableError(error) {
+    if (!error) return false;
+    return error.code === 'CIRCUIT_OPEN' || error.code === 'QUOTA_EXCEEDED' || isServiceFailure(error);
+}
+
+/**
+ * Circuit state, requests in the last minute per quota bucket, and running totals
+ */
+function getStats() {
+    const now = Date.now();
+    const requestsPerMinute = {};
+    Object.keys(requestLog).forEach(bucket => {
+        const count = pruneRequestLog(bucket, now).length;
+        const limit = getQuotaLimit(bucket);
+        requestsPerMinute[bucket] = {
+            count,
+            limit,
+            percentOfQuota: limit ? Math.round((count / limit) * 100) : null
+        };
+    });
+
+    return {
+        circuit: {
+            state: circuit.state === 'open' && now >= circuit.retryAt ? 'half-open (next call)' : circuit.state,
+            consecutiveFailures: circuit.consecutiveFailures,
+            openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+            retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null,
+            lastError: circuit.lastError
+        },
+        requestsPerMinute,
+        totals: { ...totals },
+        settings: { ...settings }
+    };
+}
+
+/**
+ * Closes the circuit by hand (e.g. after fixing the network) so the next call goes straight to Google
+ */
+function resetCircuit() {
+    recordSuccess();
+}
+
+module.exports = {
+    wrap,
+    execute,
+    isUnavailableError,
+    getStats,
+    resetCircuit
+};
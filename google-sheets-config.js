@@ -17,7 +17,7 @@
  * HOW TO UPDATE THIS:
  * - Change SPREADSHEET_ID if you want to use a different Google Sheet
  * - Update column mappings if your spreadsheet structure changes
- * - Adjust CACHE_DURATION to control how often data refreshes
+ * - Adjust CACHE_DATASETS to control how often each kind of data refreshes
  *
  * IMPORTANT:
  * This file is separate from google-sheets-service.js so you can easily
@@ -107,6 +107,13 @@ module.exports = {
      */
     PROGRESS_SHEET: 'Project Log',
 
+    /**
+     * Project Status (Column J) of a Project Log entry deleted from the app.
+     * The row stays in the sheet and the app skips it; restoring puts its
+     * status back (see project-archive-service.js).
+     */
+    PROGRESS_DELETED_STATUS: 'Deleted',
+
     /**
      * Name of the sheet (tab) containing inventory items
      * Default: 'Inventory'
@@ -115,6 +122,13 @@ module.exports = {
     PRIZES_SHEET: 'prizes',
     REDEMPTIONS_SHEET: 'redemptions',
 
+    /**
+     * Name of the sheet (tab) holding manual points adjustments (bonuses,
+     * corrections). Kept in the spreadsheet like redemptions, so every server
+     * (classroom and online) builds the same points ledger.
+     */
+    POINTS_ADJUSTMENTS_SHEET: 'points adjustments',
+
 
 
     /**
@@ -145,7 +159,6 @@ module.exports = {
         EQUIPMENT_ISSUES: 5,// Column F: Equipment shortage/issues (Y/N)
         DIFFICULTY: 7,      // Column H: Any kid had difficulty (Y/N)
         RATING: 8,          // Column I: Overall rating (1-5)
-        PROBLEMS: 9,        // Column J: List problems (implied next available?) - User didn't specify, assuming J or keeping previously defined logic if adaptable. 
         // WAIT, User specs: F=Equip, E=LostTime, H=Diff, D=Started, I=Rating.
         // Missing G? Maybe G is cover image? No this is report sheet.
         // What about PROBLEMS? User didn't specify column for problems.
@@ -213,8 +226,6 @@ module.exports = {
         COMPLETED_DATE: 25, // Column Z: Date project was completed
         PROJECT_TYPE: 26,   // Column AA: Type of project (Scratch, Python, etc.)
         RATING: 27,         // Column AB: Student's rating of the project (1-5 stars)
-        PROJECT_TYPE: 26,   // Column AA: Type of project (Scratch, Python, etc.)
-        RATING: 27,         // Column AB: Student's rating of the project (1-5 stars)
         POINTS: 28,         // Column AC: Points earned for completing project
         VIDEO_LINK: 16,     // Column Q: Link to uploaded video evidence
 
@@ -242,7 +253,8 @@ module.exports = {
     // ========================================================================
     INSTRUCTOR_COLUMNS: {
         NAME: 0,            // Column A: Instructor Name
-        PASSCODE: 8         // Column I: Passcode
+        PASSCODE: 8,        // Column I: Passcode
+        ROLE: 9             // Column J: Role ("Admin"; blank = instructor)
     },
 
     // ========================================================================
@@ -257,7 +269,9 @@ module.exports = {
         POINTS: 55,         // Column BD: Points (0-indexed, BD=55)
         RECOMMENDED_TRACK: 56, // Column BE: Recommended Tracks (comma-separated)
         CATEGORY: 57,       // Column BF: Type of Project (BUILDING, CODING, BOTH)
-        DIFFICULTY: 59      // Column BH: Project Difficulty (number for sorting)
+        DIFFICULTY: 59,     // Column BH: Project Difficulty (number for sorting)
+        PREREQUISITES: 60,  // Column BI: Prerequisites (project codes, comma-separated)
+        AGE_RANGE: 61       // Column BJ: Age Range (e.g. "8-12" or "10+")
     },
 
     // ========================================================================
@@ -286,14 +300,180 @@ module.exports = {
         NAME: 2,            // Column C: Child names
         PARENT_NAME: 4,     // Column E: Parent First Name (or F for Last)
         EMAIL: 1,           // Column B: Parent Email
+        FILE_LINK: 6,       // Column G: Google Drive folder link
         HEADSHOT: 8,        // Column I: Headshot
+        IS_ACTIVE: 12,      // Column M: Active Status
         NOTE: 23,           // Column X: Note for child
         TRACK: 28,          // Column AC: Student's assigned track
         TOTAL_POINTS: 33,   // Column AH: Total Points (All Time)
+        ALL_PROJECT_ACCESS: 34, // Column AI: All Project Access (Yes/No)
         AGE: 3,             // Column D: Child Age
         SERVICE_TITLE: 10   // Column K: Service Title
     },
 
+    // ========================================================================
+    // COLUMN MAPPINGS FOR REDEMPTIONS SHEET
+    // ========================================================================
+    REDEMPTION_COLUMNS: {
+        TIMESTAMP: 0,       // Column A: When the prize was redeemed
+        STUDENT_NAME: 1,    // Column B: Student Name
+        STUDENT_ID: 2,      // Column C: Student ID
+        PRIZE_NAME: 3,      // Column D: Prize Name
+        POINTS_COST: 4,     // Column E: Points spent
+        STATUS: 5,          // Column F: REQUESTED / APPROVED / REJECTED / FULFILLED
+        REDEMPTION_ID: 6,   // Column G: Redemption ID (rows written before the approval queue have none)
+        HANDLED_BY: 7       // Column H: Instructor who last approved / rejected / fulfilled it
+    },
+
+    // ========================================================================
+    // COLUMN MAPPINGS FOR POINTS ADJUSTMENTS SHEET
+    // ========================================================================
+    POINTS_ADJUSTMENT_COLUMNS: {
+        TIMESTAMP: 0,       // Column A: When the adjustment was made (ISO date)
+        STUDENT_ID: 1,      // Column B: Student ID
+        STUDENT_NAME: 2,    // Column C: Student Name (for people reading the sheet)
+        POINTS: 3,          // Column D: Points added (negative = taken away)
+        REASON: 4,          // Column E: Why
+        INSTRUCTOR: 5,      // Column F: Instructor who made it
+        ADJUSTMENT_ID: 6    // Column G: Adjustment ID
+    },
+
+    // ========================================================================
+    // HEADERS REQUIRED ON THE PRIZES SHEET
+    // ========================================================================
+    // The prizes tab is read by header name (not column number), so only the
+    // header text matters. prizes.html needs these three.
+    PRIZE_HEADERS: ['Prize Name', 'Prize Points', 'Prize Image'],
+
+    // Optional prize columns (see redemption-service.js). A blank cell, or no
+    // such column at all, means unlimited.
+    // Stock goes down by one each time a redemption is fulfilled.
+    PRIZE_STOCK_HEADER: 'Stock',
+    PRIZE_LIMIT_HEADER: 'Limit Per Student',
+
+    // ========================================================================
+    // HEADER NAMES (USED TO FIND COLUMNS AUTOMATICALLY)
+    // ========================================================================
+    // The column numbers above are only the FALLBACK positions.
+    // At runtime, column-resolver.js reads Row 1 of each tab and looks for
+    // these header names, so inserting or moving a column in the spreadsheet
+    // no longer breaks the app.
+    //
+    // - Each field lists one or more accepted header names (first match wins)
+    // - Matching ignores case, spaces and punctuation ("Checked In?" = "checked in")
+    // - If no header matches, the column number from the map above is used
+    // - Fields not listed here (e.g. INVENTORY KIT_START) always use their number
+
+    COLUMN_HEADERS: {
+        PROGRESS_COLUMNS: {
+            ID: ['Unique ID', 'ID'],
+            DATE: ['Date'],
+            SID: ['SID', 'Student ID'],
+            STUDENT_EMAIL: ['Student Email', 'Email'],
+            STUDENT_NAME: ['Student Name', 'Student Full Name', 'Name'],
+            PARENTS_NAME: ['Parents Name', 'Parent Name'],
+            TRACK: ['Track'],
+            ASSIGN_TYPE: ['Assign Type', 'Assignment Type'],
+            PROJECT_NAME: ['Project Name', 'Project Code', 'Project'],
+            PROJECT_STATUS: ['Project Status', 'Status'],
+            VIDEO_LINK: ['Video Link', 'Video'],
+            LAST_EDITED_BY: ['Last Edited By'],
+            LAST_EDITED_TIME: ['Last Edited Time'],
+            COMPLETED_DATE: ['Completed Date', 'Date Completed'],
+            PROJECT_TYPE: ['Project Type', 'Type'],
+            RATING: ['Rating', 'Project Rating'],
+            POINTS: ['Points']
+        },
+        BOOKING_COLUMNS: {
+            EMAIL: ['Email', 'Student Email'],
+            STUDENT_NAME: ['Student Name', 'Name'],
+            AGE: ['Age'],
+            SERVICE_TITLE: ['Service Title', 'Service'],
+            CLASS_DATE: ['Class Date', 'Date'],
+            CHECKED_IN: ['Checked In'],
+            STUDENT_ID: ['Student ID']
+        },
+        ALL_KIDS_COLUMNS: {
+            ID: ['ID', 'Unique ID', 'Student ID'],
+            NAME: ['Child Names', 'Child Name'],
+            PARENT_NAME: ['Parent First Name', 'Parent Name'],
+            EMAIL: ['Parent Email', 'Email'],
+            FILE_LINK: ['File Link', 'Folder Link', 'Drive Link'],
+            HEADSHOT: ['Headshot'],
+            IS_ACTIVE: ['Active Status', 'Active'],
+            NOTE: ['Note for child', 'Note'],
+            TRACK: ['Track'],
+            TOTAL_POINTS: ['Total Points (All Time)', 'Total Points'],
+            ALL_PROJECT_ACCESS: ['All Project Access'],
+            AGE: ['Child Age', 'Age'],
+            SERVICE_TITLE: ['Service Title']
+        },
+        PROJECT_LIST_COLUMNS: {
+            CODE: ['Project Code', 'Code'],
+            NAME: ['Full Project Name', 'Project Name'],
+            DESCRIPTION: ['What kids Learn in this project', 'Description'],
+            STUDENT_ACTIVITY: ['What child did in this project', 'Student Activity'],
+            ICON: ['Project Icon', 'Icon'],
+            POINTS: ['Points'],
+            RECOMMENDED_TRACK: ['Recommended Tracks', 'Recommended Track'],
+            CATEGORY: ['Type of Project', 'Category'],
+            DIFFICULTY: ['Project Difficulty', 'Difficulty'],
+            PREREQUISITES: ['Prerequisites', 'Prerequisite Projects', 'Prereqs'],
+            AGE_RANGE: ['Age Range', 'Ages', 'Recommended Age']
+        },
+        INSTRUCTOR_COLUMNS: {
+            NAME: ['Instructor Name', 'Name'],
+            PASSCODE: ['Passcode'],
+            ROLE: ['Role', 'Access']
+        },
+        INVENTORY_COLUMNS: {
+            ID: ['Product Barcode', 'Barcode', 'ID'],
+            PRODUCT: ['Product Name', 'Product'],
+            IMAGE: ['Image URL', 'Image'],
+            LAST_LOG_TIME: ['Last Log Time'],
+            LAST_LOG_USER: ['Last Log User']
+        },
+        PROJECT_PARTS_COLUMNS: {
+            PROJECT_CODE: ['Project Code'],
+            PROJECT_TITLE: ['Project Title'],
+            PART_NUMBER: ['Part Number', 'Part'],
+            PART_TITLE: ['Part Title'],
+            YOUTUBE_URL: ['YouTube URL', 'YouTube Link'],
+            DURATION: ['Duration'],
+            COVER_IMAGE: ['Cover Image URL', 'Cover Image']
+        },
+        CLASS_REPORT_COLUMNS: {
+            ID: ['ID', 'Unique ID'],
+            DATE: ['Date'],
+            STARTED_ON_TIME: ['Class started on time', 'Started On Time'],
+            LOST_TIME: ['Lost Time'],
+            EQUIPMENT_ISSUES: ['Equipment Issues'],
+            DIFFICULTY: ['Difficulty'],
+            RATING: ['Overall Rating', 'Rating'],
+            PROBLEMS: ['Problems'],
+            INSTRUCTOR: ['Instructor']
+        },
+        REDEMPTION_COLUMNS: {
+            TIMESTAMP: ['Timestamp', 'Date'],
+            STUDENT_NAME: ['Student Name', 'Name'],
+            STUDENT_ID: ['Student ID'],
+            PRIZE_NAME: ['Prize Name', 'Prize'],
+            POINTS_COST: ['Points Cost', 'Points', 'Cost'],
+            STATUS: ['Status'],
+            REDEMPTION_ID: ['Redemption ID'],
+            HANDLED_BY: ['Handled By', 'Approved By']
+        },
+        POINTS_ADJUSTMENT_COLUMNS: {
+            TIMESTAMP: ['Timestamp', 'Date'],
+            STUDENT_ID: ['Student ID'],
+            STUDENT_NAME: ['Student Name', 'Name'],
+            POINTS: ['Points'],
+            REASON: ['Reason'],
+            INSTRUCTOR: ['Instructor', 'Added By'],
+            ADJUSTMENT_ID: ['Adjustment ID']
+        }
+    },
+
     // ========================================================================
     // CACHE SETTINGS
     // ========================================================================
@@ -318,6 +498,198 @@ module.exports = {
      */
     CACHE_DURATION: 5 * 60 * 1000,  // 5 minutes in milliseconds
 
+    /**
+     * Cache settings per dataset (used by cache-manager.js)
+     *
+     * ttl:      How long downloaded data counts as fresh
+     * staleFor: How much LONGER the old data may still be shown while a fresh
+     *           copy downloads in the background (0 = always wait for fresh data)
+     *
+     * Data that changes during class (bookings, inventory) gets a short ttl.
+     * Data that barely changes (project list, prizes) gets a long one.
+     * Writes made through this app refresh the affected dataset right away,
+     * so these times only matter for edits made directly in Google Sheets.
+     */
+    CACHE_DATASETS: {
+        students: { ttl: 5 * 60 * 1000, staleFor: 10 * 60 * 1000 },
+        loginNames: { ttl: 5 * 60 * 1000, staleFor: 10 * 60 * 1000 },
+        projectLog: { ttl: 5 * 60 * 1000, staleFor: 5 * 60 * 1000 },
+        projectList: { ttl: 30 * 60 * 1000, staleFor: 60 * 60 * 1000 },
+        projectsDetailed: { ttl: 30 * 60 * 1000, staleFor: 60 * 60 * 1000 },
+        projectParts: { ttl: 30 * 60 * 1000, staleFor: 60 * 60 * 1000 },
+        bookings: { ttl: 5 * 60 * 1000, staleFor: 5 * 60 * 1000 },
+        bookingHistory: { ttl: 10 * 60 * 1000, staleFor: 10 * 60 * 1000 },
+        instructors: { ttl: 30 * 60 * 1000, staleFor: 60 * 60 * 1000 },
+        inventory: { ttl: 2 * 60 * 1000, staleFor: 3 * 60 * 1000 },
+        prizes: { ttl: 30 * 60 * 1000, staleFor: 60 * 60 * 1000 },
+        redemptions: { ttl: 5 * 60 * 1000, staleFor: 5 * 60 * 1000 },
+        pointsAdjustments: { ttl: 5 * 60 * 1000, staleFor: 5 * 60 * 1000 }
+    },
+
+    // ========================================================================
+    // GOOGLE API RETRIES, QUOTA AND CIRCUIT BREAKER (see google-api-client.js)
+    // ========================================================================
+
+    /**
+     * How Google API calls behave when Google is slow, busy or unreachable
+     *
+     * Google Sheets allows about 60 read and 60 write requests per minute for
+     * one service account. When we get close, calls wait instead of failing.
+     *
+     * After CIRCUIT_FAILURE_THRESHOLD calls in a row fail, Google is treated as
+     * down for CIRCUIT_COOLDOWN_MS: requests use local data straight away
+     * instead of each one waiting through its retries.
+     */
+    GOOGLE_API: {
+        MAX_RETRIES: 4,                    // Extra attempts after the first one
+        BASE_DELAY_MS: 500,                // First retry waits up to 0.5s, then 1s, 2s, 4s...
+        MAX_DELAY_MS: 8000,                // Never wait more than 8s between attempts
+        MAX_RETRY_TIME_MS: 20000,          // Give up on a call after 20s in total
+        REQUEST_TIMEOUT_MS: 15000,         // One attempt may take at most 15s (uploads excluded)
+        SHEETS_READS_PER_MINUTE: 60,
+        SHEETS_WRITES_PER_MINUTE: 60,
+        CIRCUIT_FAILURE_THRESHOLD: 5,
+        CIRCUIT_COOLDOWN_MS: 30000
+    },
+
+    // ========================================================================
+    // CURRICULUM TRACKS (see curriculum-service.js)
+    // ========================================================================
+
+    /**
+     * Track order comes from the Projects List: "Recommended Tracks" (Column BE)
+     * says which tracks a project is in, "Project Difficulty" (Column BH) sets
+     * the order inside the track. A student's track is Column AC on Child Names.
+     *
+     * AUTO_ASSIGN_NEXT_PROJECT: after a project is marked Completed, assign the
+     * student's next uncompleted project in their track. Instructors can still
+     * pick a different project (or none) when completing.
+     */
+    CURRICULUM: {
+        AUTO_ASSIGN_NEXT_PROJECT: true
+    },
+
+    // ========================================================================
+    // PROJECT RECOMMENDATIONS (see recommendation-service.js)
+    // ========================================================================
+
+    /**
+     * How much each factor counts when ranking a student's next project
+     * (only the ratios matter). Projects whose prerequisites aren't all
+     * completed are always listed after the ones that are ready.
+     *
+     * prerequisites: share of the project's Prerequisites (Column BI) completed
+     * difficulty:    closeness to one step above the hardest completed project
+     * category:      favours BUILDING or CODING, whichever was done less
+     * age:           student's age inside the project's Age Range (Column BJ)
+     */
+    RECOMMENDATIONS: {
+        WEIGHTS: {
+            prerequisites: 40,
+            difficulty: 30,
+            category: 15,
+            age: 15
+        },
+        DEFAULT_LIMIT: 5
+    },
+
+    // ========================================================================
+    // ACHIEVEMENT BADGES (see badge-service.js)
+    // ========================================================================
+
+    /**
+     * Each rule awards one badge, once. Badges are never taken away.
+     *
+     * type 'projects':   `count` completed Project Log entries that match
+     *                    `match` (all given fields must match):
+     *                      projectType: Project Log "Project Type" (Column AA) contains this
+     *                      category:    Projects List "Type of Project" (Column BF);
+     *                                   BOTH counts as BUILDING and as CODING
+     *                      minRating:   Project Log "Rating" (Column AB) of at least this
+     * type 'attendance': `count` classes checked in on "All Booking Info"
+     *
+     * `id` is stored with each award: don't change it once badges are handed out.
+     */
+    BADGES: {
+        RULES: [
+            { id: 'first-project', name: 'First Build', icon: '🚀', type: 'projects', count: 1, description: 'Completed your first project' },
+            { id: 'first-python', name: 'Pythonista', icon: '🐍', type: 'projects', match: { projectType: 'Python' }, count: 1, description: 'Completed your first Python project' },
+            { id: 'builder-5', name: 'Master Builder', icon: '🏗️', type: 'projects', match: { category: 'BUILDING' }, count: 5, description: 'Completed 5 BUILDING projects' },
+            { id: 'coder-5', name: 'Code Wizard', icon: '💻', type: 'projects', match: { category: 'CODING' }, count: 5, description: 'Completed 5 CODING projects' },
+            { id: 'five-stars', name: 'Five Stars', icon: '⭐', type: 'projects', match: { minRating: 5 }, count: 1, description: 'Rated 5 stars by an instructor' },
+            { id: 'attended-10', name: 'Regular', icon: '📅', type: 'attendance', count: 10, description: 'Attended 10 classes' },
+            { id: 'attended-50', name: 'Super Regular', icon: '🏅', type: 'attendance', count: 50, description: 'Attended 50 classes' }
+        ]
+    },
+
+    // ========================================================================
+    // WEEKLY PARENT DIGEST AND EMAIL (see digest-service.js, mail-transport.js)
+    // ========================================================================
+
+    /**
+     * DAYS:      How far back "this week" goes
+     * FROM:      Sender shown to parents
+     * TRANSPORT: How emails leave the app
+     *            'eml'  - written as .eml files to data/outbox/ (open them in
+     *                     any mail program; nothing is actually sent)
+     *            'smtp' - handed to an SMTP server without login or TLS, e.g.
+     *                     a local catcher like MailHog/Mailpit on port 1025
+     * SMTP_HOST / SMTP_PORT: Where the 'smtp' transport connects
+     */
+    DIGEST: {
+        DAYS: 7,
+        FROM: process.env.MAIL_FROM || 'LearnToBot <hello@learntobot.local>',
+        TRANSPORT: process.env.MAIL_TRANSPORT || 'eml',
+        SMTP_HOST: process.env.SMTP_HOST || '127.0.0.1',
+        SMTP_PORT: parseInt(process.env.SMTP_PORT || '1025', 10)
+    },
+
+    // ========================================================================
+    // INSTRUCTOR LOGIN AND SESSIONS (see auth-service.js)
+    // ========================================================================
+
+    /**
+     * SESSION_HOURS:          How long an instructor stays logged in
+     * MAX_FAILURES:           Wrong passcodes allowed for one name...
+     * FAILURE_WINDOW_MINUTES: ...within this many minutes...
+     * LOCKOUT_MINUTES:        ...before that name is locked out this long
+     * TRUST_LOCALHOST:        Off unless LTB_TRUST_LOCALHOST=true. When on,
+     *                         requests from the server computer itself (the
+     *                         classroom laptop running the app) count as an
+     *                         admin without logging in. Never applies in
+     *                         online mode or behind a proxy.
+     */
+    AUTH: {
+        SESSION_HOURS: 12,
+        MAX_FAILURES: 5,
+        FAILURE_WINDOW_MINUTES: 15,
+        LOCKOUT_MINUTES: 15,
+        TRUST_LOCALHOST: process.env.LTB_TRUST_LOCALHOST === 'true'
+    },
+
+    // ========================================================================
+    // PARENT LOGIN BY EMAILED CODE (see parent-login-service.js)
+    // ========================================================================
+
+    /**
+     * CODE_MINUTES:           How long an emailed code (and link) works
+     * MAX_CODE_ATTEMPTS:      Wrong codes before the code stops working
+     * REQUESTS_PER_EMAIL:     Codes one email address can ask for...
+     * REQUESTS_PER_IP:        ...and one computer, for any addresses...
+     * REQUEST_WINDOW_MINUTES: ...within this many minutes
+     * PUBLIC_URL:             The app's address as parents reach it (e.g.
+     *                         https://progress.learntobot.com). The email has
+     *                         a one-click login link only when this is set.
+     */
+    PARENT_LOGIN: {
+        CODE_MINUTES: 15,
+        MAX_CODE_ATTEMPTS: 5,
+        REQUESTS_PER_EMAIL: 3,
+        REQUESTS_PER_IP: 10,
+        REQUEST_WINDOW_MINUTES: 15,
+        PUBLIC_URL: process.env.LTB_PUBLIC_URL || ''
+    },
+
     // ========================================================================
     // CREDENTIALS FILE PATH
     // ========================================================================
@@ -339,11 +711,18 @@ module.exports = {
  * HOW TO UPDATE YOUR SPREADSHEET STRUCTURE
  * ============================================================================
  *
- * If you add or rearrange columns in your Google Sheet, update this file:
+ * Moving or inserting columns: nothing to do, as long as the header text in
+ * Row 1 still matches one of the names in COLUMN_HEADERS. The app finds the
+ * column by its header (see column-resolver.js).
+ *
+ * Renaming a header: add the new name to the field's list in COLUMN_HEADERS.
+ *
+ * Adding a NEW field the app should use:
  *
  * 1. Identify the column number (A=0, B=1, C=2, ... Z=25, AA=26, AB=27, etc.)
- * 2. Add or update the entry in PROGRESS_COLUMNS
- * 3. Update google-sheets-service.js to use the new field
+ * 2. Add the entry in PROGRESS_COLUMNS (fallback position)
+ * 3. Add its header name(s) in COLUMN_HEADERS.PROGRESS_COLUMNS
+ * 4. Update google-sheets-service.js to use the new field
  *
  * Example: Adding a "Grade" column
  *
@@ -355,8 +734,15 @@ module.exports = {
  *     GRADE: 29      // Add this line
  * }
  *
- * Then in google-sheets-service.js, add:
- *     grade: row[config.PROGRESS_COLUMNS.GRADE] || '',
+ * COLUMN_HEADERS: {
+ *     PROGRESS_COLUMNS: {
+ *         ...existing headers...
+ *         GRADE: ['Grade']
+ *     }
+ * }
+ *
+ * Then in google-sheets-service.js (where `cols` comes from column-resolver), add:
+ *     grade: row[cols.GRADE] || '',
  *
  * ============================================================================
  *
@@ -34,38 +34,78 @@
 const { google } = require('googleapis');  // Official Google APIs library
 const fs = require('fs');                   // File system - for reading credential files
 const path = require('path');               // Path utilities - for file paths
+const crypto = require('crypto');           // Hashing - for spotting unchanged tabs
 const config = require('./google-sheets-config');  // Our configuration settings
+const writeJournal = require('./write-journal-service');  // Offline-safe write journal
+const columnResolver = require('./column-resolver');  // Finds columns by header text
+const cacheManager = require('./cache-manager');  // In-memory caches (ttl, background refresh)
+const googleApi = require('./google-api-client');  // Retries, quota pacing, circuit breaker
+const curriculum = require('./curriculum-service');  // Track order and next-project math
+const recommender = require('./recommendation-service');  // Prerequisites + next-project ranking
+const projectArchive = require('./project-archive-service');  // Deleted Project Log rows, for undo
+const pointsLedger = require('./points-ledger-service');  // Earn/spend/adjust transactions and totals
+const redemptionRules = require('./redemption-service');  // Redemption lifecycle, prize stock and limits
+const leaderboardService = require('./leaderboard-service');  // Leaderboard scopes and seasons
+const badgeService = require('./badge-service');  // Achievement badge rules and awards
+const attendanceService = require('./attendance-service');  // Attendance history, streaks and class reports
+const digestService = require('./digest-service');  // Weekly parent digest contents and sent log
+const mailTransport = require('./mail-transport');  // Sends emails (.eml outbox, SMTP or plugged in)
+const certificateService = require('./certificate-service');  // Completion certificate PDFs
+const authService = require('./auth-service');  // Instructor passcode hashing
 
 // ============================================================================
-// CACHE VARIABLES
+// CACHES
 // ============================================================================
-// These variables store downloaded data in memory to avoid repeated API calls
-// Think of them as temporary storage bins
-
-// Cache for student data from "Child Names" sheet
-let studentsCache = null;          // Stores: [{id: "1", name: "Alice"}, ...]
-let lastStudentsFetch = 0;         // Timestamp of last fetch
-
-// Cache for project progress data from "Project Log" sheet
-let progressCache = null;          // Stores: [{studentName: "Alice", projectName: "Calculator", ...}, ...]
-let lastProgressFetch = 0;         // Timestamp of last fetch
-
-// Cache for project list (Code -> Name map)
-let projectListCache = null;       // Stores: Map("PROJ101" -> "Intro to Scratch")
-let lastProjectListFetch = 0;      // Timestamp of last fetch
+// Downloaded data is kept in memory by cache-manager.js to avoid repeated API calls.
+// Each dataset has its own freshness time (CACHE_DATASETS in google-sheets-config.js).
+// After a write, call cacheManager.invalidate() for just the datasets it changed.
+
+// The online version has several instructors editing the Project Log at once,
+// so there it is always read fresh (concurrent reads still share one request)
+const isOnlineDeployment = ['online', 'cloud'].includes((process.env.DEPLOYMENT_MODE || '').toLowerCase());
+
+const CACHE_DESCRIPTIONS = {
+    students: 'Child Names (fetchStudents)',
+    loginNames: 'Login dropdown names (fetchStudentNamesForLogin)',
+    projectLog: 'Project Log (fetchProjectLog)',
+    projectList: 'Projects List code map (fetchProjectList)',
+    projectsDetailed: 'Projects List details (fetchAllProjectsDetailed)',
+    projectParts: 'Project videos (fetchProjectParts)',
+    bookings: "Today's bookings (fetchBookingInfo)",
+    bookingHistory: 'Every booking, all dates (fetchBookingHistory)',
+    instructors: 'Instructors (fetchInstructors)',
+    inventory: 'Inventory (fetchInventory)',
+    prizes: 'Prizes (fetchPrizesList)',
+    redemptions: 'Redemptions (fetchRedemptions)',
+    pointsAdjustments: 'Points adjustments (fetchPointsAdjustments)'
+};
 
-// Cache for login names (just the names, for login dropdown)
-let loginNamesCache = null;        // Stores: ["Alice", "Bob", "Charlie", ...]
-let lastLoginNamesFetch = 0;       // Timestamp of last fetch
+Object.keys(CACHE_DESCRIPTIONS).forEach(name => {
+    const settings = config.CACHE_DATASETS[name] || { ttl: config.CACHE_DURATION };
+    const disabled = name === 'projectLog' && isOnlineDeployment;
+    cacheManager.define(name, {
+        ttl: disabled ? 0 : settings.ttl,
+        staleFor: disabled ? 0 : settings.staleFor,
+        description: CACHE_DESCRIPTIONS[name]
+    });
+});
 
-// Cache for booking info
-// Cache for booking info
-let bookingCache = null;           // Stores filtered bookings for today
-let lastBookingFetch = 0;          // Timestamp of last fetch
+// ============================================================================
+// TEST HOOK: Stand-in Google Clients
+// ============================================================================
+// The automated tests (test/) swap the real Google clients for an in-memory
+// fake (test/support/fake-google.js) so nothing touches the real spreadsheet.
+let testClients = null;
 
-// Cache for instructor data
-let instructorsCache = null;       // Stores: [{name: "Prof. Oak", passcode: "1234"}, ...]
-let lastInstructorsFetch = 0;      // Timestamp of last fetch
+/**
+ * Makes getGoogleSheetsClient() / getGoogleDriveClient() return these clients
+ * (still wrapped with retries) instead of real ones. Pass null to undo.
+ *
+ * @param {Object|null} clients - { sheets, drive }
+ */
+function setGoogleClientsForTesting(clients) {
+    testClients = clients;
+}
 
 // ============================================================================
 // FUNCTION: Initialize Google Sheets API Client
@@ -82,10 +122,14 @@ let lastInstructorsFetch = 0;      // Timestamp of last fetch
  * 1. Check for GOOGLE_CREDENTIALS environment variable (for cloud deployment)
  * 2. Fall back to reading google-credentials.json file (for local/offline mode)
  * 3. Create an authentication object
- * 4. Create a Sheets API client with that auth
+ * 4. Create a Sheets API client with that auth (wrapped with retries, see google-api-client.js)
  * 5. Return the client ready to use
  */
 async function getGoogleSheetsClient() {
+    if (testClients) {
+        return googleApi.wrap(testClients.sheets, 'sheets');
+    }
+
     try {
         let credentials;
 
@@ -123,7 +167,8 @@ async function getGoogleSheetsClient() {
         const client = await auth.getClient();
 
         // Create Sheets API client
-        const sheets = google.sheets({ version: 'v4', auth: client });
+        // Wrapped so every call retries on 429/503 and respects the quota (see google-api-client.js)
+        const sheets = googleApi.wrap(google.sheets({ version: 'v4', auth: client }), 'sheets');
 
         return sheets;
     } catch (error) {
@@ -136,6 +181,10 @@ async function getGoogleSheetsClient() {
  * Creates and returns a Google Drive API client
  */
 async function getGoogleDriveClient() {
+    if (testClients) {
+        return googleApi.wrap(testClients.drive, 'drive');
+    }
+
     try {
         let credentials;
         if (process.env.GOOGLE_CREDENTIALS) {
@@ -155,7 +204,7 @@ async function getGoogleDriveClient() {
         });
 
         const client = await auth.getClient();
-        return google.drive({ version: 'v3', auth: client });
+        return googleApi.wrap(google.drive({ version: 'v3', auth: client }), 'drive');
     } catch (error) {
         console.error('Error initializing Google Drive client:', error.message);
         throw error;
@@ -259,34 +308,26 @@ async function syncHeadshots() {
  * ]
  */
 async function fetchStudents(forceRefresh = false) {
-    const now = Date.now();
-
-    // Check if we can use cached data
-    // Cache is valid if:
-    // 1. We're not forcing a refresh
-    // 2. Cache exists
-    // 3. Cache is not expired (less than CACHE_DURATION old)
-    const cacheAge = now - lastStudentsFetch;
-    if (!forceRefresh && studentsCache && cacheAge < config.CACHE_DURATION) {
-        console.log('Returning cached students data');
-        return studentsCache;
-    }
+    // Cached (see cache-manager.js). If the download fails, the last good copy is returned.
+    // With nothing cached and Google unavailable, the local master DB is used.
+    return cacheManager.get('students', loadStudents, {
+        forceRefresh,
+        fallback: (error) => loadStudents(masterDBReader(error))
+    });
+}
 
+/**
+ * Downloads and parses "Child Names" (no caching - use fetchStudents)
+ *
+ * @param {Function} [readTab] - Where to read the tab from (Google Sheets by default)
+ */
+async function loadStudents(readTab = readLiveSheet) {
     try {
         console.log('Fetching students from Google Sheets...');
 
-        // Get authenticated Sheets API client
-        const sheets = await getGoogleSheetsClient();
-
         // Fetch data from Google Sheets
-        // Range "A:AH" to include Total Points (Column AH)
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.STUDENT_NAMES_SHEET}!A:AI`,
-        });
-
-        // Extract rows from response
-        const rows = response.data.values || [];
+        // Columns are located by header text (see column-resolver.js)
+        const { rows, columns: cols } = await readTab(config.STUDENT_NAMES_SHEET);
 
         // Process rows into student objects
         // Skip first row (header) and filter out empty rows
@@ -300,9 +341,9 @@ async function fetchStudents(forceRefresh = false) {
         }
 
         const students = rows.slice(1)
-            .filter(row => row[0])  // Must have ID
+            .filter(row => row[cols.ID])  // Must have ID
             .map(row => {
-                const headshotRaw = row[8] ? row[8].trim() : ''; // Column I (Index 8)
+                const headshotRaw = row[cols.HEADSHOT] ? row[cols.HEADSHOT].trim() : ''; // Headshot (Column I)
                 let headshot = headshotRaw;
 
                 // Map to local file if exists
@@ -317,46 +358,39 @@ async function fetchStudents(forceRefresh = false) {
                     }
 
                     // DEBUG LOGGING FOR ADITI
-                    if (row[1] && row[1].includes('Aditi')) {
-                        console.log(`[DEBUG FETCH] Aditi Found: Col B='${row[1]}', Col C='${row[2]}'. Filename='${filename}', Sanitized='${sanitized}', LocalFound=${localHeadshots.has(sanitized)}`);
+                    if (row[cols.EMAIL] && row[cols.EMAIL].includes('Aditi')) {
+                        console.log(`[DEBUG FETCH] Aditi Found: Col B='${row[cols.EMAIL]}', Col C='${row[cols.NAME]}'. Filename='${filename}', Sanitized='${sanitized}', LocalFound=${localHeadshots.has(sanitized)}`);
                     }
                 }
 
                 // NAME LOGIC: User wants Full Name from Column C (Index 2).
                 // Column B (Index 1) is Short Name.
-                let finalName = (row[2] && row[2].trim()) ? row[2].trim() : (row[1] ? row[1].trim() : 'Unknown');
+                let finalName = (row[cols.NAME] && row[cols.NAME].trim()) ? row[cols.NAME].trim() : (row[cols.EMAIL] ? row[cols.EMAIL].trim() : 'Unknown');
 
                 return {
-                    id: row[0].trim(),    // Column A: Student ID
-                    id: row[0].trim(),    // Column A: Student ID
-                    isActive: (row[12] && (['yes', 'true', 'active'].includes(row[12].trim().toLowerCase()))) || false, // Column M: Active Status ('active', 'yes', 'true')
+                    id: row[cols.ID].trim(),    // Column A: Student ID
+                    isActive: (row[cols.IS_ACTIVE] && (['yes', 'true', 'active'].includes(row[cols.IS_ACTIVE].trim().toLowerCase()))) || false, // Column M: Active Status ('active', 'yes', 'true')
                     name: finalName,      // PRIORITIZE COL C
-                    loginName: row[2] ? row[2].trim() : '',   // Column C: Login Name
-                    fileLink: row[6] ? row[6].trim() : '',    // Column G: Drive Link
+                    loginName: row[cols.NAME] ? row[cols.NAME].trim() : '',   // Column C: Login Name
+                    fileLink: row[cols.FILE_LINK] ? row[cols.FILE_LINK].trim() : '',    // Column G: Drive Link
                     headshot: headshot,
-                    note: row[23] ? row[23].trim() : '', // Column X
-                    track: row[28] ? row[28].trim() : '', // Column AC (Index 28)
-                    totalPoints: row[33] ? parseInt(row[33].replace(/\D/g, '') || '0', 10) : 0, // Column AH (Total Points)
-                    allProjectAccess: (row[34] && ['yes', 'true'].includes(row[34].trim().toLowerCase())) // Column AI: All Project Access
+                    note: row[cols.NOTE] ? row[cols.NOTE].trim() : '', // Column X
+                    age: row[cols.AGE] ? row[cols.AGE].trim() : '', // Column D
+                    track: row[cols.TRACK] ? row[cols.TRACK].trim() : '', // Column AC
+                    serviceTitle: row[cols.SERVICE_TITLE] ? row[cols.SERVICE_TITLE].trim() : '', // Column K (class)
+                    parentEmail: row[cols.EMAIL] ? row[cols.EMAIL].trim() : '', // Column B: Parent Email (weekly digest)
+                    parentFirstName: row[cols.PARENT_NAME] ? row[cols.PARENT_NAME].trim() : '', // Column E
+                    // Column AH (Total Points): only to check against the points ledger (reconcilePoints).
+                    // Points shown anywhere come from the ledger.
+                    sheetTotalPoints: row[cols.TOTAL_POINTS] ? parseInt(row[cols.TOTAL_POINTS].replace(/\D/g, '') || '0', 10) : 0,
+                    allProjectAccess: (row[cols.ALL_PROJECT_ACCESS] && ['yes', 'true'].includes(row[cols.ALL_PROJECT_ACCESS].trim().toLowerCase())) // Column AI: All Project Access
                 };
             });
 
-        // Update cache
-        studentsCache = students;
-        lastStudentsFetch = now;
-
         console.log(`Fetched ${students.length} students`);
         return students;
     } catch (error) {
         console.error('Error fetching students:', error.message);
-
-        // If fetch failed but we have old cached data, return it anyway
-        // Better to show old data than no data
-        if (studentsCache) {
-            console.log('Returning stale cached data due to error');
-            return studentsCache;
-        }
-
         throw error;
     }
 }
@@ -365,6 +399,13 @@ async function fetchStudents(forceRefresh = false) {
 // FUNCTION: Fetch Project Log from Google Sheets
 // ============================================================================
 
+/**
+ * True for the Project Status deleteProjectEntry() leaves on a deleted entry
+ */
+function isDeletedProjectStatus(status) {
+    return String(status || '').trim().toLowerCase() === config.PROGRESS_DELETED_STATUS.toLowerCase();
+}
+
 /**
  * Fetches the complete project log from Google Sheets
  * This log contains all student assignments, progress, and completions
@@ -382,117 +423,64 @@ async function fetchStudents(forceRefresh = false) {
  * - etc.
  */
 async function fetchProjectLog(forceRefresh = false) {
-    const now = Date.now();
-
-    // Check if we can use cached data
-    const cacheAge = now - lastProgressFetch;
-    // DISABLE CACHE IN ONLINE MODE
-    const isOnline = process.env.MODE === 'ONLINE' || process.env.MODE === 'CLOUD';
-
-    if (!forceRefresh && !isOnline && progressCache && cacheAge < config.CACHE_DURATION) {
-        console.log('Returning cached progress data');
-        return progressCache;
-    } else if (isOnline) {
-        console.log(`[CACHE SKIPPED] Online Mode active (${process.env.MODE}). Fetching fresh data.`);
-    }
+    // Cached, except in the online version (DEPLOYMENT_MODE=online/cloud) where
+    // the ttl is 0 so every call reads fresh data (see CACHES at the top)
+    return cacheManager.get('projectLog', loadProjectLog, {
+        forceRefresh,
+        fallback: (error) => loadProjectLog(masterDBReader(error))
+    });
+}
 
+/**
+ * Downloads and parses the Project Log (no caching - use fetchProjectLog)
+ *
+ * @param {Function} [readTab] - Where to read the tab from (Google Sheets by default)
+ */
+async function loadProjectLog(readTab = readLiveSheet) {
     try {
         console.log('Fetching project log from Google Sheets...');
 
-        // Get authenticated Sheets API client
-        const sheets = await getGoogleSheetsClient();
-
         // Fetch data from Project Log sheet
         console.log(`[DEBUG] Fetching Project Log from Sheet ID: ${config.SPREADSHEET_ID}`);
-        // Range "A:AC" means columns A through AC (all columns we need)
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.PROGRESS_SHEET}!A:AC`,
-        });
-
-        // Extract rows from response
-        const rows = response.data.values || [];
+        // Columns are located by header text (see column-resolver.js)
+        const { rows, columns: cols } = await readTab(config.PROGRESS_SHEET);
 
         // Process rows into project objects
         // Skip first row (header) and filter empty rows
         const projects = rows.slice(1)
             .filter(row => row.length > 0)
             .map((row, i) => ({
-                // Map each column to a named field using config
-                id: row[config.PROGRESS_COLUMNS.ID] || '',
-                date: row[config.PROGRESS_COLUMNS.DATE] || '',
-                studentId: row[config.PROGRESS_COLUMNS.SID] || '',
-                studentEmail: row[config.PROGRESS_COLUMNS.STUDENT_EMAIL] || '',
-                studentName: row[config.PROGRESS_COLUMNS.STUDENT_NAME] || '',
-                parentsName: row[config.PROGRESS_COLUMNS.PARENTS_NAME] || '',
-                track: row[config.PROGRESS_COLUMNS.TRACK] || '',
-                assignType: row[config.PROGRESS_COLUMNS.ASSIGN_TYPE] || '',
-                projectName: row[config.PROGRESS_COLUMNS.PROJECT_NAME] || '',
-                projectStatus: row[config.PROGRESS_COLUMNS.PROJECT_STATUS] || '',
-                completedDate: row[config.PROGRESS_COLUMNS.COMPLETED_DATE] || '',
-                projectType: row[config.PROGRESS_COLUMNS.PROJECT_TYPE] || '',
-                rating: row[config.PROGRESS_COLUMNS.RATING] || '',
-                projectType: row[config.PROGRESS_COLUMNS.PROJECT_TYPE] || '',
-                rating: row[config.PROGRESS_COLUMNS.RATING] || '',
-                points: row[config.PROGRESS_COLUMNS.POINTS] || '',
-                videoLink: row[config.PROGRESS_COLUMNS.VIDEO_LINK] || '',
+                // Map each column to a named field using the resolved columns
+                id: row[cols.ID] || '',
+                date: row[cols.DATE] || '',
+                studentId: row[cols.SID] || '',
+                studentEmail: row[cols.STUDENT_EMAIL] || '',
+                studentName: row[cols.STUDENT_NAME] || '',
+                parentsName: row[cols.PARENTS_NAME] || '',
+                track: row[cols.TRACK] || '',
+                assignType: row[cols.ASSIGN_TYPE] || '',
+                projectName: row[cols.PROJECT_NAME] || '',
+                projectStatus: row[cols.PROJECT_STATUS] || '',
+                completedDate: row[cols.COMPLETED_DATE] || '',
+                projectType: row[cols.PROJECT_TYPE] || '',
+                rating: row[cols.RATING] || '',
+                points: row[cols.POINTS] || '',
+                videoLink: row[cols.VIDEO_LINK] || '',
+                lastEditedBy: row[cols.LAST_EDITED_BY] || '', // Column V: instructor who marked it
                 uniqueId: i + 2  // Store the 1-based Row Index for updates/deletion
-            }));
-
-        // Update cache
-        progressCache = projects;
-        lastProgressFetch = now;
+            }))
+            // Entries deleted from the app stay in the sheet, marked (see deleteProjectEntry)
+            .filter(p => !isDeletedProjectStatus(p.projectStatus));
 
         console.log(`Fetched ${projects.length} project log entries`);
         return projects;
     } catch (error) {
         console.error('Error fetching project log:', error);
 
-        // If fetch failed but we have old cached data, return it
-        if (progressCache) {
-            console.log('Returning stale cached progress data due to error');
-            return progressCache;
-        }
-
-        // DISABLED FALLBACK FOR DEBUGGING
-        console.error('CRITICAL: GOOGLE SHEET FETCH FAILED. THROWING ERROR INSTEAD OF FALLBACK.');
-        throw error;
-
-        /*
-        // Try Offline Master DB
-        console.warn('⚠️ Google API failed. Trying local Master DB...');
-        const localDB = getLocalMasterDB();
-        if (localDB && localDB.sheets && localDB.sheets[config.PROGRESS_SHEET]) {
-            const rows = localDB.sheets[config.PROGRESS_SHEET] || [];
-
-            // Re-process rows same as above
-            const projects = rows.slice(1)
-                .filter(row => row.length > 0)
-                .map((row, i) => ({
-                    id: row[config.PROGRESS_COLUMNS.ID] || '',
-                    date: row[config.PROGRESS_COLUMNS.DATE] || '',
-                    studentId: row[config.PROGRESS_COLUMNS.SID] || '',
-                    studentEmail: row[config.PROGRESS_COLUMNS.STUDENT_EMAIL] || '',
-                    studentName: row[config.PROGRESS_COLUMNS.STUDENT_NAME] || '',
-                    parentsName: row[config.PROGRESS_COLUMNS.PARENTS_NAME] || '',
-                    track: row[config.PROGRESS_COLUMNS.TRACK] || '',
-                    assignType: row[config.PROGRESS_COLUMNS.ASSIGN_TYPE] || '',
-                    projectName: row[config.PROGRESS_COLUMNS.PROJECT_NAME] || '',
-                    projectStatus: row[config.PROGRESS_COLUMNS.PROJECT_STATUS] || '',
-                    completedDate: row[config.PROGRESS_COLUMNS.COMPLETED_DATE] || '',
-                    projectType: row[config.PROGRESS_COLUMNS.PROJECT_TYPE] || '',
-                    rating: row[config.PROGRESS_COLUMNS.RATING] || '',
-                    rating: row[config.PROGRESS_COLUMNS.RATING] || '',
-                    points: row[config.PROGRESS_COLUMNS.POINTS] || '',
-                    uniqueId: i + 2
-                }));
-
-            console.log(`✅ Loaded ${projects.length} project log entries from Local Master DB.`);
-            return projects;
-        }
-
+        // No silent fallback here: a broken read should be noticed.
+        // Only when Google is unavailable (circuit open / offline) does
+        // fetchProjectLog fall back to the local master DB.
         throw error;
-        */
     }
 }
 
@@ -511,37 +499,28 @@ async function fetchProjectLog(forceRefresh = false) {
  * ["Alice Johnson", "Bob Smith", "Charlie Brown", ...]
  */
 async function fetchStudentNamesForLogin(forceRefresh = false) {
-    const now = Date.now();
-
-    // Check if we can use cached data
-    const cacheAge = now - lastLoginNamesFetch;
-    if (!forceRefresh && loginNamesCache && cacheAge < config.CACHE_DURATION) {
-        console.log('Returning cached login names data');
-        return loginNamesCache;
-    }
+    return cacheManager.get('loginNames', loadStudentNamesForLogin, {
+        forceRefresh,
+        fallback: (error) => loadStudentNamesForLogin(masterDBReader(error))
+    });
+}
 
+/**
+ * Downloads the login names (no caching - use fetchStudentNamesForLogin)
+ *
+ * @param {Function} [readTab] - Where to read the tab from (Google Sheets by default)
+ */
+async function loadStudentNamesForLogin(readTab = readLiveSheet) {
     try {
         console.log('Fetching student login names and headshots from Google Sheets...');
 
-        // Get authenticated Sheets API client
-        const sheets = await getGoogleSheetsClient();
-
         // Fetch columns A (ID) through AI (All Project Access)
-        // Range: "Child Names!A:AI"
-        // A=ID(0), B=ShortName(1), C=LoginName(2), ... H=FileLink(6), ... J=Headshot(8), ... AI=AllProjectAccess(34)
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.STUDENT_NAMES_SHEET}!A:AI`,
-        });
-
-        // Extract rows from response
-        const rows = response.data.values || [];
+        // A=ID, B=ShortName, C=LoginName, ... G=FileLink, ... I=Headshot, ... AI=AllProjectAccess
+        // Columns are located by header text (see column-resolver.js)
+        const { rows, columns: cols } = await readTab(config.STUDENT_NAMES_SHEET);
 
         // Process rows into array of student objects
         // Skip header row, filter out empty cells
-        // Column mapping relative to fetch range (B=0, C=1, ..., I=7)
-        // Name is at index 0 (Column B)
-        // Headshot is at index 7 (Column I)
 
         // Cache local headshots for checking
         let localHeadshots = new Set();
@@ -553,26 +532,26 @@ async function fetchStudentNamesForLogin(forceRefresh = false) {
 
         const students = rows.slice(1)
             .filter(row => {
-                const id = row[0] ? row[0].trim() : '';
+                const id = row[cols.ID] ? row[cols.ID].trim() : '';
                 // ID must exist and contain more than just a slash or empty string
                 return id && id.length > 1 && id !== '/';
             })
             .map(row => {
-                // ID: Column A (Index 0)
-                const id = row[0].trim();
+                // ID: Column A
+                const id = row[cols.ID].trim();
 
-                // User Feedback: Column C (Index 2) has the Full Name, Column B (Index 1) has Short Name.
+                // User Feedback: Column C has the Full Name, Column B has Short Name.
                 // So we prioritize Column C.
-                const name = (row[2] && row[2].trim()) ? row[2].trim() : row[1].trim();
+                const name = (row[cols.NAME] && row[cols.NAME].trim()) ? row[cols.NAME].trim() : (row[cols.EMAIL] || '').trim();
 
-                // Headshot: Column I (Index 8 from A)
-                let headshot = row[8] ? row[8].trim() : '';
+                // Headshot: Column I
+                let headshot = row[cols.HEADSHOT] ? row[cols.HEADSHOT].trim() : '';
 
-                // File Link: Column G (Index 6 from A)
-                const fileLink = row[6] ? row[6].trim() : '';
+                // File Link: Column G
+                const fileLink = row[cols.FILE_LINK] ? row[cols.FILE_LINK].trim() : '';
 
-                // AllProjectAccess: Column AI (Index 34 from A)
-                const allProjectAccess = row[34] ? row[34].trim().toLowerCase() : '';
+                // AllProjectAccess: Column AI
+                const allProjectAccess = row[cols.ALL_PROJECT_ACCESS] ? row[cols.ALL_PROJECT_ACCESS].trim().toLowerCase() : '';
 
                 // Try to map to local file
                 let filename = path.basename(headshot);
@@ -603,10 +582,6 @@ async function fetchStudentNamesForLogin(forceRefresh = false) {
         const uniqueStudents = Array.from(uniqueStudentsMap.values())
             .sort((a, b) => a.name.localeCompare(b.name));
 
-        // Update cache
-        loginNamesCache = uniqueStudents;
-        lastLoginNamesFetch = now;
-
         console.log(`Fetched ${uniqueStudents.length} students for login`);
         if (uniqueStudents.length > 0) {
             console.log(`[DEBUG] First Student ID Check: ${JSON.stringify(uniqueStudents[0])}`);
@@ -614,13 +589,6 @@ async function fetchStudentNamesForLogin(forceRefresh = false) {
         return uniqueStudents;
     } catch (error) {
         console.error('Error fetching student login names:', error.message);
-
-        // If fetch failed but we have old cached data, return it
-        if (loginNamesCache) {
-            console.log('Returning stale cached login names due to error');
-            return loginNamesCache;
-        }
-
         throw error;
     }
 }
@@ -632,44 +600,40 @@ async function fetchStudentNamesForLogin(forceRefresh = false) {
  * @returns {Promise<Map>} - Map of project code to full project name
  */
 async function fetchProjectList(forceRefresh = false) {
-    const now = Date.now();
-
-    // Check cache
-    const cacheAge = now - lastProjectListFetch;
-    if (!forceRefresh && projectListCache && cacheAge < config.CACHE_DURATION) {
-        console.log('Returning cached project list');
-        return projectListCache;
-    }
+    return cacheManager.get('projectList', loadProjectList, {
+        forceRefresh,
+        fallback: loadProjectListOffline
+    });
+}
 
+/**
+ * Downloads the Projects List as a Code -> details map (no caching - use fetchProjectList)
+ */
+async function loadProjectList() {
     try {
         console.log('Fetching project list from Google Sheets...');
 
         // Get authenticated Sheets API client
         const sheets = await getGoogleSheetsClient();
 
-        // Fetch columns A (Code) through BI (Difficulty)
-        // A=0, B=1 ... BF=57, BG=58, BH=59. So range A:BI covers all.
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.PROJECT_LIST_SHEET}!A:BI`,
-        });
-
-        const rows = response.data.values || [];
+        // Fetch columns A (Code) through BH (Difficulty)
+        // Columns are located by header text (see column-resolver.js)
+        const { rows, columns: cols } = await columnResolver.readSheet(sheets, config.PROJECT_LIST_SHEET);
         const projectMap = new Map();
 
         // Skip header, process rows
         rows.slice(1).forEach(row => {
-            const code = row[config.PROJECT_LIST_COLUMNS.CODE]; // Column A
-            const name = row[config.PROJECT_LIST_COLUMNS.NAME]; // Column B
-            const category = row[config.PROJECT_LIST_COLUMNS.CATEGORY]; // Column BF
-            const description = row[config.PROJECT_LIST_COLUMNS.DESCRIPTION]; // Column C
-            const studentActivity = row[config.PROJECT_LIST_COLUMNS.STUDENT_ACTIVITY]; // Column E
-            const points = row[config.PROJECT_LIST_COLUMNS.POINTS]; // Column BD
-            const tracks = row[config.PROJECT_LIST_COLUMNS.RECOMMENDED_TRACK]; // Column BE (comma-separated)
-            const difficulty = row[config.PROJECT_LIST_COLUMNS.DIFFICULTY]; // Column BH
+            const code = row[cols.CODE]; // Column A
+            const name = row[cols.NAME]; // Column B
+            const category = row[cols.CATEGORY]; // Column BF
+            const description = row[cols.DESCRIPTION]; // Column C
+            const studentActivity = row[cols.STUDENT_ACTIVITY]; // Column E
+            const points = row[cols.POINTS]; // Column BD
+            const tracks = row[cols.RECOMMENDED_TRACK]; // Column BE (comma-separated)
+            const difficulty = row[cols.DIFFICULTY]; // Column BH
 
             if (code) {
-                // Return object { name, category, description, studentActivity, points, tracks, difficulty }
+                // Return object { name, category, description, studentActivity, points, tracks, icon, difficulty }
                 projectMap.set(code.trim().toUpperCase(), {
                     name: name ? name.trim() : '',
                     category: category ? category.trim() : 'Other',
@@ -677,54 +641,53 @@ async function fetchProjectList(forceRefresh = false) {
                     studentActivity: studentActivity ? studentActivity.trim() : '',
                     points: points ? parseInt(points.replace(/\D/g, '') || '0', 10) : 0,
                     tracks: tracks ? tracks.trim() : '', // Comma-separated track list
+                    icon: row[cols.ICON] ? row[cols.ICON].trim() : '', // Column M (certificates)
                     difficulty: difficulty ? parseInt(difficulty.replace(/\D/g, '') || '9999', 10) : 9999 // Default high for sorting
                 });
             }
         });
 
-        // Update cache
-        projectListCache = projectMap;
-        lastProjectListFetch = now;
-
         return projectMap;
 
     } catch (error) {
         console.error('Error fetching project list:', error.message);
-        if (projectListCache) return projectListCache;
-
-        // Try Offline Master DB
-        console.warn('⚠️ Google API failed. Trying local Master DB...');
-        const localDB = getLocalMasterDB();
-        if (localDB && localDB.sheets && localDB.sheets[config.PROJECT_LIST_SHEET]) {
-            const rows = localDB.sheets[config.PROJECT_LIST_SHEET] || [];
-            const projectMap = new Map();
+        throw error;
+    }
+}
 
-            rows.slice(1).forEach(row => {
-                const code = row[config.PROJECT_LIST_COLUMNS.CODE];
-                const name = row[config.PROJECT_LIST_COLUMNS.NAME];
+/**
+ * Offline fallback for fetchProjectList (used only when nothing is cached)
+ */
+function loadProjectListOffline() {
+    // Try Offline Master DB
+    console.warn('⚠️ Google API failed. Trying local Master DB...');
+    const localDB = getLocalMasterDB();
+    if (localDB && localDB.sheets && localDB.sheets[config.PROJECT_LIST_SHEET]) {
+        const rows = localDB.sheets[config.PROJECT_LIST_SHEET] || [];
+        const cols = columnResolver.resolveFromHeaderRow(config.PROJECT_LIST_SHEET, rows[0]);
+        const projectMap = new Map();
 
-                if (code) {
-                    projectMap.set(code.trim().toUpperCase(), name ? name.trim() : '');
-                }
-            });
+        rows.slice(1).forEach(row => {
+            const code = row[cols.CODE];
+            const name = row[cols.NAME];
 
-            console.log(`✅ Loaded ${projectMap.size} project definitions from Local Master DB.`);
-            return projectMap;
-        }
+            if (code) {
+                projectMap.set(code.trim().toUpperCase(), name ? name.trim() : '');
+            }
+        });
 
-        // Return empty map on failure if no cache
-        return new Map();
+        console.log(`✅ Loaded ${projectMap.size} project definitions from Local Master DB.`);
+        return projectMap;
     }
+
+    // Return empty map on failure if no cache
+    return new Map();
 }
 
 // ============================================================================
 // FUNCTION: Fetch All Projects with Detailed Info (for Online UI)
 // ============================================================================
 
-// Cache for detailed projects
-let projectDetailedCache = null;
-let lastProjectDetailedFetch = 0;
-
 /**
  * Fetches all projects from "Projects List" tab with full details for UI display.
  * Returns an array of project objects, not a map.
@@ -733,40 +696,36 @@ let lastProjectDetailedFetch = 0;
  * @returns {Promise<Array>} - Array of {id, name, description, category} objects
  */
 async function fetchAllProjectsDetailed(forceRefresh = false) {
-    const now = Date.now();
-
-    // Check cache
-    const cacheAge = now - lastProjectDetailedFetch;
-    if (!forceRefresh && projectDetailedCache && cacheAge < config.CACHE_DURATION) {
-        console.log('Returning cached detailed project list');
-        return projectDetailedCache;
-    }
+    return cacheManager.get('projectsDetailed', loadAllProjectsDetailed, {
+        forceRefresh,
+        fallback: () => {
+            // Return empty array on failure if no cache
+            console.warn('⚠️ Could not fetch detailed projects. Returning empty array.');
+            return [];
+        }
+    });
+}
 
+async function loadAllProjectsDetailed() {
     try {
         console.log('Fetching detailed project list from Google Sheets...');
 
         // Get authenticated Sheets API client
         const sheets = await getGoogleSheetsClient();
 
-        // Fetch columns A through BF (1-58) to get all required data
-        // BF is the 58th column (0-indexed = 57)
-        // Using A:BF range to get Code, Name, Description, and Category
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.PROJECT_LIST_SHEET}!A:BF`,
-        });
-
-        const rows = response.data.values || [];
+        // Fetch Code, Name, Description, Category, etc.
+        // Columns are located by header text (see column-resolver.js)
+        const { rows, columns: cols } = await columnResolver.readSheet(sheets, config.PROJECT_LIST_SHEET);
         const projects = [];
 
         // Skip header, process rows
         rows.slice(1).forEach(row => {
-            const code = row[config.PROJECT_LIST_COLUMNS.CODE]; // Column A
-            const name = row[config.PROJECT_LIST_COLUMNS.NAME]; // Column B
-            const description = row[config.PROJECT_LIST_COLUMNS.DESCRIPTION]; // Column C
-            const studentActivity = row[config.PROJECT_LIST_COLUMNS.STUDENT_ACTIVITY]; // Column E
-            const icon = row[config.PROJECT_LIST_COLUMNS.ICON]; // Column M
-            const category = row[config.PROJECT_LIST_COLUMNS.CATEGORY]; // Column BF (index 57)
+            const code = row[cols.CODE]; // Column A
+            const name = row[cols.NAME]; // Column B
+            const description = row[cols.DESCRIPTION]; // Column C
+            const studentActivity = row[cols.STUDENT_ACTIVITY]; // Column E
+            const icon = row[cols.ICON]; // Column M
+            const category = row[cols.CATEGORY]; // Column BF
 
             if (code && code.trim()) {
                 projects.push({
@@ -775,27 +734,22 @@ async function fetchAllProjectsDetailed(forceRefresh = false) {
                     description: description ? description.trim() : '',
                     studentActivity: studentActivity ? studentActivity.trim() : '',
                     icon: icon ? icon.trim() : null,
-                    points: row[config.PROJECT_LIST_COLUMNS.POINTS] ? parseInt(row[config.PROJECT_LIST_COLUMNS.POINTS].replace(/\D/g, '') || '0', 10) : 0,
-                    recommendedTracks: row[config.PROJECT_LIST_COLUMNS.RECOMMENDED_TRACK] ? row[config.PROJECT_LIST_COLUMNS.RECOMMENDED_TRACK].trim() : '',
-                    category: category ? category.trim() : 'Uncategorized'
+                    points: row[cols.POINTS] ? parseInt(row[cols.POINTS].replace(/\D/g, '') || '0', 10) : 0,
+                    recommendedTracks: row[cols.RECOMMENDED_TRACK] ? row[cols.RECOMMENDED_TRACK].trim() : '',
+                    category: category ? category.trim() : 'Uncategorized',
+                    difficulty: row[cols.DIFFICULTY] ? parseInt(row[cols.DIFFICULTY].replace(/\D/g, '') || '9999', 10) : 9999, // Column BH
+                    prerequisites: row[cols.PREREQUISITES] ? row[cols.PREREQUISITES].trim() : '', // Column BI (codes)
+                    ageRange: row[cols.AGE_RANGE] ? row[cols.AGE_RANGE].trim() : '' // Column BJ
                 });
             }
         });
 
-        // Update cache
-        projectDetailedCache = projects;
-        lastProjectDetailedFetch = now;
-
         console.log(`Fetched ${projects.length} detailed projects`);
         return projects;
 
     } catch (error) {
         console.error('Error fetching detailed project list:', error.message);
-        if (projectDetailedCache) return projectDetailedCache;
-
-        // Return empty array on failure if no cache
-        console.warn('⚠️ Could not fetch detailed projects. Returning empty array.');
-        return [];
+        throw error;
     }
 }
 
@@ -803,10 +757,6 @@ async function fetchAllProjectsDetailed(forceRefresh = false) {
 // FUNCTION: Fetch Project Parts (YouTube Videos) from LTBCLASSWEBAPP sheet
 // ============================================================================
 
-// Cache for project parts
-let projectPartsCache = null;
-let lastProjectPartsFetch = 0;
-
 /**
  * Fetches all project parts/videos from the LTBCLASSWEBAPP sheet.
  * Returns grouped by project code for easy lookup.
@@ -824,27 +774,17 @@ let lastProjectPartsFetch = 0;
  * }
  */
 async function fetchProjectParts(forceRefresh = false) {
-    const now = Date.now();
-
-    // Check cache
-    const cacheAge = now - lastProjectPartsFetch;
-    if (!forceRefresh && projectPartsCache && cacheAge < config.CACHE_DURATION) {
-        console.log('Returning cached project parts');
-        return projectPartsCache;
-    }
+    return cacheManager.get('projectParts', loadProjectParts, { forceRefresh, fallback: () => ({}) });
+}
 
+async function loadProjectParts() {
     try {
         console.log('Fetching project parts from Google Sheets (LTBCLASSWEBAPP)...');
 
         const sheets = await getGoogleSheetsClient();
 
-        // Fetch all columns A through G
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.PROJECT_PARTS_SHEET}!A:G`,
-        });
-
-        const rows = response.data.values || [];
+        // Fetch all columns A through G (located by header text)
+        const { rows, columns: cols } = await columnResolver.readSheet(sheets, config.PROJECT_PARTS_SHEET);
         if (rows.length <= 1) {
             console.log('No project parts found (empty sheet or headers only)');
             return {};
@@ -854,8 +794,8 @@ async function fetchProjectParts(forceRefresh = false) {
         const projectParts = {};
 
         rows.slice(1).forEach(row => {
-            const projectCode = row[config.PROJECT_PARTS_COLUMNS.PROJECT_CODE];
-            const youtubeUrl = row[config.PROJECT_PARTS_COLUMNS.YOUTUBE_URL];
+            const projectCode = row[cols.PROJECT_CODE];
+            const youtubeUrl = row[cols.YOUTUBE_URL];
 
             // Only include if we have at least project code and YouTube URL (required fields)
             if (!projectCode || !youtubeUrl) return;
@@ -869,11 +809,11 @@ async function fetchProjectParts(forceRefresh = false) {
             };
 
             // Optional fields - only add if present
-            const projectTitle = row[config.PROJECT_PARTS_COLUMNS.PROJECT_TITLE];
-            const partNumber = row[config.PROJECT_PARTS_COLUMNS.PART_NUMBER];
-            const partTitle = row[config.PROJECT_PARTS_COLUMNS.PART_TITLE];
-            const duration = row[config.PROJECT_PARTS_COLUMNS.DURATION];
-            const coverImage = row[config.PROJECT_PARTS_COLUMNS.COVER_IMAGE];
+            const projectTitle = row[cols.PROJECT_TITLE];
+            const partNumber = row[cols.PART_NUMBER];
+            const partTitle = row[cols.PART_TITLE];
+            const duration = row[cols.DURATION];
+            const coverImage = row[cols.COVER_IMAGE];
 
             if (projectTitle) part.projectTitle = projectTitle.trim();
             if (partNumber) part.partNumber = parseInt(partNumber) || 0;
@@ -901,18 +841,13 @@ async function fetchProjectParts(forceRefresh = false) {
             projectParts[code].sort((a, b) => (a.partNumber || 0) - (b.partNumber || 0));
         });
 
-        // Update cache
-        projectPartsCache = projectParts;
-        lastProjectPartsFetch = now;
-
         const totalParts = Object.values(projectParts).reduce((sum, arr) => sum + arr.length, 0);
         console.log(`Fetched ${totalParts} parts for ${Object.keys(projectParts).length} projects`);
         return projectParts;
 
     } catch (error) {
         console.error('Error fetching project parts:', error.message);
-        if (projectPartsCache) return projectPartsCache;
-        return {};
+        throw error;
     }
 }
 
@@ -1270,10 +1205,10 @@ async function getStudentProjects(studentId, forceRefresh = false) {
             }
         });
 
-        // Calculate total points from completed projects
-        const totalPoints = completedProjects.reduce((sum, p) =>
-            sum + (parseInt(p.points) || 0), 0
-        );
+        // Lifetime points from the points ledger (earned + adjustments), the same
+        // number the leaderboard shows. The Project Log was just re-read above.
+        const { summaries } = await getPointsLedger();
+        const totalPoints = pointsLedger.summaryFor(summaries, studentId).totalPoints;
 
         // Return organized data
         return {
@@ -1307,15 +1242,16 @@ async function getStudentProjects(studentId, forceRefresh = false) {
  * @returns {Promise<Array>} - Array of booking objects
  */
 async function fetchBookingInfo(forceRefresh = false) {
-    const now = Date.now();
-
-    // Check cache
-    const cacheAge = now - lastBookingFetch;
-    if (!forceRefresh && bookingCache && cacheAge < config.CACHE_DURATION) {
-        console.log('Returning cached booking data');
-        return bookingCache;
-    }
+    return cacheManager.get('bookings', loadBookingInfo, {
+        forceRefresh,
+        fallback: loadBookingInfoOffline
+    });
+}
 
+/**
+ * Downloads today's bookings (no caching - use fetchBookingInfo)
+ */
+async function loadBookingInfo() {
     try {
         console.log('Fetching & filtering bookings from Google Sheets...');
 
@@ -1323,13 +1259,8 @@ async function fetchBookingInfo(forceRefresh = false) {
         const sheets = await getGoogleSheetsClient();
 
         // Fetch data
-        // We fetch columns A to O (Student ID is in O)
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.BOOKING_SHEET}!A:O`,
-        });
-
-        const rows = response.data.values || [];
+        // Columns are located by header text (Student ID is normally in O)
+        const { rows, columns: cols } = await columnResolver.readSheet(sheets, config.BOOKING_SHEET);
 
         // Helper to format today's date to match sheet format: "Jan 1, 2024"
         const today = new Date();
@@ -1346,7 +1277,7 @@ async function fetchBookingInfo(forceRefresh = false) {
             .map((row, index) => ({ rowData: row, rowIndex: index + 1 })) // 1-based index
             .slice(1) // Skip header
             .filter(({ rowData }) => {
-                const dateStr = rowData[config.BOOKING_COLUMNS.CLASS_DATE];
+                const dateStr = rowData[cols.CLASS_DATE];
                 if (!dateStr) return false;
 
                 // Normalize strings for comparison (remove leading zeros, trim)
@@ -1374,132 +1305,457 @@ async function fetchBookingInfo(forceRefresh = false) {
                 return isMatch;
             })
             .map(({ rowData, rowIndex }) => ({
-                studentName: rowData[config.BOOKING_COLUMNS.STUDENT_NAME],
-                serviceTitle: rowData[config.BOOKING_COLUMNS.SERVICE_TITLE],
-                classDate: rowData[config.BOOKING_COLUMNS.CLASS_DATE],
-                checkedIn: (rowData[config.BOOKING_COLUMNS.CHECKED_IN] || '').toString().toUpperCase() === 'TRUE',
-                studentId: rowData[config.BOOKING_COLUMNS.STUDENT_ID], // New ID field
+                studentName: rowData[cols.STUDENT_NAME],
+                serviceTitle: rowData[cols.SERVICE_TITLE],
+                classDate: rowData[cols.CLASS_DATE],
+                checkedIn: (rowData[cols.CHECKED_IN] || '').toString().toUpperCase() === 'TRUE',
+                studentId: rowData[cols.STUDENT_ID], // New ID field
                 rowIndex: rowIndex
             }))
             .filter(b => b.studentName && b.serviceTitle); // Ensure valid data
 
-        // Update cache
-        bookingCache = bookings;
-        lastBookingFetch = now;
-
-
         console.log(`Found ${bookings.length} bookings for today (${todayStr})`);
         return bookings;
     } catch (error) {
         console.error('Error fetching bookings:', error.message);
-        if (bookingCache) return bookingCache;
+        throw error;
+    }
+}
 
-        // Try Offline Master DB
-        console.warn('⚠️ Google API failed. Trying local Master DB...');
-        const localDB = getLocalMasterDB();
-        if (localDB && localDB.sheets && localDB.sheets[config.BOOKING_SHEET]) {
-            const rows = localDB.sheets[config.BOOKING_SHEET] || [];
-
-            // Re-apply filtering logic locally
-            const today = new Date();
-            const options = { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'America/Chicago' };
-            const todayStr = today.toLocaleDateString('en-US', options);
-            console.log(`[Offline] Filtering for date: ${todayStr}`);
-
-            const bookings = rows
-                .map((row, index) => ({ rowData: row, rowIndex: index + 1 }))
-                .slice(1)
-                .filter(({ rowData }) => {
-                    const dateStr = rowData[config.BOOKING_COLUMNS.CLASS_DATE];
-                    if (dateStr === todayStr) return true;
-                    const rowDate = new Date(dateStr);
-                    return rowDate.toDateString() === today.toDateString();
-                })
-                .map(({ rowData, rowIndex }) => ({
-                    studentName: rowData[config.BOOKING_COLUMNS.STUDENT_NAME],
-                    serviceTitle: rowData[config.BOOKING_COLUMNS.SERVICE_TITLE],
-                    classDate: rowData[config.BOOKING_COLUMNS.CLASS_DATE],
-                    checkedIn: (rowData[config.BOOKING_COLUMNS.CHECKED_IN] || '').toString().toUpperCase() === 'TRUE',
-                    studentId: rowData[config.BOOKING_COLUMNS.STUDENT_ID],
-                    rowIndex: rowIndex
-                }))
-                .filter(b => b.studentName && b.serviceTitle);
+/**
+ * Offline fallback for fetchBookingInfo (used only when nothing is cached)
+ */
+function loadBookingInfoOffline(error) {
+    // Try Offline Master DB
+    console.warn('⚠️ Google API failed. Trying local Master DB...');
+    const localDB = getLocalMasterDB();
+    if (localDB && localDB.sheets && localDB.sheets[config.BOOKING_SHEET]) {
+        const rows = localDB.sheets[config.BOOKING_SHEET] || [];
+        const cols = columnResolver.resolveFromHeaderRow(config.BOOKING_SHEET, rows[0]);
+
+        // Re-apply filtering logic locally
+        const today = new Date();
+        const options = { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'America/Chicago' };
+        const todayStr = today.toLocaleDateString('en-US', options);
+        console.log(`[Offline] Filtering for date: ${todayStr}`);
 
-            console.log(`✅ Loaded ${bookings.length} bookings from Local Master DB.`);
-            return bookings;
-        }
+        const bookings = rows
+            .map((row, index) => ({ rowData: row, rowIndex: index + 1 }))
+            .slice(1)
+            .filter(({ rowData }) => {
+                const dateStr = rowData[cols.CLASS_DATE];
+                if (dateStr === todayStr) return true;
+                const rowDate = new Date(dateStr);
+                return rowDate.toDateString() === today.toDateString();
+            })
+            .map(({ rowData, rowIndex }) => ({
+                studentName: rowData[cols.STUDENT_NAME],
+                serviceTitle: rowData[cols.SERVICE_TITLE],
+                classDate: rowData[cols.CLASS_DATE],
+                checkedIn: (rowData[cols.CHECKED_IN] || '').toString().toUpperCase() === 'TRUE',
+                studentId: rowData[cols.STUDENT_ID],
+                rowIndex: rowIndex
+            }))
+            .filter(b => b.studentName && b.serviceTitle);
 
-        throw error;
+        console.log(`✅ Loaded ${bookings.length} bookings from Local Master DB.`);
+        return bookings;
     }
+
+    throw error;
 }
 
 // ============================================================================
-// FUNCTION: Fetch Enriched Booking Info (Booking + Headshot + Project)
+// FUNCTION: Fetch Booking History (Every Date)
 // ============================================================================
 
 /**
- * Fetches bookings for today and enriches them with:
- * 1. Headshot URL (from Child Names sheet)
- * 2. Current Project (Latest assigned/in-progress from Project Log)
- * 
- * This provides a complete data object for the Instructor Dashboard
- * 
- * @returns {Promise<Array>} - Array of enriched student objects
+ * Every booking on "All Booking Info", past and future (fetchBookingInfo only
+ * has today's). Used for badges and attendance history.
+ *
+ * @param {boolean} forceRefresh
+ * @returns {Promise<Array>} - [{ studentId, studentName, serviceTitle, classDate, checkedIn, rowIndex }]
  */
-async function fetchEnrichedBookingInfo(forceRefresh = false) {
-    try {
-        // 1. Get Today's Bookings
-        const bookings = await fetchBookingInfo(forceRefresh);
-        if (bookings.length === 0) return [];
+async function fetchBookingHistory(forceRefresh = false) {
+    return cacheManager.get('bookingHistory', loadBookingHistory, {
+        forceRefresh,
+        fallback: (error) => loadBookingHistory(masterDBReader(error))
+    });
+}
 
-        // 2. Get Student Data (from Child Names sheet, keyed by ID)
-        const students = await fetchStudents();
-        const studentMap = new Map();
-        students.forEach(s => {
-            if (s.id) studentMap.set(s.id.trim(), s);
-        });
+/**
+ * Downloads every booking (no caching - use fetchBookingHistory)
+ *
+ * @param {Function} [readTab] - Where to read the tab from (Google Sheets by default)
+ */
+async function loadBookingHistory(readTab = readLiveSheet) {
+    const { rows, columns: cols } = await readTab(config.BOOKING_SHEET);
+
+    const bookings = rows
+        .map((row, index) => ({ rowData: row, rowIndex: index + 1 }))
+        .slice(1)
+        .map(({ rowData, rowIndex }) => ({
+            studentId: String(rowData[cols.STUDENT_ID] || '').trim(),
+            studentName: rowData[cols.STUDENT_NAME] || '',
+            serviceTitle: rowData[cols.SERVICE_TITLE] || '',
+            classDate: rowData[cols.CLASS_DATE] || '',
+            checkedIn: (rowData[cols.CHECKED_IN] || '').toString().toUpperCase() === 'TRUE',
+            rowIndex
+        }))
+        .filter(b => b.classDate && (b.studentId || b.studentName));
+
+    console.log(`Fetched ${bookings.length} bookings (all dates)`);
+    return bookings;
+}
 
-        // 3. Get Project Logs
-        const allProjects = await fetchProjectLog();
-        const projectMap = await fetchProjectList();
+// ============================================================================
+// FUNCTIONS: Attendance History and Class Report
+// ============================================================================
 
-        // Helper to find latest project for a student (by ID)
-        const getLatestProject = (studentId) => {
-            if (!studentId) return null;
-            // Filter by ID instead of name
-            const studentProjects = allProjects.filter(p =>
-                p.studentId && p.studentId === studentId
-            );
+/**
+ * A student's attendance over time: rate, streaks, no-shows and every booking
+ * (see attendance-service.js).
+ *
+ * @param {string} studentId
+ * @param {boolean} forceRefresh
+ * @returns {Promise<Object>} - { studentId, name, attendanceRate, currentStreak, longestStreak, noShows, history, ... }
+ * @throws {Error} - "Student not found" when the ID is on neither Child Names nor a booking
+ */
+async function getAttendanceHistory(studentId, forceRefresh = false) {
+    const id = String(studentId || '').trim();
+    const [students, bookings] = await Promise.all([
+        fetchStudents(forceRefresh),
+        fetchBookingHistory(forceRefresh)
+    ]);
+
+    const student = students.find(s => String(s.id).trim().toUpperCase() === id.toUpperCase());
+    const theirs = bookings.filter(b => b.studentId.toUpperCase() === id.toUpperCase());
+    if (!id || (!student && theirs.length === 0)) {
+        throw new Error(`Student not found: ${studentId}`);
+    }
 
-            if (studentProjects.length === 0) return null;
+    return {
+        studentId: student ? student.id : id,
+        name: student ? (student.loginName || student.name) : theirs[0].studentName,
+        ...attendanceService.summarizeStudent(theirs)
+    };
+}
 
-            // Prioritize IN PROGRESS
-            const inProgress = studentProjects.filter(p =>
-                p.projectStatus && (p.projectStatus.toLowerCase().includes('progress') || p.projectStatus.toLowerCase().includes('working'))
-            );
-            if (inProgress.length > 0) return inProgress[inProgress.length - 1]; // Latest in-progress
+/**
+ * Attendance per class between two dates (see attendanceService.classReport)
+ *
+ * @param {Object} filters - { from, to (YYYY-MM-DD), serviceTitle }
+ * @param {boolean} forceRefresh
+ */
+async function getAttendanceReport(filters = {}, forceRefresh = false) {
+    const bookings = await fetchBookingHistory(forceRefresh);
+    return attendanceService.classReport(bookings, filters);
+}
 
-            // Then ASSIGNED
-            const assigned = studentProjects.filter(p =>
-                p.projectStatus && (p.projectStatus.toLowerCase().includes('assigned') || p.projectStatus.toLowerCase().includes('new'))
-            );
-            if (assigned.length > 0) return assigned[assigned.length - 1]; // Latest assigned
+// ============================================================================
+// FUNCTIONS: Weekly Parent Digest
+// ============================================================================
 
-            // Fallback to just the very last entry
-            return studentProjects[studentProjects.length - 1];
-        };
+/**
+ * One child's weekly digest: projects completed this week, what they're on
+ * now, points earned, upcoming classes and the instructor's note (see
+ * digest-service.js).
+ *
+ * @param {string} studentId
+ * @param {Object} [options] - { forceRefresh, now }
+ * @returns {Promise<Object>} - The digest (digestService.buildDigest)
+ * @throws {Error} - "Student not found"
+ */
+async function buildParentDigest(studentId, options = {}) {
+    const { forceRefresh = false, now = new Date() } = options;
+    const id = String(studentId || '').trim().toUpperCase();
+    const [students, ledger, bookings] = await Promise.all([
+        fetchStudents(forceRefresh),
+        getPointsLedger(forceRefresh),
+        fetchBookingHistory(forceRefresh)
+    ]);
+
+    const student = students.find(s => String(s.id).trim().toUpperCase() === id);
+    if (!id || !student) {
+        throw new Error(`Student not found: ${studentId}`);
+    }
 
-        // 4. Merge Data
-        const enrichedBookings = bookings.map(booking => {
-            const sid = booking.studentId ? booking.studentId.trim() : '';
-            const studentInfo = studentMap.get(sid);
+    const projects = await getStudentProjects(student.id);
+    return digestService.buildDigest({
+        student,
+        projects,
+        transactions: ledger.transactions.filter(tx => String(tx.studentId).toUpperCase() === id),
+        bookings: bookings.filter(b => b.studentId.toUpperCase() === id),
+        now
+    });
+}
 
-            if (!studentInfo) {
-                console.log(`[Link Warning] Booking ID "${sid}" not found in Child Names (Keys: ${studentMap.size}). Fallback Name: "${booking.studentName}"`);
+/**
+ * Emails this week's digest to each child's parent (Child Names Column B),
+ * one at a time. A child whose digest for this week already went out is
+ * skipped unless `force` is set; so is a child with no parent email.
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.studentIds] - Default: every active student
+ * @param {boolean} [options.force] - Send again even if this week's was sent
+ * @param {string} [options.sentBy] - Who pressed send (for the sent log)
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { weekOf, sent, skipped, failed, results: [{ studentId, status, to, reason, error }] }
+ */
+async function sendParentDigests(options = {}) {
+    const { force = false, sentBy, now = new Date() } = options;
+    // Fresh data once up front; each digest below then reads from the cache
+    const [students] = await Promise.all([
+        fetchStudents(true),
+        getPointsLedger(true),
+        fetchBookingHistory(true),
+        fetchProjectList(true)
+    ]);
+    const ids = Array.isArray(options.studentIds) && options.studentIds.length > 0
+        ? options.studentIds
+        : students.filter(s => s.isActive).map(s => s.id);
+    const { weekOf } = digestService.weekWindow(now);
+
+    const results = [];
+    for (const studentId of ids) {
+        try {
+            const digest = await buildParentDigest(studentId, { now });
+            if (!digest.parentEmail) {
+                results.push({ studentId: digest.studentId, status: 'skipped', reason: 'noEmail' });
+                continue;
             }
+            if (!force && digestService.wasSent(digest.studentId, digest.weekOf)) {
+                results.push({ studentId: digest.studentId, status: 'skipped', reason: 'alreadySent', to: digest.parentEmail });
+                continue;
+            }
+            const sent = await mailTransport.send(digestService.toMessage(digest));
+            digestService.recordSent(digest, sent, sentBy);
+            results.push({ studentId: digest.studentId, status: 'sent', to: digest.parentEmail, messageId: sent.messageId || null });
+        } catch (error) {
+            console.error(`Digest for ${studentId} failed:`, error.message);
+            results.push({ studentId, status: 'failed', error: error.message });
+        }
+    }
+
+    const count = status => results.filter(r => r.status === status).length;
+    console.log(`Parent digests for week of ${weekOf}: ${count('sent')} sent, ${count('skipped')} skipped, ${count('failed')} failed`);
+    return { weekOf, sent: count('sent'), skipped: count('skipped'), failed: count('failed'), results };
+}
+
+// ============================================================================
+// FUNCTIONS: Completion Certificates
+// ============================================================================
+
+function sameDay(value, day) {
+    const date = new Date(value);
+    return !isNaN(date.getTime()) && date.toDateString() === day.toDateString();
+}
+
+/**
+ * What goes on one certificate (see certificate-service.js)
+ */
+function certificateFor(student, projectCode, projectMap, details) {
+    const code = String(projectCode).trim().toUpperCase();
+    const projectInfo = projectMap.get(code);
+    const points = parseInt(String(details.points || '').replace(/\D/g, ''), 10);
+    return {
+        studentId: student.id,
+        studentName: student.name,
+        projectCode: code,
+        projectName: projectInfo && projectInfo.name ? projectInfo.name : code,
+        icon: projectInfo && projectInfo.icon ? projectInfo.icon : null,
+        completedDate: details.completedDate,
+        points: isNaN(points) ? ((projectInfo && projectInfo.points) || 0) : points,
+        instructor: details.instructor || ''
+    };
+}
+
+/**
+ * The certificate details for a completed project: from the student's
+ * Completed row on the Project Log, or (straight after markProjectComplete,
+ * before that row can be read back) from `completion`.
+ *
+ * @param {string} studentId
+ * @param {string} projectCode
+ * @param {Object} [options] - { forceRefresh, completion: { date, instructorName } }
+ * @returns {Promise<Object>} - { studentId, studentName, projectCode, projectName, icon, completedDate, points, instructor }
+ * @throws {Error} - "Student not found", or "No completed project" when it isn't completed
+ */
+async function getCertificate(studentId, projectCode, options = {}) {
+    const { forceRefresh = false, completion } = options;
+    const id = String(studentId || '').trim().toUpperCase();
+    const code = String(projectCode || '').trim().toUpperCase();
+    const [students, projectLog, projectMap] = await Promise.all([
+        fetchStudents(forceRefresh),
+        fetchProjectLog(forceRefresh),
+        fetchProjectList(forceRefresh)
+    ]);
+
+    const student = students.find(s => String(s.id).trim().toUpperCase() === id);
+    if (!id || !student) {
+        throw new Error(`Student not found: ${studentId}`);
+    }
+
+    const entry = projectLog
+        .filter(p => String(p.studentId).trim().toUpperCase() === id &&
+            p.projectName.trim().toUpperCase() === code &&
+            p.projectStatus.toLowerCase().includes('completed'))
+        .pop();
+
+    if (entry) {
+        return certificateFor(student, code, projectMap, {
+            completedDate: entry.completedDate || entry.date,
+            points: entry.points,
+            instructor: entry.lastEditedBy || (completion && completion.instructorName)
+        });
+    }
+    if (completion) {
+        const date = new Date(completion.date || Date.now());
+        return certificateFor(student, code, projectMap, {
+            completedDate: (isNaN(date.getTime()) ? new Date() : date).toLocaleDateString('en-US'),
+            instructor: completion.instructorName
+        });
+    }
+    throw new Error(`No completed project ${code} for student ${student.id}`);
+}
+
+/**
+ * A certificate as a PDF: the one kept in data/certificates/, or a new one
+ * (which is then kept).
+ *
+ * @param {string} studentId
+ * @param {string} projectCode
+ * @param {Object} [options] - { refresh: make it again from the sheet, completion: just completed (see getCertificate) }
+ * @returns {Promise<Object>} - { certificate, pdf (Buffer), fileName }
+ */
+async function getCertificatePdf(studentId, projectCode, options = {}) {
+    const certificate = await getCertificate(studentId, projectCode, { forceRefresh: !!options.refresh, completion: options.completion });
+    // A refresh or a new completion makes the PDF again
+    let pdf = options.refresh || options.completion ? null : certificateService.readSavedCertificate(certificate.studentId, certificate.projectCode);
+    if (!pdf) {
+        pdf = await certificateService.renderPdf([certificate]);
+        certificateService.saveCertificate(certificate, pdf);
+    }
+    return { certificate, pdf, fileName: certificateService.fileNameFor(certificate) };
+}
+
+/**
+ * Certificates for every project completed on a class day by the students
+ * booked that day (bulk printing at the end of class).
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.serviceTitle] - Just this class (any case); default: every class that day
+ * @param {string} [filters.date] - YYYY-MM-DD (default: today)
+ * @param {boolean} forceRefresh
+ * @returns {Promise<Array<Object>>} - Certificates (getCertificate shape), by class then student name
+ */
+async function getClassCertificates(filters = {}, forceRefresh = false) {
+    const text = String(filters.date || '').trim();
+    const day = text ? new Date(`${text}T00:00:00`) : new Date();
+    if (text && (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(day.getTime()))) {
+        throw new Error(`Invalid date: ${filters.date} (use YYYY-MM-DD)`);
+    }
+
+    const [students, bookings, projectLog, projectMap] = await Promise.all([
+        fetchStudents(forceRefresh),
+        fetchBookingHistory(forceRefresh),
+        fetchProjectLog(forceRefresh),
+        fetchProjectList(forceRefresh)
+    ]);
+
+    const wanted = String(filters.serviceTitle || '').trim().toLowerCase();
+    const booked = new Map(); // Student ID -> class
+    bookings
+        .filter(b => sameDay(b.classDate, day) && (!wanted || String(b.serviceTitle || '').trim().toLowerCase() === wanted))
+        .forEach(b => booked.set(b.studentId.toUpperCase(), String(b.serviceTitle || '').trim()));
+
+    const certificates = [];
+    projectLog
+        .filter(p => p.projectStatus.toLowerCase().includes('completed') && sameDay(p.completedDate || p.date, day))
+        .forEach(p => {
+            const id = String(p.studentId).trim().toUpperCase();
+            const student = booked.has(id) && students.find(s => String(s.id).trim().toUpperCase() === id);
+            if (!student) return;
+            certificates.push({
+                serviceTitle: booked.get(id),
+                ...certificateFor(student, p.projectName, projectMap, {
+                    completedDate: p.completedDate || p.date,
+                    points: p.points,
+                    instructor: p.lastEditedBy
+                })
+            });
+        });
+
+    return certificates.sort((a, b) => a.serviceTitle.localeCompare(b.serviceTitle) || a.studentName.localeCompare(b.studentName));
+}
+
+// ============================================================================
+// FUNCTION: Fetch Enriched Booking Info (Booking + Headshot + Project)
+// ============================================================================
+
+/**
+ * Fetches bookings for today and enriches them with:
+ * 1. Headshot URL (from Child Names sheet)
+ * 2. Current Project (Latest assigned/in-progress from Project Log)
+ * 
+ * This provides a complete data object for the Instructor Dashboard
+ * 
+ * @returns {Promise<Array>} - Array of enriched student objects
+ */
+async function fetchEnrichedBookingInfo(forceRefresh = false) {
+    try {
+        // 1. Get Today's Bookings
+        const bookings = await fetchBookingInfo(forceRefresh);
+        if (bookings.length === 0) return [];
+
+        // 2. Get Student Data (from Child Names sheet, keyed by ID)
+        const students = await fetchStudents();
+        const studentMap = new Map();
+        students.forEach(s => {
+            if (s.id) studentMap.set(s.id.trim(), s);
+        });
+
+        // 3. Get Project Logs
+        const allProjects = await fetchProjectLog();
+        const projectMap = await fetchProjectList();
+
+        // Helper to find latest project for a student (by ID)
+        const getLatestProject = (studentId) => {
+            if (!studentId) return null;
+            // Filter by ID instead of name
+            const studentProjects = allProjects.filter(p =>
+                p.studentId && p.studentId === studentId
+            );
+
+            if (studentProjects.length === 0) return null;
+
+            // Prioritize IN PROGRESS
+            const inProgress = studentProjects.filter(p =>
+                p.projectStatus && (p.projectStatus.toLowerCase().includes('progress') || p.projectStatus.toLowerCase().includes('working'))
+            );
+            if (inProgress.length > 0) return inProgress[inProgress.length - 1]; // Latest in-progress
+
+            // Then ASSIGNED
+            const assigned = studentProjects.filter(p =>
+                p.projectStatus && (p.projectStatus.toLowerCase().includes('assigned') || p.projectStatus.toLowerCase().includes('new'))
+            );
+            if (assigned.length > 0) return assigned[assigned.length - 1]; // Latest assigned
+
+            // Fallback to just the very last entry
+            return studentProjects[studentProjects.length - 1];
+        };
+
+        // 4. Merge Data
+        const enrichedBookings = bookings.map(booking => {
+            const sid = booking.studentId ? booking.studentId.trim() : '';
+            const studentInfo = studentMap.get(sid);
+
+            if (!studentInfo) {
+                console.log(`[Link Warning] Booking ID "${sid}" not found in Child Names (Keys: ${studentMap.size}). Fallback Name: "${booking.studentName}"`);
+            }
+
+            const project = getLatestProject(sid);
 
-            const project = getLatestProject(sid);
-
             let currentProject = 'No active project';
             if (project) {
                 const code = project.projectName.trim().toUpperCase();
@@ -1530,8 +1786,37 @@ async function fetchEnrichedBookingInfo(forceRefresh = false) {
 // ============================================================================
 // FUNCTION: Local Master Database (Offline Cache)
 // ============================================================================
-const MASTER_DB_PATH = path.join(__dirname, 'data', 'master_sheet_db.json');
-const DATA_DIR = path.join(__dirname, 'data');
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const MASTER_DB_PATH = path.join(DATA_DIR, 'master_sheet_db.json');
+
+/**
+ * Reads a whole tab from Google Sheets with the live column map
+ * (the default source for the load* functions)
+ */
+async function readLiveSheet(sheetName) {
+    const sheets = await getGoogleSheetsClient();
+    return columnResolver.readSheet(sheets, sheetName);
+}
+
+/**
+ * Returns a tab reader that uses the local master DB instead of Google.
+ * Only used when Google is unavailable (circuit open, offline, over quota);
+ * for any other error the original error is thrown again.
+ *
+ * @param {Error} error - Why the live read failed
+ * @returns {Function} - async (sheetName) => { rows, columns }
+ */
+function masterDBReader(error) {
+    return async (sheetName) => {
+        const localDB = googleApi.isUnavailableError(error) ? getLocalMasterDB() : null;
+        const rows = localDB && localDB.sheets && localDB.sheets[sheetName];
+        if (!rows) throw error;
+
+        console.warn(`⚠️ Google unavailable (${error.message}). Reading "${sheetName}" from local Master DB.`);
+        return { rows, columns: columnResolver.resolveFromHeaderRow(sheetName, rows[0]) };
+    };
+}
 
 /**
  * Reads the local master database file
@@ -1549,53 +1834,306 @@ function getLocalMasterDB() {
     return null;
 }
 
+// How many past syncs to remember in data/master_sync_history.json
+const SYNC_HISTORY_PATH = path.join(DATA_DIR, 'master_sync_history.json');
+const MAX_SYNC_HISTORY = 50;
+// How many example row keys to keep per tab in each history entry
+const MAX_DIFF_SAMPLES = 20;
+
+// Guard so overlapping callers share one sync instead of downloading twice
+let masterSyncPromise = null;
+let masterSyncForced = false;
+
+// A forced sync asked for while an ordinary one runs, started once that finishes
+let masterForcedFollowUp = null;
+
+// When the last sync finished, even if it found nothing to save
+let masterLastChecked = null;
+
+/**
+ * Short fingerprint (SHA-1) of a tab's values, used to spot unchanged tabs
+ */
+function fingerprintRows(rows) {
+    return crypto.createHash('sha1').update(JSON.stringify(rows || [])).digest('hex');
+}
+
+/**
+ * Compares two versions of a tab and counts rows added, removed or changed.
+ * Rows are matched by their Column A value (e.g. Unique ID / Student ID);
+ * repeated or empty Column A values are numbered so every row has a key.
+ *
+ * @param {Array<Array>} oldRows - Previous values (including header row)
+ * @param {Array<Array>} newRows - New values (including header row)
+ * @returns {Object} - { added, removed, changed, headerChanged, samples: { added: [], removed: [], changed: [] } }
+ */
+function diffRows(oldRows = [], newRows = []) {
+    const keyRows = (rows) => {
+        const keyed = new Map();
+        const seen = {};
+        rows.slice(1).forEach(row => {
+            const base = (row[0] || '').toString().trim() || '(blank)';
+            seen[base] = (seen[base] || 0) + 1;
+            keyed.set(seen[base] > 1 ? `${base} #${seen[base]}` : base, JSON.stringify(row));
+        });
+        return keyed;
+    };
+
+    const before = keyRows(oldRows);
+    const after = keyRows(newRows);
+    const diff = {
+        added: 0,
+        removed: 0,
+        changed: 0,
+        headerChanged: JSON.stringify(oldRows[0] || []) !== JSON.stringify(newRows[0] || []),
+        samples: { added: [], removed: [], changed: [] }
+    };
+    const note = (type, key) => {
+        diff[type]++;
+        if (diff.samples[type].length < MAX_DIFF_SAMPLES) diff.samples[type].push(key);
+    };
+
+    after.forEach((value, key) => {
+        if (!before.has(key)) note('added', key);
+        else if (before.get(key) !== value) note('changed', key);
+    });
+    before.forEach((value, key) => {
+        if (!after.has(key)) note('removed', key);
+    });
+
+    return diff;
+}
+
+/**
+ * Writes a JSON file safely (write to temp file, then rename)
+ * so a crash mid-write never leaves a half-written database behind.
+ */
+function writeJsonAtomic(filePath, data) {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Reads the sync history (newest first)
+ * @returns {Array<Object>}
+ */
+function getMasterSyncHistory() {
+    try {
+        if (fs.existsSync(SYNC_HISTORY_PATH)) {
+            return JSON.parse(fs.readFileSync(SYNC_HISTORY_PATH, 'utf8'));
+        }
+    } catch (err) {
+        console.error('Error reading master sync history:', err.message);
+    }
+    return [];
+}
+
+/**
+ * Summary of the local master database for the admin panel:
+ * per-tab row counts, fingerprints, last-changed times and recent sync history
+ */
+function getMasterSyncStatus() {
+    const db = getLocalMasterDB();
+    return {
+        lastUpdated: db ? db.lastUpdated : null,
+        lastChecked: masterLastChecked || (db ? (db.lastChecked || db.lastUpdated) : null),
+        spreadsheetModifiedTime: db ? db.spreadsheetModifiedTime || null : null,
+        tabs: db ? (db.tabs || {}) : {},
+        history: getMasterSyncHistory()
+    };
+}
+
+/**
+ * Asks Drive when the spreadsheet was last modified (cheap metadata call).
+ * Returns null if Drive can't tell us (no permission, etc.) so we fall back to
+ * downloading and comparing fingerprints.
+ */
+async function getSpreadsheetModifiedTime() {
+    try {
+        const drive = await getGoogleDriveClient();
+        const res = await drive.files.get({
+            fileId: config.SPREADSHEET_ID,
+            fields: 'modifiedTime',
+            supportsAllDrives: true
+        });
+        return res.data.modifiedTime || null;
+    } catch (err) {
+        console.warn('[MASTER DB] Could not read spreadsheet modified time:', err.message);
+        return null;
+    }
+}
+
 /**
- * Downloads ALL tabs from the Google Sheet and saves to local JSON
- * Run this on server start and optionally via admin trigger
+ * Syncs ALL tabs from the Google Sheet into the local JSON (data/master_sheet_db.json)
+ * Run this on server start and optionally via admin trigger.
+ *
+ * INCREMENTAL:
+ * 1. If the spreadsheet hasn't been modified since the last sync (Drive modifiedTime), nothing is downloaded.
+ * 2. Otherwise every tab is downloaded in full, in ONE batch request (a cell edited
+ *    in place changes nothing but its value, so nothing short of the values shows it).
+ * 3. Each tab is fingerprinted; changed ones are diffed (rows added / removed / changed)
+ *    and the result is kept in data/master_sync_history.json.
+ * 4. The database is only rewritten when a tab or the modified time changed, and the
+ *    history only when a tab changed.
+ *
+ * Calls made while a sync is already running share that sync, except a forced
+ * call during an ordinary one (which may skip everything): that waits for it and
+ * then runs one forced sync, shared by any other forced callers in the meantime.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Download and compare every tab even if the spreadsheet looks unmodified
+ * @returns {Promise<Object>} - { success, count, changed, skipped, unchanged, downloaded }
  */
-async function syncMasterDatabase() {
+async function syncMasterDatabase(options = {}) {
+    if (masterSyncPromise) {
+        if (options.force && !masterSyncForced) {
+            if (!masterForcedFollowUp) {
+                console.log('🔄 Master Database Sync already running. Forced sync queued behind it...');
+                masterForcedFollowUp = masterSyncPromise.then(() => {
+                    masterForcedFollowUp = null;
+                    return syncMasterDatabase({ force: true });
+                });
+            }
+            return masterForcedFollowUp;
+        }
+        console.log('🔄 Master Database Sync already running. Waiting for it...');
+        return masterSyncPromise;
+    }
+
+    masterSyncForced = options.force === true;
+    masterSyncPromise = runMasterDatabaseSync(options);
+    try {
+        return await masterSyncPromise;
+    } finally {
+        masterSyncPromise = null;
+        masterSyncForced = false;
+    }
+}
+
+async function runMasterDatabaseSync(options = {}) {
     console.log('🔄 Starting Master Database Sync...');
+    const startedAt = Date.now();
+
     try {
         const sheets = await getGoogleSheetsClient();
+        const previous = getLocalMasterDB() || { sheets: {}, tabs: {} };
+        previous.sheets = previous.sheets || {};
+        previous.tabs = previous.tabs || {};
+        const nowIso = new Date().toISOString();
+
+        // 1. Has anything changed at all?
+        const modifiedTime = await getSpreadsheetModifiedTime();
+        if (!options.force && modifiedTime && previous.spreadsheetModifiedTime === modifiedTime) {
+            masterLastChecked = nowIso;
+            console.log(`✅ Master Database already up to date (spreadsheet unchanged since ${modifiedTime}).`);
+            return { success: true, count: Object.keys(previous.sheets).length, changed: [], skipped: true };
+        }
 
-        // 1. Get Spreadsheet Metadata to find all tabs
+        // 2. Get Spreadsheet Metadata to find all tabs
         const sections = await sheets.spreadsheets.get({
             spreadsheetId: config.SPREADSHEET_ID,
+            fields: 'sheets.properties.title'
         });
+        const titles = sections.data.sheets.map(sheet => sheet.properties.title);
+        console.log(`Found ${titles.length} tabs to sync.`);
 
-        const sheetsList = sections.data.sheets;
-        console.log(`Found ${sheetsList.length} tabs to sync.`);
-
-        const fullDatabase = {
-            lastUpdated: new Date().toISOString(),
-            sheets: {}
+        // 3. Download every tab (whole tab, no fixed A:ZZ limit) in one request
+        const batch = await sheets.spreadsheets.values.batchGet({
+            spreadsheetId: config.SPREADSHEET_ID,
+            ranges: titles.map(title => columnResolver.quoteSheetName(title))
+        });
+        const valueRanges = batch.data.valueRanges || [];
+
+        const database = {
+            lastUpdated: previous.lastUpdated || nowIso,
+            lastChecked: nowIso,
+            spreadsheetModifiedTime: modifiedTime,
+            sheets: {},
+            tabs: {}
         };
+        const tabChanges = [];
 
-        // 2. Download each tab
-        for (const sheet of sheetsList) {
-            const title = sheet.properties.title;
-            // console.log(`Downloading tab: ${title}...`);
+        // 4. Compare each tab with what we had
+        titles.forEach((title, i) => {
+            const before = previous.tabs[title];
+            const rows = (valueRanges[i] && valueRanges[i].values) || [];
+            const fingerprint = fingerprintRows(rows);
+            database.sheets[title] = rows;
 
-            try {
-                const response = await sheets.spreadsheets.values.get({
-                    spreadsheetId: config.SPREADSHEET_ID,
-                    range: `'${title}'!A:ZZ`, // Fetch everything
+            if (before && before.fingerprint === fingerprint) {
+                database.tabs[title] = { ...before, lastChecked: nowIso };
+                return;
+            }
+
+            database.tabs[title] = {
+                fingerprint,
+                rowCount: Math.max(rows.length - 1, 0), // Not counting the header row
+                lastChanged: nowIso,
+                lastChecked: nowIso
+            };
+
+            const isNewTab = !previous.sheets[title];
+            const diff = diffRows(previous.sheets[title] || [], rows);
+            tabChanges.push({
+                tab: title,
+                status: isNewTab ? 'added' : 'changed',
+                rowCount: database.tabs[title].rowCount,
+                ...diff
+            });
+        });
+
+        // Tabs that disappeared from the spreadsheet
+        Object.keys(previous.sheets)
+            .filter(title => !titles.includes(title))
+            .forEach(title => {
+                tabChanges.push({
+                    tab: title,
+                    status: 'removed',
+                    rowCount: 0,
+                    ...diffRows(previous.sheets[title], [])
                 });
+            });
 
-                fullDatabase.sheets[title] = response.data.values || [];
-            } catch (err) {
-                console.error(`Failed to download tab "${title}":`, err.message);
-            }
+        masterLastChecked = nowIso;
+
+        // 5. Save database, then history - only if something changed. A new
+        // modified time with the same values (formatting, an edit undone) is
+        // still saved, so the next sync can skip.
+        if (tabChanges.length === 0 && previous.spreadsheetModifiedTime === modifiedTime) {
+            console.log('✅ Master Database Sync Complete. No tabs changed.');
+            return { success: true, count: titles.length, changed: [], unchanged: titles.length, downloaded: titles.length, skipped: false };
         }
 
-        // 3. Save to file
-        if (!fs.existsSync(DATA_DIR)) {
-            fs.mkdirSync(DATA_DIR, { recursive: true });
+        if (tabChanges.length > 0) {
+            database.lastUpdated = nowIso;
+        }
+        writeJsonAtomic(MASTER_DB_PATH, database);
+
+        if (tabChanges.length > 0) {
+            const history = getMasterSyncHistory();
+            history.unshift({
+                syncedAt: nowIso,
+                durationMs: Date.now() - startedAt,
+                tabsChecked: titles.length,
+                unchanged: titles.length - tabChanges.filter(c => c.status !== 'removed').length,
+                changes: tabChanges
+            });
+            writeJsonAtomic(SYNC_HISTORY_PATH, history.slice(0, MAX_SYNC_HISTORY));
         }
 
-        fs.writeFileSync(MASTER_DB_PATH, JSON.stringify(fullDatabase, null, 2));
-        console.log('✅ Master Database Sync Complete. Saved to:', MASTER_DB_PATH);
-        return { success: true, count: Object.keys(fullDatabase.sheets).length };
+        const changedNames = tabChanges.map(c => c.tab);
+        console.log(`✅ Master Database Sync Complete. ${changedNames.length} tab(s) changed${changedNames.length ? ': ' + changedNames.join(', ') : ''}. Saved to:`, MASTER_DB_PATH);
+        return {
+            success: true,
+            count: titles.length,
+            changed: changedNames,
+            unchanged: titles.length - changedNames.length,
+            downloaded: titles.length,
+            skipped: false
+        };
 
     } catch (error) {
         console.error('❌ Master Database Sync Failed:', error.message);
@@ -1619,25 +2157,22 @@ async function syncMasterDatabase() {
  */
 async function fetchAllKids(forceRefresh = false) {
     let rows = [];
+    let cols = null;
     let source = 'ONLINE';
 
     try {
         console.log('Fetching All Kids data from Google Sheets...');
         const sheets = await getGoogleSheetsClient();
 
-        // Fetch Columns A through AH (Total Points is AH)
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.STUDENT_NAMES_SHEET}!A:AH`,
-        });
-
-        rows = response.data.values || [];
+        // Fetch Columns A through AI (located by header text)
+        ({ rows, columns: cols } = await columnResolver.readSheet(sheets, config.STUDENT_NAMES_SHEET));
     } catch (error) {
         console.warn('⚠️ Google API failed (Offline Mode?). Trying local Master DB...');
 
         const localDB = getLocalMasterDB();
         if (localDB && localDB.sheets && localDB.sheets[config.STUDENT_NAMES_SHEET]) {
             rows = localDB.sheets[config.STUDENT_NAMES_SHEET];
+            cols = columnResolver.resolveFromHeaderRow(config.STUDENT_NAMES_SHEET, rows[0]);
             console.log('✅ Loaded "Child Names" from Local Master DB.');
             source = 'OFFLINE';
         } else {
@@ -1646,20 +2181,23 @@ async function fetchAllKids(forceRefresh = false) {
         }
     }
 
+    // Points come from the points ledger (Column AH is only checked against it)
+    const { summaries } = await getPointsLedger(forceRefresh);
+
     // Process rows (Logic is same for both sources)
     // Ensure we handle potential missing columns safely
     const kids = rows.slice(1)
-        .filter(row => row[config.ALL_KIDS_COLUMNS.NAME]) // Must have name
+        .filter(row => row[cols.NAME]) // Must have name
         .map(row => ({
-            id: row[config.ALL_KIDS_COLUMNS.ID] || '',
-            name: row[config.ALL_KIDS_COLUMNS.NAME] || '',
-            parentName: row[config.ALL_KIDS_COLUMNS.PARENT_NAME] || '',
-            email: row[config.ALL_KIDS_COLUMNS.EMAIL] || '',
-            headshot: row[config.ALL_KIDS_COLUMNS.HEADSHOT] || '',
-            note: row[config.ALL_KIDS_COLUMNS.NOTE] || '',
-            totalPoints: parseInt(row[config.ALL_KIDS_COLUMNS.TOTAL_POINTS] || '0', 10),
-            age: row[config.ALL_KIDS_COLUMNS.AGE] || '',
-            serviceTitle: row[config.ALL_KIDS_COLUMNS.SERVICE_TITLE] || ''
+            id: row[cols.ID] || '',
+            name: row[cols.NAME] || '',
+            parentName: row[cols.PARENT_NAME] || '',
+            email: row[cols.EMAIL] || '',
+            headshot: row[cols.HEADSHOT] || '',
+            note: row[cols.NOTE] || '',
+            totalPoints: pointsLedger.summaryFor(summaries, row[cols.ID]).totalPoints,
+            age: row[cols.AGE] || '',
+            serviceTitle: row[cols.SERVICE_TITLE] || ''
         }));
 
     console.log(`Fetched ${kids.length} kids for All Kids page (${source})`);
@@ -1668,12 +2206,33 @@ async function fetchAllKids(forceRefresh = false) {
 
 /**
  * Updates the note for a specific student in the "Child Names" sheet
+ * Goes through the write journal so notes written offline are not lost.
  * 
  * @param {string} studentId - The ID of the student
  * @param {string} note - The new note text
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Same key = same update (never written twice)
  * @returns {Promise<Object>} - Success status
  */
-async function updateStudentNote(studentId, note) {
+async function updateStudentNote(studentId, note, options = {}) {
+    const outcome = await writeJournal.run('updateStudentNote', { studentId, note }, {
+        idempotencyKey: options.idempotencyKey,
+        summary: `Note for ${studentId}`
+    });
+
+    if (outcome.queued) {
+        return { success: true, queued: true, journalId: outcome.entry.id };
+    }
+    return outcome.result;
+}
+
+/**
+ * Writes a student note to the Note column (X) of "Child Names" (journal handler)
+ *
+ * @param {Object} args - { studentId, note }
+ */
+async function writeStudentNote(args) {
+    const { studentId, note } = args;
     console.log(`Updating note for student ${studentId}...`);
 
     // 1. Fetch all students to find the row index
@@ -1683,15 +2242,17 @@ async function updateStudentNote(studentId, note) {
 
     try {
         const sheets = await getGoogleSheetsClient();
+        const cols = await columnResolver.getColumns(sheets, config.STUDENT_NAMES_SHEET);
+        const idColLetter = columnResolver.columnLetter(cols.ID);
 
-        // Fetch just Column A (IDs) to find the row
+        // Fetch just the ID column (normally A) to find the row
         const response = await sheets.spreadsheets.values.get({
             spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.STUDENT_NAMES_SHEET}!A:A`,
+            range: `${config.STUDENT_NAMES_SHEET}!${idColLetter}:${idColLetter}`,
         });
 
         const rows = response.data.values || [];
-        // Find row index where Column A matches studentId
+        // Find row index where the ID column matches studentId
         // rows[0] is header, so index 0 corresponds to Sheet Row 1.
 
         const rowIndex = rows.findIndex(row => row[0] && row[0].trim() === studentId.trim());
@@ -1702,7 +2263,7 @@ async function updateStudentNote(studentId, note) {
 
         // Sheet Row Number (1-based) = rowIndex + 1
         const sheetRow = rowIndex + 1;
-        const columnLetter = config.STUDENT_COLUMNS.NOTE; // 'X'
+        const columnLetter = columnResolver.columnLetter(cols.NOTE); // Normally 'X'
 
         // Update the specific cell
         await sheets.spreadsheets.values.update({
@@ -1714,8 +2275,8 @@ async function updateStudentNote(studentId, note) {
             }
         });
 
-        // Invalidate caches that might hold student data
-        studentsCache = null;
+        // Only the student list holds notes
+        cacheManager.invalidate('students');
 
         console.log(`✅ Updated note for student ${studentId} at row ${sheetRow}`);
         return { success: true };
@@ -1728,28 +2289,36 @@ async function updateStudentNote(studentId, note) {
 
 
 // ============================================================================
-// FUNCTION: Clear Cache
+// FUNCTION: Invalidate Cache
 // ============================================================================
 
 /**
- * Clears all cached data
- * Forces fresh fetch from Google Sheets on next request
+ * Marks cached datasets as out of date so they're fetched fresh next time.
+ * Prefer naming the datasets that changed; no argument refreshes everything.
  *
  * Use this when:
- * - You know data has changed in Google Sheets
- * - You want to force a refresh
+ * - You know data has changed directly in Google Sheets
  * - You're troubleshooting data issues
+ *
+ * @param {string|Array<string>} [datasets] - e.g. 'projectLog' or ['students', 'loginNames']
+ * @returns {Array<string>} - The datasets that were invalidated
+ */
+function invalidateCache(datasets) {
+    return cacheManager.invalidate(datasets);
+}
+
+/**
+ * Hit/miss counts and age of every cached dataset
+ */
+function getCacheStats() {
+    return cacheManager.getStats();
+}
+
+/**
+ * Names invalidateCache accepts (e.g. 'students', 'projectLog')
  */
-function clearCache() {
-    studentsCache = null;
-    progressCache = null;
-    loginNamesCache = null;
-    lastStudentsFetch = 0;
-    lastProgressFetch = 0;
-    lastLoginNamesFetch = 0;
-    instructorsCache = null;
-    lastInstructorsFetch = 0;
-    console.log('Cache cleared');
+function getCacheDatasetNames() {
+    return cacheManager.getDatasetNames();
 }
 
 
@@ -1761,87 +2330,250 @@ function clearCache() {
  * Fetches instructor credentials from "instructors" sheet
  *
  * @param {boolean} forceRefresh - If true, ignore cache
- * @returns {Promise<Array>} - Array of instructor objects {name, passcode}
+ * @returns {Promise<Array>} - Array of instructor objects { name, passcodeHash, role }
  */
 async function fetchInstructors(forceRefresh = false) {
-    const now = Date.now();
-
-    // Check cache
-    const cacheAge = now - lastInstructorsFetch;
-    if (!forceRefresh && instructorsCache && cacheAge < config.CACHE_DURATION) {
-        console.log('Returning cached instructor data');
-        return instructorsCache;
-    }
+    return cacheManager.get('instructors', loadInstructors, {
+        forceRefresh,
+        fallback: loadInstructorsOffline
+    });
+}
 
+async function loadInstructors() {
     try {
         console.log('Fetching instructor data from Google Sheets...');
         const sheets = await getGoogleSheetsClient();
 
-        // Fetch Columns A through I (Passcode is I)
-        // Range: "instructors!A:I"
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.INSTRUCTORS_SHEET}!A:I`,
-        });
-
-        const rows = response.data.values || [];
+        // Fetch Columns A through J (Passcode is I, Role is J), located by header text
+        const { rows, columns: cols } = await columnResolver.readSheet(sheets, config.INSTRUCTORS_SHEET);
 
         // Process rows
         const instructors = rows.slice(1) // Skip header
-            .filter(row => row[config.INSTRUCTOR_COLUMNS.NAME]) // Must have name
+            .filter(row => row[cols.NAME]) // Must have name
             .map(row => ({
-                name: row[config.INSTRUCTOR_COLUMNS.NAME].trim(),
-                passcode: row[config.INSTRUCTOR_COLUMNS.PASSCODE] ? row[config.INSTRUCTOR_COLUMNS.PASSCODE].trim() : ''
+                name: row[cols.NAME].trim(),
+                // Column I: kept only as a hash (plaintext is hashed here, see auth-service.js)
+                passcodeHash: authService.toHash(row[cols.PASSCODE]),
+                role: instructorRole(row[cols.ROLE])
             }));
 
-        // Update cache
-        instructorsCache = instructors;
-        lastInstructorsFetch = now;
-
         console.log(`Fetched ${instructors.length} instructors`);
         return instructors;
     } catch (error) {
         console.error('Error fetching instructors:', error.message);
-        // Try fallback to local master DB if available
-        if (instructorsCache) return instructorsCache;
-
-        // Try offline master DB as last resort
-        const localDB = getLocalMasterDB();
-        if (localDB && localDB.sheets && localDB.sheets[config.INSTRUCTORS_SHEET]) {
-            const rows = localDB.sheets[config.INSTRUCTORS_SHEET];
-            const instructors = rows.slice(1)
-                .filter(row => row[config.INSTRUCTOR_COLUMNS.NAME])
-                .map(row => ({
-                    name: row[config.INSTRUCTOR_COLUMNS.NAME].trim(),
-                    passcode: row[config.INSTRUCTOR_COLUMNS.PASSCODE] ? row[config.INSTRUCTOR_COLUMNS.PASSCODE].trim() : ''
-                }));
-            console.log('Returning instructors from local Master DB');
-            return instructors;
-        }
-
         throw error;
     }
 }
 
-// ============================================================================
-// FUNCTION: Mark Student Attendance
-// ============================================================================
+/**
+ * Column J "Role": "Admin" -> 'admin', anything else -> 'instructor'
+ */
+function instructorRole(value) {
+    return /^\s*admin/i.test(value || '') ? 'admin' : 'instructor';
+}
 
 /**
- * Marks a student as present (Checked In) in the Google Sheet
- * @param {number} rowIndex - The row index in the 'All Booking Info' sheet
- * @param {boolean} status - TRUE for present, FALSE for absent/unchecked
+ * Offline fallback for fetchInstructors (used only when nothing is cached)
  */
-async function markStudentAttendance(rowIndex, status) {
-    if (!rowIndex) throw new Error('Row Index is required');
+function loadInstructorsOffline(error) {
+    // Try offline master DB as last resort
+    const localDB = getLocalMasterDB();
+    if (localDB && localDB.sheets && localDB.sheets[config.INSTRUCTORS_SHEET]) {
+        const rows = localDB.sheets[config.INSTRUCTORS_SHEET];
+        const cols = columnResolver.resolveFromHeaderRow(config.INSTRUCTORS_SHEET, rows[0]);
+        const instructors = rows.slice(1)
+            .filter(row => row[cols.NAME])
+            .map(row => ({
+                name: row[cols.NAME].trim(),
+                passcodeHash: authService.toHash(row[cols.PASSCODE]),
+                role: instructorRole(row[cols.ROLE])
+            }));
+        console.log('Returning instructors from local Master DB');
+        return instructors;
+    }
 
-    try {
-        console.log(`Marking attendance for Row ${rowIndex}: ${status}`);
+    throw error;
+}
+
+/**
+ * Replaces plaintext passcodes in the instructors sheet (Column I) with their
+ * hashes, so the sheet (and the master DB copied from it) no longer holds
+ * them. Passcodes already hashed are left alone; logins work the same after.
+ *
+ * @returns {Promise<Object>} - { hashed: number of passcodes converted, names }
+ */
+async function hashInstructorPasscodes() {
+    const sheets = await getGoogleSheetsClient();
+    const { rows, columns: cols } = await columnResolver.readSheet(sheets, config.INSTRUCTORS_SHEET);
+    const passcodeLetter = columnResolver.columnLetter(cols.PASSCODE);
+
+    const updates = [];
+    const names = [];
+    rows.forEach((row, i) => {
+        if (i === 0 || !row[cols.NAME]) return; // Header, or not an instructor
+        const passcode = row[cols.PASSCODE] ? row[cols.PASSCODE].trim() : '';
+        if (!passcode || authService.isHashed(passcode)) return;
+        updates.push({ range: `${config.INSTRUCTORS_SHEET}!${passcodeLetter}${i + 1}`, values: [[authService.hashPasscode(passcode)]] });
+        names.push(row[cols.NAME].trim());
+    });
+
+    if (updates.length > 0) {
+        await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: config.SPREADSHEET_ID,
+            resource: {
+                valueInputOption: 'RAW', // Exactly as written (no formula parsing)
+                data: updates
+            }
+        });
+        cacheManager.invalidate('instructors');
+    }
+    console.log(`Hashed ${updates.length} instructor passcodes`);
+    return { hashed: updates.length, names };
+}
+
+// ============================================================================
+// HELPER: Row-Identity-Safe Writes
+// ============================================================================
+// Rows move: someone sorts the sheet or inserts a row between our read and our
+// write. So writes never trust a row number the client read earlier. They find
+// the row again by a stable key (Unique ID, Item ID, Student ID + Class Date)
+// right before writing, and refuse to write if the row no longer holds what
+// the client last saw ("expected").
+
+/**
+ * Builds the error a write throws when its row no longer matches.
+ * server.js answers it with 409 Conflict.
+ *
+ * @param {string} message
+ * @param {Object} details - { reason: 'missing' | 'changed' | 'ambiguous', ... }
+ * @returns {Error} - code 'ROW_CONFLICT'
+ */
+function rowConflictError(message, details) {
+    const error = new Error(message);
+    error.code = 'ROW_CONFLICT';
+    error.details = details;
+    return error;
+}
+
+/**
+ * Compares what the client last saw with what the row holds now.
+ * Only the fields the client sent are checked. "TRUE" and true are the same.
+ *
+ * @param {Object} current - { field: value } read just before the write
+ * @param {Object} [expected] - { field: value } the client last saw
+ * @returns {Array} - [{ field, expected, actual }] for every field that changed
+ */
+function findRowMismatches(current, expected) {
+    const normalize = value => String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+    return Object.keys(expected || {})
+        .filter(field => field in current && normalize(current[field]) !== normalize(expected[field]))
+        .map(field => ({ field, expected: expected[field], actual: current[field] === undefined ? '' : current[field] }));
+}
+
+/**
+ * Throws a ROW_CONFLICT when findRowMismatches() finds anything
+ */
+function assertRowUnchanged(current, expected, what, rowIndex) {
+    const mismatches = findRowMismatches(current, expected);
+    if (mismatches.length > 0) {
+        const fields = mismatches.map(m => `${m.field} is now "${m.actual}"`).join(', ');
+        throw rowConflictError(`${what} changed since you loaded it (${fields}). Reload and try again.`, {
+            reason: 'changed',
+            rowIndex,
+            mismatches
+        });
+    }
+}
+
+/**
+ * True when two class dates are the same day ("Jan 4, 2025" vs "1/4/2025")
+ */
+function isSameClassDate(a, b) {
+    const dateA = new Date(a);
+    const dateB = new Date(b);
+    if (isNaN(dateA.getTime()) || isNaN(dateB.getTime())) {
+        return String(a || '').trim() === String(b || '').trim();
+    }
+    return dateA.toDateString() === dateB.toDateString();
+}
+
+// ============================================================================
+// FUNCTION: Mark Student Attendance
+// ============================================================================
+
+/**
+ * Marks a student as present (Checked In) in the Google Sheet
+ *
+ * The booking row is found again by Student ID + Class Date when writing
+ * (never by a row number read earlier), so sorting the sheet can't make us
+ * tick the wrong child.
+ *
+ * @param {Object} booking - The booking as the client loaded it (fetchBookingInfo)
+ * @param {string} booking.studentId - Column O of 'All Booking Info'
+ * @param {string} booking.classDate - Column M
+ * @param {string} [booking.serviceTitle] - Narrows it down when the student has two classes that day
+ * @param {number} [booking.rowIndex] - Last resort tie-break between several bookings that day
+ * @param {boolean} status - TRUE for present, FALSE for absent/unchecked
+ * @param {Object} [options]
+ * @param {Object} [options.expected] - What the client last saw, e.g. { checkedIn: false }
+ * @returns {Promise<Object>} - { success, rowIndex, before: { serviceTitle, studentName, checkedIn } }
+ * @throws {Error} - code 'ROW_CONFLICT' when the booking is gone, ambiguous or changed
+ */
+async function markStudentAttendance(booking, status, options = {}) {
+    if (!booking || typeof booking !== 'object' || !booking.studentId || !booking.classDate) {
+        throw new Error('Student ID and Class Date are required');
+    }
+
+    try {
+        const studentId = String(booking.studentId).trim();
+        const serviceTitle = String(booking.serviceTitle || '').trim().toLowerCase();
+        console.log(`Marking attendance for ${studentId} on ${booking.classDate}: ${status}`);
         const sheets = await getGoogleSheetsClient();
 
-        // Update Column N (14th column, so index 13)
+        // 1. Find the booking row NOW (it may have moved since the client read it)
+        const { rows, columns: cols } = await columnResolver.readSheet(sheets, config.BOOKING_SHEET);
+        const matches = [];
+        rows.forEach((row, i) => {
+            if (i === 0) return; // Header
+            if (String(row[cols.STUDENT_ID] || '').trim() !== studentId) return;
+            if (!isSameClassDate(row[cols.CLASS_DATE], booking.classDate)) return;
+            if (serviceTitle && String(row[cols.SERVICE_TITLE] || '').trim().toLowerCase() !== serviceTitle) return;
+            matches.push(i + 1); // 1-based sheet row
+        });
+
+        if (matches.length === 0) {
+            throw rowConflictError(`No booking for ${studentId} on ${booking.classDate} any more. Reload and try again.`, {
+                reason: 'missing',
+                studentId,
+                classDate: booking.classDate
+            });
+        }
+
+        let rowIndex = matches[0];
+        if (matches.length > 1) {
+            rowIndex = matches.find(r => r === Number(booking.rowIndex));
+            if (!rowIndex) {
+                throw rowConflictError(`${studentId} has ${matches.length} bookings on ${booking.classDate}. Say which class (serviceTitle).`, {
+                    reason: 'ambiguous',
+                    studentId,
+                    classDate: booking.classDate,
+                    rowIndexes: matches
+                });
+            }
+        }
+
+        // 2. Still what the client saw?
+        const row = rows[rowIndex - 1];
+        const before = {
+            serviceTitle: row[cols.SERVICE_TITLE],
+            studentName: row[cols.STUDENT_NAME],
+            checkedIn: (row[cols.CHECKED_IN] || '').toString().toUpperCase() === 'TRUE'
+        };
+        assertRowUnchanged(before, options.expected, `${studentId}'s booking`, rowIndex);
+
+        // 3. Update the "Checked In" column (normally N)
         // Range: All Booking Info!N{rowIndex}
-        const range = `${config.BOOKING_SHEET}!N${rowIndex}`;
+        const range = `${config.BOOKING_SHEET}!${columnResolver.columnLetter(cols.CHECKED_IN)}${rowIndex}`;
         const value = status ? 'TRUE' : 'FALSE';
 
         await sheets.spreadsheets.values.update({
@@ -1854,17 +2586,15 @@ async function markStudentAttendance(rowIndex, status) {
         });
 
         // Invalidate cache so UI refreshes with new data
-        bookingCache = null;
-        lastBookingFetch = 0;
+        cacheManager.invalidate(['bookings', 'bookingHistory']);
 
-        return { success: true };
+        return { success: true, rowIndex, before };
     } catch (error) {
-        console.error('Error marking attendance:', error);
+        console.error('Error marking attendance:', error.message);
         throw error;
     }
 }
 
-
 // ============================================================================
 // FUNCTION: Fetch and Update Inventory
 // ============================================================================
@@ -1876,6 +2606,10 @@ async function markStudentAttendance(rowIndex, status) {
  * @returns {Promise<Object>} { items: [], kits: ['KIT1', 'KIT2'] }
  */
 async function fetchInventory(forceRefresh = false) {
+    return cacheManager.get('inventory', loadInventory, { forceRefresh });
+}
+
+async function loadInventory() {
     try {
         console.log('Fetching inventory...');
         const sheets = await getGoogleSheetsClient();
@@ -1889,6 +2623,7 @@ async function fetchInventory(forceRefresh = false) {
         if (rows.length === 0) return { items: [], kits: [] };
 
         const headers = rows[0];
+        const cols = columnResolver.resolveFromHeaderRow(config.INVENTORY_SHEET, headers);
         const kitColumns = {};
         // Also map update columns: kitName -> columnIndex
         const updateColumns = {};
@@ -1945,11 +2680,11 @@ async function fetchInventory(forceRefresh = false) {
         });
 
         // Fallback: If no kits detected by name, use the indices from config
-        // Assuming Columns G (6) to K (10) are kits if headers failed
+        // Assuming the 5 columns from KIT_START (normally G to K) are kits if headers failed
         if (Object.keys(kitColumns).length === 0) {
-            console.log('⚠️ No kits detected by name. Using fallback indices 6-10.');
-            // Check headers at 6,7,8,9,10
-            [6, 7, 8, 9, 10].forEach(idx => {
+            const kitStart = cols.KIT_START;
+            console.log(`⚠️ No kits detected by name. Using fallback indices ${kitStart}-${kitStart + 4}.`);
+            [0, 1, 2, 3, 4].map(offset => kitStart + offset).forEach(idx => {
                 if (headers[idx]) {
                     const inferredName = headers[idx];
                     // Only use if not excluded
@@ -1966,9 +2701,9 @@ async function fetchInventory(forceRefresh = false) {
 
         const items = rows.slice(1).map((row, rowIndex) => {
             const item = {
-                id: row[config.INVENTORY_COLUMNS.ID],
-                product: row[config.INVENTORY_COLUMNS.PRODUCT],
-                image: row[config.INVENTORY_COLUMNS.IMAGE],
+                id: row[cols.ID],
+                product: row[cols.PRODUCT],
+                image: row[cols.IMAGE],
                 stocks: {},
                 lastUpdated: {}, // New object to hold timestamps
                 rowIndex: rowIndex + 2
@@ -2002,21 +2737,59 @@ async function fetchInventory(forceRefresh = false) {
 
 /**
  * Updates the inventory status for a specific item and kit
+ * Goes through the write journal so stock checks made offline are not lost.
+ * The row is found by Item ID when writing (fetchInventory's rowIndex is never used).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Same key = same update (never written twice)
+ * @param {Object} [options.expected] - What the client last saw, e.g. { status: 'Full', product: 'Servo Motor' }
+ * @returns {Promise<Object>} - { success, before?: { product, status }, queued? }
+ * @throws {Error} - code 'ROW_CONFLICT' when the item's row no longer matches
  */
-async function updateInventory(itemId, kitName, newStatus, userEmail) {
+async function updateInventory(itemId, kitName, newStatus, userEmail, options = {}) {
+    const outcome = await writeJournal.run('updateInventory', {
+        itemId,
+        kitName,
+        newStatus,
+        userEmail,
+        expected: options.expected || null,
+        loggedAt: new Date().toLocaleString()
+    }, {
+        idempotencyKey: options.idempotencyKey,
+        summary: `Inventory ${itemId} in ${kitName} -> ${newStatus}`
+    });
+
+    if (outcome.queued) {
+        return { success: true, queued: true, journalId: outcome.entry.id };
+    }
+    return outcome.result;
+}
+
+/**
+ * Writes an inventory status change to the inventory sheet (journal handler)
+ * A queued update is checked against "expected" when it replays, too.
+ *
+ * @param {Object} args - { itemId, kitName, newStatus, userEmail, expected, loggedAt }
+ */
+async function writeInventoryUpdate(args) {
+    const { itemId, kitName, newStatus, userEmail } = args;
+    const loggedAt = args.loggedAt || new Date().toLocaleString();
     try {
         console.log(`Updating ${itemId} in ${kitName} to '${newStatus}' by ${userEmail}`);
         const sheets = await getGoogleSheetsClient();
 
-        const headerRes = await sheets.spreadsheets.values.get({
+        // Headers and rows in ONE read, so the row we check is the row we write
+        const sheetRes = await sheets.spreadsheets.values.get({
             spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.INVENTORY_SHEET}!A1:Z1`,
+            range: `${config.INVENTORY_SHEET}!A:Z`,
         });
 
-        if (!headerRes.data.values || headerRes.data.values.length === 0) {
+        const sheetRows = sheetRes.data.values || [];
+        if (sheetRows.length === 0) {
             throw new Error("Could not read headers from Inventory sheet.");
         }
-        const headers = headerRes.data.values[0];
+        const headers = sheetRows[0];
+        const cols = columnResolver.resolveFromHeaderRow(config.INVENTORY_SHEET, headers);
         let kitColIndex = -1;
         let updateColIndex = -1;
 
@@ -2031,15 +2804,11 @@ async function updateInventory(itemId, kitName, newStatus, userEmail) {
 
         if (kitColIndex === -1) throw new Error(`Kit '${kitName}' not found in headers`);
 
-        const idRes = await sheets.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.INVENTORY_SHEET}!A:A`,
-        });
-        const idRows = idRes.data.values || [];
+        const getColLetter = columnResolver.columnLetter;
         let targetRowIndex = -1;
 
-        for (let i = 0; i < idRows.length; i++) {
-            if (idRows[i][0] === itemId) {
+        for (let i = 1; i < sheetRows.length; i++) {
+            if (sheetRows[i][cols.ID] === itemId) {
                 targetRowIndex = i + 1;
                 break;
             }
@@ -2047,19 +2816,17 @@ async function updateInventory(itemId, kitName, newStatus, userEmail) {
 
         if (targetRowIndex === -1) throw new Error('Item ID not found');
 
-        const getColLetter = (n) => {
-            let letters = '';
-            let temp = n;
-            while (temp >= 0) {
-                letters = String.fromCharCode(65 + (temp % 26)) + letters;
-                temp = Math.floor(temp / 26) - 1;
-            }
-            return letters;
+        // Still what the client saw?
+        const targetRow = sheetRows[targetRowIndex - 1];
+        const before = {
+            product: targetRow[cols.PRODUCT] || '',
+            status: targetRow[kitColIndex] || ''
         };
+        assertRowUnchanged(before, args.expected, `${itemId} in ${kitName}`, targetRowIndex);
 
         const kitColLetter = getColLetter(kitColIndex);
-        const logTimeColLetter = getColLetter(config.INVENTORY_COLUMNS.LAST_LOG_TIME);
-        const logUserColLetter = getColLetter(config.INVENTORY_COLUMNS.LAST_LOG_USER);
+        const logTimeColLetter = getColLetter(cols.LAST_LOG_TIME);
+        const logUserColLetter = getColLetter(cols.LAST_LOG_USER);
 
         const updates = [
             {
@@ -2068,7 +2835,7 @@ async function updateInventory(itemId, kitName, newStatus, userEmail) {
             },
             {
                 range: `${config.INVENTORY_SHEET}!${logTimeColLetter}${targetRowIndex}`,
-                values: [[new Date().toLocaleString()]]
+                values: [[loggedAt]]
             },
             {
                 range: `${config.INVENTORY_SHEET}!${logUserColLetter}${targetRowIndex}`,
@@ -2081,7 +2848,7 @@ async function updateInventory(itemId, kitName, newStatus, userEmail) {
             const updateColLetter = getColLetter(updateColIndex);
             updates.push({
                 range: `${config.INVENTORY_SHEET}!${updateColLetter}${targetRowIndex}`,
-                values: [[new Date().toLocaleString()]] // Use nice readable format
+                values: [[loggedAt]] // Use nice readable format
             });
             console.log(`Writing per-kit timestamp to column ${updateColLetter}`);
         } else {
@@ -2097,7 +2864,8 @@ async function updateInventory(itemId, kitName, newStatus, userEmail) {
         });
 
         console.log('Inventory update successful');
-        return { success: true };
+        cacheManager.invalidate('inventory');
+        return { success: true, before };
 
     } catch (error) {
         console.error('Inventory update failed:', error);
@@ -2106,84 +2874,221 @@ async function updateInventory(itemId, kitName, newStatus, userEmail) {
 }
 
 // ============================================================================
-// FUNCTION: Get Leaderboard Data
+// FUNCTION: Points Ledger (see points-ledger-service.js)
 // ============================================================================
 
 /**
- * Fetches rankings for the leaderboard
- * Calculates points from Project Log based on All Time, Month, and Week
- * Subtracts Redemptions to calculate Current Balance
+ * Every earn (Project Log), spend (redemptions) and manual adjustment as one
+ * list of transactions, plus the totals per student worked out from it.
+ *
+ * @param {boolean} forceRefresh - If true, re-read the Project Log and redemptions
+ * @returns {Promise<Object>} - { transactions, summaries: Map<studentId, totals> }
+ */
+async function getPointsLedger(forceRefresh = false) {
+    const [projectLog, allRedemptions, allAdjustments] = await Promise.all([
+        fetchProjectLog(forceRefresh),
+        fetchAllRedemptions(forceRefresh), // Includes ones still queued offline
+        fetchAllPointsAdjustments(forceRefresh) // Same
+    ]);
+    const transactions = pointsLedger.buildTransactions({
+        projectLog,
+        redemptions: allRedemptions,
+        adjustments: allAdjustments
+    });
+    return { transactions, summaries: pointsLedger.summarize(transactions) };
+}
+
+/**
+ * One student's ledger: their transactions (newest first) and totals
+ *
+ * @param {string} studentId
+ * @param {boolean} forceRefresh
+ * @returns {Promise<Object>} - { studentId, name, sheetTotal, transactions, earned, spent, adjusted, totalPoints, balance, weeklyPoints, monthlyPoints }
+ */
+async function getStudentPointsLedger(studentId, forceRefresh = false) {
+    const id = String(studentId || '').trim();
+    const [students, ledger] = await Promise.all([fetchStudents(forceRefresh), getPointsLedger(forceRefresh)]);
+    const student = students.find(s => s.id === id);
+
+    return {
+        studentId: id,
+        name: student ? student.name : '',
+        sheetTotal: student ? student.sheetTotalPoints : null, // Column AH, for comparison
+        ...pointsLedger.summaryFor(ledger.summaries, id),
+        transactions: ledger.transactions.filter(tx => tx.studentId === id).reverse()
+    };
+}
+
+/**
+ * Manual points adjustments from the adjustments tab (POINTS_ADJUSTMENTS_SHEET)
+ *
+ * @param {boolean} forceRefresh - If true, ignore cache
+ * @returns {Promise<Array>} - { id, at, studentId, studentName, points, reason, instructor }
  */
-async function getLeaderboard(forceRefresh = false) {
+async function fetchPointsAdjustments(forceRefresh = false) {
+    return cacheManager.get('pointsAdjustments', loadPointsAdjustments, { forceRefresh, fallback: () => [] });
+}
+
+async function loadPointsAdjustments() {
     try {
-        console.log('Fetching leaderboard data...');
+        const client = await getGoogleSheetsClient();
+        const { rows, columns: cols } = await columnResolver.readSheet(client, config.POINTS_ADJUSTMENTS_SHEET);
+        if (rows.length < 2) return [];
 
-        // 1. Get Base Student Data (ID, Name, Headshot)
-        const students = await fetchStudents(forceRefresh);
+        return rows.slice(1)
+            .map((row, i) => ({
+                id: row[cols.ADJUSTMENT_ID] || `row${i + 2}`, // Rows typed in by hand may have no ID
+                at: row[cols.TIMESTAMP] || '',
+                studentId: (row[cols.STUDENT_ID] || '').trim(),
+                studentName: row[cols.STUDENT_NAME] || '',
+                points: pointsLedger.parsePoints(row[cols.POINTS]),
+                reason: row[cols.REASON] || '',
+                instructor: row[cols.INSTRUCTOR] || ''
+            }))
+            .filter(adjustment => adjustment.studentId && adjustment.points !== 0);
+    } catch (error) {
+        console.error(`Error fetching points adjustments from "${config.POINTS_ADJUSTMENTS_SHEET}" (missing tab? see GET /api/admin/schema):`, error.message);
+        throw error;
+    }
+}
 
-        // 2. Parallel Fetch: Project Log (Earnings) AND Redemptions (Spending)
-        const [projectLog, redemptions] = await Promise.all([
-            fetchProjectLog(forceRefresh),
-            fetchRedemptions()
-        ]);
+/**
+ * Adjustments still waiting in the write journal (made while offline)
+ */
+function queuedPointsAdjustments() {
+    return writeJournal.getJournal({ status: ['pending', 'applying'], limit: Infinity }).entries
+        .filter(e => e.operation === 'addPointsAdjustment')
+        .reverse()
+        .map(({ args }) => ({ ...args.adjustment, studentName: args.studentName, queued: true }));
+}
 
-        // 3. Initialize Points Map
-        // Map<StudentID, { total, monthly, weekly, spent }>
-        const pointsMap = new Map();
+/**
+ * Sheet rows + ones still queued offline (a queued one already on the sheet counts once)
+ */
+async function fetchAllPointsAdjustments(forceRefresh = false) {
+    const written = await fetchPointsAdjustments(forceRefresh);
+    const writtenIds = new Set(written.map(a => a.id));
+    return written.concat(queuedPointsAdjustments().filter(a => !writtenIds.has(a.id)));
+}
 
-        // Initialize all students with 0 points
-        students.forEach(s => {
-            // Use ID from Column A
-            if (s.id) {
-                pointsMap.set(s.id, { total: 0, monthly: 0, weekly: 0, spent: 0 });
-            }
-        });
+/**
+ * Appends an adjustment row to the adjustments tab (journal handler)
+ *
+ * @param {Object} args - { adjustment: { id, at, studentId, points, reason, instructor }, studentName }
+ * @param {boolean} checkExisting - If true, skip the append when the row already exists
+ */
+async function appendPointsAdjustment(args, checkExisting = false) {
+    const { adjustment, studentName } = args;
+    const client = await getGoogleSheetsClient();
+
+    // Replay safety: same Adjustment ID means a previous attempt already landed
+    if (checkExisting) {
+        const existing = await fetchPointsAdjustments(true);
+        if (existing.some(a => a.id === adjustment.id)) {
+            console.log(`[JOURNAL] Points adjustment ${adjustment.id} already recorded. Skipping append.`);
+            return true;
+        }
+    }
 
-        // 4. Calculate Earnings (Projects)
-        const now = new Date();
-        const thirtyDaysAgo = new Date(now);
-        thirtyDaysAgo.setDate(now.getDate() - 30);
-        const sevenDaysAgo = new Date(now);
-        sevenDaysAgo.setDate(now.getDate() - 7);
-
-        projectLog.forEach(project => {
-            const sid = project.studentId;
-            const points = parseInt(project.points || '0', 10);
-            const dateStr = project.date; // Column B
-
-            if (!sid || isNaN(points)) return;
-
-            // Ensure student entry exists (in case of legacy/unmapped IDs, or create on fly?)
-            // For now, only track if we have the student in our base list, or create entry if missing?
-            // Better to only track if in map to avoid ghosts
-            if (!pointsMap.has(sid)) return;
-
-            const stats = pointsMap.get(sid);
-            stats.total += points;
-
-            if (dateStr) {
-                const pDate = new Date(dateStr);
-                if (!isNaN(pDate.getTime())) {
-                    if (pDate >= thirtyDaysAgo) stats.monthly += points;
-                    if (pDate >= sevenDaysAgo) stats.weekly += points;
-                }
-            }
-        });
+    const cols = await columnResolver.getColumns(client, config.POINTS_ADJUSTMENTS_SHEET);
+    const row = new Array(Math.max(...Object.values(cols)) + 1).fill('');
+    row[cols.TIMESTAMP] = adjustment.at;
+    row[cols.STUDENT_ID] = adjustment.studentId;
+    row[cols.STUDENT_NAME] = studentName || '';
+    row[cols.POINTS] = String(adjustment.points);
+    row[cols.REASON] = adjustment.reason;
+    row[cols.INSTRUCTOR] = adjustment.instructor;
+    row[cols.ADJUSTMENT_ID] = adjustment.id;
+
+    await client.spreadsheets.values.append({
+        spreadsheetId: config.SPREADSHEET_ID,
+        range: `${columnResolver.quoteSheetName(config.POINTS_ADJUSTMENTS_SHEET)}!A:A`,
+        valueInputOption: 'RAW', // The reason is free text: never a formula
+        resource: { values: [row] }
+    });
 
-        // 5. Calculate Spending (Redemptions)
-        redemptions.forEach(r => {
-            const sid = r.studentId;
-            const cost = r.pointsCost;
+    // Refresh so balances update immediately
+    cacheManager.invalidate('pointsAdjustments');
+    return true;
+}
 
-            if (sid && !isNaN(cost) && pointsMap.has(sid)) {
-                pointsMap.get(sid).spent += cost;
-            }
-        });
+/**
+ * Adds or takes away points by hand (bonus, correction). The reason and the
+ * instructor are kept with the transaction, as a row on the adjustments tab
+ * (through the write journal, so it isn't lost offline).
+ *
+ * @param {string} studentId
+ * @param {number} points - Positive or negative whole number
+ * @param {string} reason
+ * @param {string} instructorName - The logged-in instructor
+ * @returns {Promise<Object>} - { success, adjustment, balance, queued }
+ */
+async function addPointsAdjustment(studentId, points, reason, instructorName = 'Instructor') {
+    const id = String(studentId || '').trim();
+    const adjustment = pointsLedger.createAdjustment({ studentId: id, points, reason, instructor: instructorName });
+    const students = await fetchStudents();
+    const student = students.find(s => s.id === id);
+    if (!student) {
+        throw new Error(`Student not found: ${id}`);
+    }
+
+    const { queued } = await writeJournal.run('addPointsAdjustment', { adjustment, studentName: student.name }, {
+        summary: `${adjustment.points > 0 ? '+' : ''}${adjustment.points} points for ${student.name}: ${adjustment.reason}`
+    });
+    console.log(`🪙 ${adjustment.points > 0 ? '+' : ''}${adjustment.points} points for ${id} by ${adjustment.instructor}: ${adjustment.reason}${queued ? ' (queued)' : ''}`);
+
+    const ledger = await getPointsLedger();
+    return { success: true, adjustment, balance: pointsLedger.summaryFor(ledger.summaries, id).balance, queued };
+}
+
+/**
+ * Students whose "Total Points" (Child Names Column AH) doesn't match the ledger
+ *
+ * @param {boolean} forceRefresh
+ * @returns {Promise<Object>} - { checkedAt, checked, matching, mismatches }
+ */
+async function reconcilePoints(forceRefresh = false) {
+    const [students, ledger] = await Promise.all([fetchStudents(forceRefresh), getPointsLedger(forceRefresh)]);
+    return pointsLedger.reconcile(students, ledger.summaries);
+}
+
+// ============================================================================
+// FUNCTION: Get Leaderboard Data
+// ============================================================================
 
-        // 6. Merge Data
-        const leaderboard = students.map(s => {
-            const stats = pointsMap.get(s.id) || { total: 0, monthly: 0, weekly: 0, spent: 0 };
-            const balance = stats.total - stats.spent;
+/**
+ * Fetches rankings for the leaderboard
+ * All numbers come from the points ledger: lifetime, last 30 days and last
+ * 7 days earned (plus manual adjustments), and the balance left after redemptions
+ *
+ * @param {boolean} forceRefresh
+ * @param {Object} [scope] - leaderboardService.parseScope() result:
+ *        { serviceTitle, track, ageBand, activeOnly, season }
+ *        With a season, entries also have seasonPoints and are ranked by them
+ *        (archived seasons return their saved final standings, with finalRank)
+ * @returns {Promise<Array>}
+ * @throws {Error} - "Season not found: ..."
+ */
+async function getLeaderboard(forceRefresh = false, scope = {}) {
+    try {
+        console.log('Fetching leaderboard data...');
+
+        const season = scope.season ? leaderboardService.findSeason(scope.season) : null;
+        if (scope.season && !season) {
+            throw new Error(`Season not found: ${scope.season}`);
+        }
+
+        // 1. Base student data (ID, Name, Headshot) + the ledger
+        // IDs that aren't on Child Names are left out (no ghosts)
+        const [students, ledger] = await Promise.all([
+            fetchStudents(forceRefresh),
+            getPointsLedger(forceRefresh)
+        ]);
+        const badges = badgeService.getAllAwards();
+
+        // 2. Merge Data
+        let leaderboard = students.map(s => {
+            const stats = pointsLedger.summaryFor(ledger.summaries, s.id);
 
             return {
                 id: s.id,
@@ -2191,18 +3096,36 @@ async function getLeaderboard(forceRefresh = false) {
                 headshot: s.headshot,
                 email: s.email,
                 isActive: s.isActive,
-                totalPoints: stats.total,       // Lifetime Earned
-                monthlyPoints: stats.monthly,
-                weeklyPoints: stats.weekly,
+                serviceTitle: s.serviceTitle,
+                track: s.track,
+                age: s.age,
+                totalPoints: stats.totalPoints, // Lifetime Earned (+ adjustments)
+                monthlyPoints: stats.monthlyPoints,
+                weeklyPoints: stats.weeklyPoints,
                 spentPoints: stats.spent,       // Lifetime Spent
-                currentBalance: balance         // Redeemable
+                currentBalance: stats.balance,  // Redeemable
+                badges: (badges.get(s.id) || []).map(b => ({ id: b.id, icon: b.icon, name: b.name }))
             };
         });
 
-        // Sort by total points (lifetime achievement) or balance?
-        // Usually leaderboard is by Achievement (Total), but spending shouldn't lower your rank.
-        // So keeping sort by totalPoints is correct.
-        leaderboard.sort((a, b) => b.totalPoints - a.totalPoints);
+        // 3. Season points: saved final standings once archived, worked out live before that
+        if (season && season.standings) {
+            const live = new Map(leaderboard.map(entry => [entry.id, entry]));
+            leaderboard = season.standings.map(final => ({ ...(live.get(final.id) || {}), ...final }));
+        } else if (season) {
+            const { from, to } = leaderboardService.seasonWindow(season);
+            const seasonTotals = pointsLedger.pointsBetween(ledger.transactions, from, to);
+            leaderboard.forEach(entry => {
+                entry.seasonPoints = seasonTotals.get(entry.id) || 0;
+            });
+        }
+
+        // 4. Class / track / age band / active only
+        leaderboard = leaderboard.filter(entry => leaderboardService.matchesScope(entry, scope));
+
+        // Sorted by lifetime achievement (spending shouldn't lower your rank), or by season points
+        const rankBy = season ? 'seasonPoints' : 'totalPoints';
+        leaderboard.sort((a, b) => (b[rankBy] || 0) - (a[rankBy] || 0));
 
         console.log(`Generated leaderboard with ${leaderboard.length} entries`);
         return leaderboard;
@@ -2213,14 +3136,123 @@ async function getLeaderboard(forceRefresh = false) {
     }
 }
 
+/**
+ * Saves a season's final standings (everyone, ranked by season points) so they
+ * don't change afterwards. The season must have ended.
+ *
+ * @param {string} seasonId
+ * @param {string} instructorName
+ * @returns {Promise<Object>} - The archived season (without standings)
+ */
+async function archiveSeasonStandings(seasonId, instructorName = 'Instructor') {
+    const season = leaderboardService.findSeason(seasonId);
+    if (!season) throw new Error(`Season not found: ${seasonId}`);
+    if (leaderboardService.seasonState(season) !== 'ended') {
+        // Let archiveSeason explain (not ended yet / already archived)
+        return leaderboardService.archiveSeason(season.id, [], instructorName);
+    }
+
+    const board = await getLeaderboard(true, { season: season.id });
+    const standings = board.map((entry, i) => ({
+        id: entry.id,
+        name: entry.name,
+        seasonPoints: entry.seasonPoints,
+        finalRank: i + 1,
+        serviceTitle: entry.serviceTitle,
+        track: entry.track,
+        age: entry.age,
+        isActive: entry.isActive
+    }));
+
+    console.log(`🏁 Archiving season "${season.name}" (${standings.length} students) by ${instructorName}`);
+    return leaderboardService.archiveSeason(season.id, standings, instructorName);
+}
+
+// ============================================================================
+// FUNCTION: Achievement Badges
+// ============================================================================
+
+/**
+ * Checks a student's completed projects and attended classes against the badge
+ * rules and stores any badge they've just earned (see badge-service.js).
+ *
+ * @param {string} studentId
+ * @param {boolean} forceRefresh
+ * @returns {Promise<Object>} - { studentId, badges (every badge they have), newBadges (just awarded) }
+ */
+async function checkBadges(studentId, forceRefresh = false) {
+    const id = String(studentId || '').trim();
+    if (!id) throw new Error('Student ID is required');
+
+    const [projectLog, projectList, bookings] = await Promise.all([
+        fetchProjectLog(forceRefresh),
+        fetchProjectList(forceRefresh),
+        fetchBookingHistory(forceRefresh)
+    ]);
+
+    const projects = projectLog
+        .filter(p => String(p.studentId || '').trim() === id && curriculum.statusOf(p) === 'completed')
+        .map(p => {
+            const info = projectList.get(String(p.projectName || '').trim().toUpperCase());
+            return {
+                projectType: p.projectType,
+                category: info ? info.category : '',
+                rating: p.rating,
+                date: p.completedDate || p.date
+            };
+        });
+    const attended = bookings
+        .filter(b => b.studentId.toUpperCase() === id.toUpperCase() && b.checkedIn)
+        .map(b => b.classDate);
+
+    const newBadges = badgeService.recordAwards(id, badgeService.evaluate({ projects, attended }));
+    if (newBadges.length > 0) {
+        console.log(`🏅 ${id} earned: ${newBadges.map(b => b.name).join(', ')}`);
+    }
+    return { studentId: id, badges: badgeService.getAwards(id), newBadges };
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
 /**
  * Assigns a new project to a student
+ * Goes through the write journal so the assignment survives an internet outage.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Same key = same assignment (never written twice)
+ * @returns {Promise<Object>} - { success, uniqueId, queued? }
  */
-async function assignProject(studentId, projectCode, instructorName) {
+async function assignProject(studentId, projectCode, instructorName, options = {}) {
+    // Generate the row ID up front so a replay writes the SAME row ID
+    const uniqueId = Math.random().toString(36).substring(2, 10).toUpperCase(); // 8 char unique ID
+
+    const outcome = await writeJournal.run('assignProject', {
+        studentId,
+        projectCode,
+        instructorName,
+        uniqueId,
+        assignedAt: new Date().toISOString()
+    }, {
+        idempotencyKey: options.idempotencyKey,
+        summary: `Assign ${projectCode} to ${studentId}`
+    });
+
+    if (outcome.queued) {
+        return { success: true, queued: true, uniqueId: outcome.entry.args.uniqueId, journalId: outcome.entry.id };
+    }
+    return outcome.result;
+}
+
+/**
+ * Writes a project assignment row to the Project Log (journal handler)
+ *
+ * @param {Object} args - { studentId, projectCode, instructorName, uniqueId, assignedAt }
+ * @param {boolean} checkExisting - If true, skip the append when the row ID already exists
+ */
+async function appendProjectAssignment(args, checkExisting = false) {
+    const { studentId, projectCode, instructorName, uniqueId } = args;
     console.log(`Assigning Project ${projectCode} to Student ${studentId}`);
 
     // 1. Get Student Data
@@ -2242,10 +3274,59 @@ async function assignProject(studentId, projectCode, instructorName) {
     }
 
     // 3. Prepare Row Data
-    const uniqueId = Math.random().toString(36).substring(2, 10).toUpperCase(); // 8 char unique ID
+    // (use the time the instructor assigned it, not the replay time)
+    const now = args.assignedAt ? new Date(args.assignedAt) : new Date();
+
+    const sheets = await getGoogleSheetsClient();
+    const cols = await columnResolver.getColumns(sheets, config.PROGRESS_SHEET);
+    const rowValues = buildAssignmentRow(cols, student, projectCode, uniqueId, instructorName, now);
 
+    // 4. Append to Sheet
+    const idColLetter = columnResolver.columnLetter(cols.ID);
+
+    // Replay safety: if a previous attempt already wrote this row, don't write it again
+    if (checkExisting) {
+        const idRes = await sheets.spreadsheets.values.get({
+            spreadsheetId: config.SPREADSHEET_ID,
+            range: `${config.PROGRESS_SHEET}!${idColLetter}:${idColLetter}`,
+        });
+        const alreadyWritten = (idRes.data.values || []).some(row => row[0] === uniqueId);
+        if (alreadyWritten) {
+            console.log(`[JOURNAL] Assignment ${uniqueId} already in Project Log. Skipping append.`);
+            return { success: true, uniqueId };
+        }
+    }
+
+    const response = await sheets.spreadsheets.values.append({
+        spreadsheetId: config.SPREADSHEET_ID,
+        range: `${config.PROGRESS_SHEET}!A:A`, // Force append to Col A, avoids appending to far right
+        valueInputOption: 'USER_ENTERED',
+        resource: {
+            values: [rowValues]
+        }
+    });
+
+    const updatedRange = response.data.updates.updatedRange; // e.g., "'Project Log'!A100:W100"
+    console.log(`Successfully assigned project ${projectName} (ID: ${uniqueId})`);
+    console.log(`[SPREADSHEET UPDATE] Written to: ${updatedRange}`);
+    cacheManager.invalidate('projectLog');
+
+    return { success: true, uniqueId };
+}
+
+/**
+ * Builds one "Assigned" Project Log row (0-indexed, positions come from the live headers)
+ *
+ * @param {Object} cols - columnResolver.getColumns() result for the Project Log
+ * @param {Object} student - fetchStudents() entry
+ * @param {string} projectCode - e.g. PROJ101
+ * @param {string} uniqueId - Column A row ID
+ * @param {string} instructorName - Goes to "Last Edited by"
+ * @param {Date} now - When the instructor assigned it
+ * @returns {Array} - Row values
+ */
+function buildAssignmentRow(cols, student, projectCode, uniqueId, instructorName, now) {
     // Date Format: mm/dd/yyyy
-    const now = new Date();
     const date = now.toLocaleDateString('en-US', {
         year: 'numeric',
         month: '2-digit',
@@ -2255,40 +3336,238 @@ async function assignProject(studentId, projectCode, instructorName) {
     // Timestamp Format: M/d/yyyy H:mm:ss (Approximate, using locale)
     const timestamp = now.toLocaleString('en-US', { hour12: false }).replace(',', '');
 
-    // Construct Row (0-indexed)
-    // A=0, B=1, ... V=21, W=22
-    const rowValues = new Array(23).fill('');
+    // Normally A=0, B=1, ... V=21, W=22
+    const rowValues = new Array(Math.max(cols.LAST_EDITED_BY, cols.LAST_EDITED_TIME) + 1).fill('');
 
-    rowValues[0] = uniqueId;                    // Col A: Unique ID
-    rowValues[1] = date;                        // Col B: Date
-    rowValues[2] = student.id;                  // Col C: SID
-    rowValues[3] = student.id.includes('@') ? student.id : ''; // Col D: Email (Best effort)
-    rowValues[4] = student.name;                // Col E: Student Name
+    rowValues[cols.ID] = uniqueId;                  // Col A: Unique ID
+    rowValues[cols.DATE] = date;                    // Col B: Date
+    rowValues[cols.SID] = student.id;               // Col C: SID
+    rowValues[cols.STUDENT_EMAIL] = student.id.includes('@') ? student.id : ''; // Col D: Email (Best effort)
+    rowValues[cols.STUDENT_NAME] = student.name;    // Col E: Student Name
 
-    rowValues[7] = 'Web App';                   // Col H: Assign Type
-    rowValues[8] = projectCode;                 // Col I: Project Code (Requirement: PROJxxx)
-    rowValues[9] = 'Assigned';                  // Col J: Project Status
+    rowValues[cols.ASSIGN_TYPE] = 'Web App';        // Col H: Assign Type
+    rowValues[cols.PROJECT_NAME] = projectCode;     // Col I: Project Code (Requirement: PROJxxx)
+    rowValues[cols.PROJECT_STATUS] = 'Assigned';    // Col J: Project Status
 
-    rowValues[21] = instructorName;             // Col V: Last Edited by
-    rowValues[22] = timestamp;                  // Col W: Last Edited time
+    rowValues[cols.LAST_EDITED_BY] = instructorName;  // Col V: Last Edited by
+    rowValues[cols.LAST_EDITED_TIME] = timestamp;     // Col W: Last Edited time
+
+    return rowValues;
+}
+
+// ============================================================================
+// FUNCTION: Bulk Project Assignment
+// ============================================================================
+
+/**
+ * Project Log rows still waiting in the write journal (offline, or being sent),
+ * in the same shape as fetchProjectLog() entries
+ */
+function queuedProjectEntries() {
+    return writeJournal.getJournal({ status: ['pending', 'applying'], limit: Infinity }).entries
+        .reverse()
+        .flatMap(({ operation, args }) => {
+            if (operation === 'assignProject') {
+                return [{ uniqueId: args.uniqueId, studentId: args.studentId, projectName: args.projectCode, projectStatus: 'Assigned', queued: true }];
+            }
+            if (operation === 'assignProjectBulk') {
+                return args.rows.map(row => ({ uniqueId: row.uniqueId, studentId: row.studentId, projectName: row.projectCode, projectStatus: 'Assigned', queued: true }));
+            }
+            if (operation === 'markProjectComplete') {
+                return [{ uniqueId: args.uniqueId, studentId: args.studentId, projectName: args.projectCode, projectStatus: args.status, queued: true }];
+            }
+            return [];
+        });
+}
+
+/**
+ * Assigns a project to a whole class at once, in ONE Project Log append.
+ * Students who already have the project (Assigned, In Progress, Next or
+ * Completed) are skipped, so running it twice is harmless. Assignments and
+ * completions still queued in the write journal count too.
+ *
+ * Pick the students with studentIds, or with serviceTitle (everyone booked
+ * today for that class, from fetchEnrichedBookingInfo). Pick the project with
+ * projectCode (same for everyone) or rule: 'nextInTrack' (each student's next
+ * project in their curriculum track).
+ *
+ * @param {Object} request
+ * @param {Array<string>} [request.studentIds]
+ * @param {string} [request.serviceTitle]
+ * @param {string} [request.projectCode]
+ * @param {string} [request.rule] - 'nextInTrack'
+ * @param {string} instructorName
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Same key = same bulk assignment (never written twice)
+ * @returns {Promise<Object>} - {
+ *   success, queued?, journalId?, assigned, skipped, failed,
+ *   results: [{ studentId, studentName, projectCode, status: 'assigned' | 'skipped' | 'failed', reason, uniqueId? }]
+ * }
+ */
+async function assignProjectBulk(request, instructorName, options = {}) {
+    const projectCode = request.projectCode ? String(request.projectCode).trim().toUpperCase() : '';
+    const useTrack = request.rule === 'nextInTrack';
+    if (!projectCode && !useTrack) {
+        throw new Error('Give a projectCode or rule: "nextInTrack"');
+    }
+
+    // 1. Who?
+    let studentIds = (request.studentIds || []).map(id => String(id).trim()).filter(Boolean);
+    if (request.serviceTitle) {
+        const title = String(request.serviceTitle).trim().toLowerCase();
+        const booked = await fetchEnrichedBookingInfo();
+        studentIds = studentIds.concat(booked
+            .filter(b => String(b.serviceTitle || '').trim().toLowerCase() === title)
+            .map(b => String(b.studentId || '').trim())
+            .filter(Boolean));
+    }
+    studentIds = Array.from(new Set(studentIds));
+    if (studentIds.length === 0) {
+        throw new Error('No students to assign');
+    }
+
+    // 2. What do they already have?
+    const [students, projectLog, projectsMap, { tracks }] = await Promise.all([
+        fetchStudents(),
+        fetchProjectLog(),
+        fetchProjectList(),
+        useTrack ? getCurriculumTracks() : Promise.resolve({ tracks: [] })
+    ]);
+    if (projectCode && !projectsMap.has(projectCode)) {
+        throw new Error(`Project not found with Code: ${projectCode}`);
+    }
+    // The cached log can't see writes that haven't reached the sheet yet
+    const logEntries = projectLog.concat(queuedProjectEntries());
+    const studentMap = new Map(students.map(s => [s.id, s]));
+    const projectNameOf = code => {
+        const info = projectsMap.get(code);
+        return info && typeof info === 'object' ? info.name : (info || '');
+    };
+
+    // 3. Work out every student's row (or why they get none)
+    const results = [];
+    const rows = [];
+    studentIds.forEach(studentId => {
+        const student = studentMap.get(studentId);
+        if (!student) {
+            results.push({ studentId, studentName: '', projectCode, status: 'failed', reason: 'studentNotFound' });
+            return;
+        }
+        const entries = logEntries.filter(p => String(p.studentId).trim() === student.id);
+        const result = { studentId: student.id, studentName: student.name, projectCode };
+
+        if (useTrack) {
+            const track = curriculum.findTrack(tracks, student.track);
+            if (!track) {
+                results.push({ ...result, status: 'skipped', reason: 'noTrack', track: student.track || '' });
+                return;
+            }
+            const next = curriculum.findNextProject(curriculum.getTrackStatus(track, entries));
+            if (!next) {
+                results.push({ ...result, status: 'skipped', reason: 'trackComplete', track: track.name });
+                return;
+            }
+            result.projectCode = next.code;
+            result.track = track.name;
+        }
+        result.projectName = projectNameOf(result.projectCode);
+
+        const existing = entries.find(p =>
+            (p.projectName || '').trim().toUpperCase() === result.projectCode &&
+            /completed|progress|working|assign|next/.test((p.projectStatus || '').toLowerCase())
+        );
+        if (existing) {
+            results.push({ ...result, status: 'skipped', reason: (existing.projectStatus || '').toLowerCase().includes('completed') ? 'alreadyCompleted' : 'alreadyAssigned' });
+            return;
+        }
+
+        result.uniqueId = Math.random().toString(36).substring(2, 10).toUpperCase();
+        rows.push({ studentId: student.id, projectCode: result.projectCode, uniqueId: result.uniqueId });
+        results.push({ ...result, status: 'assigned', reason: useTrack ? 'track' : 'project' });
+    });
+
+    const report = {
+        success: true,
+        assigned: rows.length,
+        skipped: results.filter(r => r.status === 'skipped').length,
+        failed: results.filter(r => r.status === 'failed').length,
+        results
+    };
+    if (rows.length === 0) return report;
+
+    // 4. One journal entry, one append
+    const outcome = await writeJournal.run('assignProjectBulk', {
+        rows,
+        instructorName,
+        assignedAt: new Date().toISOString()
+    }, {
+        idempotencyKey: options.idempotencyKey,
+        summary: `Bulk assign ${projectCode || 'next track project'} to ${rows.length} students`
+    });
+
+    // A repeated idempotency key returns the FIRST request's row IDs
+    const writtenIds = new Map(outcome.entry.args.rows.map(r => [r.studentId, r.uniqueId]));
+    report.results.forEach(r => {
+        if (r.status === 'assigned') r.uniqueId = writtenIds.get(r.studentId) || r.uniqueId;
+    });
+
+    console.log(`[BULK ASSIGN] ${report.assigned} assigned, ${report.skipped} skipped, ${report.failed} failed${outcome.queued ? ' (queued)' : ''}.`);
+    if (outcome.queued) {
+        return { ...report, queued: true, journalId: outcome.entry.id };
+    }
+    return report;
+}
+
+/**
+ * Writes the rows of a bulk assignment to the Project Log in one append (journal handler)
+ *
+ * @param {Object} args - { rows: [{ studentId, projectCode, uniqueId }], instructorName, assignedAt }
+ * @param {boolean} checkExisting - If true, skip rows whose row ID is already in the sheet
+ */
+async function appendProjectAssignments(args, checkExisting = false) {
+    const now = args.assignedAt ? new Date(args.assignedAt) : new Date();
+    const students = await fetchStudents();
+    const studentMap = new Map(students.map(s => [s.id, s]));
 
-    // 4. Append to Sheet
     const sheets = await getGoogleSheetsClient();
+    const cols = await columnResolver.getColumns(sheets, config.PROGRESS_SHEET);
+
+    let pending = args.rows;
+
+    // Replay safety: if a previous attempt already wrote these rows, don't write them again
+    if (checkExisting) {
+        const idColLetter = columnResolver.columnLetter(cols.ID);
+        const idRes = await sheets.spreadsheets.values.get({
+            spreadsheetId: config.SPREADSHEET_ID,
+            range: `${config.PROGRESS_SHEET}!${idColLetter}:${idColLetter}`,
+        });
+        const written = new Set((idRes.data.values || []).map(row => row[0]));
+        pending = pending.filter(r => !written.has(r.uniqueId));
+        if (pending.length === 0) {
+            console.log(`[JOURNAL] Bulk assignment already in Project Log. Skipping append.`);
+            return { success: true, written: 0 };
+        }
+    }
+
+    const values = pending.map(r => {
+        const student = studentMap.get(r.studentId);
+        if (!student) {
+            throw new Error(`Student not found with ID: ${r.studentId}`);
+        }
+        return buildAssignmentRow(cols, student, r.projectCode, r.uniqueId, args.instructorName, now);
+    });
 
     const response = await sheets.spreadsheets.values.append({
         spreadsheetId: config.SPREADSHEET_ID,
         range: `${config.PROGRESS_SHEET}!A:A`, // Force append to Col A, avoids appending to far right
         valueInputOption: 'USER_ENTERED',
-        resource: {
-            values: [rowValues]
-        }
+        resource: { values }
     });
 
-    const updatedRange = response.data.updates.updatedRange; // e.g., "'Project Log'!A100:W100"
-    console.log(`Successfully assigned project ${projectName} (ID: ${uniqueId})`);
-    console.log(`[SPREADSHEET UPDATE] Written to: ${updatedRange}`);
+    console.log(`[SPREADSHEET UPDATE] Bulk assignment written to: ${response.data.updates.updatedRange}`);
+    cacheManager.invalidate('projectLog');
 
-    return { success: true, uniqueId };
+    return { success: true, written: values.length };
 }
 
 /**
@@ -2298,11 +3577,13 @@ async function assignProject(studentId, projectCode, instructorName) {
 async function deleteProjectLog(uniqueId) {
     console.log(`Attempting to delete project log with ID: ${uniqueId}`);
     const sheets = await getGoogleSheetsClient();
+    const cols = await columnResolver.getColumns(sheets, config.PROGRESS_SHEET);
+    const idColLetter = columnResolver.columnLetter(cols.ID);
 
-    // 1. Fetch Column A (Unique IDs) to find the row index
+    // 1. Fetch the Unique ID column (normally A) to find the row index
     const response = await sheets.spreadsheets.values.get({
         spreadsheetId: config.SPREADSHEET_ID,
-        range: `${config.PROGRESS_SHEET}!A:A`,
+        range: `${config.PROGRESS_SHEET}!${idColLetter}:${idColLetter}`,
     });
 
     const rows = response.data.values || [];
@@ -2337,6 +3618,7 @@ async function deleteProjectLog(uniqueId) {
     });
 
     console.log(`Deleted row ${rowIndex + 1} for ID ${uniqueId}`);
+    cacheManager.invalidate('projectLog');
     return { success: true };
 }
 
@@ -2357,66 +3639,196 @@ async function getSheetIdByName(sheets, spreadsheetId, sheetName) {
 
 
 // ============================================================================
-// FUNCTION: Delete Project Entry (Mark as Deleted)
+// FUNCTION: Delete Project Entry (Soft Delete to the Archive)
 // ============================================================================
 
 /**
- * Marks a project entry as "Deleted" in Google Sheets.
- * 
- * @param {string|number} rowIndex - The 1-based row index to update (uniqueId)
+ * Moves a Project Log entry to the archive (see project-archive-service.js):
+ * the whole row is saved locally with who deleted it and when, then the row's
+ * Project Status is set to PROGRESS_DELETED_STATUS. The row stays in the sheet
+ * (rows are never removed by number: a sort in between would remove the wrong
+ * one) and the app skips it. restoreProjectEntry() puts the status back.
+ *
+ * The row is found by its Unique ID (Column A) when writing, never by a row
+ * number read earlier, so sorting the Project Log can't mark the wrong entry.
+ *
+ * @param {string} uniqueId - Column A of the Project Log
  * @param {string} instructorName - Name of instructor performing deletion
- * @returns {Promise<boolean>} - True if successful
+ * @param {Object} [options]
+ * @param {Object} [options.expected] - What the client last saw, e.g. { studentId, projectCode, status }
+ * @returns {Promise<Object>} - { success, rowIndex, archiveId, before: { studentId, studentName, projectCode, status } }
+ * @throws {Error} - code 'ROW_CONFLICT' when the entry is gone or changed
  */
-async function deleteProjectEntry(rowIndex, instructorName = 'System') {
+async function deleteProjectEntry(uniqueId, instructorName = 'System', options = {}) {
+    const id = String(uniqueId || '').trim();
+    if (!id) throw new Error('Unique ID is required');
+
     try {
-        console.log(`🗑️ Deleting project entry at Row ${rowIndex}...`);
+        console.log(`🗑️ Deleting project entry ${id}...`);
 
         const sheets = await getGoogleSheetsClient();
         const sheetName = config.PROGRESS_SHEET;
 
-        // Columns to update:
-        // J (Index 9) -> "Deleted"
-        // V (Index 21) -> Instructor Name
-        // W (Index 22) -> Timestamp
+        // 1. Find the row NOW (it may have moved since the client read it)
+        const { rows, columns: cols } = await columnResolver.readSheet(sheets, sheetName);
+        const index = rows.findIndex((row, i) => i > 0 &&
+            String(row[cols.ID] || '').trim() === id &&
+            !isDeletedProjectStatus(row[cols.PROJECT_STATUS]));
+        if (index === -1) {
+            throw rowConflictError(`Project Log entry ${id} no longer exists. Reload and try again.`, {
+                reason: 'missing',
+                uniqueId: id
+            });
+        }
+        const rowIndex = index + 1; // 1-based sheet row
+
+        // 2. Still what the client saw?
+        const row = rows[index];
+        const before = {
+            studentId: row[cols.SID] || '',
+            studentName: row[cols.STUDENT_NAME] || '',
+            projectCode: row[cols.PROJECT_NAME] || '',
+            status: row[cols.PROJECT_STATUS] || ''
+        };
+        assertRowUnchanged(before, options.expected, `Project Log entry ${id}`, rowIndex);
+
+        // 3. Save the whole row locally BEFORE it is marked
+        const archived = projectArchive.archiveRow({ uniqueId: id, ...before, headers: rows[0], values: row }, instructorName);
+
+        // 4. Mark the row deleted (status + who and when)
+        try {
+            await writeProjectStatusCells(sheets, cols, rowIndex, config.PROGRESS_DELETED_STATUS, instructorName);
+        } catch (error) {
+            // The row is still live in the sheet: don't leave a restorable copy behind
+            projectArchive.dropEntry(archived.archiveId);
+            throw error;
+        }
+
+        console.log(`✅ Moved ${id} (Row ${rowIndex}) to the archive (${archived.archiveId}).`);
+
+        // Invalidate cache so UI refreshes correctly
+        cacheManager.invalidate('projectLog');
+
+        return { success: true, rowIndex, archiveId: archived.archiveId, before };
+
+    } catch (error) {
+        console.error('❌ Error deleting project entry:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Writes a Project Log row's status and "Last Edited by" / "Last Edited Time"
+ */
+async function writeProjectStatusCells(sheets, cols, rowIndex, status, instructorName) {
+    const sheetName = config.PROGRESS_SHEET;
+    const letter = columnResolver.columnLetter;
+    await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: config.SPREADSHEET_ID,
+        resource: {
+            valueInputOption: 'USER_ENTERED',
+            data: [
+                { range: `${sheetName}!${letter(cols.PROJECT_STATUS)}${rowIndex}`, values: [[status]] },
+                { range: `${sheetName}!${letter(cols.LAST_EDITED_BY)}${rowIndex}`, values: [[instructorName]] },
+                { range: `${sheetName}!${letter(cols.LAST_EDITED_TIME)}${rowIndex}`, values: [[new Date().toLocaleString('en-US', { hour12: false }).replace(',', '')]] }
+            ]
+        }
+    });
+}
+
+/**
+ * Puts an archived Project Log entry back. Normally its row is still in the
+ * sheet, marked deleted, and just gets its status back. If the row was removed
+ * by hand it is appended at the bottom (same Unique ID), cells matched by
+ * header text so it still lands right if columns moved since it was deleted.
+ *
+ * @param {string} id - archiveId, or the entry's Unique ID (latest unrestored copy)
+ * @param {string} instructorName - Goes to "Last Edited by"
+ * @returns {Promise<Object>} - { success, archiveId, uniqueId, studentId, projectCode, status }
+ * @throws {Error} - code 'ROW_CONFLICT' when a live row with that Unique ID is already in the sheet
+ */
+async function restoreProjectEntry(id, instructorName = 'System') {
+    const entry = projectArchive.findEntry(id);
+    if (!entry) {
+        throw new Error(`Archived entry not found: ${id}`);
+    }
+    if (entry.restoredAt) {
+        throw rowConflictError(`Entry ${entry.uniqueId} was already restored by ${entry.restoredBy}.`, {
+            reason: 'restored',
+            archiveId: entry.archiveId,
+            restoredAt: entry.restoredAt
+        });
+    }
+
+    const sheets = await getGoogleSheetsClient();
+    const sheetName = config.PROGRESS_SHEET;
+    const { rows, columns: cols } = await columnResolver.readSheet(sheets, sheetName);
+
+    const sameId = rows
+        .map((row, i) => ({ row, rowIndex: i + 1 }))
+        .filter(({ row, rowIndex }) => rowIndex > 1 && String(row[cols.ID] || '').trim() === entry.uniqueId);
+    if (sameId.some(({ row }) => !isDeletedProjectStatus(row[cols.PROJECT_STATUS]))) {
+        throw rowConflictError(`Project Log entry ${entry.uniqueId} is already in the sheet.`, {
+            reason: 'exists',
+            archiveId: entry.archiveId,
+            uniqueId: entry.uniqueId
+        });
+    }
 
-        // Note: Google Sheets API 1-based rows.
-        // We use A1 notation: Sheet!J{row}, Sheet!V{row}, Sheet!W{row}
+    if (sameId.length > 0) {
+        // The marked row is still there: clear the mark
+        await writeProjectStatusCells(sheets, cols, sameId[0].rowIndex, entry.status, instructorName);
+        return finishRestore(entry, instructorName);
+    }
 
-        const timestamp = new Date().toLocaleString(); // Format: 1/2/2026 15:43:40 (approx)
+    // Rebuild the row against today's headers
+    const headers = rows[0] || [];
+    const values = headers.map(header => {
+        const archivedIndex = entry.headers.indexOf(header);
+        return archivedIndex === -1 || entry.values[archivedIndex] === undefined ? '' : entry.values[archivedIndex];
+    });
+    const lostColumns = entry.headers.filter((header, i) => header && entry.values[i] && !headers.includes(header));
+    if (lostColumns.length > 0) {
+        console.warn(`[RESTORE] Columns no longer in the Project Log, not restored: ${lostColumns.join(', ')}`);
+    }
+    values[cols.LAST_EDITED_BY] = instructorName;
+    values[cols.LAST_EDITED_TIME] = new Date().toLocaleString('en-US', { hour12: false }).replace(',', '');
 
-        // Using batchUpdate with valueInputOption
-        await sheets.spreadsheets.values.batchUpdate({
-            spreadsheetId: config.SPREADSHEET_ID,
-            resource: {
-                data: [
-                    {
-                        range: `${sheetName}!J${rowIndex}`,
-                        values: [['Deleted']]
-                    },
-                    {
-                        range: `${sheetName}!V${rowIndex}`,
-                        values: [[instructorName]]
-                    },
-                    {
-                        range: `${sheetName}!W${rowIndex}`,
-                        values: [[timestamp]]
-                    }
-                ],
-                valueInputOption: 'USER_ENTERED'
-            }
-        });
+    await sheets.spreadsheets.values.append({
+        spreadsheetId: config.SPREADSHEET_ID,
+        range: `${sheetName}!A:A`, // Force append to Col A, avoids appending to far right
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [values] }
+    });
 
-        console.log(`✅ Marked Row ${rowIndex} as Deleted.`);
+    return finishRestore(entry, instructorName);
+}
 
-        // Invalidate cache so UI refreshes correctly
-        progressCache = null;
+/**
+ * Marks an archive entry restored once its row is live again
+ */
+function finishRestore(entry, instructorName) {
+    projectArchive.markRestored(entry.archiveId, instructorName);
+    cacheManager.invalidate('projectLog');
+    console.log(`♻️ Restored ${entry.uniqueId} (${entry.projectCode} for ${entry.studentId}) by ${instructorName}.`);
 
-        return true;
+    return {
+        success: true,
+        archiveId: entry.archiveId,
+        uniqueId: entry.uniqueId,
+        studentId: entry.studentId,
+        projectCode: entry.projectCode,
+        status: entry.status
+    };
+}
 
-    } catch (error) {
-        console.error('❌ Error deleting project entry:', error);
-        throw error;
-    }
+/**
+ * Archived (deleted, not yet restored) Project Log entries, newest first
+ *
+ * @param {Object} [filters] - { studentId, includeRestored }
+ */
+function listArchivedProjectEntries(filters = {}) {
+    return projectArchive.listEntries(filters).map(({ headers, values, ...entry }) => entry);
 }
 
 // ============================================================================
@@ -2438,13 +3850,15 @@ async function fetchStudentFullDetails(studentId) {
         range: `${sheetName}!1:1`
     });
     const headers = headerRes.data.values ? headerRes.data.values[0] : [];
+    const cols = columnResolver.resolveFromHeaderRow(sheetName, headers);
+    const idColLetter = columnResolver.columnLetter(cols.ID);
 
     // 2. Fetch All Data (A:Z or whatever) - To find the row
     // We need to find the row index first.
-    // Fetch Column A only to search efficiently.
+    // Fetch the ID column (normally A) only to search efficiently.
     const idRes = await sheets.spreadsheets.values.get({
         spreadsheetId: config.SPREADSHEET_ID,
-        range: `${sheetName}!A:A`
+        range: `${sheetName}!${idColLetter}:${idColLetter}`
     });
 
     const rows = idRes.data.values || [];
@@ -2478,16 +3892,19 @@ async function fetchStudentFullDetails(studentId) {
  * Updates a student's full record
  * @param {string} studentId 
  * @param {Array} newValues - Array of values matching the header order
+ * @returns {Promise<Object>} - { success, changes: [{ column, before, after }] }
  */
 async function updateStudentFullDetails(studentId, newValues, userEmail) {
     console.log(`Updating full details for student ID: ${studentId}`);
     const sheets = await getGoogleSheetsClient();
     const sheetName = config.STUDENT_NAMES_SHEET;
+    const cols = await columnResolver.getColumns(sheets, sheetName, true);
+    const idColLetter = columnResolver.columnLetter(cols.ID);
 
     // 1. Verify ID to find Row (Safety)
     const idRes = await sheets.spreadsheets.values.get({
         spreadsheetId: config.SPREADSHEET_ID,
-        range: `${sheetName}!A:A`
+        range: `${sheetName}!${idColLetter}:${idColLetter}`
     });
 
     const rows = idRes.data.values || [];
@@ -2499,14 +3916,32 @@ async function updateStudentFullDetails(studentId, newValues, userEmail) {
 
     const actualRow = rowIndex + 1;
 
-    // 2. SAFETY CHECK: Ensure Column A (ID) matches!
-    // We should overwrite the whole row, BUT we must ensure newValues[0] is the ID.
-    if (newValues[0] !== studentId) {
-        console.warn(`[Update Warning] Attempt to change ID from ${studentId} to ${newValues[0]}. Resetting to original ID.`);
-        newValues[0] = studentId; // Force ID preservation
+    // 2. SAFETY CHECK: Ensure the ID column (normally A) matches!
+    // We should overwrite the whole row, BUT we must ensure the ID cell is unchanged.
+    if (newValues[cols.ID] !== studentId) {
+        console.warn(`[Update Warning] Attempt to change ID from ${studentId} to ${newValues[cols.ID]}. Resetting to original ID.`);
+        newValues[cols.ID] = studentId; // Force ID preservation
     }
 
-    // 3. Update the Row
+    // 3. Read the row as it is now (headers + row), so we can report what changed
+    const currentRes = await sheets.spreadsheets.values.batchGet({
+        spreadsheetId: config.SPREADSHEET_ID,
+        ranges: [`${sheetName}!1:1`, `${sheetName}!${actualRow}:${actualRow}`]
+    });
+    const [headerRange, rowRange] = currentRes.data.valueRanges || [];
+    const headers = (headerRange && headerRange.values && headerRange.values[0]) || [];
+    const currentRow = (rowRange && rowRange.values && rowRange.values[0]) || [];
+
+    const changes = [];
+    newValues.forEach((value, i) => {
+        const before = currentRow[i] === undefined ? '' : String(currentRow[i]);
+        const after = value === undefined || value === null ? '' : String(value);
+        if (before !== after) {
+            changes.push({ column: headers[i] || columnResolver.columnLetter(i), before, after });
+        }
+    });
+
+    // 4. Update the Row
     await sheets.spreadsheets.values.update({
         spreadsheetId: config.SPREADSHEET_ID,
         range: `${sheetName}!A${actualRow}`, // Start at A{row}
@@ -2516,11 +3951,11 @@ async function updateStudentFullDetails(studentId, newValues, userEmail) {
         }
     });
 
-    // Clear caches
-    clearCache();
+    // Names, notes, points etc. may have changed
+    cacheManager.invalidate(['students', 'loginNames']);
 
-    console.log('Student details updated successfully.');
-    return { success: true };
+    console.log(`Student details updated successfully (${changes.length} cells changed).`);
+    return { success: true, changes };
 }
 
 /**
@@ -2596,14 +4031,16 @@ async function uploadHeadshotToDrive(fileObject) {
 // ============================================================================
 async function findProjectLogRow(studentId, projectCode) {
     const sheets = await getGoogleSheetsClient();
-    const sheetName = 'Project Log'; // Hardcoded as per user request context
+    const sheetName = config.PROGRESS_SHEET;
+    const cols = await columnResolver.getColumns(sheets, sheetName);
 
     // Ideally we fetch relevant columns to minimize data transfer
-    // Col C = Student Name/ID (Index 2)
-    // Col I = Project Code (Index 8)
+    // SID column (normally C) = Student Name/ID
+    // Project column (normally I) = Project Code
+    const lastCol = columnResolver.columnLetter(Math.max(cols.SID, cols.PROJECT_NAME, cols.PROJECT_STATUS));
     const response = await sheets.spreadsheets.values.get({
         spreadsheetId: config.SPREADSHEET_ID,
-        range: `${sheetName}!A:I` // Fetch up to Column I
+        range: `${sheetName}!A:${lastCol}` // Fetch up to the Project (and Status) column
     });
 
     const rows = response.data.values || [];
@@ -2611,9 +4048,10 @@ async function findProjectLogRow(studentId, projectCode) {
     // Reverse search to find the LATEST entry (if multiple exist)
     for (let i = rows.length - 1; i >= 0; i--) {
         const row = rows[i];
-        // Col C is index 2. Col I is index 8.
+        if (isDeletedProjectStatus(row[cols.PROJECT_STATUS])) continue; // Deleted from the app
+
         // Check fuzzy match on student ID/Name
-        const rowStudent = (row[2] || '').toLowerCase().trim();
+        const rowStudent = (row[cols.SID] || '').toLowerCase().trim();
         const searchStudent = studentId.toLowerCase().trim();
 
         // Handling "Name" vs "Email/Name" mismatch if necessary
@@ -2627,7 +4065,7 @@ async function findProjectLogRow(studentId, projectCode) {
             isStudentMatch = rowStudent === justName;
         }
 
-        const rowProject = (row[8] || '').toUpperCase().trim();
+        const rowProject = (row[cols.PROJECT_NAME] || '').toUpperCase().trim();
         const searchProject = projectCode.toUpperCase().trim();
 
         if (isStudentMatch && rowProject === searchProject) {
@@ -2673,15 +4111,72 @@ async function setDriveFilePublic(fileId) {
 // ============================================================================
 // FUNCTION: Mark Project as Complete (or any status)
 // ============================================================================
-async function markProjectComplete(studentId, projectCode, videoLink, rating, instructorName, status = 'Completed', date = new Date()) {
+
+/**
+ * Records a project status change (usually "Completed") in the Project Log.
+ * Goes through the write journal so completions made offline are not lost.
+ *
+ * When the status is Completed, the student's next project in their curriculum
+ * track is assigned too (see assignNextTrackProject).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Same key = same completion (never written twice)
+ * @param {string|null} [options.nextProjectCode] - Instructor override for the next project
+ *        ('' / null = assign nothing, undefined = the track's next project)
+ * @returns {Promise<Object>} - { success, queued?, nextProject? }
+ */
+async function markProjectComplete(studentId, projectCode, videoLink, rating, instructorName, status = 'Completed', date = new Date(), options = {}) {
+    // Ensure date is a valid Date object (stored as ISO text in the journal)
+    if (!(date instanceof Date)) {
+        date = new Date(date);
+    }
+    if (isNaN(date.getTime())) {
+        date = new Date(); // Fallback to current time if invalid
+    }
+
+    const outcome = await writeJournal.run('markProjectComplete', {
+        studentId,
+        projectCode,
+        videoLink: videoLink || '',
+        rating: rating || '',
+        instructorName,
+        status: status || 'Completed',
+        date: date.toISOString(),
+        uniqueId: Math.random().toString(36).substring(2, 10).toUpperCase()
+    }, {
+        idempotencyKey: options.idempotencyKey,
+        summary: `${status || 'Completed'}: ${projectCode} for ${studentId}`
+    });
+
+    const result = outcome.queued
+        ? { success: true, queued: true, journalId: outcome.entry.id }
+        : { ...outcome.result };
+
+    // Move the student on to the next project in their track
+    // (queued behind the completion when we're offline)
+    if ((status || 'Completed').toLowerCase().includes('completed')) {
+        result.nextProject = await assignNextTrackProject(studentId, projectCode, instructorName, {
+            nextProjectCode: options.nextProjectCode,
+            idempotencyKey: `${outcome.entry.idempotencyKey}:next`
+        });
+    }
+    return result;
+}
+
+/**
+ * Writes a project status change to the Project Log (journal handler)
+ * Updates the student's existing row for the project, or appends a new one.
+ *
+ * @param {Object} args - { studentId, projectCode, videoLink, rating, instructorName, status, date, uniqueId }
+ */
+async function writeProjectCompletion(args) {
+    const { studentId, projectCode, videoLink, rating, instructorName, status } = args;
+    let date = new Date(args.date);
+
     try {
         const client = await getGoogleSheetsClient();
         console.log(`[Project Complete] Processing for ${studentId} - ${projectCode}`);
 
-        // Ensure date is a valid Date object
-        if (!(date instanceof Date)) {
-            date = new Date(date);
-        }
         if (isNaN(date.getTime())) {
             date = new Date(); // Fallback to current time if invalid
         }
@@ -2696,7 +4191,9 @@ async function markProjectComplete(studentId, projectCode, videoLink, rating, in
 
         // 1. Check for Existing Row
         const existingRowIndex = await findProjectLogRow(studentId, projectCode);
-        const sheetName = 'Project Log';
+        const sheetName = config.PROGRESS_SHEET;
+        const cols = await columnResolver.getColumns(client, sheetName);
+        const letter = columnResolver.columnLetter;
 
         if (existingRowIndex) {
             console.log(`[Project Complete] Found existing entry at Row ${existingRowIndex}. Updating...`);
@@ -2722,12 +4219,15 @@ async function markProjectComplete(studentId, projectCode, videoLink, rating, in
             // So I will target Column J.
 
             // UPDATING EXISTING ROW:
+            // Columns now come from the live headers. Rating goes to the same column
+            // fetchProjectLog reads it from, and the instructor goes to "Last Edited by"
+            // (Column F is Parents Name).
             const updates = [
-                { range: `${sheetName}!J${existingRowIndex}`, values: [[status]] },
-                { range: `${sheetName}!Q${existingRowIndex}`, values: [[videoLink || '']] },
-                { range: `${sheetName}!R${existingRowIndex}`, values: [[rating || '']] },
-                { range: `${sheetName}!F${existingRowIndex}`, values: [[instructorName || 'System']] },
-                { range: `${sheetName}!B${existingRowIndex}`, values: [[dateStr]] } // Update completion date
+                { range: `${sheetName}!${letter(cols.PROJECT_STATUS)}${existingRowIndex}`, values: [[status]] },
+                { range: `${sheetName}!${letter(cols.VIDEO_LINK)}${existingRowIndex}`, values: [[videoLink || '']] },
+                { range: `${sheetName}!${letter(cols.RATING)}${existingRowIndex}`, values: [[rating || '']] },
+                { range: `${sheetName}!${letter(cols.LAST_EDITED_BY)}${existingRowIndex}`, values: [[instructorName || 'System']] },
+                { range: `${sheetName}!${letter(cols.DATE)}${existingRowIndex}`, values: [[dateStr]] } // Update completion date
             ];
 
             await client.spreadsheets.values.batchUpdate({
@@ -2749,32 +4249,29 @@ async function markProjectComplete(studentId, projectCode, videoLink, rating, in
             // This is getting risky if headers are unknown.
             // Safest bet: Use the Array structure from `assignProject` but populate it for Completion.
 
-            const uniqueId = Math.random().toString(36).substring(2, 10).toUpperCase();
-            const rowValues = new Array(23).fill(''); // Up to W
+            const uniqueId = args.uniqueId || Math.random().toString(36).substring(2, 10).toUpperCase();
+            const rowValues = new Array(Math.max(...Object.values(cols)) + 1).fill('');
 
-            rowValues[0] = uniqueId;
-            rowValues[1] = dateStr;
-            rowValues[2] = studentId; // ID in C? `assignProject` puts ID in C.
-            // Wait, `assignProject` put ID in C (2).
-            // Old `markProjectComplete` put Name in C (2). 
-            // I will use StudentName in C as per previous consistent logic, assuming ID might be there.
-            rowValues[2] = studentName;
+            rowValues[cols.ID] = uniqueId;
+            rowValues[cols.DATE] = dateStr;
+            // Old `markProjectComplete` put Name in the SID column (C).
+            // I will use StudentName there as per previous consistent logic, assuming ID might be there.
+            rowValues[cols.SID] = studentName;
 
-            // Project Code -> Col I (Index 8) per User Request ("Current Project ID... in Column I")
-            rowValues[8] = projectCode;
+            // Project Code -> Col I per User Request ("Current Project ID... in Column I")
+            rowValues[cols.PROJECT_NAME] = projectCode;
 
-            // Status -> Col J (Index 9)
-            rowValues[9] = status;
+            // Status -> Col J
+            rowValues[cols.PROJECT_STATUS] = status;
 
-            // Video -> Col Q (Index 16)
-            rowValues[16] = videoLink || '';
+            // Video -> Col Q
+            rowValues[cols.VIDEO_LINK] = videoLink || '';
 
-            // Rating -> Col R (Index 17)
-            rowValues[17] = rating || '';
+            // Rating -> same column fetchProjectLog reads
+            rowValues[cols.RATING] = rating || '';
 
-            // Instructor -> Col F? No, `assignProject` put it in V (21). 
-            // Let's put it in V to be consistent with Assignment.
-            rowValues[21] = instructorName;
+            // Instructor -> "Last Edited by" (V), consistent with Assignment.
+            rowValues[cols.LAST_EDITED_BY] = instructorName;
 
             await client.spreadsheets.values.append({
                 spreadsheetId: config.SPREADSHEET_ID,
@@ -2807,8 +4304,7 @@ async function markProjectComplete(studentId, projectCode, videoLink, rating, in
         }
 
         // Invalidate Cache
-        progressCache = null;
-        lastProgressFetch = 0;
+        cacheManager.invalidate('projectLog');
         return { success: true };
 
     } catch (error) {
@@ -2817,6 +4313,216 @@ async function markProjectComplete(studentId, projectCode, videoLink, rating, in
     }
 }
 
+// ============================================================================
+// CURRICULUM TRACKS
+// ============================================================================
+// Track order is worked out in curriculum-service.js from the Projects List
+// (Recommended Tracks + Project Difficulty). The student's track is Column AC.
+
+/**
+ * Ordered project list of every track
+ *
+ * @param {boolean} forceRefresh - If true, re-read the Projects List
+ * @returns {Promise<Object>} - { tracks: [{ key, name, projects }], untracked: [codes] }
+ */
+async function getCurriculumTracks(forceRefresh = false) {
+    const projectMap = await fetchProjectList(forceRefresh);
+    return curriculum.buildTrackSequences(projectMap);
+}
+
+/**
+ * Re-reads the Projects List and Child Names and checks that the tracks line up
+ * (used by /api/admin/setup-curriculum)
+ *
+ * @returns {Promise<Object>} - { success, tracks, untrackedProjects, unknownStudentTracks, studentsWithoutTrack }
+ */
+async function setupCurriculumTracks() {
+    const [{ tracks, untracked }, students] = await Promise.all([
+        getCurriculumTracks(true),
+        fetchStudents(true)
+    ]);
+
+    const studentCounts = new Map();
+    const unknownTracks = new Map();
+    let studentsWithoutTrack = 0;
+
+    students.forEach(student => {
+        if (!student.track) {
+            studentsWithoutTrack++;
+            return;
+        }
+        const track = curriculum.findTrack(tracks, student.track);
+        if (track) {
+            studentCounts.set(track.key, (studentCounts.get(track.key) || 0) + 1);
+        } else {
+            if (!unknownTracks.has(student.track)) unknownTracks.set(student.track, []);
+            unknownTracks.get(student.track).push(student.id);
+        }
+    });
+
+    console.log(`[CURRICULUM] ${tracks.length} tracks built. ${untracked.length} projects have no track, ${unknownTracks.size} student track names match no track.`);
+
+    return {
+        success: true,
+        tracks: tracks.map(track => ({
+            name: track.name,
+            projectCount: track.projects.length,
+            studentCount: studentCounts.get(track.key) || 0,
+            projects: track.projects.map(p => ({ code: p.code, name: p.name, difficulty: p.difficulty }))
+        })),
+        untrackedProjects: untracked,
+        unknownStudentTracks: Array.from(unknownTracks, ([track, studentIds]) => ({ track, studentIds })),
+        studentsWithoutTrack
+    };
+}
+
+/**
+ * Where a student is in their track, and which project comes next
+ * (what the auto-assignment would pick, so instructors can preview it)
+ *
+ * @param {string} studentId - Column A of Child Names
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Re-read the sheets first
+ * @param {Array<string>} [options.alsoCompleted] - Codes to treat as completed already
+ * @returns {Promise<Object>} - { studentId, studentName, track, trackFound, projects, completed, total, next }
+ */
+async function getTrackProgress(studentId, options = {}) {
+    const [students, projectLog, { tracks }] = await Promise.all([
+        fetchStudents(options.forceRefresh),
+        fetchProjectLog(options.forceRefresh),
+        getCurriculumTracks(options.forceRefresh)
+    ]);
+
+    const student = students.find(s => s.id === String(studentId).trim());
+    if (!student) {
+        throw new Error(`Student not found with ID: ${studentId}`);
+    }
+
+    const track = curriculum.findTrack(tracks, student.track);
+    const progress = {
+        studentId: student.id,
+        studentName: student.name,
+        track: track ? track.name : student.track,
+        trackFound: !!track,
+        projects: [],
+        completed: 0,
+        total: 0,
+        next: null
+    };
+    if (!track) return progress;
+
+    const entries = projectLog.filter(p => String(p.studentId).trim() === student.id);
+    progress.projects = curriculum.getTrackStatus(track, entries, { alsoCompleted: options.alsoCompleted });
+    progress.completed = progress.projects.filter(p => p.status === 'completed').length;
+    progress.total = progress.projects.length;
+    progress.next = curriculum.findNextProject(progress.projects);
+    return progress;
+}
+
+/**
+ * Assigns the student's next project after a completion.
+ * Never throws: a problem here must not undo the completion itself.
+ *
+ * @param {string} studentId
+ * @param {string} completedCode - The project that was just completed
+ * @param {string} instructorName
+ * @param {Object} [options]
+ * @param {string|null} [options.nextProjectCode] - Instructor override: a code to assign
+ *        instead, or '' / null to assign nothing. Leave undefined for the track's next project.
+ * @param {string} [options.idempotencyKey] - Passed on to assignProject
+ * @returns {Promise<Object>} - { assigned, reason, projectCode?, projectName?, track?, uniqueId?, queued?, error? }
+ */
+async function assignNextTrackProject(studentId, completedCode, instructorName, options = {}) {
+    const override = options.nextProjectCode;
+    const hasOverride = override !== undefined;
+
+    if (hasOverride && !override) {
+        return { assigned: false, reason: 'skipped' };
+    }
+    if (!hasOverride && !config.CURRICULUM.AUTO_ASSIGN_NEXT_PROJECT) {
+        return { assigned: false, reason: 'disabled' };
+    }
+
+    try {
+        const progress = await getTrackProgress(studentId, { alsoCompleted: [completedCode] });
+        let next = progress.next;
+
+        if (hasOverride) {
+            const code = String(override).trim().toUpperCase();
+            next = progress.projects.find(p => p.code === code) || { code, name: '', alreadyAssigned: false };
+        } else if (!progress.trackFound) {
+            return { assigned: false, reason: 'noTrack', track: progress.track };
+        } else if (!next) {
+            return { assigned: false, reason: 'trackComplete', track: progress.track };
+        }
+
+        if (next.alreadyAssigned) {
+            return { assigned: false, reason: 'alreadyAssigned', track: progress.track, projectCode: next.code, projectName: next.name };
+        }
+
+        const result = await assignProject(progress.studentId, next.code, instructorName || 'Instructor', {
+            idempotencyKey: options.idempotencyKey
+        });
+        console.log(`[CURRICULUM] Assigned ${next.code} to ${progress.studentId} (${hasOverride ? 'instructor override' : progress.track}).`);
+
+        return {
+            assigned: true,
+            reason: hasOverride ? 'override' : 'track',
+            track: progress.track,
+            projectCode: next.code,
+            projectName: next.name,
+            uniqueId: result.uniqueId,
+            queued: !!result.queued
+        };
+    } catch (error) {
+        console.warn(`[CURRICULUM] Could not assign the next project for ${studentId}:`, error.message);
+        return { assigned: false, reason: 'error', error: error.message };
+    }
+}
+
+// ============================================================================
+// FUNCTION: Project Recommendations
+// ============================================================================
+
+/**
+ * Ranks the projects a student could do next (see recommendation-service.js)
+ * from the Projects List and the student's Project Log history.
+ *
+ * @param {string} studentId - Column A of Child Names
+ * @param {Object} [options]
+ * @param {number} [options.limit] - How many to return (default RECOMMENDATIONS.DEFAULT_LIMIT)
+ * @param {boolean} [options.forceRefresh] - Re-read the sheets first
+ * @returns {Promise<Object>} - { studentId, studentName, age, level, categoryCounts, recommendations, ... }
+ */
+async function getRecommendations(studentId, options = {}) {
+    const id = String(studentId).trim();
+    const [projects, history, students] = await Promise.all([
+        fetchAllProjectsDetailed(options.forceRefresh),
+        getStudentProjects(id, options.forceRefresh),
+        fetchStudents(options.forceRefresh)
+    ]);
+
+    const student = students.find(s => s.id === id);
+    if (!student) {
+        throw new Error(`Student not found with ID: ${studentId}`);
+    }
+
+    const result = recommender.recommendProjects({
+        projects,
+        history,
+        studentAge: student.age,
+        weights: config.RECOMMENDATIONS.WEIGHTS,
+        limit: options.limit || config.RECOMMENDATIONS.DEFAULT_LIMIT
+    });
+
+    return {
+        studentId: student.id,
+        studentName: student.name,
+        age: student.age || null,
+        ...result
+    };
+}
+
 // ============================================================================
 // FUNCTION: Save Class Report
 // ============================================================================
@@ -2839,9 +4545,9 @@ async function saveClassReport(reportData) {
         const today = new Date();
         const dateStr = `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`;
 
-        // Prepare Row Data based on Config Column Mapping
+        // Prepare Row Data based on the live headers (falls back to config mapping)
         // We need to verify the max index we need to fill
-        const colMap = config.CLASS_REPORT_COLUMNS;
+        const colMap = await columnResolver.getColumns(sheets, config.CLASS_REPORT_SHEET);
         const maxIndex = Math.max(...Object.values(colMap));
 
         // Initialize empty row array
@@ -2866,7 +4572,7 @@ async function saveClassReport(reportData) {
         // Append to Sheet
         await sheets.spreadsheets.values.append({
             spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.CLASS_REPORT_SHEET}!A:K`, // Adjust range as needed
+            range: `${config.CLASS_REPORT_SHEET}!A:A`, // Row starts at Column A
             valueInputOption: 'USER_ENTERED',
             resource: {
                 values: [row]
@@ -2884,18 +4590,26 @@ async function saveClassReport(reportData) {
 
 /**
  * Fetch prizes list from the configured Prizes sheet
+ * @param {boolean} forceRefresh - If true, ignore cache
  * @returns {Promise<Array>} List of prizes
  */
-async function fetchPrizesList() {
+async function fetchPrizesList(forceRefresh = false) {
+    return cacheManager.get('prizes', loadPrizesList, { forceRefresh, fallback: () => [] });
+}
+
+async function loadPrizesList() {
     try {
         const client = await getGoogleSheetsClient();
         const response = await client.spreadsheets.values.get({
             spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.PRIZES_SHEET}!A:E` // Assuming cols A-E contain prize info
+            range: `${config.PRIZES_SHEET}!A:Z` // Read by header, so columns can be anywhere (Stock, Limit Per Student...)
         });
 
         const rows = response.data.values;
-        if (!rows || rows.length < 2) return [];
+        if (!rows || rows.length < 2) {
+            console.warn(`⚠️ No prizes found in "${config.PRIZES_SHEET}". Check the tab and its headers (GET /api/admin/schema).`);
+            return [];
+        }
 
         const headers = rows[0].map(h => h.trim());
 
@@ -2909,68 +4623,339 @@ async function fetchPrizesList() {
         });
 
     } catch (error) {
-        console.error('Error fetching prizes:', error);
-        return [];
+        console.error(`Error fetching prizes from "${config.PRIZES_SHEET}" (renamed tab? see GET /api/admin/schema):`, error.message);
+        throw error;
     }
 }
 
+function prizeRulesOf(prize) {
+    return redemptionRules.prizeRules(prize, { stock: config.PRIZE_STOCK_HEADER, limit: config.PRIZE_LIMIT_HEADER });
+}
+
+/**
+ * Prizes with how many are left to request (prizes.html)
+ *
+ * @returns {Promise<Array>} - Prize rows plus { available (null = unlimited), limitPerStudent }
+ */
+async function getPrizeAvailability(forceRefresh = false) {
+    const [prizes, allRedemptions] = await Promise.all([fetchPrizesList(forceRefresh), fetchAllRedemptions(forceRefresh)]);
+    return prizes.map(prize => {
+        const rules = prizeRulesOf(prize);
+        return { ...prize, available: redemptionRules.availableStock(rules, allRedemptions), limitPerStudent: rules.limitPerStudent };
+    });
+}
+
 /**
  * Fetch all redemptions from the Redemptions sheet
+ * @param {boolean} forceRefresh - If true, ignore cache
  * @returns {Promise<Array>} List of redemptions {studentId, points, date, ...}
  */
-async function fetchRedemptions() {
+async function fetchRedemptions(forceRefresh = false) {
+    return cacheManager.get('redemptions', loadRedemptions, { forceRefresh, fallback: () => [] });
+}
+
+async function loadRedemptions() {
     try {
         const client = await getGoogleSheetsClient();
-        const response = await client.spreadsheets.values.get({
-            spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.REDEMPTIONS_SHEET}!A:E`
-        });
-
-        const rows = response.data.values;
-        if (!rows || rows.length < 2) return [];
+        const { rows, columns: cols } = await columnResolver.readSheet(client, config.REDEMPTIONS_SHEET);
+        if (rows.length < 2) return [];
 
-        // Expecting Headers: Timestamp, Student Name, Student ID, Prize Name, Points Cost
-        // We really only need Student ID and Points Cost for calculation
+        // Expecting Headers: Timestamp, Student Name, Student ID, Prize Name, Points Cost, Status, Redemption ID, Handled By
         return rows.slice(1).map(row => ({
-            timestamp: row[0],
-            studentName: row[1],
-            studentId: row[2],
-            prizeName: row[3],
-            pointsCost: parseInt(row[4] || '0', 10)
+            timestamp: row[cols.TIMESTAMP],
+            studentName: row[cols.STUDENT_NAME],
+            studentId: row[cols.STUDENT_ID],
+            prizeName: row[cols.PRIZE_NAME],
+            pointsCost: parseInt(row[cols.POINTS_COST] || '0', 10),
+            status: row[cols.STATUS] || '',
+            redemptionId: row[cols.REDEMPTION_ID] || '',
+            handledBy: row[cols.HANDLED_BY] || ''
         }));
 
     } catch (error) {
         console.error('Error fetching redemptions:', error);
-        return [];
+        throw error;
+    }
+}
+
+/**
+ * Redemptions still waiting in the write journal (made while offline).
+ * They aren't on the sheet yet but their points are already spent.
+ */
+function queuedRedemptions() {
+    return writeJournal.getJournal({ status: ['pending', 'applying'], limit: Infinity }).entries
+        .filter(e => e.operation === 'addRedemption')
+        .reverse()
+        .map(({ args }) => ({
+            timestamp: args.timestamp,
+            studentName: args.student.name,
+            studentId: args.student.id,
+            prizeName: args.prizeName,
+            pointsCost: args.pointsCost,
+            status: args.status || redemptionRules.STATUS.APPROVED,
+            redemptionId: args.redemptionId || '',
+            handledBy: '',
+            queued: true
+        }));
+}
+
+/**
+ * Sheet rows + ones still queued offline (a queued one already on the sheet counts once)
+ */
+async function fetchAllRedemptions(forceRefresh = false) {
+    const written = await fetchRedemptions(forceRefresh);
+    const writtenIds = new Set(written.map(r => r.redemptionId).filter(Boolean));
+    return written.concat(queuedRedemptions().filter(r => !r.redemptionId || !writtenIds.has(r.redemptionId)));
+}
+
+// ============================================================================
+// FUNCTION: Redemption Requests and Approvals (see redemption-service.js)
+// ============================================================================
+
+// One redemption change at a time: the balance/stock check and the write must
+// not interleave, or two quick clicks could spend the same points twice and
+// two "fulfil" clicks could take two off the stock.
+let redemptionLock = Promise.resolve();
+
+function withRedemptionLock(task) {
+    const result = redemptionLock.then(task);
+    redemptionLock = result.catch(() => { });
+    return result;
+}
+
+/**
+ * A student asks for a prize. Checks a fresh balance (open requests already
+ * count as spent), the prize's stock and per-student limit, then records the
+ * request as REQUESTED. The points are held until an instructor rejects it.
+ *
+ * @param {string} studentId - Student ID (or name, for older clients)
+ * @param {string} prizeName
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Same key = same request (never written twice)
+ * @returns {Promise<Object>} - { success, redemptionId, status, cost, newBalance, queued }
+ * @throws {Error} - code 'REDEMPTION_REFUSED' (balance, stock, limit); "Student not found" / "Prize not found"
+ */
+async function requestRedemption(studentId, prizeName, options = {}) {
+    return withRedemptionLock(async () => {
+        const key = String(studentId || '').trim();
+        const [students, prizes] = await Promise.all([fetchStudents(), fetchPrizesList(true)]);
+        const student = students.find(s => s.id === key) || students.find(s => s.name === key);
+        if (!student) {
+            throw new Error(`Student not found: ${key}`);
+        }
+        const prize = prizes.find(p => String(p['Prize Name'] || '').trim().toLowerCase() === String(prizeName || '').trim().toLowerCase());
+        if (!prize) {
+            throw new Error(`Prize not found: ${prizeName}`);
+        }
+
+        // Fresh, never the cached leaderboard
+        const ledger = await getPointsLedger(true);
+        const balance = pointsLedger.summaryFor(ledger.summaries, student.id).balance;
+        const rules = prizeRulesOf(prize);
+        redemptionRules.checkRequest({ rules, studentId: student.id, balance, redemptions: await fetchAllRedemptions() });
+
+        const redemptionId = Math.random().toString(36).substring(2, 10).toUpperCase();
+        const { queued } = await writeJournal.run('addRedemption', {
+            redemptionId,
+            student: { id: student.id, name: student.name },
+            prizeName: rules.name,
+            pointsCost: rules.cost,
+            status: redemptionRules.STATUS.REQUESTED,
+            timestamp: new Date().toLocaleString()
+        }, {
+            idempotencyKey: options.idempotencyKey,
+            summary: `Request "${rules.name}" (${rules.cost} pts) for ${student.name}`
+        });
+
+        console.log(`🎁 ${student.name} requested ${rules.name} (${rules.cost} pts, ${redemptionId})${queued ? ' - queued offline' : ''}`);
+        return {
+            success: true,
+            redemptionId,
+            status: redemptionRules.STATUS.REQUESTED,
+            studentId: student.id,
+            prizeName: rules.name,
+            cost: rules.cost,
+            balanceBefore: balance,
+            newBalance: balance - rules.cost,
+            queued: !!queued
+        };
+    });
+}
+
+/**
+ * Redemptions for the approval queue, oldest first
+ *
+ * @param {Object} [filters]
+ * @param {Array<string>} [filters.statuses] - Default: the open ones (REQUESTED, APPROVED)
+ * @param {string} [filters.studentId]
+ */
+async function listRedemptions(filters = {}, forceRefresh = false) {
+    const statuses = (filters.statuses || []).map(s => String(s).trim().toUpperCase()).filter(Boolean);
+    return (await fetchAllRedemptions(forceRefresh))
+        .filter(r => r.redemptionId)
+        .filter(r => statuses.length > 0 ? statuses.includes(redemptionRules.statusOf(r)) : redemptionRules.isOpen(r))
+        .filter(r => !filters.studentId || String(r.studentId).trim() === String(filters.studentId).trim());
+}
+
+/**
+ * An instructor approves, rejects or fulfils a redemption. Fulfilling takes
+ * one off the prize's Stock (when it has one) in the same write.
+ *
+ * @param {string} redemptionId - Column G of the redemptions tab
+ * @param {string} action - 'approve' | 'reject' | 'fulfill'
+ * @param {string} instructorName - Goes to "Handled By"
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey]
+ * @returns {Promise<Object>} - { success, redemptionId, before: { status }, status, stock?, queued? }
+ * @throws {Error} - code 'ROW_CONFLICT' when the redemption is gone or no longer in a status the action applies to
+ */
+async function updateRedemptionStatus(redemptionId, action, instructorName = 'Instructor', options = {}) {
+    const id = String(redemptionId || '').trim();
+    if (!id) throw new Error('Redemption ID is required');
+    const transition = redemptionRules.transitionFor(action);
+
+    return withRedemptionLock(async () => {
+        const { queued, result } = await writeJournal.run('updateRedemptionStatus', {
+            redemptionId: id,
+            from: transition.from,
+            to: transition.to,
+            instructorName
+        }, {
+            idempotencyKey: options.idempotencyKey,
+            summary: `${transition.to} redemption ${id}`
+        });
+
+        if (queued) {
+            return { success: true, queued: true, redemptionId: id, status: transition.to, before: null };
+        }
+        return { success: true, redemptionId: id, ...result };
+    });
+}
+
+/**
+ * Writes a redemption's new status (journal handler). Finds the row by its
+ * Redemption ID now, never by a row number read earlier.
+ *
+ * @param {Object} args - { redemptionId, from, to, instructorName }
+ */
+async function writeRedemptionStatus(args) {
+    const client = await getGoogleSheetsClient();
+    const { rows, columns: cols } = await columnResolver.readSheet(client, config.REDEMPTIONS_SHEET);
+    const index = rows.findIndex((row, i) => i > 0 && String(row[cols.REDEMPTION_ID] || '').trim() === args.redemptionId);
+    if (index === -1) {
+        throw rowConflictError(`Redemption ${args.redemptionId} no longer exists. Reload and try again.`, {
+            reason: 'missing',
+            redemptionId: args.redemptionId
+        });
+    }
+    const row = rows[index];
+    const rowIndex = index + 1;
+    const current = redemptionRules.statusOf({ status: row[cols.STATUS] });
+
+    // A replay of a write that already landed
+    if (current === args.to) {
+        return { before: { status: current }, status: current };
+    }
+    if (!args.from.includes(current)) {
+        throw rowConflictError(`Redemption ${args.redemptionId} is ${current}, so it can't be moved to ${args.to}. Reload and try again.`, {
+            reason: 'changed',
+            rowIndex,
+            mismatches: [{ field: 'status', expected: args.from.join(' or '), actual: current }]
+        });
+    }
+
+    const updates = [
+        { range: `${config.REDEMPTIONS_SHEET}!${columnResolver.columnLetter(cols.STATUS)}${rowIndex}`, values: [[args.to]] },
+        { range: `${config.REDEMPTIONS_SHEET}!${columnResolver.columnLetter(cols.HANDLED_BY)}${rowIndex}`, values: [[args.instructorName]] }
+    ];
+
+    // Handing the prize over: one fewer in stock
+    let stock;
+    if (args.to === redemptionRules.STATUS.FULFILLED) {
+        const prizeRes = await client.spreadsheets.values.get({
+            spreadsheetId: config.SPREADSHEET_ID,
+            range: `${config.PRIZES_SHEET}!A:Z`
+        });
+        const prizeRows = prizeRes.data.values || [];
+        const headers = (prizeRows[0] || []).map(h => String(h).trim().toLowerCase());
+        const stockCol = headers.indexOf(config.PRIZE_STOCK_HEADER.toLowerCase());
+        const nameCol = headers.indexOf('prize name');
+        const prizeName = String(row[cols.PRIZE_NAME] || '').trim().toLowerCase();
+        const prizeIndex = nameCol === -1 ? -1 : prizeRows.findIndex((r, i) => i > 0 && String(r[nameCol] || '').trim().toLowerCase() === prizeName);
+        const currentStock = prizeIndex === -1 || stockCol === -1 ? '' : String(prizeRows[prizeIndex][stockCol] || '').replace(/[^\d]/g, '');
+
+        if (currentStock !== '') {
+            stock = Math.max(parseInt(currentStock, 10) - 1, 0);
+            updates.push({ range: `${config.PRIZES_SHEET}!${columnResolver.columnLetter(stockCol)}${prizeIndex + 1}`, values: [[stock]] });
+        }
     }
+
+    await client.spreadsheets.values.batchUpdate({
+        spreadsheetId: config.SPREADSHEET_ID,
+        resource: {
+            valueInputOption: 'USER_ENTERED',
+            data: updates
+        }
+    });
+
+    cacheManager.invalidate('redemptions');
+    if (stock !== undefined) cacheManager.invalidate('prizes');
+    console.log(`🎁 Redemption ${args.redemptionId}: ${current} -> ${args.to} by ${args.instructorName}${stock !== undefined ? ` (stock now ${stock})` : ''}`);
+
+    return {
+        before: { status: current },
+        status: args.to,
+        studentId: row[cols.STUDENT_ID] || '',
+        prizeName: row[cols.PRIZE_NAME] || '',
+        ...(stock !== undefined ? { stock } : {})
+    };
 }
 
 /**
- * Add a new redemption record
+ * Appends a redemption row to the redemptions sheet (journal handler)
+ *
+ * @param {Object} args - { redemptionId, student, prizeName, pointsCost, status, timestamp }
+ * @param {boolean} checkExisting - If true, skip the append when the row already exists
  */
-async function addRedemption(student, prizeName, pointsCost) {
+async function appendRedemption(args, checkExisting = false) {
+    const { redemptionId, student, prizeName, pointsCost, timestamp } = args;
     try {
         const client = await getGoogleSheetsClient();
-        const timestamp = new Date().toLocaleString();
 
-        const values = [[
-            timestamp,
-            student.name,
-            student.id,
-            prizeName,
-            pointsCost.toString(),
-            'APPROVED' // Status
-        ]];
+        // Replay safety: same Redemption ID (or, for entries queued before IDs
+        // existed, same timestamp + student + prize) means a previous attempt already landed
+        if (checkExisting) {
+            const existing = await fetchRedemptions(true);
+            const alreadyWritten = existing.some(r => redemptionId
+                ? r.redemptionId === redemptionId
+                : r.timestamp === timestamp && r.studentId === student.id && r.prizeName === prizeName
+            );
+            if (alreadyWritten) {
+                console.log(`[JOURNAL] Redemption for ${student.id} at ${timestamp} already recorded. Skipping append.`);
+                return true;
+            }
+        }
+
+        const cols = await columnResolver.getColumns(client, config.REDEMPTIONS_SHEET);
+        const row = new Array(Math.max(...Object.values(cols)) + 1).fill('');
+        row[cols.TIMESTAMP] = timestamp;
+        row[cols.STUDENT_NAME] = student.name;
+        row[cols.STUDENT_ID] = student.id;
+        row[cols.PRIZE_NAME] = prizeName;
+        row[cols.POINTS_COST] = pointsCost.toString();
+        row[cols.STATUS] = args.status || redemptionRules.STATUS.APPROVED; // Entries queued before the approval queue
+        row[cols.REDEMPTION_ID] = redemptionId || '';
+        const values = [row];
 
         await client.spreadsheets.values.append({
             spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.REDEMPTIONS_SHEET}!A:F`,
+            range: `${config.REDEMPTIONS_SHEET}!A:A`,
             valueInputOption: 'USER_ENTERED',
             resource: { values }
         });
 
-        // Clear cache so leaderboard updates immediately
-        clearCache();
+        // Refresh redemptions so leaderboard balances update immediately
+        cacheManager.invalidate('redemptions');
         return true;
 
     } catch (error) {
@@ -2993,30 +4978,80 @@ module.exports = {
     fetchBookingInfo,
     fetchEnrichedBookingInfo,
     syncMasterDatabase,
+    getMasterSyncStatus,
     fetchAllKids,
     fetchInstructors,
+    hashInstructorPasscodes,
     markStudentAttendance,
     getLocalMasterDB,
-    clearCache,
+    invalidateCache,
+    getCacheStats,
+    getCacheDatasetNames,
     fetchInventory,
     updateInventory,
     getLeaderboard,
+    archiveSeasonStandings,
+    fetchBookingHistory,
+    getAttendanceHistory,
+    getAttendanceReport,
+    buildParentDigest,
+    sendParentDigests,
+    getCertificate,
+    getCertificatePdf,
+    getClassCertificates,
+    checkBadges,
+    getStudentPointsLedger,
+    addPointsAdjustment,
+    fetchPointsAdjustments,
+    reconcilePoints,
     assignProject,
+    assignProjectBulk,
     deleteProjectEntry,
+    restoreProjectEntry,
+    listArchivedProjectEntries,
     fetchStudentFullDetails,
     updateStudentFullDetails,
     markProjectComplete,
+    getCurriculumTracks,
+    setupCurriculumTracks,
+    getTrackProgress,
+    getRecommendations,
     fetchStudentNamesForLogin,
     getGoogleSheetsClient,
+    getGoogleDriveClient,
+    setGoogleClientsForTesting,
+    getGoogleApiStats: googleApi.getStats,
+    resetGoogleApiCircuit: googleApi.resetCircuit,
     saveClassReport,
     addBooking,
-    markAttendanceByStudentId: markAttendanceByStudentIdDEBUG, // [NEW] Attendance by ID (Debug Version)
+    markAttendanceByStudentId: recordAttendanceByStudentId, // [NEW] Attendance by ID (Journaled, Debug Version underneath)
     uploadHeadshotToDrive,
     fetchPrizesList,
     fetchRedemptions,
-    addRedemption
+    getPrizeAvailability,
+    requestRedemption,
+    listRedemptions,
+    updateRedemptionStatus,
+    updateStudentNote
 };
 
+// ============================================================================
+// WRITE JOURNAL HANDLERS
+// ============================================================================
+// These are the functions the write journal calls to actually talk to Google.
+// `entry.attempts > 1` means an earlier attempt may have reached Google before
+// the connection dropped, so append-style writes check for their own row first.
+
+writeJournal.registerHandler('assignProject', (args, entry) => appendProjectAssignment(args, entry.attempts > 1));
+writeJournal.registerHandler('assignProjectBulk', (args, entry) => appendProjectAssignments(args, entry.attempts > 1));
+writeJournal.registerHandler('markProjectComplete', (args) => writeProjectCompletion(args));
+writeJournal.registerHandler('addRedemption', (args, entry) => appendRedemption(args, entry.attempts > 1));
+writeJournal.registerHandler('updateRedemptionStatus', (args) => writeRedemptionStatus(args));
+writeJournal.registerHandler('markAttendanceByStudentId', (args) => markAttendanceByStudentIdDEBUG(args.studentId, args.classDate));
+writeJournal.registerHandler('updateInventory', (args) => writeInventoryUpdate(args));
+writeJournal.registerHandler('updateStudentNote', (args) => writeStudentNote(args));
+writeJournal.registerHandler('addPointsAdjustment', (args, entry) => appendPointsAdjustment(args, entry.attempts > 1));
+
 // ============================================================================
 // FUNCTION: Add Booking to Google Sheets
 // ============================================================================
@@ -3034,33 +5069,25 @@ async function addBooking(bookingData) {
         // Get authenticated Sheets API client
         const sheets = await getGoogleSheetsClient();
 
-        // Prepare row data based on config
+        // Prepare row data based on the live headers
         // Find the max index needed
-        const maxIndex = Math.max(
-            config.BOOKING_COLUMNS.EMAIL || 0,
-            config.BOOKING_COLUMNS.STUDENT_NAME || 0,
-            config.BOOKING_COLUMNS.AGE || 0,
-            config.BOOKING_COLUMNS.SERVICE_TITLE || 0,
-            config.BOOKING_COLUMNS.CLASS_DATE || 0,
-            config.BOOKING_COLUMNS.CHECKED_IN || 0,
-            config.BOOKING_COLUMNS.STUDENT_ID || 14
-        );
+        const cols = await columnResolver.getColumns(sheets, config.BOOKING_SHEET);
+        const maxIndex = Math.max(...Object.values(cols));
 
         const row = new Array(maxIndex + 1).fill('');
 
         // Fill in data
-        // Using strict checks for defined indices
-        if (typeof config.BOOKING_COLUMNS.EMAIL !== 'undefined') row[config.BOOKING_COLUMNS.EMAIL] = bookingData.email || '';
-        if (typeof config.BOOKING_COLUMNS.STUDENT_NAME !== 'undefined') row[config.BOOKING_COLUMNS.STUDENT_NAME] = bookingData.studentName || '';
-        if (typeof config.BOOKING_COLUMNS.AGE !== 'undefined') row[config.BOOKING_COLUMNS.AGE] = bookingData.age || '';
-        if (typeof config.BOOKING_COLUMNS.SERVICE_TITLE !== 'undefined') row[config.BOOKING_COLUMNS.SERVICE_TITLE] = bookingData.serviceTitle || '';
-        if (typeof config.BOOKING_COLUMNS.CLASS_DATE !== 'undefined') row[config.BOOKING_COLUMNS.CLASS_DATE] = bookingData.date || '';
-        if (typeof config.BOOKING_COLUMNS.STUDENT_ID !== 'undefined') row[config.BOOKING_COLUMNS.STUDENT_ID] = bookingData.studentId || '';
+        row[cols.EMAIL] = bookingData.email || '';
+        row[cols.STUDENT_NAME] = bookingData.studentName || '';
+        row[cols.AGE] = bookingData.age || '';
+        row[cols.SERVICE_TITLE] = bookingData.serviceTitle || '';
+        row[cols.CLASS_DATE] = bookingData.date || '';
+        row[cols.STUDENT_ID] = bookingData.studentId || '';
 
         // Append to sheet
         await sheets.spreadsheets.values.append({
             spreadsheetId: config.SPREADSHEET_ID,
-            range: `${config.BOOKING_SHEET}!A:Z`,
+            range: `${config.BOOKING_SHEET}!A:A`,
             valueInputOption: 'USER_ENTERED',
             resource: {
                 values: [row]
@@ -3068,6 +5095,7 @@ async function addBooking(bookingData) {
         });
 
         console.log('✅ Booking added successfully.');
+        cacheManager.invalidate(['bookings', 'bookingHistory']);
         return { success: true };
 
     } catch (error) {
@@ -3076,6 +5104,33 @@ async function addBooking(bookingData) {
     }
 }
 
+// ============================================================================
+// HELPER: Attendance Range (Date, Checked In, Student ID)
+// ============================================================================
+
+/**
+ * Works out the smallest booking-sheet range that holds the Class Date,
+ * Checked In and Student ID columns (normally M:O), and where each one sits inside it.
+ *
+ * @param {Object} client - Google Sheets API client
+ * @returns {Promise<Object>} - { range, offsets: { CLASS_DATE, CHECKED_IN, STUDENT_ID }, checkedInCol }
+ */
+async function getAttendanceRange(client) {
+    const cols = await columnResolver.getColumns(client, config.BOOKING_SHEET);
+    const fields = ['CLASS_DATE', 'CHECKED_IN', 'STUDENT_ID'];
+    const first = Math.min(...fields.map(f => cols[f]));
+    const last = Math.max(...fields.map(f => cols[f]));
+
+    const offsets = {};
+    fields.forEach(f => { offsets[f] = cols[f] - first; });
+
+    return {
+        range: `${config.BOOKING_SHEET}!${columnResolver.columnLetter(first)}:${columnResolver.columnLetter(last)}`,
+        offsets,
+        checkedInCol: columnResolver.columnLetter(cols.CHECKED_IN)
+    };
+}
+
 // ============================================================================
 // FUNCTION: Mark Attendance by Student ID (For Login)
 // ============================================================================
@@ -3101,27 +5156,26 @@ async function markAttendanceByStudentId(studentId) {
 
         console.log(`[ATTENDANCE] Checking for Student ID: "${studentId}" on Date: "${todayStr}"`);
 
-        // 2. Fetch Columns M, N, O (Date, Status, ID)
-        // M is Index 12 (Col 13), O is Index 14 (Col 15)
-        // Range M:O
+        // 2. Fetch the Date, Status and ID columns (normally M, N, O)
+        const { range, offsets, checkedInCol } = await getAttendanceRange(client);
         const response = await client.spreadsheets.values.get({
             spreadsheetId: config.SPREADSHEET_ID,
-            range: `${sheetName}!M:O`,
+            range: range,
         });
 
         const rows = response.data.values || [];
 
         // 3. Find matching row
-        // Row check: Col M (0 in range) == Today, Col O (2 in range) == StudentID
+        // Row check: Date column == Today, ID column == StudentID
         let matchRowIndex = -1;
 
         // Start from Index 1 to skip header? Usually Booking sheet has headers.
-        // Google Sheets API returns range values. row[0] is M, row[1] is N, row[2] is O.
+        // Google Sheets API returns range values relative to the first fetched column.
 
         for (let i = 0; i < rows.length; i++) {
             const row = rows[i];
-            const dateVal = row[0] ? row[0].trim() : '';
-            const idVal = row[2] ? row[2].trim() : '';
+            const dateVal = row[offsets.CLASS_DATE] ? row[offsets.CLASS_DATE].trim() : '';
+            const idVal = row[offsets.STUDENT_ID] ? row[offsets.STUDENT_ID].trim() : '';
 
             // Simple string comparison for date (Sheet format must match)
             // If sheet has "1/13/2026", this might fail. User specified "Jan 13, 2026" format.
@@ -3136,20 +5190,16 @@ async function markAttendanceByStudentId(studentId) {
 
         if (matchRowIndex !== -1) {
             // Calculate actual spreadsheet row number (1-based)
-            // If we fetched M:O, the first row of 'rows' is the first row of M:O.
-            // If M:O includes header, i=0 is header.
-            // row[0] corresponds to M1 (or M2 if we skipped header? No, range M:O means M1:O_END).
+            // Whole-column ranges (M:O) start at Row 1, so i=0 is the header.
             // So if matchRowIndex is 0, that's Row 1.
             const sheetRowNumber = matchRowIndex + 1;
 
             console.log(`[ATTENDANCE] Found match at Row ${sheetRowNumber}. Updating status...`);
 
-            // 4. Update Status (Col N) to TRUE
-            // Col N is the middle column of our M:O range, but we should target cell N{Row} directly.
-
+            // 4. Update Status (Checked In, normally Col N) to TRUE
             await client.spreadsheets.values.update({
                 spreadsheetId: config.SPREADSHEET_ID,
-                range: `${sheetName}!N${sheetRowNumber}`,
+                range: `${sheetName}!${checkedInCol}${sheetRowNumber}`,
                 valueInputOption: 'USER_ENTERED',
                 resource: { values: [['TRUE']] }
             });
@@ -3176,9 +5226,11 @@ async function markAttendanceByStudentId(studentId) {
  * DEBUG VERSION WITH DETAILED LOGGING
  *
  * @param {string} studentId - The unique student ID (Email/Name)
+ * @param {Date|string} [classDate] - Day to check in for (defaults to today; set when replaying offline check-ins)
  * @returns {Promise<boolean>} - True if a record was updated
+ * @throws {Error} - Only for network errors, so the write journal can retry later
  */
-async function markAttendanceByStudentIdDEBUG(studentId) {
+async function markAttendanceByStudentIdDEBUG(studentId, classDate = new Date()) {
     if (!studentId) return false;
 
     console.log(`[ATTENDANCE] START: Validating attendance for "${studentId}"`);
@@ -3188,7 +5240,7 @@ async function markAttendanceByStudentIdDEBUG(studentId) {
         const sheetName = config.BOOKING_SHEET;
 
         // 1. Generate multiple date formats to match
-        const today = new Date();
+        const today = new Date(classDate);
         const formats = [
             today.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }), // "Jan 13, 2026"
             today.toLocaleDateString('en-US'), // "1/13/2026" (default)
@@ -3204,13 +5256,12 @@ async function markAttendanceByStudentIdDEBUG(studentId) {
         console.log(`[ATTENDANCE] Checking Date Formats: ${JSON.stringify(formats)}`);
 
         // 2. Fetch Range
-        // M (Date) is at Index 0 relative to range M:O
-        // N (Status) is at Index 1
-        // O (ID) is at Index 2
-        console.log(`[ATTENDANCE] Fetching range ${sheetName}!M:O...`);
+        // Date, Status and ID columns (normally M:O), located by header text
+        const { range, offsets, checkedInCol } = await getAttendanceRange(client);
+        console.log(`[ATTENDANCE] Fetching range ${range}...`);
         const response = await client.spreadsheets.values.get({
             spreadsheetId: config.SPREADSHEET_ID,
-            range: `${sheetName}!M:O`,
+            range: range,
             valueRenderOption: 'FORMATTED_VALUE' // Get exactly what is displayed
         });
 
@@ -3227,8 +5278,8 @@ async function markAttendanceByStudentIdDEBUG(studentId) {
 
         for (let i = 0; i < rows.length; i++) {
             const row = rows[i];
-            const dateVal = row[0] ? row[0].trim() : '';
-            const idVal = row[2] ? row[2].trim() : ''; // Col O is index 2
+            const dateVal = row[offsets.CLASS_DATE] ? row[offsets.CLASS_DATE].trim() : '';
+            const idVal = row[offsets.STUDENT_ID] ? row[offsets.STUDENT_ID].trim() : ''; // Normally Col O
 
             // Debug specific student check
             if (idVal.toLowerCase().includes(studentId.toLowerCase().split('/')[0])) {
@@ -3253,15 +5304,16 @@ async function markAttendanceByStudentIdDEBUG(studentId) {
             // Calculate 1-based row number
             const sheetRowNumber = matchRowIndex + 1;
 
-            // 4. Update Status (Col N) to TRUE
+            // 4. Update Status (Checked In, normally Col N) to TRUE
             await client.spreadsheets.values.update({
                 spreadsheetId: config.SPREADSHEET_ID,
-                range: `${sheetName}!N${sheetRowNumber}`,
+                range: `${sheetName}!${checkedInCol}${sheetRowNumber}`,
                 valueInputOption: 'USER_ENTERED',
                 resource: { values: [['TRUE']] }
             });
 
             console.log(`[ATTENDANCE] ✅ Successfully marked TRUE for ${studentId} at Row ${sheetRowNumber}`);
+            cacheManager.invalidate(['bookings', 'bookingHistory']);
             return true;
         } else {
             console.warn(`[ATTENDANCE] ⚠️ No matching booking found for "${studentId}" today.`);
@@ -3270,9 +5322,42 @@ async function markAttendanceByStudentIdDEBUG(studentId) {
 
     } catch (error) {
         console.error('[ATTENDANCE ERROR] ❌ Failed to mark attendance:', error.message);
-        if (error.message.includes('getaddrinfo') || error.message.includes('ENOTFOUND')) {
+        if (writeJournal.isNetworkError(error)) {
             console.error('[ATTENDANCE ERROR] Network Error - System might be offline.');
+            throw error; // Let the write journal keep this check-in for later
         }
         return false;
     }
 }
+
+/**
+ * Checks a student in for today's class through the write journal.
+ * If we're offline the check-in is kept and replayed (for the original day) later.
+ *
+ * @param {string} studentId - The unique student ID (Email/Name)
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Same key = same check-in (never written twice)
+ * @returns {Promise<boolean>} - True if a record was updated (or queued for later)
+ */
+async function recordAttendanceByStudentId(studentId, options = {}) {
+    if (!studentId) return false;
+
+    try {
+        const outcome = await writeJournal.run('markAttendanceByStudentId', {
+            studentId,
+            classDate: new Date().toISOString()
+        }, {
+            idempotencyKey: options.idempotencyKey,
+            summary: `Check in ${studentId}`
+        });
+
+        if (outcome.queued) {
+            console.log(`[ATTENDANCE] Offline - check-in for ${studentId} queued in write journal.`);
+            return true;
+        }
+        return outcome.result === true;
+    } catch (error) {
+        console.error('[ATTENDANCE ERROR] ❌ Check-in could not be recorded:', error.message);
+        return false;
+    }
+}
@@ -0,0 +1,260 @@
+/*
+ * ============================================================================
+ * LEADERBOARD SERVICE - SCOPED LEADERBOARDS AND SEASONS
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The leaderboard only had lifetime, 30-day and 7-day totals across every
+ * student. Kids in a Saturday robotics class want to see how they rank in
+ * their class, and we want to run time-boxed competitions ("Spring Challenge")
+ * whose final standings stay on record after they end.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Scopes: keeps the students of one class (Child Names "Service Title"),
+ *    one track, one age band ("8-10", "12+") and/or active students only
+ * 2. Seasons: named date ranges kept in data/seasons.json. During a season
+ *    each student's seasonPoints are the points earned between its start and
+ *    end dates; lifetime points are never touched
+ * 3. Archiving: once a season has ended, its final standings are saved into
+ *    the season so later edits to the Project Log can't change who won
+ *
+ * google-sheets-service.js (getLeaderboard, archiveSeasonStandings) does the
+ * point math with the points ledger.
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const curriculum = require('./curriculum-service');  // Loose track-name matching
+const recommender = require('./recommendation-service');  // Age range parsing ("8-10", "12+")
+
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const SEASONS_PATH = path.join(DATA_DIR, 'seasons.json');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function loadSeasons() {
+    try {
+        if (fs.existsSync(SEASONS_PATH)) {
+            const parsed = JSON.parse(fs.readFileSync(SEASONS_PATH, 'utf8'));
+            if (parsed && Array.isArray(parsed.seasons)) return parsed;
+        }
+    } catch (err) {
+        console.error('[SEASONS] Could not read seasons file:', err.message);
+        // Never start fresh over a file we couldn't read: that would lose archived standings
+        throw new Error(`Seasons file is unreadable (${err.message})`);
+    }
+    return { seasons: [] };
+}
+
+function saveSeasons(data) {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    const tempPath = SEASONS_PATH + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, SEASONS_PATH);
+}
+
+/**
+ * "Spring Challenge 2026" -> "spring-challenge-2026"
+ */
+function slugify(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * "2026-03-01" -> a date (start of that day, or its last millisecond)
+ */
+function parseDay(value, endOfDay) {
+    const text = String(value || '').trim();
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`)
+        : new Date(NaN);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value} (use YYYY-MM-DD)`);
+    }
+    return date;
+}
+
+// ============================================================================
+// FUNCTIONS: Scopes
+// ============================================================================
+
+/**
+ * Query string -> scope. Unknown or empty values mean "everyone".
+ *
+ * @param {Object} query - { serviceTitle, track, ageBand, activeOnly, season }
+ * @returns {Object} - { serviceTitle, track, ageBand, activeOnly, season }
+ * @throws {Error} - When the age band has no number in it
+ */
+function parseScope(query = {}) {
+    const text = value => String(value || '').trim();
+    const scope = {
+        serviceTitle: text(query.serviceTitle),
+        track: text(query.track),
+        ageBand: text(query.ageBand),
+        activeOnly: ['true', '1', 'yes'].includes(text(query.activeOnly).toLowerCase()),
+        season: text(query.season)
+    };
+    if (scope.ageBand && !recommender.parseAgeRange(scope.ageBand)) {
+        throw new Error(`Invalid age band: ${scope.ageBand} (e.g. 8-10 or 12+)`);
+    }
+    return scope;
+}
+
+/**
+ * Is this student in the scope?
+ *
+ * @param {Object} student - { serviceTitle, track, age, isActive }
+ * @param {Object} scope - From parseScope()
+ */
+function matchesScope(student, scope) {
+    if (scope.activeOnly && !student.isActive) return false;
+
+    if (scope.serviceTitle) {
+        // A student can be in more than one class ("Robotics, Coding")
+        const classes = String(student.serviceTitle || '').split(',').map(c => c.trim().toLowerCase());
+        if (!classes.includes(scope.serviceTitle.toLowerCase())) return false;
+    }
+
+    if (scope.track && curriculum.normalizeTrackName(student.track) !== curriculum.normalizeTrackName(scope.track)) {
+        return false;
+    }
+
+    if (scope.ageBand) {
+        const band = recommender.parseAgeRange(scope.ageBand);
+        const age = parseInt(student.age, 10);
+        if (isNaN(age) || age < band.min || age > band.max) return false;
+    }
+
+    return true;
+}
+
+// ============================================================================
+// FUNCTIONS: Seasons
+// ============================================================================
+
+/**
+ * Where a season is now: 'upcoming' | 'active' | 'ended' | 'archived'
+ */
+function seasonState(season, now = new Date()) {
+    if (season.archivedAt) return 'archived';
+    if (now < parseDay(season.start, false)) return 'upcoming';
+    if (now > parseDay(season.end, true)) return 'ended';
+    return 'active';
+}
+
+/**
+ * A season without its (possibly long) standings, plus its state
+ */
+function describeSeason(season) {
+    const { standings, ...rest } = season;
+    return { ...rest, state: seasonState(season), standingsCount: standings ? standings.length : 0 };
+}
+
+/**
+ * The first and last millisecond a season counts points for
+ *
+ * @returns {Object} - { from: Date, to: Date }
+ */
+function seasonWindow(season) {
+    return { from: parseDay(season.start, false), to: parseDay(season.end, true) };
+}
+
+/**
+ * Every season, newest start first (without standings)
+ */
+function listSeasons() {
+    return loadSeasons().seasons
+        .slice()
+        .sort((a, b) => b.start.localeCompare(a.start))
+        .map(describeSeason);
+}
+
+/**
+ * @param {string} seasonId
+ * @returns {Object|null} - The full season (with standings once archived)
+ */
+function findSeason(seasonId) {
+    const id = String(seasonId || '').trim().toLowerCase();
+    return loadSeasons().seasons.find(s => s.id === id) || null;
+}
+
+/**
+ * Creates a season.
+ *
+ * @param {Object} season - { name, start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }
+ * @param {string} createdBy - Instructor name
+ * @returns {Object} - The new season
+ * @throws {Error} - Missing name, bad dates, end before start, or a season with that name already
+ */
+function createSeason({ name, start, end }, createdBy) {
+    const title = String(name || '').trim();
+    if (!title || !slugify(title)) throw new Error('A season name is required');
+    const from = parseDay(start, false);
+    const to = parseDay(end, true);
+    if (to < from) throw new Error('The season must end on or after its start date');
+
+    const data = loadSeasons();
+    const id = slugify(title);
+    if (data.seasons.some(s => s.id === id)) {
+        throw new Error(`A season named "${title}" already exists`);
+    }
+
+    const season = {
+        id,
+        name: title,
+        start: String(start).trim(),
+        end: String(end).trim(),
+        createdBy: createdBy || 'Instructor',
+        createdAt: new Date().toISOString(),
+        archivedBy: null,
+        archivedAt: null,
+        standings: null
+    };
+    data.seasons.push(season);
+    saveSeasons(data);
+    return describeSeason(season);
+}
+
+/**
+ * Saves a season's final standings. Only once it has ended, and only once.
+ *
+ * @param {string} seasonId
+ * @param {Array} standings - [{ id, name, seasonPoints, rank, serviceTitle, track, age, isActive }]
+ * @param {string} archivedBy - Instructor name
+ * @returns {Object} - The archived season (without standings)
+ */
+function archiveSeason(seasonId, standings, archivedBy) {
+    const data = loadSeasons();
+    const season = data.seasons.find(s => s.id === String(seasonId || '').trim().toLowerCase());
+    if (!season) throw new Error(`Season not found: ${seasonId}`);
+
+    const state = seasonState(season);
+    if (state === 'archived') throw new Error(`Season "${season.name}" was already archived`);
+    if (state !== 'ended') throw new Error(`Season "${season.name}" hasn't ended yet (ends ${season.end})`);
+
+    season.standings = standings;
+    season.archivedBy = archivedBy || 'Instructor';
+    season.archivedAt = new Date().toISOString();
+    saveSeasons(data);
+    return describeSeason(season);
+}
+
+module.exports = {
+    parseScope,
+    matchesScope,
+    seasonState,
+    seasonWindow,
+    describeSeason,
+    listSeasons,
+    findSeason,
+    createSeason,
+    archiveSeason,
+    SEASONS_PATH
+};
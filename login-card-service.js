@@ -0,0 +1,285 @@
+/*
+ * ============================================================================
+ * LOGIN CARD SERVICE - PRINTED QR CARDS THAT LOG A STUDENT IN
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Kids found their name in a long list to log in, and were only checked in
+ * as a side effect of the socket "student-login" event. Each active student
+ * now gets a printed card with their headshot and a QR code; holding it up to
+ * the station webcam logs them in, checks them in for today's class and
+ * notes which station they sat at.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Card tokens: "LTB1.<student ID>.<issued>.<signature>", signed with a
+ *    server secret (LTB_CARD_SECRET, or data/login-card-secret made on first
+ *    use), so a card can't be made up by hand. Reissuing a student's card
+ *    (a lost card) makes their older cards stop working; data/login-cards.json
+ *    keeps when each student's current card was issued.
+ * 2. The printable sheet: an HTML page of credit-card-sized cards (headshot,
+ *    name, class, QR code from qr-code.js), ready for the browser's Print.
+ * 3. Scans: every card login is kept in data/card-scans.jsonl (student,
+ *    station, whether the check-in worked) for the Teacher Panel.
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const qrCode = require('./qr-code');
+
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const SECRET_PATH = path.join(DATA_DIR, 'login-card-secret');
+const ISSUED_PATH = path.join(DATA_DIR, 'login-cards.json');
+const SCANS_PATH = path.join(DATA_DIR, 'card-scans.jsonl');
+
+const TOKEN_PREFIX = 'LTB1';
+const SIGNATURE_BYTES = 12;
+
+let secret = null;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * The signing secret: LTB_CARD_SECRET, else data/login-card-secret (made once)
+ */
+function getSecret() {
+    if (secret) return secret;
+    if (process.env.LTB_CARD_SECRET) {
+        secret = process.env.LTB_CARD_SECRET;
+    } else if (fs.existsSync(SECRET_PATH)) {
+        secret = fs.readFileSync(SECRET_PATH, 'utf8').trim();
+    } else {
+        secret = crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(SECRET_PATH, secret, { mode: 0o600 });
+        console.log('[LOGIN CARDS] Created a new card signing secret');
+    }
+    return secret;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest().subarray(0, SIGNATURE_BYTES).toString('base64url');
+}
+
+function readIssued() {
+    if (!fs.existsSync(ISSUED_PATH)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(ISSUED_PATH, 'utf8'));
+    } catch (e) {
+        console.error('[LOGIN CARDS] Could not read login-cards.json:', e.message);
+        return {};
+    }
+}
+
+function writeIssued(issued) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(ISSUED_PATH, JSON.stringify(issued, null, 2));
+}
+
+/**
+ * Something an <img> can show: local headshots as they are, Drive file links
+ * as Drive's thumbnail
+ */
+function imageSource(headshot) {
+    const link = String(headshot || '').trim();
+    const drive = link.match(/drive\.google\.com\/(?:file\/d\/|open\?id=|uc\?(?:.*&)?id=)([\w-]+)/);
+    if (drive) return `https://drive.google.com/thumbnail?id=${drive[1]}&sz=w400`;
+    return /^(https?:\/\/|\/)/i.test(link) ? link : '';
+}
+
+function initials(name) {
+    return String(name || '?').split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+}
+
+function localDay(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ============================================================================
+// FUNCTIONS: Card Tokens
+// ============================================================================
+
+/**
+ * The token printed (as a QR code) on a student's card. The same card is
+ * printed again unless `reissue` is set, which replaces it.
+ *
+ * @param {string} studentId
+ * @param {Object} [options] - { reissue, now }
+ * @returns {string}
+ */
+function tokenFor(studentId, options = {}) {
+    const id = String(studentId || '').trim();
+    if (!id) {
+        throw new Error('Student ID is required');
+    }
+
+    const issued = readIssued();
+    if (!issued[id] || options.reissue) {
+        const now = options.now || Date.now();
+        issued[id] = { issued: now, issuedAt: new Date(now).toISOString() };
+        writeIssued(issued);
+    }
+
+    const payload = `${TOKEN_PREFIX}.${Buffer.from(id, 'utf8').toString('base64url')}.${issued[id].issued.toString(36)}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Checks a scanned token.
+ *
+ * @param {string} token
+ * @returns {Object} - { studentId, issuedAt }
+ * @throws {Error} - "Not a LearnToBot login card", "Invalid login card",
+ *                   "This login card has been replaced"
+ */
+function verifyToken(token) {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX) {
+        throw new Error('Not a LearnToBot login card');
+    }
+
+    const payload = parts.slice(0, 3).join('.');
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(parts[3]);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new Error('Invalid login card');
+    }
+
+    const studentId = Buffer.from(parts[1], 'base64url').toString('utf8');
+    const issued = parseInt(parts[2], 36);
+    const current = readIssued()[studentId];
+    // A signed card nobody replaced is good even if login-cards.json was lost
+    if (current && current.issued !== issued) {
+        throw new Error('This login card has been replaced');
+    }
+    return { studentId, issuedAt: new Date(issued).toISOString() };
+}
+
+// ============================================================================
+// FUNCTIONS: The Printable Sheet
+// ============================================================================
+
+/**
+ * One HTML page of cards, to print from the browser (cut along the dashes).
+ *
+ * @param {Array} cards - [{ studentId, name, headshot, serviceTitle, token }]
+ * @param {Object} [options] - { title }
+ * @returns {string} - HTML
+ * @throws {Error} - "No login cards to print"
+ */
+function renderCardSheet(cards, options = {}) {
+    if (!cards || cards.length === 0) {
+        throw new Error('No login cards to print');
+    }
+    const title = options.title || 'Student Login Cards';
+
+    const cardHtml = cards.map(card => {
+        const image = imageSource(card.headshot);
+        const photo = image
+            ? `<img class="photo" src="${escapeHtml(image)}" alt="">`
+            : `<div class="photo initials">${escapeHtml(initials(card.name))}</div>`;
+        return `
+        <div class="card">
+            <div class="who">
+                ${photo}
+                <div class="name">${escapeHtml(card.name)}</div>
+                <div class="class">${escapeHtml(card.serviceTitle || '')}</div>
+            </div>
+            <div class="qr">${qrCode.toSvg(card.token, { margin: 2 })}<div class="hint">Show me to the camera</div></div>
+        </div>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    @page { size: letter; margin: 0.4in; }
+    body { font-family: Helvetica, Arial, sans-serif; margin: 0; color: #111827; }
+    h1 { font-size: 16px; margin: 0 0 10px; }
+    .sheet { display: grid; grid-template-columns: repeat(2, 3.375in); gap: 0.2in; }
+    .card { width: 3.375in; height: 2.125in; box-sizing: border-box; border: 1px dashed #9CA3AF; border-radius: 10px;
+            padding: 0.12in; display: flex; align-items: center; gap: 0.1in; break-inside: avoid; page-break-inside: avoid; }
+    .who { flex: 1; text-align: center; min-width: 0; }
+    .photo { width: 0.95in; height: 0.95in; border-radius: 50%; object-fit: cover; display: block; margin: 0 auto 6px; }
+    .initials { background: #3B82F6; color: #fff; font-size: 32px; font-weight: bold; line-height: 0.95in; }
+    .name { font-weight: bold; font-size: 15px; overflow-wrap: anywhere; }
+    .class { color: #6B7280; font-size: 11px; margin-top: 2px; }
+    .qr { width: 1.55in; text-align: center; }
+    .qr svg { display: block; }
+    .hint { font-size: 8px; color: #6B7280; }
+    @media print { h1 { display: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)} (${cards.length})</h1>
+<div class="sheet">${cardHtml}
+</div>
+</body>
+</html>`;
+}
+
+// ============================================================================
+// FUNCTIONS: Scan Log
+// ============================================================================
+
+/**
+ * Keeps one card login: who, at which station, and whether the check-in worked
+ */
+function recordScan({ studentId, studentName, station, ip, checkedIn }, now = new Date()) {
+    const entry = {
+        at: now.toISOString(),
+        studentId,
+        studentName: studentName || '',
+        station: station || '',
+        ip: ip || '',
+        checkedIn: !!checkedIn
+    };
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(SCANS_PATH, JSON.stringify(entry) + '\n');
+    return entry;
+}
+
+/**
+ * The card logins of one day (YYYY-MM-DD, local time; today by default), newest first
+ */
+function readScans(day = localDay(new Date())) {
+    if (!fs.existsSync(SCANS_PATH)) return [];
+    return fs.readFileSync(SCANS_PATH, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(entry => entry && localDay(new Date(entry.at)) === day)
+        .reverse();
+}
+
+module.exports = {
+    tokenFor,
+    verifyToken,
+    renderCardSheet,
+    recordScan,
+    readScans,
+    ISSUED_PATH,
+    SCANS_PATH
+};
@@ -0,0 +1,253 @@
+/*
+ * ============================================================================
+ * MAIL TRANSPORT - HOW EMAILS LEAVE THE APP
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The app had no way to email parents. This file turns a message
+ * ({ from, to, subject, html, text }) into a standard email and hands it to
+ * a transport. The transport is pluggable so the classroom laptop, the online
+ * version and the tests can each send mail their own way.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Builds the raw email (headers + plain text and HTML versions)
+ * 2. Transports (DIGEST.TRANSPORT in google-sheets-config.js):
+ *    - eml:  writes each email to data/outbox/ as a .eml file (default)
+ *    - smtp: talks plain SMTP to a server that needs no login or TLS, like a
+ *            local mail catcher (MailHog, Mailpit)
+ * 3. setTransport() plugs in any object with send(message) -> Promise
+ *    (e.g. a real email provider, or a stand-in for the tests)
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+const config = require('./google-sheets-config');
+
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const OUTBOX_DIR = path.join(DATA_DIR, 'outbox');
+
+// How long the SMTP server gets to answer each step
+const SMTP_TIMEOUT_MS = 10000;
+
+// Transport plugged in with setTransport() (null = the one from the config)
+let customTransport = null;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * "Ava Stone <ava@example.com>" -> "ava@example.com"
+ */
+function addressOf(value) {
+    const text = String(value || '').trim();
+    const match = text.match(/<([^>]+)>/);
+    return (match ? match[1] : text).trim();
+}
+
+/**
+ * Header text with non-ASCII characters (names, emoji) encoded for email
+ */
+function encodeHeader(value) {
+    const text = String(value || '');
+    return /^[\x00-\x7F]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Base64 in 76-character lines (the email line length limit)
+ */
+function base64Lines(text) {
+    return Buffer.from(String(text || ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n').trim();
+}
+
+function checkMessage(message) {
+    if (!addressOf(message.to)) throw new Error('An email needs a recipient');
+    if (!addressOf(message.from)) throw new Error('An email needs a sender');
+    if (!message.subject) throw new Error('An email needs a subject');
+}
+
+// ============================================================================
+// FUNCTION: Build the Raw Email
+// ============================================================================
+
+/**
+ * A message -> the raw email text (RFC 5322, multipart/alternative)
+ *
+ * @param {Object} message - { from, to, subject, html, text }
+ * @returns {Object} - { id (Message-ID), raw }
+ */
+function buildEmail(message) {
+    checkMessage(message);
+    const domain = addressOf(message.from).split('@')[1] || 'localhost';
+    const id = `<${crypto.randomUUID()}@${domain}>`;
+    const boundary = `ltb-${crypto.randomBytes(12).toString('hex')}`;
+
+    const lines = [
+        `From: ${encodeHeader(message.from)}`,
+        `To: ${encodeHeader(message.to)}`,
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${id}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(message.text || ''),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(message.html || ''),
+        `--${boundary}--`,
+        ''
+    ];
+    return { id, raw: lines.join('\r\n') };
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+/**
+ * Writes each email to a folder as a .eml file
+ *
+ * @param {string} [dir] - Default: data/outbox
+ */
+function createEmlTransport(dir = OUTBOX_DIR) {
+    return {
+        name: 'eml',
+        async send(message) {
+            const { id, raw } = buildEmail(message);
+            fs.mkdirSync(dir, { recursive: true });
+            const safeTo = addressOf(message.to).replace(/[^a-zA-Z0-9.@_-]/g, '_');
+            const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeTo}.eml`);
+            fs.writeFileSync(file, raw);
+            return { messageId: id, transport: 'eml', path: file };
+        }
+    };
+}
+
+/**
+ * Sends over plain SMTP (no login, no TLS): for local mail catchers
+ *
+ * @param {Object} options - { host, port }
+ */
+function createSmtpTransport({ host, port }) {
+    return {
+        name: 'smtp',
+        async send(message) {
+            const { id, raw } = buildEmail(message);
+            await smtpSend({ host, port }, addressOf(message.from), addressOf(message.to), raw);
+            return { messageId: id, transport: 'smtp', host, port };
+        }
+    };
+}
+
+/**
+ * One SMTP conversation: EHLO, MAIL FROM, RCPT TO, DATA, QUIT
+ */
+function smtpSend({ host, port }, from, to, raw) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let buffer = '';
+        let waiting = null;
+
+        const fail = (error) => {
+            socket.destroy();
+            reject(error);
+        };
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => fail(new Error(`SMTP server ${host}:${port} did not answer`)));
+        socket.on('error', error => fail(new Error(`SMTP server ${host}:${port}: ${error.message}`)));
+
+        // A reply is complete at a line "250 ..." (not "250-...")
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            const lines = buffer.split('\r\n');
+            const last = lines.slice(0, -1).reverse().find(line => /^\d{3} /.test(line));
+            if (!last || !waiting) return;
+            buffer = '';
+            const next = waiting;
+            waiting = null;
+            next(parseInt(last.slice(0, 3), 10), last);
+        });
+
+        const expect = (codes, command, label) => new Promise((ok) => {
+            waiting = (code, line) => {
+                if (!codes.includes(code)) return fail(new Error(`SMTP server refused ${label || command || 'the connection'}: ${line}`));
+                ok();
+            };
+            if (command) socket.write(`${command}\r\n`);
+        });
+
+        (async () => {
+            await expect([220]);
+            await expect([250], `EHLO ${os.hostname() || 'localhost'}`);
+            await expect([250], `MAIL FROM:<${from}>`);
+            await expect([250, 251], `RCPT TO:<${to}>`);
+            await expect([354], 'DATA');
+            // Lines starting with "." get an extra "." (SMTP dot-stuffing)
+            await expect([250], `${raw.replace(/\r\n\./g, '\r\n..')}\r\n.`, 'the message');
+            await expect([221], 'QUIT');
+            socket.end();
+            resolve();
+        })().catch(fail);
+    });
+}
+
+// ============================================================================
+// FUNCTIONS: Choosing and Using a Transport
+// ============================================================================
+
+/**
+ * The transport in use: the plugged-in one, or the one named in the config
+ */
+function getTransport() {
+    if (customTransport) return customTransport;
+    const settings = config.DIGEST || {};
+    if (settings.TRANSPORT === 'smtp') {
+        return createSmtpTransport({ host: settings.SMTP_HOST, port: settings.SMTP_PORT });
+    }
+    return createEmlTransport();
+}
+
+/**
+ * Plugs in a transport (anything with send(message) -> Promise). null goes
+ * back to the configured one.
+ */
+function setTransport(transport) {
+    if (transport && typeof transport.send !== 'function') {
+        throw new Error('A mail transport needs a send(message) function');
+    }
+    customTransport = transport;
+}
+
+/**
+ * Sends one email through the current transport
+ *
+ * @param {Object} message - { from, to, subject, html, text }
+ * @returns {Promise<Object>} - What the transport reports (messageId, ...)
+ */
+async function send(message) {
+    checkMessage(message);
+    const transport = getTransport();
+    return transport.send(message);
+}
+
+module.exports = {
+    buildEmail,
+    createEmlTransport,
+    createSmtpTransport,
+    getTransport,
+    setTransport,
+    send,
+    OUTBOX_DIR
+};
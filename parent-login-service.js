@@ -0,0 +1,273 @@
+/*
+ * ============================================================================
+ * PARENT LOGIN SERVICE - ONE-TIME CODES SENT TO THE EMAIL ON FILE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * /api/check-parent-email used to list the children of every Child Names
+ * row whose Column B *contained* what was typed, straight back to whoever
+ * typed it: "gmail" was enough to see a page of families. Now typing an
+ * email only sends a code to that address; whoever can read the email logs
+ * in as that family's parent.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Finds a family: the active children whose Column B holds exactly that
+ *    address (a cell may list several, separated by commas or semicolons)
+ * 2. Sends a 6-digit code (and, when PARENT_LOGIN.PUBLIC_URL is set, a
+ *    one-click link) through mail-transport.js. Only hashes are kept, in
+ *    memory; each works once and only for PARENT_LOGIN.CODE_MINUTES. Asking
+ *    again replaces the previous code.
+ * 3. Rate limits: codes per email and per computer (IP) within
+ *    PARENT_LOGIN.REQUEST_WINDOW_MINUTES, and PARENT_LOGIN.MAX_CODE_ATTEMPTS
+ *    wrong codes before the code stops working
+ * 4. Checks a code or link and returns the family; server.js then starts
+ *    the parent session (auth-service.js), which access-control.js limits
+ *    to those children.
+ *
+ * The answer to "send me a code" is the same whether or not the email is on
+ * file, and takes as long: a code is made either way and the email is sent
+ * in the background, so neither the answer nor its timing tells anyone who
+ * our families are.
+ *
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const config = require('./google-sheets-config');
+const mailTransport = require('./mail-transport');
+
+// lowercased email -> { email, children, codeHash, linkHash, expiresAt, attempts }
+const pending = new Map();
+
+// 'email:<address>' / 'ip:<address>' -> [timestamps of code requests]
+const requests = new Map();
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function settings() {
+    return config.PARENT_LOGIN || {};
+}
+
+function normalizeEmail(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Column B cell -> the addresses in it ("a@x.com; b@y.com" -> two)
+ */
+function emailsIn(cell) {
+    return String(cell || '')
+        .split(/[,;\s]+/)
+        .map(normalizeEmail)
+        .filter(Boolean);
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function sameHash(value, expected) {
+    return !!expected && crypto.timingSafeEqual(hash(value), expected);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Counts a request against a rate limit key; throws once over the limit
+ */
+function checkRate(key, limit, now) {
+    const windowMs = (settings().REQUEST_WINDOW_MINUTES || 15) * 60000;
+    const recent = (requests.get(key) || []).filter(at => now - at < windowMs);
+    if (recent.length >= limit) {
+        const minutes = Math.ceil((recent[0] + windowMs - now) / 60000);
+        throw new Error(`Too many code requests. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+    }
+    recent.push(now);
+    requests.set(key, recent);
+}
+
+// ============================================================================
+// FUNCTIONS: Families
+// ============================================================================
+
+/**
+ * The active children whose Column B holds exactly this email.
+ *
+ * @param {string} email - As typed
+ * @param {Array} students - fetchStudents() entries
+ * @returns {Array} - [{ id, name, loginName, parentName, fileLink }]
+ */
+function familyFor(email, students) {
+    const wanted = normalizeEmail(email);
+    if (!wanted) return [];
+    return students
+        .filter(s => s.isActive && emailsIn(s.parentEmail).includes(wanted))
+        .map(s => ({
+            id: s.id,
+            name: s.name,
+            loginName: s.loginName || '',
+            parentName: s.parentFirstName || 'Parent',
+            fileLink: s.fileLink || ''
+        }));
+}
+
+// ============================================================================
+// FUNCTIONS: Codes
+// ============================================================================
+
+/**
+ * The email with the code (and link)
+ */
+function codeMessage({ email, children, code, link, minutes }) {
+    const names = children.map(c => c.name).join(', ');
+    const greeting = `Hi ${(children[0] && children[0].parentName) || 'there'},`;
+    const linkText = link ? `\nOr log in with one click: ${link}\n` : '';
+    return {
+        from: config.DIGEST.FROM,
+        to: email,
+        subject: `Your LearnToBot login code: ${code}`,
+        text: `${greeting}\n\nYour code to see ${names}'s progress is ${code}.\nIt works once, for ${minutes} minutes.\n${linkText}\nIf you didn't ask for it, you can ignore this email.\n`,
+        html: `<p>${escapeHtml(greeting)}</p>`
+            + `<p>Your code to see ${escapeHtml(names)}'s progress is</p>`
+            + `<p style="font-size:28px;font-weight:bold;letter-spacing:4px">${code}</p>`
+            + `<p>It works once, for ${minutes} minutes.</p>`
+            + (link ? `<p><a href="${escapeHtml(link)}">Log in with one click</a></p>` : '')
+            + '<p style="color:#6B7280">If you didn\'t ask for it, you can ignore this email.</p>'
+    };
+}
+
+/**
+ * Emails a one-time code to the address if it belongs to a family.
+ * Rate limited per email and per IP whether or not it does. The same work is
+ * done either way and the email goes out in the background, so the answer
+ * comes back just as fast for an address that isn't on file.
+ *
+ * @param {Object} request - { email, ip }
+ * @param {Array} students - fetchStudents() entries
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} - { sent, expiresAt, delivery } (sent is false when
+ *                              the email isn't on file: don't tell the browser;
+ *                              delivery settles once the email is handed over)
+ * @throws {Error} - "Email is required", "Too many code requests..."
+ */
+async function requestCode({ email, ip }, students, options = {}) {
+    const now = options.now || Date.now();
+    const address = normalizeEmail(email);
+    if (!address) {
+        throw new Error('Email is required');
+    }
+
+    checkRate(`ip:${ip || 'unknown'}`, settings().REQUESTS_PER_IP || 10, now);
+    checkRate(`email:${address}`, settings().REQUESTS_PER_EMAIL || 3, now);
+
+    const children = familyFor(address, students);
+    const minutes = settings().CODE_MINUTES || 15;
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const linkToken = crypto.randomBytes(24).toString('hex');
+    const baseUrl = String(settings().PUBLIC_URL || '').replace(/\/+$/, '');
+    const link = baseUrl ? `${baseUrl}/api/parent-login/link?token=${linkToken}` : '';
+
+    const entry = {
+        email: address,
+        children,
+        codeHash: hash(code),
+        linkHash: link ? hash(linkToken) : null,
+        expiresAt: now + minutes * 60000,
+        attempts: 0
+    };
+    const message = codeMessage({ email: address, children, code, link, minutes });
+
+    if (children.length === 0) {
+        console.log(`[PARENT LOGIN] No active family for ${address}; nothing sent`);
+        return { sent: false, expiresAt: null, delivery: Promise.resolve(false) };
+    }
+
+    pending.set(address, entry);
+    const delivery = mailTransport.send(message).then(() => {
+        console.log(`[PARENT LOGIN] Code sent to ${address} for ${children.length} child(ren)`);
+        return true;
+    }).catch(error => {
+        // The code can't arrive, so don't leave it waiting to be typed
+        if (pending.get(address) === entry) pending.delete(address);
+        console.error(`[PARENT LOGIN] Could not email the code to ${address}:`, error.message);
+        return false;
+    });
+    return { sent: true, expiresAt: entry.expiresAt, delivery };
+}
+
+/**
+ * Checks a typed code. Works once; too many wrong tries and it stops working.
+ *
+ * @param {Object} attempt - { email, code }
+ * @param {Object} [options] - { now }
+ * @returns {Object} - The family: { email, children }
+ * @throws {Error} - "Email and code required", "Invalid or expired code"
+ */
+function verifyCode({ email, code }, options = {}) {
+    const now = options.now || Date.now();
+    const address = normalizeEmail(email);
+    const typed = String(code || '').replace(/\s+/g, '');
+    if (!address || !typed) {
+        throw new Error('Email and code required');
+    }
+
+    const entry = pending.get(address);
+    if (!entry || entry.expiresAt <= now) {
+        pending.delete(address);
+        throw new Error('Invalid or expired code');
+    }
+    if (!sameHash(typed, entry.codeHash)) {
+        entry.attempts += 1;
+        if (entry.attempts >= (settings().MAX_CODE_ATTEMPTS || 5)) {
+            pending.delete(address);
+            console.warn(`[PARENT LOGIN] Code for ${address} cancelled after repeated wrong tries`);
+        }
+        throw new Error('Invalid or expired code');
+    }
+
+    pending.delete(address);
+    return { email: entry.email, children: entry.children };
+}
+
+/**
+ * Checks the token from a one-click login link (works once)
+ *
+ * @returns {Object} - The family: { email, children }
+ * @throws {Error} - "Invalid or expired link"
+ */
+function verifyLink(token, options = {}) {
+    const now = options.now || Date.now();
+    const entry = token
+        ? [...pending.values()].find(e => e.expiresAt > now && sameHash(token, e.linkHash))
+        : null;
+    if (!entry) {
+        throw new Error('Invalid or expired link');
+    }
+    pending.delete(entry.email);
+    return { email: entry.email, children: entry.children };
+}
+
+/**
+ * Forgets every code and rate limit (tests)
+ */
+function reset() {
+    pending.clear();
+    requests.clear();
+}
+
+module.exports = {
+    emailsIn,
+    familyFor,
+    requestCode,
+    verifyCode,
+    verifyLink,
+    reset
+};
@@ -0,0 +1,296 @@
+/*
+ * ============================================================================
+ * POINTS LEDGER SERVICE - ONE LIST OF EVERY POINT EARNED, SPENT OR ADJUSTED
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Points used to live in three places that regularly disagreed: the Project
+ * Log "Points" column (summed by getLeaderboard), the redemptions tab, and the
+ * "Total Points" column (AH) on Child Names that fetchStudents/fetchAllKids
+ * read as-is. This file turns them into one ledger of transactions, and every
+ * total (balance, weekly, monthly) is worked out from that ledger.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Builds the transactions:
+ *    - earn:   a Project Log row with points (rows marked "Deleted" don't count)
+ *    - spend:  a redemption (rejected/cancelled ones don't count)
+ *    - adjust: a manual correction by an instructor, with a reason. These are
+ *              rows on the "points adjustments" tab (appended, never edited;
+ *              undo an adjustment with another one), so the classroom server
+ *              and the online one see the same ones
+ * 2. Adds them up per student: lifetime total (earned + adjusted), spent,
+ *    balance, and the last 7 / 30 days
+ * 3. Adds up points earned between two dates (leaderboard seasons)
+ * 4. Reconciles: lists students whose Column AH doesn't match the ledger
+ *
+ * google-sheets-service.js (getLeaderboard, getStudentPointsLedger,
+ * getStudentProjects, fetchAllKids, reconcilePoints) feeds this file the sheet
+ * data and writes the adjustments checked by createAdjustment(). Column AH is read only for the reconciliation (sheetTotalPoints).
+ *
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+// "Weekly" and "monthly" points are the last 7 and 30 days (same as the leaderboard always did)
+const WEEK_DAYS = 7;
+const MONTH_DAYS = 30;
+
+// Redemption statuses that give the points back
+const VOID_REDEMPTION_STATUSES = ['REJECTED', 'CANCELLED', 'CANCELED'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * "1,200" -> 1200, "-15" -> -15, "" -> 0
+ */
+function parsePoints(value) {
+    const parsed = parseInt(String(value === undefined || value === null ? '' : value).replace(/[^\d-]/g, ''), 10);
+    return isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * Sheet date text -> ISO string, or null when it isn't a date
+ */
+function toIso(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function emptySummary() {
+    return { earned: 0, spent: 0, adjusted: 0, totalPoints: 0, balance: 0, weeklyPoints: 0, monthlyPoints: 0 };
+}
+
+// ============================================================================
+// FUNCTIONS: Manual Adjustments
+// ============================================================================
+
+/**
+ * Checks a manual adjustment (a bonus, or a correction of a mistake) and
+ * gives it an ID and time, ready to be written to the adjustments tab.
+ *
+ * @param {Object} adjustment
+ * @param {string} adjustment.studentId
+ * @param {number} adjustment.points - Positive to add, negative to take away (not 0)
+ * @param {string} adjustment.reason - Why (required: shows up in the child's ledger)
+ * @param {string} adjustment.instructor - Who made it
+ * @param {Date} [now]
+ * @returns {Object} - { id, at, studentId, points, reason, instructor }
+ * @throws {Error} - When a field is missing or points isn't a whole number
+ */
+function createAdjustment(adjustment, now = new Date()) {
+    const studentId = String(adjustment.studentId || '').trim();
+    const points = Number(adjustment.points);
+    const reason = String(adjustment.reason || '').trim();
+
+    if (!studentId) throw new Error('Student ID is required');
+    if (!Number.isInteger(points) || points === 0) throw new Error('Points must be a whole number other than 0');
+    if (!reason) throw new Error('A reason is required for a points adjustment');
+
+    return {
+        id: crypto.randomUUID(),
+        at: now.toISOString(),
+        studentId,
+        points,
+        reason,
+        instructor: String(adjustment.instructor || '').trim() || 'Instructor'
+    };
+}
+
+// ============================================================================
+// FUNCTIONS: Transactions and Totals
+// ============================================================================
+
+/**
+ * Turns the Project Log, the redemptions and the manual adjustments into one
+ * list of transactions (oldest first; rows without a readable date go first).
+ *
+ * @param {Object} sources
+ * @param {Array} sources.projectLog - fetchProjectLog() entries
+ * @param {Array} sources.redemptions - fetchRedemptions() entries
+ * @param {Array} sources.adjustments - Rows of the adjustments tab ({ id, at, studentId, points, reason, instructor })
+ * @returns {Array<Object>} - { id, type: 'earn'|'spend'|'adjust', studentId, points (signed), at, ref, reason, by }
+ */
+function buildTransactions({ projectLog = [], redemptions = [], adjustments = [] }) {
+    const transactions = [];
+
+    projectLog.forEach(project => {
+        const points = parsePoints(project.points);
+        const studentId = String(project.studentId || '').trim();
+        if (!studentId || points === 0) return;
+        if (String(project.projectStatus || '').trim().toLowerCase() === 'deleted') return;
+
+        transactions.push({
+            id: `earn:${project.id || project.uniqueId}`,
+            type: 'earn',
+            studentId,
+            points,
+            at: toIso(project.completedDate) || toIso(project.date),
+            ref: project.projectName || '',
+            reason: project.projectStatus || '',
+            by: ''
+        });
+    });
+
+    redemptions.forEach((redemption, i) => {
+        const cost = parsePoints(redemption.pointsCost);
+        const studentId = String(redemption.studentId || '').trim();
+        if (!studentId || cost === 0) return;
+        if (VOID_REDEMPTION_STATUSES.includes(String(redemption.status || '').trim().toUpperCase())) return;
+
+        transactions.push({
+            id: `spend:${redemption.redemptionId || i + 2}`, // Redemption ID, or the row on the redemptions tab
+            type: 'spend',
+            studentId,
+            points: -Math.abs(cost),
+            at: toIso(redemption.timestamp),
+            ref: redemption.prizeName || '',
+            reason: redemption.status || '',
+            by: ''
+        });
+    });
+
+    adjustments.forEach(adjustment => {
+        const points = parsePoints(adjustment.points);
+        const studentId = String(adjustment.studentId || '').trim();
+        if (!studentId || points === 0) return;
+
+        transactions.push({
+            id: `adjust:${adjustment.id}`,
+            type: 'adjust',
+            studentId,
+            points,
+            at: toIso(adjustment.at),
+            ref: '',
+            reason: adjustment.reason,
+            by: adjustment.instructor
+        });
+    });
+
+    return transactions.sort((a, b) => (a.at || '').localeCompare(b.at || ''));
+}
+
+/**
+ * Adds up the transactions per student.
+ *
+ * totalPoints = earned + adjusted (lifetime achievement, spending doesn't lower it)
+ * balance     = totalPoints - spent (what can still be redeemed)
+ * weeklyPoints / monthlyPoints = earned + adjusted in the last 7 / 30 days
+ *
+ * @param {Array} transactions - From buildTransactions()
+ * @param {Object} [options]
+ * @param {Date} [options.now] - "Today" for the weekly/monthly windows
+ * @returns {Map<string, Object>} - studentId -> { earned, spent, adjusted, totalPoints, balance, weeklyPoints, monthlyPoints }
+ */
+function summarize(transactions, options = {}) {
+    const now = options.now || new Date();
+    const weekStart = new Date(now);
+    weekStart.setDate(now.getDate() - WEEK_DAYS);
+    const monthStart = new Date(now);
+    monthStart.setDate(now.getDate() - MONTH_DAYS);
+
+    const summaries = new Map();
+    transactions.forEach(tx => {
+        if (!summaries.has(tx.studentId)) summaries.set(tx.studentId, emptySummary());
+        const summary = summaries.get(tx.studentId);
+
+        if (tx.type === 'spend') {
+            summary.spent += -tx.points;
+            summary.balance += tx.points;
+            return;
+        }
+
+        if (tx.type === 'earn') summary.earned += tx.points;
+        else summary.adjusted += tx.points;
+        summary.totalPoints += tx.points;
+        summary.balance += tx.points;
+
+        const at = tx.at ? new Date(tx.at) : null;
+        if (at && at >= monthStart) summary.monthlyPoints += tx.points;
+        if (at && at >= weekStart) summary.weeklyPoints += tx.points;
+    });
+
+    return summaries;
+}
+
+/**
+ * Points earned (plus adjustments) per student between two dates, inclusive.
+ * Used for seasons. Spending doesn't count, and undated rows are left out.
+ *
+ * @param {Array} transactions - From buildTransactions()
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Map<string, number>} - studentId -> points
+ */
+function pointsBetween(transactions, from, to) {
+    const totals = new Map();
+    transactions.forEach(tx => {
+        if (tx.type === 'spend' || !tx.at) return;
+        const at = new Date(tx.at);
+        if (at < from || at > to) return;
+        totals.set(tx.studentId, (totals.get(tx.studentId) || 0) + tx.points);
+    });
+    return totals;
+}
+
+/**
+ * Totals for one student (all zeros when they have no transactions)
+ */
+function summaryFor(summaries, studentId) {
+    return summaries.get(String(studentId || '').trim()) || emptySummary();
+}
+
+// ============================================================================
+// FUNCTION: Reconcile Against Column AH
+// ============================================================================
+
+/**
+ * Compares each student's "Total Points" (Child Names Column AH) with the
+ * ledger's lifetime total.
+ *
+ * @param {Array} students - fetchStudents() entries ({ id, name, sheetTotalPoints })
+ * @param {Map} summaries - From summarize()
+ * @returns {Object} - { checkedAt, checked, matching, mismatches: [{ studentId, name, sheetTotal, ledgerTotal, difference, earned, adjusted }] }
+ */
+function reconcile(students, summaries) {
+    const mismatches = [];
+    const withId = students.filter(s => s.id);
+
+    withId.forEach(student => {
+        const summary = summaryFor(summaries, student.id);
+        const sheetTotal = parsePoints(student.sheetTotalPoints);
+        if (sheetTotal === summary.totalPoints) return;
+
+        mismatches.push({
+            studentId: student.id,
+            name: student.name,
+            sheetTotal,
+            ledgerTotal: summary.totalPoints,
+            difference: sheetTotal - summary.totalPoints,
+            earned: summary.earned,
+            adjusted: summary.adjusted
+        });
+    });
+
+    mismatches.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+    return {
+        checkedAt: new Date().toISOString(),
+        checked: withId.length,
+        matching: withId.length - mismatches.length,
+        mismatches
+    };
+}
+
+module.exports = {
+    parsePoints,
+    createAdjustment,
+    buildTransactions,
+    summarize,
+    pointsBetween,
+    summaryFor,
+    reconcile
+};
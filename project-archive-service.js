@@ -0,0 +1,170 @@
+/*
+ * ============================================================================
+ * PROJECT ARCHIVE SERVICE - DELETED PROJECT LOG ENTRIES, KEPT FOR UNDO
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Deleting a Project Log entry used to overwrite its status with "Deleted",
+ * so a mis-click wiped a kid's completion (and the points that came with it)
+ * with no way back. Now the whole row is saved here before it is marked
+ * Deleted (the row stays in the sheet and the app skips it), and it can be
+ * put back exactly as it was.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Keeps every deleted Project Log row in data/project-log-archive.json
+ *    (all cell values + headers, who deleted it and when)
+ * 2. Lists archived entries (per student) for the restore endpoint
+ * 3. Marks entries as restored (who and when) - restored rows stay listed
+ *
+ * google-sheets-service.js does the sheet side (deleteProjectEntry,
+ * restoreProjectEntry).
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const ARCHIVE_PATH = path.join(DATA_DIR, 'project-log-archive.json');
+
+// ============================================================================
+// HELPER: Load / Save
+// ============================================================================
+
+function loadArchive() {
+    try {
+        if (fs.existsSync(ARCHIVE_PATH)) {
+            const parsed = JSON.parse(fs.readFileSync(ARCHIVE_PATH, 'utf8'));
+            if (parsed && Array.isArray(parsed.entries)) return parsed;
+        }
+    } catch (err) {
+        console.error('[ARCHIVE] Could not read project log archive:', err.message);
+        // Never start fresh over a file we couldn't read: that would lose deleted rows
+        throw new Error(`Project log archive is unreadable (${err.message})`);
+    }
+    return { entries: [] };
+}
+
+/**
+ * Writes the archive to disk (write-to-temp + rename, like the write journal)
+ */
+function saveArchive(archive) {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    const tempPath = ARCHIVE_PATH + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(archive, null, 2));
+    fs.renameSync(tempPath, ARCHIVE_PATH);
+}
+
+// ============================================================================
+// FUNCTIONS: Archive / List / Restore
+// ============================================================================
+
+/**
+ * Saves a deleted row. Call BEFORE marking it deleted in the sheet.
+ *
+ * @param {Object} row
+ * @param {string} row.uniqueId - Column A of the Project Log
+ * @param {string} row.studentId
+ * @param {string} row.studentName
+ * @param {string} row.projectCode
+ * @param {string} row.status - Status when deleted (e.g. Completed)
+ * @param {Array} row.headers - Project Log header row at the time
+ * @param {Array} row.values - The full row, cell by cell
+ * @param {string} deletedBy - Instructor name
+ * @returns {Object} - The archive entry ({ archiveId, ... })
+ */
+function archiveRow(row, deletedBy) {
+    const archive = loadArchive();
+    const entry = {
+        archiveId: crypto.randomUUID(),
+        uniqueId: row.uniqueId,
+        studentId: row.studentId,
+        studentName: row.studentName,
+        projectCode: row.projectCode,
+        status: row.status,
+        headers: row.headers,
+        values: row.values,
+        deletedBy: deletedBy || 'System',
+        deletedAt: new Date().toISOString(),
+        restoredBy: null,
+        restoredAt: null
+    };
+    archive.entries.push(entry);
+    saveArchive(archive);
+    return entry;
+}
+
+/**
+ * Finds an archive entry by its archiveId, or the latest unrestored one for a
+ * Project Log Unique ID.
+ *
+ * @param {string} id - archiveId or Unique ID
+ * @returns {Object|null}
+ */
+function findEntry(id) {
+    const key = String(id || '').trim();
+    const entries = loadArchive().entries;
+    return entries.find(e => e.archiveId === key) ||
+        entries.filter(e => e.uniqueId === key && !e.restoredAt).pop() ||
+        null;
+}
+
+/**
+ * Lists archived rows, newest first
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.studentId]
+ * @param {boolean} [filters.includeRestored] - Also list rows already put back
+ * @returns {Array}
+ */
+function listEntries(filters = {}) {
+    return loadArchive().entries
+        .filter(e => !filters.studentId || e.studentId === String(filters.studentId).trim())
+        .filter(e => filters.includeRestored || !e.restoredAt)
+        .reverse();
+}
+
+/**
+ * Records that a row was put back in the Project Log
+ *
+ * @param {string} archiveId
+ * @param {string} restoredBy - Instructor name
+ * @returns {Object} - The updated entry
+ */
+function markRestored(archiveId, restoredBy) {
+    const archive = loadArchive();
+    const entry = archive.entries.find(e => e.archiveId === archiveId);
+    if (!entry) {
+        throw new Error(`Archive entry ${archiveId} not found`);
+    }
+    entry.restoredBy = restoredBy || 'System';
+    entry.restoredAt = new Date().toISOString();
+    saveArchive(archive);
+    return entry;
+}
+
+/**
+ * Takes back an archive entry whose row was never marked
+ * (the sheet write failed right after archiveRow)
+ *
+ * @param {string} archiveId
+ */
+function dropEntry(archiveId) {
+    const archive = loadArchive();
+    archive.entries = archive.entries.filter(e => e.archiveId !== archiveId);
+    saveArchive(archive);
+}
+
+module.exports = {
+    archiveRow,
+    findEntry,
+    listEntries,
+    markRestored,
+    dropEntry,
+    ARCHIVE_PATH
+};
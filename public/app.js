@@ -1241,13 +1241,14 @@ document.getElementById('studentSearch').addEventListener('input', (e) => {
 });
 
 // Select a student
-async function selectStudent(studentName, fileLink = null, allProjectAccess = false, studentId = null) {
+async function selectStudent(studentName, fileLink = null, allProjectAccess = false, studentId = null, options = {}) {
     console.log('[Login Debug] selectStudent called with:', {
         studentName,
         fileLink,
         allProjectAccess,
         studentId,
-        typeOfId: typeof studentId
+        typeOfId: typeof studentId,
+        cardLogin: !!options.cardLogin
     });
 
     // Alert if ID is missing for debugging (temporary)
@@ -1258,8 +1259,25 @@ async function selectStudent(studentName, fileLink = null, allProjectAccess = fa
     currentStudent = studentName;
     currentStudentId = studentId; // Store global ID if needed
 
+    // [NEW] START THE STUDENT'S SESSION (the server then shows them only their own records)
+    // A login card (options.cardLogin) already did this and the check-in: /api/card-login
+    if (!options.cardLogin) try {
+        const loginResponse = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ studentName, studentId })
+        });
+        if (!loginResponse.ok) {
+            console.warn('[LOGIN] Session not started:', (await loginResponse.json()).message);
+        }
+    } catch (err) {
+        console.error('[LOGIN ERROR]', err);
+    }
+
     // [NEW] MARK ATTENDANCE
-    if (studentId) {
+    if (options.cardLogin) {
+        console.log('[ATTENDANCE] Already checked in by the login card');
+    } else if (studentId) {
         console.log(`[ATTENDANCE] Marking attendance for ID: ${studentId}`);
         try {
             // Await valid fetch to ensure it sends before reload
@@ -1776,6 +1794,8 @@ function openFolder(folderName) {
 
 // Logout
 function logout() {
+    // [NEW] End the student's (or parent's) server session; an instructor's is ended by skipLogin
+    if (!localStorage.getItem('instructorLoggedIn')) navigator.sendBeacon('/api/logout');
     currentStudent = null;
     studentProgress = null;
     localStorage.removeItem('currentStudent');
@@ -1856,7 +1876,8 @@ function forceBlockingLogin() {
 // Skip login handler
 function skipLogin() {
     logout(); // Logs out student
-    // Log out instructor
+    // Log out instructor (server session too)
+    if (localStorage.getItem('instructorLoggedIn')) navigator.sendBeacon('/api/instructor-logout');
     localStorage.removeItem('instructorLoggedIn');
     localStorage.removeItem('instructorName');
 
@@ -1903,8 +1924,13 @@ async function checkParentEmail() {
         console.log('[DEBUG] Parent Check Response:', data);
 
         if (data.success) {
-            // Success! Show children
-            renderFoundChildren(data.children);
+            // [NEW] A code is on its way to that email: ask for it
+            document.getElementById('parentEmailStep').style.display = 'none';
+            document.getElementById('parentCodeStep').style.display = 'block';
+            document.getElementById('parentCodeMessage').textContent = data.message;
+            document.getElementById('parentCodeError').style.display = 'none';
+            document.getElementById('parentCodeInput').value = '';
+            setTimeout(() => document.getElementById('parentCodeInput').focus(), 100);
         } else {
             // Failed
             console.warn('[DEBUG] Parent Check Failed:', data.message);
@@ -1922,6 +1948,69 @@ async function checkParentEmail() {
     }
 }
 
+// [NEW] Check the emailed code; the right one logs the parent in and shows their kids
+async function verifyParentCode() {
+    const email = document.getElementById('parentEmailInput').value.trim();
+    const code = document.getElementById('parentCodeInput').value.trim();
+    const btn = document.getElementById('verifyCodeBtn');
+    const errorDiv = document.getElementById('parentCodeError');
+
+    if (!code) {
+        errorDiv.textContent = 'Please enter the code from the email.';
+        errorDiv.style.display = 'block';
+        return;
+    }
+
+    btn.textContent = 'Checking...';
+    btn.disabled = true;
+    errorDiv.style.display = 'none';
+
+    try {
+        const response = await fetch('/api/parent-login/verify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, code })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            document.getElementById('parentCodeStep').style.display = 'none';
+            renderFoundChildren(data.children);
+        } else {
+            errorDiv.textContent = data.message || 'That code did not work.';
+            errorDiv.style.display = 'block';
+        }
+    } catch (error) {
+        errorDiv.textContent = 'Server error: ' + error.message;
+        errorDiv.style.display = 'block';
+    } finally {
+        btn.textContent = 'Log In';
+        btn.disabled = false;
+    }
+}
+
+// [NEW] Back from the one-click link in the login email (?parentLogin=ok or =expired)
+async function handleParentLoginLink() {
+    const result = new URLSearchParams(window.location.search).get('parentLogin');
+    if (!result) return;
+    history.replaceState(null, '', window.location.pathname);
+
+    forceBlockingLogin();
+    try {
+        const response = await fetch('/api/session');
+        const data = await response.json();
+        if (result === 'ok' && data.user && data.user.role === 'parent') {
+            renderFoundChildren(data.user.students);
+            return;
+        }
+    } catch (error) {
+        console.error('Error checking parent session:', error);
+    }
+    const errorDiv = document.getElementById('parentEmailError');
+    errorDiv.textContent = 'That login link has expired or was already used. Enter your email for a new code.';
+    errorDiv.style.display = 'block';
+}
+
 function renderFoundChildren(children) {
     const buttonsContainer = document.getElementById('foundChildrenList'); // CORRECTED ID
 
@@ -1969,18 +2058,132 @@ function renderFoundChildren(children) {
 
     // Switch to selection view
     document.getElementById('parentEmailStep').style.display = 'none';
+    document.getElementById('parentCodeStep').style.display = 'none';
     document.getElementById('parentChildSelectStep').style.display = 'block';
 }
 
 function resetParentLogin() {
     document.getElementById('parentEmailStep').style.display = 'block';
+    document.getElementById('parentCodeStep').style.display = 'none';
     document.getElementById('parentChildSelectStep').style.display = 'none';
     document.getElementById('parentEmailInput').value = '';
     document.getElementById('parentEmailError').style.display = 'none';
 }
 
+// ============================================================================
+// [NEW] LOGIN CARDS: the QR code on a student's printed card logs them in
+// and checks them in (/api/card-login). The webcam is read with the browser's
+// BarcodeDetector; a USB card reader types the code into cardTokenInput.
+// ============================================================================
+
+let cardScanStream = null;
+let cardScanBusy = false;
+
+// The station's name for the scan log: ?station=Table3 once, then remembered
+function getStationName() {
+    const fromUrl = new URLSearchParams(window.location.search).get('station');
+    if (fromUrl) localStorage.setItem('stationName', fromUrl.trim());
+    return localStorage.getItem('stationName') || '';
+}
+
+function setCardScanStatus(message, isError = false) {
+    const status = document.getElementById('cardScanStatus');
+    status.textContent = message;
+    status.style.color = isError ? '#EF4444' : '#9CA3AF';
+}
+
+function toggleCardScan() {
+    if (document.getElementById('cardScanPanel').style.display === 'block') {
+        stopCardScan();
+    } else {
+        startCardScan();
+    }
+}
+
+async function startCardScan() {
+    document.getElementById('cardScanPanel').style.display = 'block';
+    document.getElementById('cardTokenInput').value = '';
+    setTimeout(() => document.getElementById('cardTokenInput').focus(), 100);
+
+    if (!('BarcodeDetector' in window) || !navigator.mediaDevices) {
+        setCardScanStatus('This browser can\'t read QR codes from the camera. Use the card reader instead.');
+        return;
+    }
+
+    try {
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        cardScanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' } });
+        const video = document.getElementById('cardScanVideo');
+        video.srcObject = cardScanStream;
+        setCardScanStatus('Hold your card up to the camera...');
+
+        const scanFrame = async () => {
+            if (!cardScanStream) return;
+            try {
+                if (!cardScanBusy && video.readyState >= 2) {
+                    const codes = await detector.detect(video);
+                    if (codes.length > 0) await submitCardToken(codes[0].rawValue);
+                }
+            } catch (err) {
+                console.error('[LOGIN CARD] Scan error:', err);
+            }
+            if (cardScanStream) setTimeout(scanFrame, 250);
+        };
+        scanFrame();
+    } catch (err) {
+        console.error('[LOGIN CARD] Camera error:', err);
+        setCardScanStatus('Could not open the camera. Use the card reader instead.', true);
+    }
+}
+
+function stopCardScan() {
+    if (cardScanStream) {
+        cardScanStream.getTracks().forEach(track => track.stop());
+        cardScanStream = null;
+    }
+    const panel = document.getElementById('cardScanPanel');
+    if (panel) panel.style.display = 'none';
+}
+
+async function submitCardToken(token) {
+    token = String(token || '').trim();
+    if (!token || cardScanBusy) return;
+    cardScanBusy = true;
+    setCardScanStatus('Checking card...');
+
+    try {
+        const response = await fetch('/api/card-login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token, station: getStationName() })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            setCardScanStatus(data.message || 'That card did not work.', true);
+            document.getElementById('cardTokenInput').value = '';
+            // Let the kid move the card away before trying again
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            return;
+        }
+
+        const student = data.student;
+        setCardScanStatus(`Hi ${student.name}! ${data.checkedIn ? 'You are checked in.' : ''}`);
+        stopCardScan();
+        isBlockingModal = false;
+        await selectStudent(student.name, student.fileLink || null, !!student.allProjectAccess, student.id, { cardLogin: true });
+    } catch (err) {
+        console.error('[LOGIN CARD ERROR]', err);
+        setCardScanStatus('Server error: ' + err.message, true);
+    } finally {
+        cardScanBusy = false;
+    }
+}
+
 // Init Check
 checkOnlineMode();
+handleParentLoginLink();
+getStationName();
 
 
 // Toggle login modal
@@ -1992,11 +2195,13 @@ function toggleLoginModal() {
 
     if (isOpen) {
         modal.classList.remove('active');
+        stopCardScan(); // [NEW] Turn the webcam off
         if (window.DEPLOYMENT_MODE === 'online') {
             // Reset online view
             document.getElementById('onlineParentView').style.display = 'block';
             document.getElementById('classLoginView').style.display = 'none';
             document.getElementById('parentEmailStep').style.display = 'block';
+            document.getElementById('parentCodeStep').style.display = 'none';
             document.getElementById('parentChildSelectStep').style.display = 'none';
             document.getElementById('parentEmailInput').value = '';
         } else {
@@ -2253,12 +2458,49 @@ socket.on('navigate', (data) => {
     window.location.href = data.url;
 });
 
+// [NEW] A badge was just earned (see badge-service.js)
+socket.on('badge-earned', (data) => {
+    const badge = data.badge || {};
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+                    position: fixed;
+                    top: 20px;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    background: linear-gradient(135deg, #8B5CF6, #6D28D9);
+                    color: white;
+                    padding: 15px 30px;
+                    border-radius: 30px;
+                    font-weight: bold;
+                    font-size: 1.1em;
+                    box-shadow: 0 8px 25px rgba(109, 40, 217, 0.4);
+                    z-index: 10000;
+                    animation: slideDown 0.3s ease-out;
+                `;
+    toast.textContent = `${badge.icon || '🏅'} New badge: ${badge.name || 'Badge'}! ${badge.description || ''}`;
+    document.body.appendChild(toast);
+
+    // Remove after 6 seconds
+    setTimeout(() => {
+        toast.style.animation = 'fadeUp 0.3s ease-out forwards';
+        setTimeout(() => document.body.removeChild(toast), 300);
+    }, 6000);
+});
+
 // Update server when student logs in
+// [NEW] Reconnect, so the socket's handshake carries the session /api/login just
+// started (the server only takes student-login from that student); 'connect'
+// above then sends it with the ID
 const originalSelectStudent = selectStudent;
-selectStudent = function (studentName) {
-    originalSelectStudent(studentName);
-    socket.emit('student-login', { studentName: studentName });
+selectStudent = async function (...args) {
+    await originalSelectStudent(...args);
+    socket.disconnect().connect();
 };
+
+// [NEW] The server refused an event (e.g. student-login without a session)
+socket.on('not-allowed', (data) => {
+    console.warn(`[SOCKET] "${data.event}" not allowed: ${data.error}`);
+});
 document.addEventListener('DOMContentLoaded', function () {
     const lastUpdatedElement = document.getElementById('last-updated');
     if (lastUpdatedElement) {
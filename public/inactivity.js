@@ -27,6 +27,9 @@
         console.log('[AUTO-LOGOUT] User inactive for time limit');
         console.log('[AUTO-LOGOUT] Clearing session and reloading...');
 
+        // [NEW] End the server session too (instructor, student or parent)
+        navigator.sendBeacon('/api/logout');
+
         // Clear all session keys
         localStorage.removeItem('currentStudent');
         localStorage.removeItem('instructorLoggedIn');
@@ -243,6 +243,9 @@ function handleGlobalLogout() {
     // Info
     const wasInstructor = localStorage.getItem('instructorLoggedIn');
 
+    // [NEW] End the server session too (sendBeacon survives the redirect below)
+    navigator.sendBeacon('/api/logout');
+
     // Clear All Session Data
     localStorage.removeItem('currentStudent');
     localStorage.removeItem('studentProgress');
@@ -0,0 +1,415 @@
+/*
+ * ============================================================================
+ * QR CODE - TEXT TO A SCANNABLE SQUARE (NO LIBRARY)
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Student login cards (login-card-service.js) carry a QR code the station
+ * webcam can read. The app has no QR package, and the cards only ever hold
+ * one short line of text, so this file makes the codes itself, the same way
+ * certificate-service.js writes its PDFs.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Encodes text as bytes (UTF-8) in the smallest QR version (1-10) that
+ *    holds it, at error correction level M (about 15% of the code can be
+ *    scratched or covered and it still reads)
+ * 2. Adds the Reed-Solomon error correction, places everything in the
+ *    square and picks the mask pattern that reads best
+ * 3. Draws it as SVG for the printable card sheet
+ *
+ * Versions 1-10 at level M hold up to 213 bytes, far more than a card needs.
+ *
+ * ============================================================================
+ */
+
+// Level M, versions 1-10: error correction codewords per block, and the
+// data codewords in each block ([count, size] groups)
+const VERSIONS = [
+    null,
+    { ecPerBlock: 10, groups: [[1, 16]] },
+    { ecPerBlock: 16, groups: [[1, 28]] },
+    { ecPerBlock: 26, groups: [[1, 44]] },
+    { ecPerBlock: 18, groups: [[2, 32]] },
+    { ecPerBlock: 24, groups: [[2, 43]] },
+    { ecPerBlock: 16, groups: [[4, 27]] },
+    { ecPerBlock: 18, groups: [[4, 31]] },
+    { ecPerBlock: 22, groups: [[2, 38], [2, 39]] },
+    { ecPerBlock: 22, groups: [[3, 36], [2, 37]] },
+    { ecPerBlock: 26, groups: [[4, 43], [1, 44]] }
+];
+
+// Centres of the small alignment squares, per version
+const ALIGNMENT = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+const MAX_VERSION = VERSIONS.length - 1;
+const LEVEL_M_BITS = 0; // Format information: L=1, M=0, Q=3, H=2
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// ============================================================================
+// HELPERS: Reed-Solomon over GF(256)
+// ============================================================================
+
+const EXP = new Array(512);
+const LOG = new Array(256);
+(function buildTables() {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        EXP[i] = value;
+        LOG[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+function multiply(a, b) {
+    return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+/**
+ * The error correction codewords for a block of data codewords
+ *
+ * @param {Array<number>} data - Data codewords (bytes)
+ * @param {number} count - How many error correction codewords
+ * @returns {Array<number>}
+ */
+function errorCorrection(data, count) {
+    // Generator polynomial: (x - a^0)(x - a^1)...(x - a^(count-1)), highest power first
+    let generator = [1];
+    for (let i = 0; i < count; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= multiply(coefficient, EXP[i]);
+        });
+        generator = next;
+    }
+
+    // Remainder of data * x^count divided by the generator
+    const remainder = new Array(count).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let j = 0; j < count; j++) {
+            remainder[j] ^= multiply(generator[j + 1], factor);
+        }
+    });
+    return remainder;
+}
+
+// ============================================================================
+// HELPERS: Data Codewords
+// ============================================================================
+
+function dataCapacity(version) {
+    return VERSIONS[version].groups.reduce((sum, [count, size]) => sum + count * size, 0);
+}
+
+/**
+ * Byte-mode bit stream for the text, padded out to the version's capacity
+ */
+function dataCodewords(bytes, version) {
+    const capacity = dataCapacity(version);
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4); // Byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length)); // Terminator
+    while (bits.length % 8) bits.push(0);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0; codewords.length < capacity; pad++) {
+        codewords.push(pad % 2 === 0 ? 0xEC : 0x11);
+    }
+    return codewords;
+}
+
+/**
+ * Splits into blocks, adds error correction, and interleaves the lot
+ */
+function finalCodewords(data, version) {
+    const { ecPerBlock, groups } = VERSIONS[version];
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const block = data.slice(offset, offset + size);
+            offset += size;
+            blocks.push({ data: block, ec: errorCorrection(block, ecPerBlock) });
+        }
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks.map(b => b.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(b => { if (i < b.data.length) result.push(b.data[i]); });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        blocks.forEach(b => result.push(b.ec[i]));
+    }
+    return result;
+}
+
+// ============================================================================
+// HELPERS: The Square
+// ============================================================================
+
+/**
+ * Finder, timing and alignment patterns, the dark module and version
+ * information. `reserved` marks every module that isn't data.
+ */
+function drawFunctionPatterns(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing lines
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder squares (with their light border) in three corners
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment squares (not on top of the finders)
+    const centres = ALIGNMENT[version];
+    const last = centres.length - 1;
+    centres.forEach((cx, i) => {
+        centres.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve the format information areas (filled in after masking)
+    drawFormatBits(set, size, 0);
+
+    // Version information (version 7 and up)
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    return { size, modules, reserved };
+}
+
+/**
+ * 15 format bits (level M + mask, BCH protected) in both places
+ */
+function formatBits(mask) {
+    const data = (LEVEL_M_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    return ((data << 10) | remainder) ^ 0x5412;
+}
+
+function drawFormatBits(set, size, mask) {
+    const bits = formatBits(mask);
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true); // Always-dark module
+}
+
+/**
+ * Lays the codewords out in the zig-zag, two columns at a time, bottom-right first
+ */
+function drawCodewords({ size, modules, reserved }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing line
+        const upward = ((right + 1) & 2) === 0;
+        for (let step = 0; step < size; step++) {
+            const y = upward ? size - 1 - step : step;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (reserved[y][x]) continue;
+                // Leftover "remainder bits" stay light
+                if (i < codewords.length * 8) {
+                    modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask({ size, modules, reserved }, mask) {
+    const test = MASKS[mask];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!reserved[y][x] && test(x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+/**
+ * How hard a square is to read (the four penalty rules of the QR standard)
+ */
+function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+        // Runs of five or more of one colour
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) score += 3 + (run - 5);
+                run = 1;
+            }
+        }
+        // Patterns that look like a finder square
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        const matches = text.match(/(?=(10111010000|00001011101))/g);
+        if (matches) score += 40 * matches.length;
+    });
+
+    // 2x2 blocks of one colour
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const colour = modules[y][x];
+                if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) score += 3;
+            }
+        }
+    }
+
+    // Far from half dark
+    score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return score;
+}
+
+// ============================================================================
+// FUNCTIONS: Encoding and Drawing
+// ============================================================================
+
+/**
+ * Makes the QR code for some text.
+ *
+ * @param {string} text
+ * @returns {Object} - { version, mask, size, modules } (modules[y][x], true = dark)
+ * @throws {Error} - "Text too long for a QR code" (over 213 bytes)
+ */
+function encode(text) {
+    const bytes = [...Buffer.from(String(text), 'utf8')];
+
+    let version = 1;
+    while (version <= MAX_VERSION && dataCapacity(version) * 8 < 4 + (version < 10 ? 8 : 16) + bytes.length * 8) {
+        version++;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error('Text too long for a QR code');
+    }
+
+    const codewords = finalCodewords(dataCodewords(bytes, version), version);
+
+    let best = null;
+    MASKS.forEach((_, mask) => {
+        const square = drawFunctionPatterns(version);
+        drawCodewords(square, codewords);
+        applyMask(square, mask);
+        drawFormatBits((x, y, dark) => { square.modules[y][x] = dark; }, square.size, mask);
+        const score = penalty(square.modules);
+        if (!best || score < best.score) best = { score, mask, square };
+    });
+
+    return { version, mask: best.mask, size: best.square.size, modules: best.square.modules };
+}
+
+/**
+ * The QR code as an SVG image (one path, crisp at any print size)
+ *
+ * @param {string} text
+ * @param {Object} [options] - { margin: light modules around it (4), size: CSS size ('100%') }
+ * @returns {string} - <svg>...</svg>
+ */
+function toSvg(text, options = {}) {
+    const { size, modules } = encode(text);
+    const margin = options.margin === undefined ? 4 : options.margin;
+    const full = size + margin * 2;
+
+    let path = '';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+        });
+    });
+
+    const cssSize = options.size || '100%';
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" width="${cssSize}" height="${cssSize}" shape-rendering="crispEdges">`
+        + `<rect width="${full}" height="${full}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+module.exports = {
+    encode,
+    toSvg,
+    errorCorrection,
+    formatBits
+};
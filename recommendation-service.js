@@ -0,0 +1,258 @@
+/*
+ * ============================================================================
+ * RECOMMENDATION SERVICE - "WHAT SHOULD THIS KID DO NEXT?"
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Instructors pick the next project from memory. This file ranks every
+ * project a student hasn't done yet, so the server can suggest a few good
+ * ones (shown next to the assign dropdown in the Teacher Panel).
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Builds the prerequisite graph from the Projects List "Prerequisites"
+ *    column (codes like "PROJ101, PROJ102"), and reports unknown codes and loops
+ * 2. Scores every project the student hasn't completed or been given yet on:
+ *    - prerequisites:  share of its prerequisites the student has completed
+ *    - difficulty:     how close it is to one step above the hardest project
+ *                      the student has completed
+ *    - category:       BUILDING vs CODING - favours whichever they've done less of
+ *    - age:            whether the student's age is in the project's "Age Range"
+ * 3. Puts projects whose prerequisites are all done first, best score first
+ *
+ * The weights live in RECOMMENDATIONS in google-sheets-config.js.
+ * google-sheets-service.js (getRecommendations) feeds this file the data.
+ *
+ * ============================================================================
+ */
+
+// Difficulty loadProjectList/loadAllProjectsDetailed use when the cell is empty
+const UNKNOWN_DIFFICULTY = 9999;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * "PROJ101, proj102; PROJ103" -> ['PROJ101', 'PROJ102', 'PROJ103']
+ */
+function parsePrerequisites(value) {
+    if (Array.isArray(value)) return value.map(v => String(v).trim().toUpperCase()).filter(Boolean);
+    return String(value || '')
+        .split(/[\s,;]+/)
+        .map(code => code.trim().toUpperCase())
+        .filter(Boolean);
+}
+
+/**
+ * "8-12" / "Ages 8 to 12" -> { min: 8, max: 12 }, "10+" -> { min: 10, max: Infinity }, "9" -> { min: 9, max: 9 }
+ * Returns null when there's no number in it.
+ */
+function parseAgeRange(value) {
+    const text = String(value || '');
+    const numbers = (text.match(/\d+/g) || []).map(n => parseInt(n, 10));
+    if (numbers.length === 0) return null;
+    if (numbers.length >= 2) return { min: Math.min(numbers[0], numbers[1]), max: Math.max(numbers[0], numbers[1]) };
+    if (text.includes('+')) return { min: numbers[0], max: Infinity };
+    return { min: numbers[0], max: numbers[0] };
+}
+
+function knownDifficulty(difficulty) {
+    return Number.isFinite(difficulty) && difficulty < UNKNOWN_DIFFICULTY;
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// ============================================================================
+// FUNCTION: Prerequisite Graph
+// ============================================================================
+
+/**
+ * @param {Array} projects - fetchAllProjectsDetailed() result ({ id, prerequisites, ... })
+ * @returns {Object} - {
+ *   prerequisites: Map<code, [codes]>,   // only codes that exist in the Projects List
+ *   dependents: Map<code, [codes]>,      // projects each project unlocks
+ *   unknown: [{ code, prerequisite }],   // prerequisites that aren't in the Projects List
+ *   cycles: [[codes]]                    // loops (those projects can never be unlocked)
+ * }
+ */
+function buildPrerequisiteGraph(projects) {
+    const codes = new Set(projects.map(p => p.id));
+    const prerequisites = new Map();
+    const dependents = new Map();
+    const unknown = [];
+
+    projects.forEach(project => {
+        const required = [];
+        parsePrerequisites(project.prerequisites).forEach(code => {
+            if (code === project.id || required.includes(code)) return;
+            if (!codes.has(code)) {
+                unknown.push({ code: project.id, prerequisite: code });
+                return;
+            }
+            required.push(code);
+            if (!dependents.has(code)) dependents.set(code, []);
+            dependents.get(code).push(project.id);
+        });
+        prerequisites.set(project.id, required);
+    });
+
+    // Depth-first search for loops (PROJ1 needs PROJ2 needs PROJ1)
+    const cycles = [];
+    const state = new Map(); // code -> 'visiting' | 'done'
+    const stack = [];
+
+    const visit = (code) => {
+        state.set(code, 'visiting');
+        stack.push(code);
+        (prerequisites.get(code) || []).forEach(next => {
+            if (state.get(next) === 'visiting') {
+                cycles.push(stack.slice(stack.indexOf(next)));
+            } else if (!state.has(next)) {
+                visit(next);
+            }
+        });
+        stack.pop();
+        state.set(code, 'done');
+    };
+    prerequisites.forEach((_, code) => {
+        if (!state.has(code)) visit(code);
+    });
+
+    return { prerequisites, dependents, unknown, cycles };
+}
+
+// ============================================================================
+// FUNCTION: Recommend Projects
+// ============================================================================
+
+/**
+ * Ranks the projects a student could do next.
+ *
+ * @param {Object} input
+ * @param {Array} input.projects - fetchAllProjectsDetailed() result
+ * @param {Object} input.history - getStudentProjects() result
+ * @param {number|string} [input.studentAge] - Child Names "Child Age"
+ * @param {Object} input.weights - { prerequisites, difficulty, category, age }
+ * @param {number} [input.limit] - How many to return (default: all)
+ * @returns {Object} - { level, categoryCounts, candidates, locked, recommendations: [...] }
+ *
+ * Each recommendation:
+ * { code, name, category, difficulty, score (0-100), ready, missingPrerequisites, unlocks, scores, reasons }
+ */
+function recommendProjects({ projects, history, studentAge, weights, limit }) {
+    const graph = buildPrerequisiteGraph(projects);
+    const byCode = new Map(projects.map(p => [p.id, p]));
+    const codeOf = p => String(p.originalCode || '').trim().toUpperCase();
+
+    const completed = new Set((history.completedProjects || []).map(codeOf).filter(Boolean));
+    const active = new Set([
+        ...(history.assignedProjects || []),
+        ...(history.inProgressProjects || []),
+        ...(history.nextProjects || [])
+    ].map(codeOf).filter(Boolean));
+
+    // Hardest project completed so far (the student's "level")
+    const completedDifficulties = Array.from(completed)
+        .map(code => byCode.has(code) ? byCode.get(code).difficulty : undefined)
+        .filter(knownDifficulty);
+    const level = completedDifficulties.length > 0 ? Math.max(...completedDifficulties) : 0;
+    const target = level + 1;
+
+    // BUILDING vs CODING done so far (BOTH counts for each)
+    const categoryCounts = { BUILDING: 0, CODING: 0 };
+    completed.forEach(code => {
+        const category = byCode.has(code) ? String(byCode.get(code).category || '').toUpperCase() : '';
+        if (category === 'BUILDING' || category === 'BOTH') categoryCounts.BUILDING++;
+        if (category === 'CODING' || category === 'BOTH') categoryCounts.CODING++;
+    });
+    const categoryTotal = categoryCounts.BUILDING + categoryCounts.CODING;
+
+    const age = parseInt(studentAge, 10);
+    const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+
+    const candidates = projects
+        .filter(p => !completed.has(p.id) && !active.has(p.id))
+        .map(project => {
+            const reasons = [];
+            const required = graph.prerequisites.get(project.id) || [];
+            const missing = required.filter(code => !completed.has(code));
+
+            // 1. Prerequisites
+            const prerequisites = required.length === 0 ? 1 : (required.length - missing.length) / required.length;
+            if (required.length === 0) reasons.push('No prerequisites');
+            else if (missing.length === 0) reasons.push(`Prerequisites done (${required.join(', ')})`);
+            else reasons.push(`Needs ${missing.join(', ')} first`);
+
+            // 2. Difficulty: one step above their level is ideal, a big jump is worse than a repeat
+            let difficulty = 0.5;
+            if (knownDifficulty(project.difficulty)) {
+                const step = project.difficulty - target;
+                difficulty = step >= 0 ? clamp01(1 - step / 3) : clamp01(1 + step / 4);
+                if (step === 0) reasons.push(`Next step up in difficulty (${level} → ${project.difficulty})`);
+                else if (step > 0) reasons.push(`Harder jump (level ${level} → ${project.difficulty})`);
+                else reasons.push(`Easier than their level (${project.difficulty})`);
+            }
+
+            // 3. Category balance
+            const category = String(project.category || '').toUpperCase();
+            let balance = 0.5;
+            if (categoryTotal > 0 && (category === 'BUILDING' || category === 'CODING')) {
+                const other = category === 'BUILDING' ? 'CODING' : 'BUILDING';
+                balance = 1 - categoryCounts[category] / categoryTotal;
+                if (categoryCounts[category] < categoryCounts[other]) reasons.push(`Balances ${category} (done more ${other})`);
+            }
+
+            // 4. Age
+            let ageFit = 0.5;
+            const range = parseAgeRange(project.ageRange);
+            if (range && Number.isFinite(age)) {
+                const distance = age < range.min ? range.min - age : (age > range.max ? age - range.max : 0);
+                ageFit = clamp01(1 - distance / 3);
+                const label = range.max === Infinity ? `${range.min}+` : (range.min === range.max ? `${range.min}` : `${range.min}-${range.max}`);
+                reasons.push(distance === 0 ? `Made for ages ${label}` : `Aimed at ages ${label}`);
+            }
+
+            const scores = { prerequisites, difficulty, category: balance, age: ageFit };
+            const weighted = Object.keys(weights).reduce((sum, key) => sum + weights[key] * (scores[key] || 0), 0);
+
+            return {
+                code: project.id,
+                name: project.name,
+                category: project.category,
+                difficulty: knownDifficulty(project.difficulty) ? project.difficulty : null,
+                score: Math.round((weighted / totalWeight) * 100),
+                ready: missing.length === 0,
+                missingPrerequisites: missing,
+                unlocks: (graph.dependents.get(project.id) || []).length,
+                scores,
+                reasons
+            };
+        });
+
+    candidates.sort((a, b) =>
+        (b.ready - a.ready) ||
+        (b.score - a.score) ||
+        (b.unlocks - a.unlocks) ||
+        ((a.difficulty ?? UNKNOWN_DIFFICULTY) - (b.difficulty ?? UNKNOWN_DIFFICULTY)) ||
+        a.code.localeCompare(b.code)
+    );
+
+    return {
+        level,
+        categoryCounts,
+        candidates: candidates.length,
+        locked: candidates.filter(c => !c.ready).length,
+        unknownPrerequisites: graph.unknown,
+        prerequisiteCycles: graph.cycles,
+        recommendations: limit ? candidates.slice(0, limit) : candidates
+    };
+}
+
+module.exports = {
+    parsePrerequisites,
+    parseAgeRange,
+    buildPrerequisiteGraph,
+    recommendProjects
+};
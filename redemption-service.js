@@ -0,0 +1,178 @@
+/*
+ * ============================================================================
+ * REDEMPTION SERVICE - PRIZE REQUESTS, APPROVALS AND STOCK
+ * ============================================================================
+ *
+ * PURPOSE:
+ * /api/redeem used to write a redemption as APPROVED the moment a kid clicked,
+ * after checking their balance against a possibly stale leaderboard, and
+ * prizes had no stock. Now a redemption goes through a lifecycle an instructor
+ * controls, and prizes can run out.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. The lifecycle:  REQUESTED -> APPROVED -> FULFILLED
+ *                              \-> REJECTED (from REQUESTED or APPROVED)
+ *    The points are held from the moment of the request; rejecting gives them back.
+ * 2. Reads a prize's optional "Stock" and "Limit Per Student" columns
+ * 3. Checks a new request: enough points, prize in stock (stock minus the
+ *    requests still open for it), student under the prize's limit
+ *
+ * google-sheets-service.js (requestRedemption, updateRedemptionStatus) does the
+ * reading and writing, one redemption at a time so two requests can't both
+ * spend the same points.
+ *
+ * ============================================================================
+ */
+
+const STATUS = {
+    REQUESTED: 'REQUESTED',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    FULFILLED: 'FULFILLED'
+};
+
+// What each instructor action does: allowed current statuses -> new status
+const ACTIONS = {
+    approve: { from: [STATUS.REQUESTED], to: STATUS.APPROVED },
+    reject: { from: [STATUS.REQUESTED, STATUS.APPROVED], to: STATUS.REJECTED },
+    fulfill: { from: [STATUS.APPROVED], to: STATUS.FULFILLED }
+};
+
+// Statuses that give the points back (kept in step with points-ledger-service.js)
+const VOID_STATUSES = [STATUS.REJECTED, 'CANCELLED', 'CANCELED'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Status as stored on the sheet. Rows written before the approval queue
+ * existed say APPROVED (or nothing): both mean the prize was handed out.
+ */
+function statusOf(redemption) {
+    return String(redemption.status || '').trim().toUpperCase() || STATUS.APPROVED;
+}
+
+/**
+ * Still waiting for an instructor (approve/reject) or to be handed over (fulfil).
+ * Only rows with a Redemption ID: older rows were handed out on the spot.
+ */
+function isOpen(redemption) {
+    return !!redemption.redemptionId && [STATUS.REQUESTED, STATUS.APPROVED].includes(statusOf(redemption));
+}
+
+function isVoid(redemption) {
+    return VOID_STATUSES.includes(statusOf(redemption));
+}
+
+function sameName(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * "1,200" -> 1200, "" / "unlimited" -> null
+ */
+function parseLimit(value) {
+    const digits = String(value === undefined || value === null ? '' : value).replace(/[^\d]/g, '');
+    return digits === '' ? null : parseInt(digits, 10);
+}
+
+function refusal(reason, message, details = {}) {
+    const error = new Error(message);
+    error.code = 'REDEMPTION_REFUSED';
+    error.details = { reason, ...details };
+    return error;
+}
+
+// ============================================================================
+// FUNCTIONS: Prizes and Requests
+// ============================================================================
+
+/**
+ * A prize row (keyed by header, as fetchPrizesList returns it) -> its rules
+ *
+ * @param {Object} prize - e.g. { 'Prize Name': 'Sticker Pack', 'Prize Points': '5', 'Stock': '12' }
+ * @param {Object} headers - { stock: 'Stock', limit: 'Limit Per Student' } (from google-sheets-config.js)
+ * @returns {Object} - { name, cost, stock (null = unlimited), limitPerStudent (null = unlimited) }
+ */
+function prizeRules(prize, headers) {
+    return {
+        name: String(prize['Prize Name'] || '').trim(),
+        cost: parseLimit(prize['Prize Points']) || 0,
+        stock: parseLimit(prize[headers.stock]),
+        limitPerStudent: parseLimit(prize[headers.limit])
+    };
+}
+
+/**
+ * How many of a prize can still be requested: its stock minus the requests
+ * for it that are still open (stock only goes down when one is fulfilled).
+ *
+ * @returns {number|null} - null when the prize has no stock count
+ */
+function availableStock(rules, redemptions) {
+    if (rules.stock === null) return null;
+    const held = redemptions.filter(r => isOpen(r) && sameName(r.prizeName, rules.name)).length;
+    return Math.max(rules.stock - held, 0);
+}
+
+/**
+ * Checks a new request. Throws when it can't be made.
+ *
+ * @param {Object} request
+ * @param {Object} request.rules - From prizeRules()
+ * @param {string} request.studentId
+ * @param {number} request.balance - Points the student can still spend (open requests already taken off)
+ * @param {Array} request.redemptions - Every redemption (sheet rows + ones still queued offline)
+ * @throws {Error} - code 'REDEMPTION_REFUSED', details.reason 'balance' | 'stock' | 'limit'
+ */
+function checkRequest({ rules, studentId, balance, redemptions }) {
+    if (balance < rules.cost) {
+        throw refusal('balance', `Insufficient points. You have ${balance}, but this costs ${rules.cost}.`, {
+            balance,
+            cost: rules.cost
+        });
+    }
+
+    const available = availableStock(rules, redemptions);
+    if (available === 0) {
+        throw refusal('stock', `${rules.name} is out of stock.`, { stock: rules.stock });
+    }
+
+    if (rules.limitPerStudent !== null) {
+        const already = redemptions.filter(r =>
+            String(r.studentId || '').trim() === studentId && sameName(r.prizeName, rules.name) && !isVoid(r)
+        ).length;
+        if (already >= rules.limitPerStudent) {
+            throw refusal('limit', `${rules.name} can only be redeemed ${rules.limitPerStudent} time(s) per student.`, {
+                limitPerStudent: rules.limitPerStudent,
+                already
+            });
+        }
+    }
+}
+
+/**
+ * The status an instructor action moves a redemption to
+ *
+ * @param {string} action - 'approve' | 'reject' | 'fulfill'
+ * @returns {Object} - { from: [...], to }
+ * @throws {Error} - Unknown action
+ */
+function transitionFor(action) {
+    const transition = ACTIONS[String(action || '').toLowerCase()];
+    if (!transition) {
+        throw new Error(`Unknown redemption action: ${action} (use approve, reject or fulfill)`);
+    }
+    return transition;
+}
+
+module.exports = {
+    STATUS,
+    statusOf,
+    isOpen,
+    prizeRules,
+    availableStock,
+    checkRequest,
+    transitionFor
+};
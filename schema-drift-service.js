@@ -0,0 +1,269 @@
+/*
+ * ============================================================================
+ * SCHEMA DRIFT SERVICE - IS THE SPREADSHEET STILL SHAPED LIKE WE EXPECT?
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The app depends on tab names and column headers in the Google Sheet.
+ * When someone renames a tab or a header, nothing crashes right away:
+ * functions like fetchPrizesList() just quietly return an empty list and
+ * the problem only shows up in the middle of class.
+ *
+ * This service checks the spreadsheet against google-sheets-config.js
+ * when the server starts (and on demand), so problems show up BEFORE class.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Lists every tab named in google-sheets-config.js (any *_SHEET setting)
+ * 2. Confirms each tab exists in the spreadsheet
+ * 3. Reads Row 1 of each tab and checks the expected headers:
+ *    - ok:      header found where the config says it is
+ *    - moved:   header found, but in a different column (the app copes, config is stale)
+ *    - missing: header not found anywhere (the app is guessing by column number)
+ * 4. Prints a structured report to the console and keeps the latest one
+ *    for /api/admin/schema and the banner in teacher.html
+ *
+ * REPORT STATUS:
+ * - ok:          everything matches
+ * - warning:     headers moved or missing, but every tab exists
+ * - error:       at least one tab is missing
+ * - unavailable: couldn't reach Google Sheets (offline), nothing was checked
+ *
+ * ============================================================================
+ */
+
+const config = require('./google-sheets-config');
+const columnResolver = require('./column-resolver');
+const googleSheetsService = require('./google-sheets-service');
+
+// Latest report (null until the first check finishes)
+let lastReport = null;
+
+// Guard so only one check runs at a time
+let checkPromise = null;
+
+// Config key -> name of the column map whose headers we check for that tab
+const TAB_COLUMN_MAPS = {
+    STUDENT_NAMES_SHEET: 'ALL_KIDS_COLUMNS',
+    PROGRESS_SHEET: 'PROGRESS_COLUMNS',
+    BOOKING_SHEET: 'BOOKING_COLUMNS',
+    PROJECT_LIST_SHEET: 'PROJECT_LIST_COLUMNS',
+    INSTRUCTORS_SHEET: 'INSTRUCTOR_COLUMNS',
+    INVENTORY_SHEET: 'INVENTORY_COLUMNS',
+    PROJECT_PARTS_SHEET: 'PROJECT_PARTS_COLUMNS',
+    CLASS_REPORT_SHEET: 'CLASS_REPORT_COLUMNS',
+    REDEMPTIONS_SHEET: 'REDEMPTION_COLUMNS',
+    POINTS_ADJUSTMENTS_SHEET: 'POINTS_ADJUSTMENT_COLUMNS'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Every tab named in google-sheets-config.js, e.g. [{ key: 'PRIZES_SHEET', name: 'prizes' }]
+ */
+function getConfiguredTabs() {
+    return Object.keys(config)
+        .filter(key => key.endsWith('_SHEET') && typeof config[key] === 'string')
+        .map(key => ({ key, name: config[key] }));
+}
+
+function normalizeHeader(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Compares one tab's header row against its configured column map
+ *
+ * @param {Object} tab - { key, name }
+ * @param {Array<string>} headerRow - Values of Row 1
+ * @returns {Array<Object>} - One entry per expected header
+ */
+function checkTabHeaders(tab, headerRow) {
+    // Tabs read by header name (prizes) only need the header to exist somewhere
+    if (tab.key === 'PRIZES_SHEET') {
+        const normalized = headerRow.map(normalizeHeader);
+        return config.PRIZE_HEADERS.map(header => {
+            const index = normalized.indexOf(normalizeHeader(header));
+            return {
+                field: header,
+                expectedHeaders: [header],
+                status: index === -1 ? 'missing' : 'ok',
+                foundColumn: index === -1 ? null : columnResolver.columnLetter(index)
+            };
+        });
+    }
+
+    const mapName = TAB_COLUMN_MAPS[tab.key];
+    if (!mapName) return [];
+
+    const indexes = config[mapName];
+    const aliases = config.COLUMN_HEADERS[mapName] || {};
+    const resolved = columnResolver.resolveFromHeaderRow(tab.name, headerRow);
+
+    return Object.keys(aliases).map(field => {
+        const expectedIndex = indexes[field];
+        const foundIndex = resolved[field];
+        const matched = normalizeHeader(headerRow[foundIndex]) &&
+            aliases[field].some(a => normalizeHeader(a) === normalizeHeader(headerRow[foundIndex]));
+
+        let status = 'ok';
+        if (!matched) status = 'missing';
+        else if (foundIndex !== expectedIndex) status = 'moved';
+
+        return {
+            field,
+            expectedHeaders: aliases[field],
+            expectedColumn: columnResolver.columnLetter(expectedIndex),
+            foundColumn: matched ? columnResolver.columnLetter(foundIndex) : null,
+            foundHeader: matched ? headerRow[foundIndex] : (headerRow[expectedIndex] || ''),
+            status
+        };
+    });
+}
+
+// ============================================================================
+// FUNCTION: Check Schema
+// ============================================================================
+
+/**
+ * Checks every configured tab and its headers against the live spreadsheet.
+ * Never throws: if Google can't be reached the report status is 'unavailable'.
+ *
+ * @returns {Promise<Object>} - The report (also kept for getLastReport())
+ */
+async function checkSchema() {
+    if (checkPromise) return checkPromise;
+
+    checkPromise = (async () => {
+        const tabs = getConfiguredTabs();
+        const report = {
+            checkedAt: new Date().toISOString(),
+            spreadsheetId: config.SPREADSHEET_ID,
+            status: 'ok',
+            summary: '',
+            tabs: []
+        };
+
+        try {
+            const sheets = await googleSheetsService.getGoogleSheetsClient();
+
+            // 1. Which tabs exist?
+            const meta = await sheets.spreadsheets.get({
+                spreadsheetId: config.SPREADSHEET_ID,
+                fields: 'sheets.properties.title'
+            });
+            const existing = new Set(meta.data.sheets.map(s => s.properties.title));
+
+            // 2. Read Row 1 of every tab that exists (one request for all of them)
+            const present = tabs.filter(t => existing.has(t.name));
+            const headerRows = {};
+            if (present.length > 0) {
+                const headerRes = await sheets.spreadsheets.values.batchGet({
+                    spreadsheetId: config.SPREADSHEET_ID,
+                    ranges: present.map(t => `${columnResolver.quoteSheetName(t.name)}!1:1`)
+                });
+                (headerRes.data.valueRanges || []).forEach((vr, i) => {
+                    headerRows[present[i].name] = (vr.values && vr.values[0]) || [];
+                });
+            }
+
+            // 3. Compare
+            tabs.forEach(tab => {
+                if (!existing.has(tab.name)) {
+                    report.tabs.push({ key: tab.key, name: tab.name, exists: false, status: 'error', headers: [] });
+                    return;
+                }
+
+                const headers = checkTabHeaders(tab, headerRows[tab.name] || []);
+                const hasProblems = headers.some(h => h.status !== 'ok');
+                report.tabs.push({
+                    key: tab.key,
+                    name: tab.name,
+                    exists: true,
+                    status: hasProblems ? 'warning' : 'ok',
+                    headers
+                });
+            });
+
+            const missingTabs = report.tabs.filter(t => !t.exists);
+            const driftedTabs = report.tabs.filter(t => t.status === 'warning');
+            if (missingTabs.length > 0) {
+                report.status = 'error';
+            } else if (driftedTabs.length > 0) {
+                report.status = 'warning';
+            }
+
+            const parts = [];
+            if (missingTabs.length > 0) parts.push(`Missing tabs: ${missingTabs.map(t => t.name).join(', ')}`);
+            if (driftedTabs.length > 0) parts.push(`Header changes in: ${driftedTabs.map(t => t.name).join(', ')}`);
+            report.summary = parts.length > 0 ? parts.join('. ') : `All ${tabs.length} tabs match the configuration.`;
+
+        } catch (error) {
+            report.status = 'unavailable';
+            report.summary = `Could not check the spreadsheet: ${error.message}`;
+            report.tabs = tabs.map(t => ({ key: t.key, name: t.name, exists: null, status: 'unknown', headers: [] }));
+        }
+
+        lastReport = report;
+        return report;
+    })();
+
+    try {
+        return await checkPromise;
+    } finally {
+        checkPromise = null;
+    }
+}
+
+/**
+ * Returns the latest report without contacting Google (null if never checked)
+ */
+function getLastReport() {
+    return lastReport;
+}
+
+// ============================================================================
+// FUNCTION: Print Report
+// ============================================================================
+
+/**
+ * Prints the report to the console in a readable layout
+ */
+function logReport(report) {
+    const icons = { ok: '✅', warning: '⚠️', error: '❌', unavailable: '📴', unknown: '❔' };
+
+    console.log('=============================================');
+    console.log(`📋 SPREADSHEET SCHEMA CHECK: ${report.status.toUpperCase()}`);
+    console.log('=============================================');
+    console.log(report.summary);
+
+    report.tabs.forEach(tab => {
+        if (tab.exists === false) {
+            console.log(`${icons.error} "${tab.name}" (${tab.key}) - TAB NOT FOUND`);
+            return;
+        }
+        const okCount = tab.headers.filter(h => h.status === 'ok').length;
+        console.log(`${icons[tab.status]} "${tab.name}" - ${okCount}/${tab.headers.length} headers in place`);
+
+        tab.headers.filter(h => h.status !== 'ok').forEach(h => {
+            if (h.status === 'moved') {
+                console.log(`     ↪ ${h.field}: "${h.foundHeader}" is in Column ${h.foundColumn} (config says ${h.expectedColumn})`);
+            } else {
+                let where = '';
+                if (h.expectedColumn) {
+                    where = h.foundHeader ? ` (Column ${h.expectedColumn} has "${h.foundHeader}")` : ` (Column ${h.expectedColumn} is empty)`;
+                }
+                console.log(`     ✖ ${h.field}: no header named ${h.expectedHeaders.map(x => `"${x}"`).join(' / ')}${where}`);
+            }
+        });
+    });
+    console.log('=============================================');
+}
+
+module.exports = {
+    checkSchema,
+    getLastReport,
+    logReport,
+    getConfiguredTabs
+};
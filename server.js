@@ -71,6 +71,29 @@ console.log('[DEBUG] Importing google-sheets-service...');
 const googleSheetsService = require('./google-sheets-service'); // Our custom code for Google Sheets
 console.log('[DEBUG] Importing analytics-service...');
 const analyticsService = require('./analytics-service'); // [NEW] Analytics Logger
+console.log('[DEBUG] Importing write-journal-service...');
+const writeJournal = require('./write-journal-service'); // [NEW] Offline-safe Sheets write journal
+console.log('[DEBUG] Importing schema-drift-service...');
+const schemaDrift = require('./schema-drift-service'); // [NEW] Spreadsheet tab/header checks
+console.log('[DEBUG] Importing audit-service...');
+const auditService = require('./audit-service'); // [NEW] Append-only audit log of data changes
+console.log('[DEBUG] Importing leaderboard-service...');
+const leaderboardService = require('./leaderboard-service'); // [NEW] Leaderboard scopes and seasons
+console.log('[DEBUG] Importing badge-service...');
+const badgeService = require('./badge-service'); // [NEW] Achievement badges
+console.log('[DEBUG] Importing digest-service...');
+const digestService = require('./digest-service'); // [NEW] Weekly parent digest
+console.log('[DEBUG] Importing certificate-service...');
+const certificateService = require('./certificate-service'); // [NEW] Completion certificate PDFs
+console.log('[DEBUG] Importing auth-service...');
+const authService = require('./auth-service'); // [NEW] Instructor sessions and route protection
+const { requireInstructor } = authService;
+console.log('[DEBUG] Importing access-control...');
+const accessControl = require('./access-control'); // [NEW] Route -> role permission table
+console.log('[DEBUG] Importing parent-login-service...');
+const parentLoginService = require('./parent-login-service'); // [NEW] Parent login by emailed code
+console.log('[DEBUG] Importing login-card-service...');
+const loginCardService = require('./login-card-service'); // [NEW] QR login cards
 console.log('[DEBUG] Importing google-sheets-config...');
 const config = require('./google-sheets-config'); // Configuration file
 console.log('[DEBUG] Importing child_process...');
@@ -203,6 +226,13 @@ const app = express();                     // Create the Express application (ou
 const server = http.createServer(app);     // Create HTTP server using our Express app
 const io = socketIO(server);               // Add Socket.IO to enable real-time features
 
+// [NEW] Online (Render) every request comes through one proxy: trust its
+// X-Forwarded-For so req.ip is the visitor's address, not the proxy's (the
+// parent login code limit is per address). In the classroom nothing is in front.
+if (authService.isOnlineMode()) {
+    app.set('trust proxy', 1);
+}
+
 // PERFORMANCE: Real-time dashboard at /status
 app.use(statusMonitor({ websocket: io }));
 
@@ -236,7 +266,8 @@ app.use((req, res, next) => {
 const dayCache = 86400000; // 24 hours
 app.use(express.static(path.join(__dirname, 'public'), { maxAge: dayCache }));
 app.use('/scripts', express.static(path.join(__dirname, 'scripts'), { maxAge: dayCache }));
-app.use('/data', express.static(path.join(__dirname, 'data'), { maxAge: dayCache })); // Be careful with dynamic data here? No, 'data' folder is usually served as static files for reading. Ratings accumulate but are read via API.
+// [NEW] data/ holds the master DB (instructor passcodes), audit log and parent emails: instructors only
+app.use('/data', requireInstructor, express.static(path.join(__dirname, 'data'), { maxAge: dayCache }));
 
 // DEBUG MIDDLEWARE: Log all requests
 app.use((req, res, next) => {
@@ -248,6 +279,15 @@ app.use((req, res, next) => {
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// [NEW] Who is logged in (req.user: admin, instructor, student or parent), and
+// who may call each /api route (the table in access-control.js)
+app.use(authService.attachSession);
+app.use(accessControl.authorize);
+
+// [NEW] The same session for Socket.IO connections (socket.data.user, from the
+// handshake's cookie); each event is checked in the connection handler
+io.use(authService.attachSocketSession);
+
 // ============================================================================
 // STEP 3: CONFIGURE FOLDER PATHS
 // ============================================================================
@@ -1185,11 +1225,16 @@ app.get('/api/student-names', async (req, res) => {
 });
 
 // ============================================================================
-// STEP 13: API ENDPOINT - CHECK PARENT EMAIL (ONLINE MODE ONLY)
+// STEP 13: API ENDPOINT - PARENT LOGIN (ONLINE MODE)
 // ============================================================================
-// Validates parent email against Google Sheet and returns matching children
-// Uses server-side filtering for security (full email list never sent to client)
+// [NEW] Typing an email only sends a one-time code to it (see parent-login-service.js);
+// the children are shown once the code (or the emailed link) comes back.
 
+/**
+ * POST /api/check-parent-email
+ * Body: { email }. Emails a login code if the address is on file (Child
+ * Names Column B, exact match). The answer is the same either way.
+ */
 app.post('/api/check-parent-email', async (req, res) => {
     try {
         const { email } = req.body;
@@ -1198,91 +1243,69 @@ app.post('/api/check-parent-email', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Email is required' });
         }
 
-        // Clean up input email (trim and lowercase)
-        const cleanEmail = email.trim().toLowerCase();
-        console.log(`[DEBUG] Checking parent email: "${cleanEmail}"`);
-
-        // Get authenticated Sheets API client
-        const sheets = await googleSheetsService.getGoogleSheetsClient();
-
-        // Fetch just the columns we need using the SAFE configuration
-        // Using config.STUDENT_NAMES_SHEET which is "Child Names"
-        console.log(`[DEBUG] Fetching sheet: ${config.STUDENT_NAMES_SHEET}`);
-
-        let response;
-        try {
-            // UPDATED: Fetch A:M to include Active Status (Column M)
-            response = await sheets.spreadsheets.values.get({
-                spreadsheetId: config.SPREADSHEET_ID,
-                range: `${config.STUDENT_NAMES_SHEET}!A:M`
-            });
-        } catch (sheetError) {
-            console.error('[CRITICAL] Google Sheets API Error:', sheetError.message);
-            return res.json({
-                success: false,
-                message: `System Error: Could not access Google Sheet. (${sheetError.message})`
-            });
-        }
-
-        const rows = response.data.values || [];
-        console.log(`[DEBUG] Sheet fetch success. Total rows found: ${rows.length}`);
-
-        // Filter and Active Check
-
-        // 1. Find all rows matching the email
-        const allMatches = rows.slice(1).filter(row => {
-            const rowEmail = row[1] ? row[1].trim().toLowerCase() : '';
-            return rowEmail.includes(cleanEmail);
-        });
-
-        console.log(`[DEBUG] Found ${allMatches.length} email matches before active check.`);
-
-        // 2. Filter for Active students only
-        const activeMatches = allMatches.filter((row, index) => {
-            // Column M (Index 12) is "Active?"
-            // Handle sparse arrays: check if index 12 exists
-            const rawStatus = row[12];
-            const status = rawStatus ? rawStatus.trim().toLowerCase() : '';
-
-            console.log(`[DEBUG] Row Match #${index}: Name=${row[2]}, Email=${row[1]}, ActiveCol(M)=${JSON.stringify(rawStatus)}, ParsedStatus='${status}'`);
+        const students = await googleSheetsService.fetchStudents();
+        await parentLoginService.requestCode({ email, ip: req.ip }, students);
 
-            return status === 'active';
+        res.json({
+            success: true,
+            codeSent: true,
+            message: `If ${email.trim()} is registered with us, we've emailed it a login code. It works for ${config.PARENT_LOGIN.CODE_MINUTES} minutes.`
         });
+    } catch (error) {
+        if (/^Too many code requests/.test(error.message)) {
+            return res.status(429).json({ success: false, message: error.message });
+        }
+        console.error('[CRITICAL] Error sending parent login code:', error);
+        res.status(500).json({ success: false, message: 'Could not send the login code. Please try again.' });
+    }
+});
 
-        const matchedChildren = activeMatches.map(row => ({
-            id: row[0] ? row[0].trim() : '',                 // Column A (ID)
-            name: row[2] ? row[2].trim() : 'Unknown Name',   // Column C
-            parentName: row[4] ? row[4].trim() : 'Parent',   // Column E
-            fileLink: row[6] ? row[6].trim() : ''            // Column G
-        }));
+/**
+ * Starts the parent's session for a family and sets the cookie
+ */
+function startParentSession(req, res, family) {
+    // Staff trying the parent login keep their own session
+    if (authService.isStaff(req.user)) return;
+    const session = authService.startSession({ name: family.email, role: 'parent', students: family.children });
+    res.set('Set-Cookie', authService.sessionCookie(session, req));
+}
 
-        if (matchedChildren.length > 0) {
-            console.log(`[SUCCESS] Parent Email Match: ${cleanEmail} -> Found ${matchedChildren.length} active kids`);
-            res.json({
-                success: true,
-                children: matchedChildren
-            });
-        } else if (allMatches.length > 0) {
-            // Found email matches but none were active
-            console.log(`[FAILURE] Parent Email Found but Inactive: ${cleanEmail} -> ${allMatches.length} inactive records.`);
-            res.json({
-                success: false,
-                message: 'Your subscription has ended. Please contact admin@learntobot.com or text us at +13462151556 if you think this is an error.'
-            });
-        } else {
-            console.log(`[FAILURE] Parent Email Failed: ${cleanEmail} -> 0 matches in ${rows.length} rows.`);
-            res.json({
-                success: false,
-                message: `No accounts found matching "${cleanEmail}". searched ${rows.length} records. Please check the email spelling.`
-            });
+/**
+ * POST /api/parent-login/verify
+ * Body: { email, code }. The right code logs the parent in (their children
+ * only, see access-control.js) and returns the children to pick from.
+ */
+app.post('/api/parent-login/verify', (req, res) => {
+    try {
+        const family = parentLoginService.verifyCode(req.body || {});
+        startParentSession(req, res, family);
+        console.log(`[SUCCESS] Parent login: ${family.email} -> ${family.children.length} active kids`);
+        res.json({ success: true, children: family.children });
+    } catch (error) {
+        if (/^Email and code required/.test(error.message)) {
+            return res.status(400).json({ success: false, message: error.message });
         }
+        if (/^Invalid or expired code/.test(error.message)) {
+            console.warn(`[AUTH] Wrong parent login code for "${req.body && req.body.email}" from ${req.ip}`);
+            return res.status(401).json({ success: false, message: 'That code is wrong or has expired. Check the email, or ask for a new code.' });
+        }
+        console.error('Error verifying parent login code:', error);
+        res.status(500).json({ success: false, message: 'Login failed' });
+    }
+});
 
+/**
+ * GET /api/parent-login/link?token=
+ * The one-click link from the email: logs the parent in and goes to the home
+ * page, which shows their children (?parentLogin=ok, or =expired)
+ */
+app.get('/api/parent-login/link', (req, res) => {
+    try {
+        const family = parentLoginService.verifyLink(req.query.token);
+        startParentSession(req, res, family);
+        res.redirect('/?parentLogin=ok');
     } catch (error) {
-        console.error('[CRITICAL] Error checking parent email:', error);
-        res.status(500).json({
-            success: false,
-            message: `Server Connection Error: ${error.message}`
-        });
+        res.redirect('/?parentLogin=expired');
     }
 });
 
@@ -1381,13 +1404,49 @@ app.get('/api/students', (req, res) => {
 // WebSockets enable real-time, two-way communication
 // Like a phone call that stays open - server can push data to clients instantly
 
+/**
+ * Pushes newly awarded badges ('badge-earned') to the pages the student has
+ * open (each logged-in socket joins the room "student:<ID>").
+ *
+ * @param {Object} result - From googleSheetsService.checkBadges()
+ */
+function pushNewBadges({ studentId, newBadges }) {
+    newBadges.forEach(badge => io.to(`student:${studentId}`).emit('badge-earned', { studentId, badge }));
+}
+
+/**
+ * Checks a student's badges and pushes any new ones.
+ * Never throws: a badge check must not fail the request that triggered it.
+ *
+ * @param {string} studentId
+ * @returns {Promise<Array>} - The badges that were just awarded
+ */
+async function awardBadges(studentId) {
+    try {
+        const result = await googleSheetsService.checkBadges(studentId);
+        pushNewBadges(result);
+        return result.newBadges;
+    } catch (err) {
+        console.error(`[BADGES] Could not check badges for ${studentId}:`, err.message);
+        return [];
+    }
+}
+
 io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
+    const user = socket.data.user;
+    console.log('Client connected:', socket.id, user ? `(${user.role} ${user.name || ''})` : '(not logged in)');
+
+    // [NEW] Every event this socket sends is checked against its session first
+    // (SOCKET_EVENT_PERMISSIONS), and it joins its role's rooms: students and
+    // teachers apart, so teacher pushes only reach student screens
+    socket.use(accessControl.authorizeSocket(socket));
+    accessControl.socketRooms(user).forEach(room => socket.join(room));
 
     // Store client information
     connectedClients.set(socket.id, {
         socketId: socket.id,
         connectedAt: Date.now(),
+        role: user ? user.role : null, // [NEW]
         studentName: null,
         currentPage: null,
         ip: socket.handshake.address,
@@ -1419,16 +1478,30 @@ io.on('connection', (socket) => {
     });
 
     // Listen for student login event
-    // Listen for student login event
-    socket.on('student-login', async (data) => {
+    // [NEW] Only the logged-in student (or staff) gets here: see student-login in
+    // SOCKET_EVENT_PERMISSIONS. A student is whoever their session says, not
+    // whatever name the page sent.
+    socket.on('student-login', async (data = {}) => {
         const client = connectedClients.get(socket.id);
+        const sessionUser = socket.data.user;
         if (client) {
-            client.studentName = data.studentName;
-            console.log(`[SOCKET] Student logged in: ${data.studentName} (${socket.id})`);
+            const claimed = String(data.studentId || data.studentName || '').trim().toLowerCase();
+            const own = (sessionUser.students || []).find(s =>
+                [s.id, s.name, s.loginName].some(known => known && String(known).trim().toLowerCase() === claimed)
+            );
+
+            // A parent at home opening their child's page: badge pushes only, no check-in
+            if (sessionUser.role === 'parent') {
+                client.studentName = own.name;
+                return;
+            }
+
+            client.studentName = own ? own.name : data.studentName;
+            console.log(`[SOCKET] Student logged in: ${client.studentName} (${socket.id})`);
 
-            let targetId = data.studentId;
+            let targetId = own ? own.id : data.studentId;
 
-            // [FALLBACK] If ID is missing, try to find it by name
+            // [FALLBACK] If ID is missing, try to find it by name (staff only; students have theirs)
             if (!targetId && data.studentName) {
                 console.log(`[SOCKET] ID missing for "${data.studentName}". Attempting lookup...`);
                 try {
@@ -1449,11 +1522,26 @@ io.on('connection', (socket) => {
             // [BACKUP] Mark attendance via Socket
             if (targetId) {
                 console.log(`[SOCKET] Marking attendance for ID: ${targetId}`);
+                let bookingFound = false;
                 try {
-                    await googleSheetsService.markAttendanceByStudentId(targetId);
+                    bookingFound = !!(await googleSheetsService.markAttendanceByStudentId(targetId));
                 } catch (err) {
                     console.error('[SOCKET] Attendance Error:', err);
                 }
+                // [NEW] Same audit entry as /api/mark-attendance, naming the socket's session user
+                auditService.record(auditService.socketRequest(socket, 'student-login'), {
+                    action: 'markAttendance',
+                    studentId: String(targetId).trim(),
+                    target: new Date().toLocaleDateString('en-US'),
+                    after: { checkedIn: true, bookingFound }
+                });
+
+                // [NEW] Badge pushes for this student come to this socket, and
+                // (staff at a student's screen) teacher pushes too
+                client.studentId = String(targetId).trim();
+                socket.join(`student:${client.studentId}`);
+                socket.join(accessControl.STUDENT_ROOM);
+                awardBadges(client.studentId);
             }
         }
     });
@@ -1501,13 +1589,17 @@ app.post('/api/teacher/navigate', express.json(), (req, res) => {
     }
 
     // Check if we're sending to everyone or specific students
+    // [NEW] Only student screens (the students room) are ever sent anywhere
     if (!targetStudents || targetStudents === 'all') {
-        // Broadcast to ALL connected clients
-        io.emit('navigate', { url });
-        res.json({ success: true, message: 'Navigation command sent to all clients' });
+        // Broadcast to ALL logged-in students
+        io.to(accessControl.STUDENT_ROOM).emit('navigate', { url });
+        res.json({ success: true, message: 'Navigation command sent to all students' });
     } else {
         // Send to specific students only
-        const socketIds = Array.isArray(targetStudents) ? targetStudents : [targetStudents];
+        const socketIds = (Array.isArray(targetStudents) ? targetStudents : [targetStudents]).filter(socketId => {
+            const target = io.sockets.sockets.get(socketId);
+            return target && target.rooms.has(accessControl.STUDENT_ROOM);
+        });
 
         socketIds.forEach(socketId => {
             // Send navigate event to this specific socket
@@ -1541,6 +1633,7 @@ app.get('/api/teacher/clients', (req, res) => {
     // Convert connectedClients Map to Array with computed fields
     const clients = Array.from(connectedClients.values()).map(client => ({
         socketId: client.socketId,
+        role: client.role, // [NEW] Session role (null: not logged in)
         studentName: client.studentName || 'Guest',
         currentPage: client.currentPage || 'Unknown',
         connectedFor: Date.now() - client.connectedAt,
@@ -1595,7 +1688,17 @@ app.post('/api/attendance', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Student ID is required' });
         }
 
-        const updated = await googleSheetsService.markAttendanceByStudentId(studentId);
+        const updated = await googleSheetsService.markAttendanceByStudentId(studentId, {
+            idempotencyKey: req.get('Idempotency-Key')
+        });
+        auditService.record(req, {
+            action: 'markAttendance',
+            studentId,
+            target: new Date().toLocaleDateString('en-US'),
+            after: { checkedIn: true, bookingFound: !!updated }
+        });
+
+        if (updated) awardBadges(studentId);
 
         // Return success even if not updated (meaning no booking found), 
         // but let frontend know via 'updated' flag.
@@ -1609,26 +1712,143 @@ app.post('/api/attendance', async (req, res) => {
 /**
  * POST /api/mark-attendance
  * Updates student attendance status
+ * Body: { studentId, classDate, serviceTitle?, rowIndex?, status, expected?: { checkedIn } }
+ * The booking is found by Student ID + Class Date; 409 if it no longer matches "expected".
  */
 app.post('/api/mark-attendance', async (req, res) => {
     try {
-        const { rowIndex, status } = req.body;
-        if (!rowIndex) {
-            return res.status(400).json({ success: false, error: 'Row Index is required' });
+        const { studentId, classDate, serviceTitle, rowIndex, status, expected } = req.body;
+        if (!studentId || !classDate) {
+            return res.status(400).json({ success: false, error: 'studentId and classDate are required' });
         }
 
-        await googleSheetsService.markStudentAttendance(rowIndex, status);
-        res.json({ success: true });
+        const result = await googleSheetsService.markStudentAttendance({ studentId, classDate, serviceTitle, rowIndex }, status, { expected });
+        auditService.record(req, {
+            action: 'markAttendance',
+            studentId,
+            target: classDate,
+            before: { checkedIn: result.before.checkedIn },
+            after: { checkedIn: !!status }
+        });
+        if (status) awardBadges(studentId);
+        res.json({ success: true, rowIndex: result.rowIndex });
     } catch (error) {
+        if (error.code === 'ROW_CONFLICT') {
+            return res.status(409).json({ success: false, error: error.message, conflict: error.details });
+        }
         console.error('Error marking attendance:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+/**
+ * GET /api/attendance/:studentId?refresh=true
+ * Attendance history: rate, current/longest streak, no-shows and every booking
+ * (see attendance-service.js)
+ */
+app.get('/api/attendance/:studentId', async (req, res) => {
+    try {
+        const history = await googleSheetsService.getAttendanceHistory(req.params.studentId, req.query.refresh === 'true');
+        res.json({ success: true, ...history });
+    } catch (error) {
+        if (/^Student not found/.test(error.message)) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        console.error('Error fetching attendance history:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/attendance/report?from=YYYY-MM-DD&to=YYYY-MM-DD&serviceTitle=&refresh=true
+ * Attendance per class and session (default: the last 4 weeks)
+ */
+app.get('/api/admin/attendance/report', async (req, res) => {
+    try {
+        const { from, to, serviceTitle } = req.query;
+        const report = await googleSheetsService.getAttendanceReport({ from, to, serviceTitle }, req.query.refresh === 'true');
+        res.json({ success: true, ...report });
+    } catch (error) {
+        if (/^(Invalid date|The report must)/.test(error.message)) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Error building attendance report:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/digest/preview/:studentId?format=json
+ * This week's parent digest for one child, as the parent would see it (HTML),
+ * or the data behind it with format=json (see digest-service.js)
+ */
+app.get('/api/admin/digest/preview/:studentId', async (req, res) => {
+    try {
+        const digest = await googleSheetsService.buildParentDigest(req.params.studentId, { forceRefresh: req.query.refresh === 'true' });
+        if (req.query.format === 'json') {
+            return res.json({
+                success: true,
+                digest,
+                alreadySent: digestService.wasSent(digest.studentId, digest.weekOf),
+                text: digestService.renderText(digest)
+            });
+        }
+        res.type('html').send(digestService.renderHtml(digest));
+    } catch (error) {
+        if (/^Student not found/.test(error.message)) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        console.error('Error building parent digest:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/digest/send
+ * Body: { studentIds (default: every active student), force, instructorName }
+ * Emails this week's digest to each parent. Already-sent ones are skipped
+ * unless force is true.
+ */
+app.post('/api/admin/digest/send', async (req, res) => {
+    try {
+        const { studentIds, force, instructorName } = req.body;
+        if (studentIds !== undefined && !Array.isArray(studentIds)) {
+            return res.status(400).json({ success: false, error: 'studentIds must be a list of student IDs' });
+        }
+        const result = await googleSheetsService.sendParentDigests({ studentIds, force: force === true, sentBy: instructorName });
+        auditService.record(req, {
+            action: 'sendParentDigest',
+            studentIds: result.results.filter(r => r.status === 'sent').map(r => r.studentId),
+            target: result.weekOf,
+            after: { sent: result.sent, skipped: result.skipped, failed: result.failed, force: force === true }
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error sending parent digests:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================================================
 // STEP 16.5: API ENDPOINT - INSTRUCTORS
 // ============================================================================
 
+/**
+ * POST /api/admin/instructors/hash-passcodes
+ * Replaces the plaintext passcodes in the instructors sheet (Column I) with
+ * hashes. Safe to run again; logins work the same afterwards.
+ */
+app.post('/api/admin/instructors/hash-passcodes', async (req, res) => {
+    try {
+        const result = await googleSheetsService.hashInstructorPasscodes();
+        auditService.record(req, { action: 'hashInstructorPasscodes', target: 'instructors', after: result });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error hashing instructor passcodes:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * GET /api/config/spreadsheet-id
  * Returns the current Spreadsheet ID being used
@@ -1644,7 +1864,8 @@ app.get('/api/config/spreadsheet-id', (req, res) => {
  */
 app.get('/api/instructors', async (req, res) => {
     try {
-        const instructors = await googleSheetsService.fetchInstructors();
+        // Names only: passcodes (even hashed) never leave the server
+        const instructors = (await googleSheetsService.fetchInstructors()).map(i => ({ name: i.name }));
         res.json({ success: true, instructors });
     } catch (error) {
         console.error('Error fetching instructors:', error);
@@ -1687,6 +1908,10 @@ app.get('/api/all-kids', async (req, res) => {
 
 // Initialize cached data and sync headshots on startup
 (async () => {
+    // Check the spreadsheet layout first so renamed tabs/headers show up before class
+    const schemaReport = await schemaDrift.checkSchema();
+    schemaDrift.logReport(schemaReport);
+
     try {
         await googleSheetsService.fetchStudents();
         console.log('✅ Initial student data cached');
@@ -1704,6 +1929,10 @@ app.get('/api/all-kids', async (req, res) => {
     }
 })();
 
+// Replay any Sheets writes that were queued while offline (now, then every minute)
+writeJournal.replayPending().catch(err => console.error('[JOURNAL] Startup replay failed:', err.message));
+writeJournal.startAutoReplay();
+
 // Endpoint to force headshot sync
 app.get('/api/sync-headshots', async (req, res) => {
     try {
@@ -1749,8 +1978,8 @@ app.get('/api/admin/sync-all', async (req, res) => {
         results.projectList = 'Synced';
 
         // 6. Master Database (Offline Backup)
-        await googleSheetsService.syncMasterDatabase();
-        results.masterDB = 'Synced';
+        // force: compare every tab even if Drive says the file is unchanged
+        results.masterDB = await googleSheetsService.syncMasterDatabase({ force: true });
 
         console.log('✅ Full Admin Sync Complete');
         res.json({ success: true, results });
@@ -1885,13 +2114,28 @@ app.get('/api/project-parts/:projectCode', async (req, res) => {
 /**
  * POST /api/google-sheets/clear-cache
  *
- * Clears the Google Sheets data cache
+ * Marks cached Google Sheets data as out of date
  * Forces fresh data fetch on next request
+ * Body (optional): { datasets: ['students', 'projectLog'] } - only those datasets.
+ * Without datasets every cache is refreshed. See GET /api/admin/cache for names;
+ * an unknown name is a 400 listing the valid ones (validDatasets).
  */
 app.post('/api/google-sheets/clear-cache', (req, res) => {
     try {
-        googleSheetsService.clearCache();
-        res.json({ success: true, message: 'Cache cleared successfully' });
+        const datasets = req.body && req.body.datasets;
+        if (datasets !== undefined) {
+            const validDatasets = googleSheetsService.getCacheDatasetNames();
+            const unknown = [].concat(datasets).filter(name => !validDatasets.includes(name));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown cache dataset${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`,
+                    validDatasets
+                });
+            }
+        }
+        const invalidated = googleSheetsService.invalidateCache(datasets);
+        res.json({ success: true, message: 'Cache cleared successfully', invalidated });
     } catch (error) {
         console.error('Error clearing cache:', error);
         res.status(500).json({
@@ -1931,7 +2175,13 @@ app.post('/api/student-update', async (req, res) => {
         if (!studentId || !values) {
             return res.status(400).json({ success: false, error: 'Missing Data' });
         }
-        await googleSheetsService.updateStudentFullDetails(studentId, values, userEmail || 'System');
+        const result = await googleSheetsService.updateStudentFullDetails(studentId, values, userEmail || 'System');
+        auditService.record(req, {
+            action: 'updateStudentDetails',
+            studentId,
+            before: Object.fromEntries(result.changes.map(c => [c.column, c.before])),
+            after: Object.fromEntries(result.changes.map(c => [c.column, c.after]))
+        });
         res.json({ success: true });
     } catch (error) {
         console.error('Error updating student:', error);
@@ -2000,10 +2250,7 @@ app.post('/api/sync-students', async (req, res) => {
 
         console.log(`Synced ${studentNames.length} students to local database`);
 
-        // Sync Master Database (Non-blocking)
-        googleSheetsService.syncMasterDatabase();
-
-        // Sync Master Database (Non-blocking)
+        // Sync Master Database (Non-blocking, only changed tabs are re-saved)
         googleSheetsService.syncMasterDatabase();
 
         // Step 4: Fetch all project log data from Google Sheets
@@ -2297,7 +2544,9 @@ app.get('/api/instructors-list', async (req, res) => {
 
 /**
  * POST /api/instructor-login
- * Validates instructor credentials
+ * Checks the passcode (hashed, see auth-service.js) and starts a session:
+ * an HttpOnly cookie, plus the token for clients that can't use cookies.
+ * Wrong passcodes lock the name out for a while (429).
  */
 app.post('/api/instructor-login', express.json(), async (req, res) => {
     try {
@@ -2308,19 +2557,58 @@ app.post('/api/instructor-login', express.json(), async (req, res) => {
         }
 
         const instructors = await googleSheetsService.fetchInstructors();
-        const instructor = instructors.find(i => i.name === name);
+        const session = authService.login({ name, passcode }, instructors);
 
-        if (instructor && instructor.passcode === passcode) {
-            res.json({ success: true });
-        } else {
-            res.status(401).json({ success: false, error: 'Invalid credentials' });
-        }
+        res.set('Set-Cookie', authService.sessionCookie(session, req));
+        res.json({
+            success: true,
+            instructor: { name: session.name, role: session.role },
+            token: session.token,
+            expiresAt: new Date(session.expiresAt).toISOString()
+        });
     } catch (error) {
+        if (/^Invalid credentials/.test(error.message)) {
+            console.warn(`[AUTH] Failed instructor login for "${req.body && req.body.name}" from ${req.ip}`);
+            return res.status(401).json({ success: false, error: error.message });
+        }
+        if (/^Too many failed attempts/.test(error.message)) {
+            return res.status(429).json({ success: false, error: error.message });
+        }
         console.error('Error logging in instructor:', error);
         res.status(500).json({ success: false, error: 'Login failed' });
     }
 });
 
+/**
+ * POST /api/logout (and /api/instructor-logout)
+ * Ends the session, whoever's it is (and clears the cookie)
+ */
+function endSession(req, res) {
+    authService.logout(authService.tokenFrom(req));
+    res.set('Set-Cookie', authService.clearedCookie());
+    res.json({ success: true });
+}
+
+app.post('/api/instructor-logout', endSession);
+app.post('/api/logout', endSession);
+
+/**
+ * GET /api/session
+ * Who is logged in: { loggedIn, user: { name, role, students } }
+ */
+app.get('/api/session', (req, res) => {
+    res.json({ success: true, loggedIn: !!req.user, user: req.user || null });
+});
+
+/**
+ * GET /api/instructor-session
+ * Who is logged in (401 if nobody). Pages use it to check the session is
+ * still good after a server restart.
+ */
+app.get('/api/instructor-session', (req, res) => {
+    res.json({ success: true, instructor: req.instructor });
+});
+
 /**
  * GET /api/todays-students
  * Returns list of students booked for today
@@ -2338,10 +2626,23 @@ app.get('/api/todays-students', async (req, res) => {
 
 app.post('/api/inventory/update', async (req, res) => {
     try {
-        const { itemId, kitName, newStatus, userEmail } = req.body;
-        await googleSheetsService.updateInventory(itemId, kitName, newStatus, userEmail);
-        res.json({ success: true });
+        const { itemId, kitName, newStatus, userEmail, expected } = req.body;
+        const result = await googleSheetsService.updateInventory(itemId, kitName, newStatus, userEmail, {
+            idempotencyKey: req.get('Idempotency-Key'),
+            expected
+        });
+        auditService.record(req, {
+            action: 'updateInventory',
+            target: `${itemId}/${kitName}`,
+            before: result.before || null,
+            after: { status: newStatus },
+            queued: !!result.queued
+        });
+        res.json({ success: true, queued: !!result.queued });
     } catch (error) {
+        if (error.code === 'ROW_CONFLICT') {
+            return res.status(409).json({ success: false, error: error.message, conflict: error.details });
+        }
         console.error('Inventory update failed:', error);
         res.status(500).json({ success: false, error: 'Failed to update inventory' });
     }
@@ -2367,22 +2668,8 @@ app.post('/api/upload-video', upload.single('video'), async (req, res) => {
         console.log(`Starting upload to Drive: ${fileName} (${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
 
         // 1. Authenticate with Google Drive
-        let auth;
-        if (process.env.GOOGLE_CREDENTIALS) {
-            // PROD: Use environment variable
-            const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS);
-            auth = new google.auth.GoogleAuth({
-                credentials,
-                scopes: ['https://www.googleapis.com/auth/drive'],
-            });
-        } else {
-            // LOCAL: Use file
-            auth = new google.auth.GoogleAuth({
-                keyFile: config.CREDENTIALS_PATH,
-                scopes: ['https://www.googleapis.com/auth/drive'],
-            });
-        }
-        const drive = google.drive({ version: 'v3', auth });
+        // Shared client: env var or credentials file, with retries (see google-api-client.js)
+        const drive = await googleSheetsService.getGoogleDriveClient();
 
         // 2. Stream file to Drive
         const fileMetadata = {
@@ -2470,6 +2757,26 @@ app.get('/api/student-projects/:studentId', async (req, res) => {
 // ============================================================================
 // PROJECT COMPLETION & ASSIGNMENT ENDPOINTS
 // ============================================================================
+
+/**
+ * Makes the certificate for a project that was just completed, so it's ready
+ * to print (data/certificates/, see certificate-service.js).
+ * Never throws: a certificate must not fail the completion itself.
+ *
+ * @returns {Promise<string|null>} - Where to download it, or null
+ */
+async function issueCertificate(studentId, projectCode, instructorName, date) {
+    try {
+        const { certificate } = await googleSheetsService.getCertificatePdf(studentId, projectCode, {
+            completion: { date, instructorName }
+        });
+        return `/api/certificates/${encodeURIComponent(certificate.studentId)}/${encodeURIComponent(certificate.projectCode)}`;
+    } catch (err) {
+        console.error(`[CERTIFICATES] Could not make the certificate for ${studentId} ${projectCode}:`, err.message);
+        return null;
+    }
+}
+
 app.post('/api/complete-project', async (req, res) => {
     try {
         const { studentId, projectCode, videoLink, rating, instructorName, status, date } = req.body;
@@ -2480,9 +2787,39 @@ app.post('/api/complete-project', async (req, res) => {
 
         console.log(`Completing project: ${projectCode} for Student ${studentId}`);
 
-        const result = await googleSheetsService.markProjectComplete(studentId, projectCode, videoLink, rating, instructorName, status, date);
+        // Latest Project Log entry for this project, for the audit trail
+        const previous = (await googleSheetsService.fetchProjectLog().catch(() => []))
+            .filter(p => String(p.studentId).trim() === String(studentId).trim() && p.projectName.trim().toUpperCase() === String(projectCode).trim().toUpperCase())
+            .pop();
+
+        const result = await googleSheetsService.markProjectComplete(studentId, projectCode, videoLink, rating, instructorName, status, date, {
+            idempotencyKey: req.get('Idempotency-Key'),
+            // Optional instructor override of the next track project ('' or null = assign nothing)
+            nextProjectCode: 'nextProjectCode' in req.body ? req.body.nextProjectCode : undefined
+        });
+
+        auditService.record(req, {
+            action: 'completeProject',
+            studentId,
+            target: projectCode,
+            before: previous ? { status: previous.projectStatus, rating: previous.rating, videoLink: previous.videoLink } : null,
+            after: { status: status || 'Completed', rating: rating || '', videoLink: videoLink || '', nextProject: result.nextProject && result.nextProject.assigned ? result.nextProject.projectCode : null },
+            queued: !!result.queued
+        });
+
+        const newBadges = result.queued ? [] : await awardBadges(studentId);
+        const certificateUrl = (status || 'Completed').toLowerCase().includes('completed')
+            ? await issueCertificate(studentId, projectCode, instructorName, date)
+            : null;
 
-        res.json({ success: true, message: 'Project marked as complete' });
+        res.json({
+            success: true,
+            queued: !!result.queued,
+            nextProject: result.nextProject || null,
+            newBadges,
+            certificateUrl,
+            message: result.queued ? 'Offline - completion saved and will sync when back online' : 'Project marked as complete'
+        });
 
     } catch (error) {
         console.error('Error completing project:', error);
@@ -2490,6 +2827,51 @@ app.post('/api/complete-project', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/certificates/class/today?serviceTitle=Robotics&date=YYYY-MM-DD
+ * One PDF with a certificate for every project completed that day (default:
+ * today) by the students booked in the class (default: every class)
+ */
+app.get('/api/certificates/class/today', async (req, res) => {
+    try {
+        const { serviceTitle, date } = req.query;
+        const certificates = await googleSheetsService.getClassCertificates({ serviceTitle, date }, req.query.refresh === 'true');
+        if (certificates.length === 0) {
+            return res.status(404).json({ success: false, error: 'No projects were completed in this class today' });
+        }
+        const pdf = await certificateService.renderPdf(certificates);
+        const name = `${serviceTitle ? String(serviceTitle).replace(/[^\w .-]/g, '') : 'All classes'} certificates.pdf`;
+        res.type('application/pdf').set('Content-Disposition', `inline; filename="${name}"`).send(pdf);
+    } catch (error) {
+        if (/^Invalid date/.test(error.message)) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Error making class certificates:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/certificates/:studentId/:projectCode?refresh=true&download=true
+ * A child's completion certificate for one project (PDF)
+ */
+app.get('/api/certificates/:studentId/:projectCode', async (req, res) => {
+    try {
+        const { pdf, fileName } = await googleSheetsService.getCertificatePdf(req.params.studentId, req.params.projectCode, {
+            refresh: req.query.refresh === 'true'
+        });
+        res.type('application/pdf')
+            .set('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${fileName}"`)
+            .send(pdf);
+    } catch (error) {
+        if (/^(Student not found|No completed project)/.test(error.message)) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        console.error('Error making certificate:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // NEW: Assign a new project
 app.post('/api/assign-project', async (req, res) => {
     try {
@@ -2499,7 +2881,16 @@ app.post('/api/assign-project', async (req, res) => {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        const result = await googleSheetsService.assignProject(studentId, projectCode, instructorName || 'Instructor');
+        const result = await googleSheetsService.assignProject(studentId, projectCode, instructorName || 'Instructor', {
+            idempotencyKey: req.get('Idempotency-Key')
+        });
+        auditService.record(req, {
+            action: 'assignProject',
+            studentId,
+            target: projectCode,
+            after: { status: 'Assigned', uniqueId: result.uniqueId },
+            queued: !!result.queued
+        });
         res.json(result);
 
     } catch (error) {
@@ -2508,6 +2899,43 @@ app.post('/api/assign-project', async (req, res) => {
     }
 });
 
+// NEW: Assign a project to a whole class at once (one Project Log append)
+// Body: { studentIds?: [...], serviceTitle?: 'Robotics', projectCode?: 'PROJ101', rule?: 'nextInTrack', instructorName }
+app.post('/api/assign-project/bulk', async (req, res) => {
+    try {
+        const { studentIds, serviceTitle, projectCode, rule, instructorName } = req.body;
+
+        if ((!Array.isArray(studentIds) || studentIds.length === 0) && !serviceTitle) {
+            return res.status(400).json({ success: false, error: 'Give studentIds or a serviceTitle' });
+        }
+        if (!projectCode && rule !== 'nextInTrack') {
+            return res.status(400).json({ success: false, error: 'Give a projectCode or rule: "nextInTrack"' });
+        }
+
+        const result = await googleSheetsService.assignProjectBulk(
+            { studentIds, serviceTitle, projectCode, rule },
+            instructorName || 'Instructor',
+            { idempotencyKey: req.get('Idempotency-Key') }
+        );
+        const assigned = result.results.filter(r => r.status === 'assigned');
+        if (assigned.length > 0) {
+            auditService.record(req, {
+                action: 'assignProjectBulk',
+                studentIds: assigned.map(r => r.studentId),
+                target: projectCode || rule,
+                after: assigned.map(r => ({ studentId: r.studentId, projectCode: r.projectCode, status: 'Assigned', uniqueId: r.uniqueId })),
+                queued: !!result.queued
+            });
+        }
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error bulk assigning project:', error);
+        const status = /^(No students|Project not found)/.test(error.message) ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
 // NEW: Get full project list for dropdowns
 app.get('/api/project-list', async (req, res) => {
     try {
@@ -2541,13 +2969,64 @@ app.post('/api/admin/setup-curriculum', async (req, res) => {
     }
 });
 
+// ============================================================================
+// CURRICULUM TRACKS
+// ============================================================================
+// Ordered project list of every track (Recommended Tracks + Project Difficulty)
+app.get('/api/tracks', async (req, res) => {
+    try {
+        const { tracks, untracked } = await googleSheetsService.getCurriculumTracks(req.query.refresh === 'true');
+        res.json({ success: true, tracks, untrackedProjects: untracked });
+    } catch (error) {
+        console.error('Error fetching tracks:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// A student's progress through their track and the project that would be
+// auto-assigned next (instructors can override it when completing a project).
+// ?completing=CODE previews the next project as if CODE were already completed.
+app.get('/api/tracks/student/:studentId', async (req, res) => {
+    try {
+        const progress = await googleSheetsService.getTrackProgress(req.params.studentId, {
+            forceRefresh: req.query.refresh === 'true',
+            alsoCompleted: req.query.completing ? [String(req.query.completing)] : undefined
+        });
+        res.json({ success: true, autoAssignNext: !!config.CURRICULUM.AUTO_ASSIGN_NEXT_PROJECT, ...progress });
+    } catch (error) {
+        console.error('Error fetching track progress:', error);
+        const status = error.message.startsWith('Student not found') ? 404 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// PROJECT RECOMMENDATIONS
+// ============================================================================
+// Ranks what a student could do next: prerequisites met, difficulty step,
+// BUILDING/CODING balance and age (see recommendation-service.js)
+app.get('/api/recommendations/:studentId', async (req, res) => {
+    try {
+        const result = await googleSheetsService.getRecommendations(req.params.studentId, {
+            limit: parseInt(req.query.limit, 10) || undefined,
+            forceRefresh: req.query.refresh === 'true'
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error building recommendations:', error);
+        const status = error.message.startsWith('Student not found') ? 404 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================================================
 // LEADERBOARD API
 // ============================================================================
 // [NEW] Prizes Endpoint
 app.get('/api/prizes', async (req, res) => {
     try {
-        const prizes = await googleSheetsService.fetchPrizesList();
+        // Each prize also says how many are left to request (available: null = unlimited)
+        const prizes = await googleSheetsService.getPrizeAvailability();
         res.json({ success: true, prizes });
     } catch (error) {
         console.error('Error fetching prizes:', error);
@@ -2555,58 +3034,224 @@ app.get('/api/prizes', async (req, res) => {
     }
 });
 
-// [NEW] Redemption Endpoint
+// [NEW] Redemption Endpoint - a student asks for a prize (an instructor approves it in the Teacher Panel)
+// Body: { studentId, prizeName }. The cost comes from the prizes sheet, not the client.
 app.post('/api/redeem', async (req, res) => {
     try {
-        const { studentId, prizeName, cost } = req.body;
+        const { studentId, prizeName } = req.body;
 
-        if (!studentId || !prizeName || !cost) {
+        if (!studentId || !prizeName) {
             return res.status(400).json({ success: false, error: 'Missing required fields' });
         }
 
-        // 1. Fetch current student data to verify balance
-        const allStudents = await googleSheetsService.getLeaderboard(); // This now includes currentBalance
-        const student = allStudents.find(s => s.id === studentId || s.name === studentId); // Handle ID or Name fallback
+        const result = await googleSheetsService.requestRedemption(studentId, prizeName, {
+            idempotencyKey: req.get('Idempotency-Key')
+        });
+        auditService.record(req, {
+            action: 'requestRedemption',
+            studentId: result.studentId,
+            target: `${result.prizeName} (${result.redemptionId})`,
+            before: { balance: result.balanceBefore },
+            after: { balance: result.newBalance, cost: result.cost, status: result.status },
+            queued: result.queued
+        });
 
-        if (!student) {
-            return res.status(404).json({ success: false, error: 'Student not found' });
-        }
-
-        // 2. Check Balance
-        if (student.currentBalance < cost) {
-            return res.status(400).json({
-                success: false,
-                error: `Insufficient points. You have ${student.currentBalance}, but this costs ${cost}.`
-            });
-        }
-
-        // 3. Process Redemption
-        // Pass minimal student object { id, name }
-        await googleSheetsService.addRedemption(
-            { id: student.id, name: student.name },
-            prizeName,
-            parseInt(cost)
-        );
-
-        res.json({ success: true, newBalance: student.currentBalance - cost });
+        res.json(result);
 
     } catch (error) {
         console.error('Redemption failed:', error);
+        if (error.code === 'REDEMPTION_REFUSED') {
+            return res.status(400).json({ success: false, error: error.message, reason: error.details.reason });
+        }
+        if (/^(Student|Prize) not found/.test(error.message)) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
         res.status(500).json({ success: false, error: 'Redemption failed. Please try again.' });
     }
 });
 
+// Approval queue. ?status=REQUESTED,APPROVED (default: still open) &studentId=
+app.get('/api/redemptions', async (req, res) => {
+    try {
+        const redemptions = await googleSheetsService.listRedemptions({
+            statuses: req.query.status ? String(req.query.status).split(',') : [],
+            studentId: req.query.studentId
+        }, req.query.refresh === 'true');
+        res.json({ success: true, redemptions });
+    } catch (error) {
+        console.error('Redemptions fetch failed:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch redemptions' });
+    }
+});
+
+// Instructor action: approve, reject or fulfill. Body: { instructorName }
+app.post('/api/redemptions/:redemptionId/:action', async (req, res) => {
+    try {
+        const { redemptionId, action } = req.params;
+        const result = await googleSheetsService.updateRedemptionStatus(redemptionId, action, req.body.instructorName || 'Instructor', {
+            idempotencyKey: req.get('Idempotency-Key')
+        });
+        auditService.record(req, {
+            action: `${action.toLowerCase()}Redemption`,
+            studentId: result.studentId,
+            target: `${result.prizeName || ''} (${redemptionId})`,
+            before: result.before,
+            after: { status: result.status, ...(result.stock !== undefined ? { stock: result.stock } : {}) },
+            queued: !!result.queued
+        });
+        res.json(result);
+    } catch (error) {
+        console.error('Redemption update failed:', error);
+        if (error.code === 'ROW_CONFLICT') {
+            return res.status(409).json({ success: false, error: error.message, conflict: error.details });
+        }
+        const status = /^(Unknown redemption action|Redemption ID is required)/.test(error.message) ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Query: ?serviceTitle=Robotics &track=Track 1 &ageBand=8-10 &activeOnly=true &season=spring-challenge-2026
 app.get('/api/leaderboard', async (req, res) => {
     try {
         const forceRefresh = req.query.refresh === 'true';
-        const data = await googleSheetsService.getLeaderboard(forceRefresh);
-        res.json({ success: true, leaderboard: data });
+        const scope = leaderboardService.parseScope(req.query);
+        const data = await googleSheetsService.getLeaderboard(forceRefresh, scope);
+        const season = scope.season ? leaderboardService.describeSeason(leaderboardService.findSeason(scope.season)) : null;
+        res.json({ success: true, leaderboard: data, scope, season });
     } catch (error) {
         console.error('Leaderboard fetch failed:', error);
+        if (/^Invalid age band/.test(error.message)) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (/^Season not found/.test(error.message)) {
+            return res.status(404).json({ success: false, error: error.message });
+        }
         res.status(500).json({ success: false, error: 'Failed to fetch leaderboard' });
     }
 });
 
+// ============================================================================
+// API ENDPOINTS - ACHIEVEMENT BADGES (see badge-service.js)
+// ============================================================================
+
+// Every badge there is
+app.get('/api/badges', (req, res) => {
+    res.json({ success: true, badges: badgeService.listRules() });
+});
+
+// A student's badges (checks for new ones first) and the ones still to earn
+app.get('/api/badges/:studentId', async (req, res) => {
+    try {
+        const forceRefresh = req.query.refresh === 'true';
+        const result = await googleSheetsService.checkBadges(req.params.studentId, forceRefresh);
+        pushNewBadges(result);
+
+        const have = new Set(result.badges.map(b => b.id));
+        res.json({
+            success: true,
+            studentId: result.studentId,
+            badges: result.badges,
+            toEarn: badgeService.listRules().filter(rule => !have.has(rule.id))
+        });
+    } catch (error) {
+        console.error('Badges fetch failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// API ENDPOINTS - LEADERBOARD SEASONS (see leaderboard-service.js)
+// ============================================================================
+
+app.get('/api/leaderboard/seasons', (req, res) => {
+    try {
+        res.json({ success: true, seasons: leaderboardService.listSeasons() });
+    } catch (error) {
+        console.error('Seasons fetch failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Body: { name: 'Spring Challenge', start: '2026-03-01', end: '2026-05-31', instructorName }
+app.post('/api/admin/seasons', (req, res) => {
+    try {
+        const { name, start, end, instructorName } = req.body;
+        const season = leaderboardService.createSeason({ name, start, end }, instructorName);
+        auditService.record(req, { action: 'createSeason', target: season.id, after: { name: season.name, start: season.start, end: season.end } });
+        res.json({ success: true, season });
+    } catch (error) {
+        console.error('Season create failed:', error);
+        const status = /^(A season|Invalid date|The season must)/.test(error.message) ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Saves the final standings of a season that has ended
+app.post('/api/admin/seasons/:seasonId/archive', async (req, res) => {
+    try {
+        const season = await googleSheetsService.archiveSeasonStandings(req.params.seasonId, req.body.instructorName);
+        auditService.record(req, { action: 'archiveSeason', target: season.id, after: { standings: season.standingsCount } });
+        res.json({ success: true, season });
+    } catch (error) {
+        console.error('Season archive failed:', error);
+        let status = 500;
+        if (/^Season not found/.test(error.message)) status = 404;
+        if (/already archived|hasn't ended/.test(error.message)) status = 409;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// API ENDPOINTS - POINTS LEDGER (see points-ledger-service.js)
+// ============================================================================
+
+// One student's transactions (earned, spent, adjusted) and totals
+app.get('/api/points/ledger/:studentId', async (req, res) => {
+    try {
+        const ledger = await googleSheetsService.getStudentPointsLedger(req.params.studentId, req.query.refresh === 'true');
+        res.json({ success: true, ledger });
+    } catch (error) {
+        console.error('Points ledger fetch failed:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch points ledger' });
+    }
+});
+
+// Manual adjustment. Body: { studentId, points: 5 | -5, reason }
+// [NEW] Recorded under the logged-in instructor, never a name typed in the body
+app.post('/api/points/adjust', async (req, res) => {
+    try {
+        const { studentId, points, reason } = req.body;
+        const instructorName = (req.instructor && req.instructor.name) || 'Server computer';
+
+        const result = await googleSheetsService.addPointsAdjustment(studentId, points, reason, instructorName);
+        auditService.record(req, {
+            action: 'adjustPoints',
+            studentId: result.adjustment.studentId,
+            target: result.adjustment.reason,
+            before: { balance: result.balance - result.adjustment.points },
+            after: { balance: result.balance, points: result.adjustment.points }
+        });
+        res.json(result);
+    } catch (error) {
+        console.error('Points adjustment failed:', error);
+        let status = 500;
+        if (/^(Student ID is required|Points must be|A reason is required)/.test(error.message)) status = 400;
+        if (/^Student not found/.test(error.message)) status = 404;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Students whose Column AH "Total Points" doesn't match the ledger
+app.get('/api/admin/points/reconcile', async (req, res) => {
+    try {
+        const report = await googleSheetsService.reconcilePoints(req.query.refresh === 'true');
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Points reconciliation failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================================================
 // STEP 20: API ENDPOINT - LIST STUDENT FOLDERS
 // ============================================================================
@@ -3076,7 +3721,18 @@ app.post('/api/update-student-note', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Student ID is required' });
         }
 
-        const result = await googleSheetsService.updateStudentNote(studentId, note || '');
+        const previous = (await googleSheetsService.fetchStudents().catch(() => [])).find(s => s.id === String(studentId).trim());
+
+        const result = await googleSheetsService.updateStudentNote(studentId, note || '', {
+            idempotencyKey: req.get('Idempotency-Key')
+        });
+        auditService.record(req, {
+            action: 'updateStudentNote',
+            studentId,
+            before: previous ? { note: previous.note } : null,
+            after: { note: note || '' },
+            queued: !!result.queued
+        });
         res.json(result);
 
     } catch (error) {
@@ -3214,11 +3870,12 @@ app.get('/api/inventory', async (req, res) => {
 
 
 // ============================================================================
-// API ENDPOINT - DELETE PROJECT LOG ENTRY
+// API ENDPOINTS - DELETE / RESTORE PROJECT LOG ENTRY
 // ============================================================================
 app.post('/api/delete-project-log', async (req, res) => {
     try {
-        const { uniqueId, instructorName } = req.body;
+        // expected: { studentId, projectCode, status } as the client last saw it (409 if the row changed)
+        const { uniqueId, instructorName, expected } = req.body;
 
         if (!uniqueId) {
             return res.status(400).json({ success: false, error: 'Missing uniqueId' });
@@ -3227,16 +3884,252 @@ app.post('/api/delete-project-log', async (req, res) => {
         const user = instructorName || 'System'; // Default if missing
         console.log(`[API] Deleting project log entry ${uniqueId} by ${user}`);
 
-        await googleSheetsService.deleteProjectEntry(uniqueId, user);
+        const result = await googleSheetsService.deleteProjectEntry(uniqueId, user, { expected });
+        auditService.record(req, {
+            action: 'deleteProjectEntry',
+            studentId: result.before.studentId,
+            target: uniqueId,
+            before: result.before,
+            after: { archived: true, archiveId: result.archiveId }
+        });
 
-        res.json({ success: true });
+        // archiveId is what /api/restore-project-log needs for "undo"
+        res.json({ success: true, archiveId: result.archiveId });
 
     } catch (error) {
+        if (error.code === 'ROW_CONFLICT') {
+            return res.status(409).json({ success: false, error: error.message, conflict: error.details });
+        }
         console.error('Delete API Error:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+/**
+ * POST /api/restore-project-log
+ * Puts a deleted Project Log entry back (the teacher panel's "Undo")
+ * Body: { archiveId } (or { uniqueId }), instructorName
+ */
+app.post('/api/restore-project-log', async (req, res) => {
+    try {
+        const { archiveId, uniqueId, instructorName } = req.body;
+        if (!archiveId && !uniqueId) {
+            return res.status(400).json({ success: false, error: 'Missing archiveId' });
+        }
+
+        const result = await googleSheetsService.restoreProjectEntry(archiveId || uniqueId, instructorName || 'System');
+        auditService.record(req, {
+            action: 'restoreProjectEntry',
+            studentId: result.studentId,
+            target: result.uniqueId,
+            before: { archived: true, archiveId: result.archiveId },
+            after: { projectCode: result.projectCode, status: result.status }
+        });
+        res.json(result);
+
+    } catch (error) {
+        if (error.code === 'ROW_CONFLICT') {
+            return res.status(409).json({ success: false, error: error.message, conflict: error.details });
+        }
+        const status = error.message.startsWith('Archived entry not found') ? 404 : 500;
+        console.error('Restore API Error:', error);
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/project-log-archive?studentId=S001&includeRestored=true
+ * Deleted Project Log entries, newest first
+ */
+app.get('/api/project-log-archive', (req, res) => {
+    try {
+        const entries = googleSheetsService.listArchivedProjectEntries({
+            studentId: req.query.studentId,
+            includeRestored: req.query.includeRestored === 'true'
+        });
+        res.json({ success: true, entries });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// API ENDPOINT - AUDIT LOG
+// ============================================================================
+// Every data-changing action is appended to data/audit-log.jsonl (see audit-service.js).
+// public/audit.html searches it and traces a child's record.
+
+/**
+ * GET /api/admin/audit?studentId=&user=&action=&from=YYYY-MM-DD&to=YYYY-MM-DD&order=asc&limit=&offset=
+ * Returns matching audit entries (newest first unless order=asc) and every action name seen
+ */
+app.get('/api/admin/audit', (req, res) => {
+    try {
+        const { studentId, user, action, from, to, order, limit, offset } = req.query;
+        const result = auditService.query({ studentId, user, action, from, to, order, limit, offset });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        const status = error.message.startsWith('Invalid date') ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// API ENDPOINTS - OFFLINE WRITE JOURNAL
+// ============================================================================
+// Every Google Sheets write is journaled first (see write-journal-service.js).
+// These endpoints let the Teacher Panel see what is waiting to sync.
+
+/**
+ * GET /api/admin/write-journal?status=pending|failed|replayed|applied
+ * Returns journal entries (newest first) and counts per status
+ */
+app.get('/api/admin/write-journal', (req, res) => {
+    try {
+        const journal = writeJournal.getJournal({
+            status: req.query.status,
+            limit: parseInt(req.query.limit, 10) || 200
+        });
+        res.json({ success: true, ...journal });
+    } catch (error) {
+        console.error('Error reading write journal:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/write-journal/replay
+ * Sends pending writes to Google Sheets right now
+ */
+app.post('/api/admin/write-journal/replay', async (req, res) => {
+    try {
+        const summary = await writeJournal.replayPending();
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error('Error replaying write journal:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/write-journal/:id/retry
+ * Moves a failed entry back to pending and replays
+ */
+app.post('/api/admin/write-journal/:id/retry', async (req, res) => {
+    try {
+        const entry = writeJournal.retryEntry(req.params.id);
+        const summary = await writeJournal.replayPending();
+        res.json({ success: true, entry, ...summary });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/write-journal/:id/discard
+ * Gives up on a failed/pending entry (kept in the journal for the record)
+ */
+app.post('/api/admin/write-journal/:id/discard', (req, res) => {
+    try {
+        const entry = writeJournal.discardEntry(req.params.id);
+        res.json({ success: true, entry });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// API ENDPOINT - SPREADSHEET SCHEMA CHECK
+// ============================================================================
+// Compares the live spreadsheet with google-sheets-config.js (see schema-drift-service.js).
+
+/**
+ * GET /api/admin/schema?refresh=true
+ * Returns the latest schema report (re-checks the spreadsheet when refresh=true
+ * or when no check has run yet)
+ */
+app.get('/api/admin/schema', async (req, res) => {
+    try {
+        let report = schemaDrift.getLastReport();
+        if (!report || req.query.refresh === 'true') {
+            report = await schemaDrift.checkSchema();
+            schemaDrift.logReport(report);
+        }
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Error checking spreadsheet schema:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================================================
+// API ENDPOINT - CACHE STATS
+// ============================================================================
+// Hit/miss counts, age and state of each cached dataset (see cache-manager.js)
+
+/**
+ * GET /api/admin/cache
+ * Returns stats for every cached dataset
+ */
+app.get('/api/admin/cache', (req, res) => {
+    res.json({ success: true, datasets: googleSheetsService.getCacheStats() });
+});
+
+// ============================================================================
+// API ENDPOINT - GOOGLE API HEALTH
+// ============================================================================
+// Circuit breaker state, requests per minute vs. Sheets quota, retry counts
+// (see google-api-client.js)
+
+/**
+ * GET /api/admin/google-api
+ */
+app.get('/api/admin/google-api', (req, res) => {
+    res.json({ success: true, ...googleSheetsService.getGoogleApiStats() });
+});
+
+/**
+ * POST /api/admin/google-api/reset-circuit
+ * Closes the circuit breaker so the next request goes straight to Google
+ */
+app.post('/api/admin/google-api/reset-circuit', (req, res) => {
+    googleSheetsService.resetGoogleApiCircuit();
+    res.json({ success: true, ...googleSheetsService.getGoogleApiStats() });
+});
+
+// ============================================================================
+// API ENDPOINT - MASTER DATABASE SYNC STATUS
+// ============================================================================
+// Per-tab row counts / last-changed times and recent diffs of data/master_sheet_db.json
+
+/**
+ * GET /api/admin/master-db
+ * Returns tab stats and sync history (no data is downloaded)
+ */
+app.get('/api/admin/master-db', (req, res) => {
+    try {
+        res.json({ success: true, ...googleSheetsService.getMasterSyncStatus() });
+    } catch (error) {
+        console.error('Error reading master database status:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/master-db/sync
+ * Runs an incremental sync now. Body: { force: true } to compare tabs even if
+ * the spreadsheet looks unmodified (queued behind a sync that is already running).
+ */
+app.post('/api/admin/master-db/sync', async (req, res) => {
+    try {
+        const result = await googleSheetsService.syncMasterDatabase({ force: req.body && req.body.force === true });
+        res.status(result.success ? 200 : 502).json(result);
+    } catch (error) {
+        console.error('Error syncing master database:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================================================
 // STEP 19: START THE SERVER
 // ============================================================================
@@ -3277,16 +4170,19 @@ server.listen(PORT, '0.0.0.0', () => {
 // ============================================================================
 app.post('/api/login', async (req, res) => {
     try {
-        const { studentName, parentEmail } = req.body;
-        console.log(`[API] Login Attempt for: ${studentName} (Parent: ${parentEmail || 'N/A'})`);
+        const { studentName, studentId, parentEmail } = req.body;
+        console.log(`[API] Login Attempt for: ${studentName || studentId} (Parent: ${parentEmail || 'N/A'})`);
 
-        if (!studentName) {
+        if (!studentName && !studentId) {
             return res.status(400).json({ success: false, message: 'Student name is required' });
         }
 
         // Fetch all students to verify status
         const students = await googleSheetsService.fetchStudents();
-        const student = students.find(s => s.name.toLowerCase() === studentName.toLowerCase() || s.loginName.toLowerCase() === studentName.toLowerCase());
+        const student = students.find(s =>
+            (studentId && s.id.toLowerCase() === String(studentId).trim().toLowerCase()) ||
+            (studentName && (s.name.toLowerCase() === studentName.toLowerCase() || s.loginName.toLowerCase() === studentName.toLowerCase()))
+        );
 
         if (!student) {
             return res.status(404).json({ success: false, message: 'Student account not found.' });
@@ -3307,10 +4203,152 @@ app.post('/api/login', async (req, res) => {
             // But for now, we trust the name if the ID matches what we expect
         }
 
-        res.json({ success: true, student });
+        // [NEW] The student's session: they can see only their own records (access-control.js).
+        // Staff keep theirs, and so does a parent who picked one of their own children.
+        if (authService.isStaff(req.user) || accessControl.inScope(req.user, student.id)) {
+            return res.json({ success: true, student, role: req.user.role });
+        }
+        // Online, anyone could type any name: children log in through their parent's email
+        if (authService.isOnlineMode()) {
+            return res.status(403).json({ success: false, message: 'Please log in with your parent\'s email first.' });
+        }
+        const session = authService.startSession({ name: student.name, role: 'student', students: [student] });
+        res.set('Set-Cookie', authService.sessionCookie(session, req));
+        res.json({ success: true, student, role: session.role });
 
     } catch (error) {
         console.error('Login Error:', error);
         res.status(500).json({ success: false, message: 'Login failed due to server error.' });
     }
 });
+
+// ============================================================================
+// [NEW] LOGIN CARDS (QR codes, see login-card-service.js)
+// ============================================================================
+
+/**
+ * GET /api/login-cards?serviceTitle=Robotics&studentId=S001&reissue=true
+ * A printable page of login cards for the active students (one class, one
+ * student, or everyone). reissue=true replaces the student's card, so a lost
+ * one stops working; it needs a studentId.
+ */
+app.get('/api/login-cards', async (req, res) => {
+    try {
+        const { serviceTitle, studentId } = req.query;
+        const reissue = req.query.reissue === 'true';
+        if (reissue && !studentId) {
+            return res.status(400).json({ success: false, error: 'Reissuing needs a studentId' });
+        }
+
+        const students = (await googleSheetsService.fetchStudents()).filter(s =>
+            s.isActive &&
+            (!studentId || s.id.toLowerCase() === String(studentId).trim().toLowerCase()) &&
+            (!serviceTitle || (s.serviceTitle || '').toLowerCase() === String(serviceTitle).trim().toLowerCase())
+        );
+        if (students.length === 0) {
+            return res.status(404).json({ success: false, error: 'No active students to make cards for' });
+        }
+
+        const cards = students.map(s => ({
+            studentId: s.id,
+            name: s.name,
+            headshot: s.headshot,
+            serviceTitle: s.serviceTitle,
+            token: loginCardService.tokenFor(s.id, { reissue })
+        }));
+        if (reissue) {
+            auditService.record(req, { action: 'reissueLoginCard', studentId: students[0].id, target: 'loginCard' });
+        }
+        res.type('html').send(loginCardService.renderCardSheet(cards, {
+            title: `Login Cards - ${serviceTitle || (studentId ? students[0].name : 'All students')}`
+        }));
+    } catch (error) {
+        console.error('Error making login cards:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/login-cards/scans?date=YYYY-MM-DD
+ * The card logins of the day (default: today): who sat at which station
+ */
+app.get('/api/login-cards/scans', (req, res) => {
+    try {
+        const date = req.query.date;
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ success: false, error: 'Invalid date (use YYYY-MM-DD)' });
+        }
+        res.json({ success: true, scans: date ? loginCardService.readScans(date) : loginCardService.readScans() });
+    } catch (error) {
+        console.error('Error reading card scans:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/card-login
+ * Body: { token, station }. The QR code from a login card, read by a station's
+ * webcam (or a USB scanner): logs the student in, checks them in for today's
+ * class and remembers the station (its name, else its IP).
+ * The printed card is the proof, so this works online as well.
+ */
+app.post('/api/card-login', async (req, res) => {
+    try {
+        const { token } = req.body || {};
+        const station = String((req.body && req.body.station) || '').trim().slice(0, 60) || req.ip;
+
+        let card;
+        try {
+            card = loginCardService.verifyToken(token);
+        } catch (error) {
+            console.warn(`[AUTH] Login card rejected at ${station}: ${error.message}`);
+            const status = /^Not a LearnToBot/.test(error.message) ? 400 : 401;
+            return res.status(status).json({ success: false, message: error.message });
+        }
+
+        const students = await googleSheetsService.fetchStudents();
+        const student = students.find(s => s.id.toLowerCase() === card.studentId.toLowerCase());
+        if (!student) {
+            return res.status(404).json({ success: false, message: 'Student account not found.' });
+        }
+        if (!student.isActive) {
+            console.log(`[Login] Blocked Inactive User (card): ${student.name}`);
+            return res.status(403).json({
+                success: false,
+                message: 'Your subscription has ended. Please contact admin@learntobot.com or text us at +13462151556 if you think this is an error.'
+            });
+        }
+
+        // Same sessions as /api/login: staff (and a parent with their own child) keep theirs.
+        // A classroom station has nobody logged in, so the scan starts the student's session.
+        let role = req.user ? req.user.role : null;
+        if (!authService.isStaff(req.user) && !accessControl.inScope(req.user, student.id)) {
+            const session = authService.startSession({ name: student.name, role: 'student', students: [student] });
+            res.set('Set-Cookie', authService.sessionCookie(session, req));
+            role = session.role;
+        }
+
+        // A check-in that fails (no booking, Google down) must not stop the login
+        let checkedIn = false;
+        try {
+            checkedIn = !!(await googleSheetsService.markAttendanceByStudentId(student.id));
+        } catch (error) {
+            console.error(`[LOGIN CARDS] Check-in failed for ${student.id}:`, error.message);
+        }
+        if (checkedIn) awardBadges(student.id);
+
+        loginCardService.recordScan({ studentId: student.id, studentName: student.name, station, ip: req.ip, checkedIn });
+        auditService.record(req, {
+            action: 'cardLogin',
+            studentId: student.id,
+            target: new Date().toLocaleDateString('en-US'),
+            after: { checkedIn, station }
+        });
+        console.log(`[SUCCESS] Card login: ${student.name} at ${station} (checked in: ${checkedIn})`);
+
+        res.json({ success: true, student, role, checkedIn, station });
+    } catch (error) {
+        console.error('Card Login Error:', error);
+        res.status(500).json({ success: false, message: 'Login failed due to server error.' });
+    }
+});
@@ -0,0 +1,206 @@
+/*
+ * Roles and the route -> permission table: every route in server.js has an
+ * entry, each access level lets in exactly the right people, students and
+ * parents see only their own children, and the middleware applies it all.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { service, fake } = require('./support/setup');
+const auth = require('../auth-service');
+const access = require('../access-control');
+
+const STUDENT = { name: 'Ava Stone', role: 'student', students: [{ id: 'S001', name: 'Ava Stone', loginName: 'Ava' }], source: 'session' };
+const PARENT = { name: 'parent@example.com', role: 'parent', students: [{ id: 'S001', name: 'Ava Stone' }, { id: 'S002', name: 'Ben Stone' }], source: 'session' };
+const INSTRUCTOR = { name: 'Mr. Kim', role: 'instructor', students: [], source: 'session' };
+const ADMIN = { name: 'Ms. Rivera', role: 'admin', students: [], source: 'session' };
+
+/**
+ * Every app.get/post(...) route under /api in server.js
+ */
+function serverRoutes() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+    const routes = [];
+    const pattern = /app\.(get|post|put|delete|patch)\(\s*'(\/api\/[^']*)'/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        routes.push({ method: match[1].toUpperCase(), path: match[2] });
+    }
+    return routes;
+}
+
+/**
+ * A request for a rule, naming the given child wherever the rule looks
+ */
+function requestFor(rule, studentValue) {
+    const request = { params: {}, body: {}, query: {} };
+    if (rule.student) {
+        const [from, field] = rule.student.split('.');
+        request[from][field] = studentValue;
+    }
+    return request;
+}
+
+function outcome(user, rule, studentValue = 'S001') {
+    const result = access.checkAccess(user, rule, requestFor(rule, studentValue));
+    return result.allowed ? 'ok' : result.status;
+}
+
+/**
+ * Just enough of an Express request/response for the middleware
+ */
+function fakeExchange(method, url, { token, body = {} } = {}) {
+    const [pathname, query = ''] = url.split('?');
+    const req = {
+        method,
+        path: pathname,
+        originalUrl: url,
+        query: Object.fromEntries(new URLSearchParams(query)),
+        headers: token ? { authorization: `Bearer ${token}` } : {},
+        socket: { remoteAddress: '10.0.0.7' },
+        body
+    };
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.body = payload; return this; }
+    };
+    let passed = false;
+    access.authorize(req, res, () => { passed = true; });
+    return { req, res, passed };
+}
+
+beforeEach(() => {
+    auth.reset();
+});
+
+test('every /api route in server.js has its own entry, and every entry a route', () => {
+    const routes = serverRoutes();
+    assert.ok(routes.length > 80, 'found the routes');
+
+    routes.forEach(route => {
+        const sample = route.path.replace(/:[^/]+/g, 'S001');
+        const { rule } = access.ruleFor(route.method, sample);
+        assert.ok(!rule.isDefault, `${route.method} ${route.path} is in the table`);
+        if (!rule.path.endsWith('/*')) {
+            assert.equal(rule.path, route.path, `${route.method} ${route.path} matches its own entry`);
+        }
+    });
+
+    access.ROUTE_PERMISSIONS.filter(rule => !rule.path.endsWith('/*')).forEach(rule => {
+        assert.ok(routes.some(route => route.method === rule.method && route.path === rule.path), `${rule.method} ${rule.path} is still a route`);
+    });
+});
+
+test('each route lets in exactly who its access level says', () => {
+    access.ROUTE_PERMISSIONS.forEach(rule => {
+        const name = `${rule.method} ${rule.path}`;
+        const expected = {
+            public: { anonymous: 'ok', student: 'ok', parent: 'ok', instructor: 'ok', admin: 'ok' },
+            signedIn: { anonymous: 401, student: 'ok', parent: 'ok', instructor: 'ok', admin: 'ok' },
+            self: { anonymous: 401, student: 'ok', parent: 'ok', instructor: 'ok', admin: 'ok' },
+            instructor: { anonymous: 401, student: 403, parent: 403, instructor: 'ok', admin: 'ok' },
+            admin: { anonymous: 401, student: 403, parent: 403, instructor: 403, admin: 'ok' }
+        }[rule.access];
+        assert.ok(expected, `${name} has a known access level`);
+
+        assert.deepEqual({
+            anonymous: outcome(null, rule),
+            student: outcome(STUDENT, rule),
+            parent: outcome(PARENT, rule),
+            instructor: outcome(INSTRUCTOR, rule),
+            admin: outcome(ADMIN, rule)
+        }, expected, name);
+
+        if (rule.access === 'self') {
+            assert.ok(rule.student, `${name} says where the student is`);
+            // Someone else's child
+            assert.equal(outcome(STUDENT, rule, 'S002'), 403, `${name}: a student can't see another child`);
+            assert.equal(outcome(PARENT, rule, 'S002'), 'ok', `${name}: a parent sees each of their children`);
+            assert.equal(outcome(PARENT, rule, 'S003'), 403, `${name}: but nobody else's`);
+            assert.equal(outcome(INSTRUCTOR, rule, 'S003'), 'ok');
+        }
+    });
+});
+
+test('the routes that matter most have the expected levels', () => {
+    const levelOf = (method, url) => access.ruleFor(method, url).rule.access;
+
+    assert.equal(levelOf('GET', '/api/student-detail/S001'), 'instructor');
+    assert.equal(levelOf('POST', '/api/student-update'), 'instructor');
+    assert.equal(levelOf('POST', '/api/points/adjust'), 'instructor');
+    assert.equal(levelOf('POST', '/api/complete-project'), 'instructor');
+    assert.equal(levelOf('GET', '/api/admin/cache'), 'instructor');
+    assert.equal(levelOf('GET', '/api/certificates/class/today'), 'instructor');
+    assert.equal(levelOf('POST', '/api/upload-video'), 'instructor', 'uploads go to the shared Drive folder');
+    assert.equal(levelOf('POST', '/api/login'), 'public', 'offline name picking is the classroom login');
+    assert.equal(levelOf('POST', '/api/redeem'), 'self');
+    assert.equal(access.ruleFor('POST', '/api/redeem').rule.student, 'body.studentId');
+    assert.equal(levelOf('GET', '/api/student-summary/S001'), 'self');
+    assert.equal(levelOf('GET', '/api/certificates/S001/PROJ101'), 'self');
+    assert.equal(levelOf('POST', '/api/admin/instructors/hash-passcodes'), 'admin');
+    assert.equal(levelOf('GET', '/api/admin/audit'), 'admin');
+    assert.equal(levelOf('GET', '/api/leaderboard'), 'public');
+    assert.equal(levelOf('HEAD', '/api/leaderboard'), 'public');
+    assert.equal(levelOf('GET', '/api/no-such-route'), 'instructor', 'unknown routes are instructors only');
+});
+
+test('the middleware: sessions by role, children by ID or name', () => {
+    const student = auth.startSession({ name: 'Ava Stone', role: 'student', students: [{ id: 'S001', name: 'Ava Stone', loginName: 'Ava' }] });
+    const parent = auth.startSession({ name: 'parent@example.com', role: 'parent', students: [{ id: 'S001', name: 'Ava Stone' }, { id: 'S002', name: 'Ben Stone' }] });
+
+    // A student spends their own points, not someone else's
+    assert.equal(fakeExchange('POST', '/api/redeem', { token: student.token, body: { studentId: 's001' } }).passed, true);
+    const other = fakeExchange('POST', '/api/redeem', { token: student.token, body: { studentId: 'S002' } });
+    assert.deepEqual([other.passed, other.res.statusCode, other.res.body.error], [false, 403, 'Not allowed for this student']);
+
+    // Names in the URL (encoded), and a login name
+    assert.equal(fakeExchange('GET', '/api/student-assignments/Ava%20Stone', { token: student.token }).passed, true);
+    assert.equal(fakeExchange('GET', '/api/student-folders/Ava/files', { token: student.token }).passed, true);
+    assert.equal(fakeExchange('GET', '/api/student-assignments/Ben%20Stone', { token: parent.token }).passed, true);
+
+    // Nobody logged in
+    const anonymous = fakeExchange('GET', '/api/student-detail/S001');
+    assert.deepEqual([anonymous.passed, anonymous.res.statusCode], [false, 401]);
+    assert.equal(anonymous.req.user, null);
+    const detail = fakeExchange('GET', '/api/student-detail/S001', { token: parent.token });
+    assert.deepEqual([detail.passed, detail.res.statusCode, detail.res.body.error], [false, 403, 'Instructors only']);
+
+    // Pages and files outside /api are not this table's business
+    assert.equal(fakeExchange('GET', '/child-progress.html').passed, true);
+    assert.equal(fakeExchange('GET', '/api/leaderboard?scope=class').passed, true);
+
+    assert.throws(() => auth.startSession({ name: 'x', role: 'superuser' }), /Unknown role/);
+});
+
+test('Column J "Role" makes an instructor an admin; students and parents are never staff', async () => {
+    fake.setSheet('instructors', {
+        headers: { A: 'Instructor Name', I: 'Passcode', J: 'Role' },
+        rows: [
+            { A: 'Ms. Rivera', I: '1234', J: 'Admin' },
+            { A: 'Mr. Kim', I: '9876' }
+        ]
+    });
+    const instructors = await service.fetchInstructors(true);
+    assert.deepEqual(instructors.map(i => [i.name, i.role]), [['Ms. Rivera', 'admin'], ['Mr. Kim', 'instructor']]);
+
+    const admin = auth.login({ name: 'Ms. Rivera', passcode: '1234' }, instructors);
+    const instructor = auth.login({ name: 'Mr. Kim', passcode: '9876' }, instructors);
+    assert.equal(admin.role, 'admin');
+
+    assert.equal(fakeExchange('POST', '/api/admin/instructors/hash-passcodes', { token: admin.token }).passed, true);
+    const refused = fakeExchange('POST', '/api/admin/instructors/hash-passcodes', { token: instructor.token });
+    assert.deepEqual([refused.passed, refused.res.statusCode, refused.res.body.error], [false, 403, 'Admins only']);
+
+    const byAdmin = fakeExchange('GET', '/api/all-kids', { token: admin.token });
+    assert.deepEqual(byAdmin.req.instructor, { name: 'Ms. Rivera', role: 'admin', source: 'session' });
+
+    const student = auth.startSession({ name: 'Ava Stone', role: 'student', students: [{ id: 'S001', name: 'Ava Stone' }] });
+    const byStudent = fakeExchange('GET', '/api/badges/S001', { token: student.token });
+    assert.equal(byStudent.passed, true);
+    assert.equal(byStudent.req.instructor, null);
+    assert.equal(auth.isStaff(byStudent.req.user), false);
+});
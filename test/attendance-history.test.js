@@ -0,0 +1,109 @@
+/*
+ * Attendance history over "All Booking Info": rate, current and longest
+ * streak, no-shows, the per-class report, and the master DB when Google is down.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { service, fake, daysAgo } = require('./support/setup');
+const attendanceService = require('../attendance-service');
+
+const BOOKING_HEADERS = { A: 'Email', E: 'Student Name', H: 'Service Title', M: 'Class Date', N: 'Checked In', O: 'Student ID' };
+
+function booking(studentId, name, serviceTitle, days, checkedIn) {
+    return {
+        E: name,
+        H: serviceTitle,
+        M: daysAgo(days).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+        N: checkedIn ? 'TRUE' : 'FALSE',
+        O: studentId
+    };
+}
+
+function day(days) {
+    const date = daysAgo(days);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+beforeEach(() => {
+    fake.setSheet('All Booking Info', {
+        headers: BOOKING_HEADERS,
+        rows: [
+            // Ava: came 3 times, missed 1, came 2 more; booked today (not checked in yet) and next week
+            booking('S001', 'Ava Stone', 'Robotics', 42, true),
+            booking('S001', 'Ava Stone', 'Robotics', 35, true),
+            booking('S001', 'Ava Stone', 'Robotics', 28, true),
+            booking('S001', 'Ava Stone', 'Robotics', 21, false),
+            booking('S001', 'Ava Stone', 'Robotics', 14, true),
+            booking('S001', 'Ava Stone', 'Robotics', 7, true),
+            booking('S001', 'Ava Stone', 'Robotics', 0, false),
+            booking('S001', 'Ava Stone', 'Robotics', -7, false),
+            // Ben: Coding, missed last week
+            booking('S002', 'Ben Ortiz', 'Coding', 14, true),
+            booking('S002', 'Ben Ortiz', 'Coding', 7, false),
+            // Cara: Robotics
+            booking('S003', 'Cara Lee', 'Robotics', 7, true)
+        ]
+    });
+});
+
+// First, before any bookings are cached (a cached copy is served ahead of the master DB)
+test('reads the local master DB when Google is unavailable', async () => {
+    const rows = [
+        ['Email', '', '', '', 'Student Name', '', '', 'Service Title', '', '', '', '', 'Class Date', 'Checked In', 'Student ID'],
+        ['', '', '', '', 'Ben Ortiz', '', '', 'Coding', '', '', '', '', 'Jan 4, 2025', 'TRUE', 'S002']
+    ];
+    const masterPath = path.join(process.env.LTB_DATA_DIR, 'master_sheet_db.json');
+    fs.writeFileSync(masterPath, JSON.stringify({ sheets: { 'All Booking Info': rows } }));
+    fake.failNext('values.get', { status: 503, times: 20 });
+
+    try {
+        const history = await service.fetchBookingHistory(true);
+        assert.deepEqual(history.map(b => [b.studentId, b.checkedIn]), [['S002', true]]);
+    } finally {
+        fs.rmSync(masterPath, { force: true });
+    }
+});
+
+test('a student\'s rate, streaks and no-shows', async () => {
+    const history = await service.getAttendanceHistory('s001', true);
+
+    assert.equal(history.studentId, 'S001');
+    assert.equal(history.name, 'Ava Stone');
+    assert.equal(history.attended, 5);
+    assert.equal(history.noShows, 1);
+    assert.equal(history.attendanceRate, 83);
+    assert.equal(history.currentStreak, 2, 'today\'s class (not checked in yet) does not end the streak');
+    assert.equal(history.longestStreak, 3);
+    assert.equal(history.pending, 1);
+    assert.equal(history.upcoming, 1);
+    assert.deepEqual(history.history.slice(0, 3).map(h => h.status), ['upcoming', 'pending', 'attended']);
+
+    await assert.rejects(service.getAttendanceHistory('S999', true), /Student not found/);
+});
+
+test('the class report groups by class, session and student', async () => {
+    const report = await service.getAttendanceReport({ from: day(20), to: day(0) }, true);
+
+    assert.deepEqual(report.classes.map(c => c.serviceTitle), ['Coding', 'Robotics']);
+    const robotics = report.classes.find(c => c.serviceTitle === 'Robotics');
+    assert.deepEqual([robotics.attended, robotics.noShows, robotics.attendanceRate], [3, 0, 100]);
+    assert.deepEqual(robotics.sessions.map(s => [s.day, s.attended, s.booked, s.pending]), [
+        [day(14), 1, 1, 0],
+        [day(7), 2, 2, 0],
+        [day(0), 0, 1, 1]
+    ]);
+
+    const coding = await service.getAttendanceReport({ from: day(20), to: day(0), serviceTitle: 'coding' }, true);
+    assert.deepEqual(coding.classes[0].students.map(s => [s.studentId, s.attended, s.noShows, s.attendanceRate]), [['S002', 1, 1, 50]]);
+});
+
+test('the report checks its dates', () => {
+    assert.throws(() => attendanceService.classReport([], { from: '3/1/2026' }), /Invalid date/);
+    assert.throws(() => attendanceService.classReport([], { from: day(0), to: day(5) }), /start on or before/);
+    const defaults = attendanceService.classReport([], {});
+    assert.deepEqual([defaults.from, defaults.to], [day(27), day(0)]);
+});
@@ -0,0 +1,93 @@
+/*
+ * Check-in on login: markAttendanceByStudentId() must find today's booking
+ * for the student in "All Booking Info" and tick Checked In, whatever date format the sheet uses.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake, daysAgo } = require('./support/setup');
+
+const BOOKING_HEADERS = { A: 'Email', E: 'Student Name', H: 'Service Title', M: 'Class Date', N: 'Checked In', O: 'Student ID' };
+
+function booking(studentId, name, date) {
+    return { A: `${name.split(' ')[0].toLowerCase()}@example.com`, E: name, H: 'Robotics', M: date, N: 'FALSE', O: studentId };
+}
+
+function formats(date) {
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const dd = String(date.getDate()).padStart(2, '0');
+    return {
+        short: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+        numeric: `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`,
+        padded: `${mm}/${dd}/${date.getFullYear()}`
+    };
+}
+
+for (const [label, key] of [['"Jan 13, 2026"', 'short'], ['"1/13/2026"', 'numeric'], ['"01/13/2026"', 'padded']]) {
+    test(`checks in today's booking written as ${label}`, async () => {
+        const today = formats(new Date());
+        fake.setSheet('All Booking Info', {
+            headers: BOOKING_HEADERS,
+            rows: [
+                booking('S001', 'Ava Stone', formats(daysAgo(7))[key]),
+                booking('S001', 'Ava Stone', today[key]),
+                booking('S002', 'Ben Ortiz', today[key])
+            ]
+        });
+
+        const result = await service.markAttendanceByStudentId('S001');
+
+        assert.equal(result, true);
+        assert.equal(fake.getCell('All Booking Info', 'N2'), 'FALSE', 'last week\'s class is left alone');
+        assert.equal(fake.getCell('All Booking Info', 'N3'), 'TRUE');
+        assert.equal(fake.getCell('All Booking Info', 'N4'), 'FALSE', 'other students are left alone');
+    });
+}
+
+test('matches the student ID without caring about case or spaces', async () => {
+    fake.setSheet('All Booking Info', {
+        headers: BOOKING_HEADERS,
+        rows: [booking('  s001 ', 'Ava Stone', formats(new Date()).short)]
+    });
+
+    assert.equal(await service.markAttendanceByStudentId('S001'), true);
+    assert.equal(fake.getCell('All Booking Info', 'N2'), 'TRUE');
+});
+
+test('returns false and writes nothing when there is no booking today', async () => {
+    fake.setSheet('All Booking Info', {
+        headers: BOOKING_HEADERS,
+        rows: [booking('S001', 'Ava Stone', formats(daysAgo(1)).short)]
+    });
+
+    assert.equal(await service.markAttendanceByStudentId('S001'), false);
+    assert.equal(fake.callsTo('values.update').length, 0);
+});
+
+test('still finds the columns after one is inserted before them', async () => {
+    fake.setSheet('All Booking Info', {
+        headers: { ...BOOKING_HEADERS, M: 'Notes', N: 'Class Date', O: 'Checked In', P: 'Student ID' },
+        rows: [{ E: 'Ava Stone', H: 'Robotics', M: 'x', N: formats(new Date()).short, O: 'FALSE', P: 'S001' }]
+    });
+
+    assert.equal(await service.markAttendanceByStudentId('S001'), true);
+    assert.equal(fake.getCell('All Booking Info', 'O2'), 'TRUE');
+    assert.equal(fake.getCell('All Booking Info', 'M2'), 'x');
+});
+
+test('the check-in shows up in fetchBookingInfo', async () => {
+    fake.setSheet('All Booking Info', {
+        headers: BOOKING_HEADERS,
+        rows: [booking('S001', 'Ava Stone', formats(new Date()).short)]
+    });
+
+    const before = await service.fetchBookingInfo();
+    assert.equal(before.length, 1);
+    assert.equal(before[0].checkedIn, false);
+
+    await service.markAttendanceByStudentId('S001');
+
+    const after = await service.fetchBookingInfo();
+    assert.equal(after[0].checkedIn, true);
+    assert.equal(after[0].rowIndex, 2);
+});
@@ -0,0 +1,95 @@
+/*
+ * Audit log: append-only entries with before/after, searchable by student,
+ * user, action and date. Plus the "before" values the writes hand back for it.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { service, fake } = require('./support/setup');
+const audit = require('../audit-service');
+
+function fakeRequest(body = {}) {
+    return { method: 'POST', originalUrl: '/api/assign-project?x=1', ip: '10.0.0.7', body };
+}
+
+beforeEach(() => {
+    fs.rmSync(audit.AUDIT_LOG_PATH, { force: true });
+});
+
+test('records who, from where, through which route, and before/after', () => {
+    const entry = audit.record(fakeRequest({ instructorName: 'Ms. Rivera' }), {
+        action: 'assignProject', studentId: 'S001', target: 'PROJ101', after: { status: 'Assigned' }
+    });
+
+    assert.equal(entry.user, 'Ms. Rivera');
+    assert.equal(entry.userSource, 'request');
+    assert.equal(entry.ip, '10.0.0.7');
+    assert.equal(entry.route, 'POST /api/assign-project');
+    assert.equal(entry.before, null);
+    assert.deepEqual(entry.after, { status: 'Assigned' });
+
+    const lines = fs.readFileSync(audit.AUDIT_LOG_PATH, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 1);
+    assert.equal(JSON.parse(lines[0]).id, entry.id);
+});
+
+test('a request without a name is recorded as unknown', () => {
+    const entry = audit.record(fakeRequest(), { action: 'redeemPrize', studentId: 'S002' });
+    assert.equal(entry.user, 'unknown');
+    assert.equal(entry.userSource, 'none');
+});
+
+test('an action sent over a socket names the session user and the event', () => {
+    const socket = {
+        handshake: { address: '10.0.0.9' },
+        data: { user: { source: 'session', role: 'student', name: 'Ava Stone' } }
+    };
+    const entry = audit.record(audit.socketRequest(socket, 'student-login'), { action: 'markAttendance', studentId: 'S001' });
+
+    assert.equal(entry.user, 'Ava Stone');
+    assert.equal(entry.userSource, 'session');
+    assert.equal(entry.ip, '10.0.0.9');
+    assert.equal(entry.route, 'SOCKET student-login');
+});
+
+test('filters by student (including bulk actions), user, action and date', () => {
+    audit.record(fakeRequest({ instructorName: 'Ms. Rivera' }), { action: 'assignProject', studentId: 'S001' });
+    audit.record(fakeRequest({ userEmail: 'coach@example.com' }), { action: 'updateInventory', target: 'INV-001/KIT1' });
+    audit.record(fakeRequest({ instructorName: 'Mr. Chen' }), { action: 'assignProjectBulk', studentIds: ['S001', 'S002'] });
+
+    assert.deepEqual(audit.query({ studentId: 'S001' }).entries.map(e => e.action), ['assignProjectBulk', 'assignProject']);
+    assert.deepEqual(audit.query({ studentId: 'S001', order: 'asc' }).entries.map(e => e.action), ['assignProject', 'assignProjectBulk']);
+    assert.deepEqual(audit.query({ user: 'RIVERA' }).entries.map(e => e.action), ['assignProject']);
+    assert.equal(audit.query({ action: 'updateInventory' }).total, 1);
+
+    const today = new Date().toISOString().slice(0, 10);
+    assert.equal(audit.query({ from: today, to: today }).total, 3);
+    assert.equal(audit.query({ to: '2020-01-01' }).total, 0);
+    assert.deepEqual(audit.query().actions, ['assignProject', 'assignProjectBulk', 'updateInventory']);
+    assert.throws(() => audit.query({ from: 'yesterday-ish' }), /Invalid date/);
+});
+
+test('pages through results', () => {
+    for (let i = 0; i < 5; i++) audit.record(fakeRequest(), { action: 'markAttendance', target: String(i) });
+
+    const page = audit.query({ limit: 2, offset: 1 });
+    assert.equal(page.total, 5);
+    assert.deepEqual(page.entries.map(e => e.target), ['3', '2']);
+});
+
+test('deleting a Project Log entry reports what the row held before', async () => {
+    const result = await service.deleteProjectEntry('PL002', 'Ms. Rivera');
+    assert.deepEqual(result.before, { studentId: 'S001', studentName: 'Ava Stone', projectCode: 'PROJ102', status: 'Assigned' });
+});
+
+test('a full student edit reports the cells it changed', async () => {
+    const row = fake.getSheet('Child Names')[1].slice();
+    row[2] = 'Ava Stone-Lee';
+
+    const result = await service.updateStudentFullDetails('S001', row, 'teacher@example.com');
+
+    assert.deepEqual(result.changes.map(c => c.column), ['Child Names']);
+    assert.equal(result.changes[0].before, 'Ava Stone');
+    assert.equal(result.changes[0].after, 'Ava Stone-Lee');
+});
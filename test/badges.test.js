@@ -0,0 +1,103 @@
+/*
+ * Badges: rules checked against completed projects and attended classes,
+ * awarded once with the date they were earned, never taken away.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { service, fake } = require('./support/setup');
+const badgeService = require('../badge-service');
+
+const LOG_HEADERS = { A: 'Unique ID', B: 'Date', C: 'SID', I: 'Project Name', J: 'Project Status', Z: 'Completed Date', AA: 'Project Type', AB: 'Rating', AC: 'Points' };
+const BOOKING_HEADERS = { A: 'Email', E: 'Student Name', H: 'Service Title', M: 'Class Date', N: 'Checked In', O: 'Student ID' };
+
+function completed(id, code, completedDate, extra = {}) {
+    return { A: id, B: completedDate, C: 'S001', I: code, J: 'Completed', Z: completedDate, AC: '10', ...extra };
+}
+
+function classes(count, checkedIn) {
+    return Array.from({ length: count }, (_, i) => ({
+        E: 'Ava Stone', H: 'Robotics', M: `Mar ${i + 1}, 2025`, N: checkedIn ? 'TRUE' : 'FALSE', O: 'S001'
+    }));
+}
+
+function ids(badges) {
+    return badges.map(b => b.id).sort();
+}
+
+beforeEach(() => {
+    fs.rmSync(badgeService.BADGES_PATH, { force: true });
+    // Fixtures (Projects List): PROJ101 BUILDING, PROJ102 BOTH, PROJ201 CODING
+    fake.setSheet('All Booking Info', { headers: BOOKING_HEADERS, rows: [] });
+});
+
+test('project rules: first project, first Python project and 5-star rating', async () => {
+    fake.setSheet('Project Log', {
+        headers: LOG_HEADERS,
+        rows: [
+            completed('L1', 'PROJ101', '1/10/2025'),
+            completed('L2', 'PROJ201', '2/1/2025', { AA: 'Python', AB: '⭐⭐⭐⭐⭐' }),
+            { A: 'L3', B: '2/2/2025', C: 'S001', I: 'PROJ102', J: 'Assigned', AA: 'Python', AB: '5' }
+        ]
+    });
+
+    const result = await service.checkBadges('S001', true);
+
+    assert.deepEqual(ids(result.newBadges), ['first-project', 'first-python', 'five-stars']);
+    const python = result.badges.find(b => b.id === 'first-python');
+    assert.equal(new Date(python.awardedAt).toDateString(), new Date('2/1/2025').toDateString(), 'dated by the project that earned it');
+    assert.equal(python.icon, '🐍');
+});
+
+test('5 BUILDING projects (BOTH counts) and 10 checked-in classes', async () => {
+    fake.setSheet('Project Log', {
+        headers: LOG_HEADERS,
+        rows: [
+            completed('L1', 'PROJ101', '1/1/2025'),
+            completed('L2', 'PROJ102', '1/8/2025'),
+            completed('L3', 'PROJ101', '1/15/2025'),
+            completed('L4', 'PROJ102', '1/22/2025'),
+            completed('L5', 'PROJ201', '1/25/2025'),
+            completed('L6', 'PROJ101', '1/29/2025')
+        ]
+    });
+    fake.setSheet('All Booking Info', { headers: BOOKING_HEADERS, rows: [...classes(10, true), ...classes(5, false)] });
+
+    const { badges } = await service.checkBadges('S001', true);
+
+    assert.deepEqual(ids(badges), ['attended-10', 'builder-5', 'first-project']);
+    const builder = badges.find(b => b.id === 'builder-5');
+    assert.equal(new Date(builder.awardedAt).toDateString(), new Date('1/29/2025').toDateString());
+    const regular = badges.find(b => b.id === 'attended-10');
+    assert.equal(new Date(regular.awardedAt).toDateString(), new Date('Mar 10, 2025').toDateString());
+});
+
+test('a badge is awarded once and kept when the Project Log changes', async () => {
+    // Fixtures: S001 has PROJ101 completed
+    const first = await service.checkBadges('S001', true);
+    assert.deepEqual(ids(first.newBadges), ['first-project']);
+
+    const again = await service.checkBadges('S001', true);
+    assert.deepEqual(again.newBadges, []);
+
+    fake.setSheet('Project Log', { headers: LOG_HEADERS, rows: [] });
+    const after = await service.checkBadges('S001', true);
+    assert.deepEqual(ids(after.badges), ['first-project']);
+});
+
+test('the leaderboard shows each student\'s badge icons', async () => {
+    await service.checkBadges('S001', true);
+
+    const board = await service.getLeaderboard(true);
+
+    assert.deepEqual(board.find(e => e.id === 'S001').badges, [{ id: 'first-project', icon: '🚀', name: 'First Build' }]);
+    assert.deepEqual(board.find(e => e.id === 'S002').badges, []);
+});
+
+test('ratings can be numbers or stars', () => {
+    assert.equal(badgeService.parseRating('5'), 5);
+    assert.equal(badgeService.parseRating('4/5'), 4);
+    assert.equal(badgeService.parseRating('★★★'), 3);
+    assert.equal(badgeService.parseRating(''), 0);
+});
@@ -0,0 +1,93 @@
+/*
+ * assignProjectBulk(): a whole class in one Project Log append, skipping
+ * students who already have the project.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake } = require('./support/setup');
+const writeJournal = require('../write-journal-service');
+
+/** Project Log rows added by the test, as [sid, code, status] */
+function addedLogRows() {
+    return fake.getSheet('Project Log').slice(4).map(row => [row[2], row[8], row[9]]);
+}
+
+test('assigns in one append and reports every student', async () => {
+    const report = await service.assignProjectBulk({ studentIds: ['S001', 'S002', 'S003', 'S404'], projectCode: 'proj101' }, 'Ms. Rivera');
+
+    assert.deepEqual(report.results.map(r => [r.studentId, r.status, r.reason]), [
+        ['S001', 'skipped', 'alreadyCompleted'],
+        ['S002', 'skipped', 'alreadyAssigned'],
+        ['S003', 'assigned', 'project'],
+        ['S404', 'failed', 'studentNotFound']
+    ]);
+    assert.deepEqual([report.assigned, report.skipped, report.failed], [1, 2, 1]);
+    assert.deepEqual(addedLogRows(), [['S003', 'PROJ101', 'Assigned']]);
+    assert.equal(fake.callsTo('values.append').length, 1);
+});
+
+test('several students share a single append', async () => {
+    const report = await service.assignProjectBulk({ studentIds: ['S002', 'S003'], projectCode: 'PROJ102' }, 'Ms. Rivera');
+
+    assert.equal(report.assigned, 2);
+    assert.equal(fake.callsTo('values.append').length, 1);
+    assert.deepEqual(addedLogRows(), [['S002', 'PROJ102', 'Assigned'], ['S003', 'PROJ102', 'Assigned']]);
+    assert.deepEqual(fake.getSheet('Project Log').slice(4).map(row => row[0]), report.results.map(r => r.uniqueId));
+});
+
+test('the track rule gives each student their own next project', async () => {
+    const report = await service.assignProjectBulk({ studentIds: ['S001', 'S002', 'S003'], rule: 'nextInTrack' }, 'Ms. Rivera');
+
+    assert.deepEqual(report.results.map(r => [r.studentId, r.projectCode, r.status, r.reason]), [
+        ['S001', 'PROJ102', 'skipped', 'alreadyAssigned'],
+        ['S002', 'PROJ201', 'assigned', 'track'],
+        ['S003', 'PROJ101', 'assigned', 'track']
+    ]);
+});
+
+test('picks the students booked today for a class', async () => {
+    const today = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    fake.setSheet('All Booking Info', {
+        headers: { A: 'Email', E: 'Student Name', H: 'Service Title', M: 'Class Date', N: 'Checked In', O: 'Student ID' },
+        rows: [
+            { E: 'Ava Stone', H: 'Robotics', M: today, O: 'S001' },
+            { E: 'Ben Ortiz', H: 'Coding', M: today, O: 'S002' },
+            { E: 'Cara Lee', H: 'robotics ', M: today, O: 'S003' },
+            { E: 'Ben Ortiz', H: 'Robotics', M: 'Jan 4, 2025', O: 'S002' }
+        ]
+    });
+
+    const report = await service.assignProjectBulk({ serviceTitle: 'Robotics', projectCode: 'PROJ201' }, 'Ms. Rivera');
+
+    assert.deepEqual(report.results.map(r => r.studentId), ['S001', 'S003']);
+    assert.deepEqual(addedLogRows().map(r => r[0]), ['S001', 'S003']);
+});
+
+test('sending the same request twice writes the rows once', async () => {
+    const first = await service.assignProjectBulk({ studentIds: ['S003'], projectCode: 'PROJ201' }, 'Ms. Rivera', { idempotencyKey: 'bulk-1' });
+    const second = await service.assignProjectBulk({ studentIds: ['S003'], projectCode: 'PROJ201' }, 'Ms. Rivera', { idempotencyKey: 'bulk-1' });
+
+    assert.equal(addedLogRows().length, 1);
+    assert.equal(first.results[0].uniqueId, fake.getSheet('Project Log')[4][0]);
+    assert.equal(second.results[0].status, 'skipped');
+});
+
+test('an unknown project or no students is an error and nothing is written', async () => {
+    await assert.rejects(service.assignProjectBulk({ studentIds: ['S003'], projectCode: 'PROJ999' }, 'Ms. Rivera'), /Project not found/);
+    await assert.rejects(service.assignProjectBulk({ serviceTitle: 'Nobody', projectCode: 'PROJ101' }, 'Ms. Rivera'), /No students/);
+    assert.equal(fake.callsTo('values.append').length, 0);
+});
+
+test('assignments still queued offline count as already assigned', async () => {
+    const offline = Object.assign(new Error('getaddrinfo ENOTFOUND sheets.googleapis.com'), { code: 'ENOTFOUND' });
+    fake.failNext('values.append', { error: offline, times: 20 });
+    const queued = await service.assignProject('S003', 'PROJ201', 'Ms. Rivera');
+    assert.equal(queued.queued, true);
+
+    const report = await service.assignProjectBulk({ studentIds: ['S003'], projectCode: 'PROJ201' }, 'Ms. Rivera');
+
+    assert.deepEqual(report.results.map(r => [r.studentId, r.status, r.reason]), [['S003', 'skipped', 'alreadyAssigned']]);
+    assert.equal(report.assigned, 0);
+    writeJournal.discardEntry(queued.journalId);
+});
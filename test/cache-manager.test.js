@@ -0,0 +1,137 @@
+/*
+ * Cache manager: fresh data is served without a download, stale data while
+ * one runs in the background, expired or invalidated data only after a new
+ * download; and the clear-cache route only takes dataset names it knows.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/setup');
+const cacheManager = require('../cache-manager');
+const { startServer } = require('./support/server');
+
+let datasetCount = 0;
+
+/**
+ * A dataset of its own for one test, with a loader that counts its calls
+ * and returns 'v1', 'v2', ...
+ */
+function testDataset(options) {
+    const name = `test-${++datasetCount}`;
+    cacheManager.define(name, options);
+    const loader = () => {
+        loader.calls++;
+        return Promise.resolve(`v${loader.calls}`);
+    };
+    loader.calls = 0;
+    return { name, loader };
+}
+
+/**
+ * Date.now() pinned to the returned clock's `now` (moved by the test)
+ */
+function pinClock(t) {
+    const clock = { now: Date.now() };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+}
+
+test('data within its ttl is served without downloading again', async (t) => {
+    const clock = pinClock(t);
+    const { name, loader } = testDataset({ ttl: 60000 });
+
+    assert.equal(await cacheManager.get(name, loader), 'v1');
+    clock.now += 59000;
+    assert.equal(await cacheManager.get(name, loader), 'v1');
+    assert.equal(loader.calls, 1);
+
+    assert.equal(await cacheManager.get(name, loader, { forceRefresh: true }), 'v2', 'forceRefresh always downloads');
+    const stats = cacheManager.getStats()[name];
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 2);
+});
+
+test('past the ttl, old data is served while a fresh copy downloads; past staleFor it waits', async (t) => {
+    const clock = pinClock(t);
+    const { name, loader } = testDataset({ ttl: 60000, staleFor: 60000 });
+
+    await cacheManager.get(name, loader);
+    clock.now += 90000;
+    assert.equal(await cacheManager.get(name, loader), 'v1', 'stale, served straight away');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(loader.calls, 2, 'and refreshed in the background');
+    assert.equal(await cacheManager.get(name, loader), 'v2');
+
+    clock.now += 120001;
+    assert.equal(await cacheManager.get(name, loader), 'v3', 'too old to serve: waits for the download');
+    assert.equal(cacheManager.getStats()[name].staleHits, 1);
+});
+
+test('invalidating a dataset makes the next read download it, and leaves the others alone', async () => {
+    const first = testDataset({ ttl: 60000 });
+    const second = testDataset({ ttl: 60000 });
+    await cacheManager.get(first.name, first.loader);
+    await cacheManager.get(second.name, second.loader);
+
+    assert.deepEqual(cacheManager.invalidate(first.name), [first.name]);
+
+    assert.equal(await cacheManager.get(first.name, first.loader), 'v2');
+    assert.equal(await cacheManager.get(second.name, second.loader), 'v1');
+    assert.equal(cacheManager.getStats()[first.name].invalidations, 1);
+    assert.throws(() => cacheManager.invalidate('no-such-dataset'), /Unknown cache dataset "no-such-dataset"/);
+});
+
+test('a download that started before an invalidation is not shared with readers after it', async () => {
+    const { name } = testDataset({ ttl: 60000 });
+    let finishFirst;
+    let calls = 0;
+    const loader = () => {
+        calls++;
+        if (calls === 1) return new Promise(resolve => { finishFirst = () => resolve('before the write'); });
+        return Promise.resolve('after the write');
+    };
+
+    const early = cacheManager.get(name, loader);
+    await new Promise(resolve => setImmediate(resolve));
+    cacheManager.invalidate(name);
+    const late = cacheManager.get(name, loader);
+    finishFirst();
+
+    assert.equal(await early, 'before the write');
+    assert.equal(await late, 'after the write');
+    assert.equal(calls, 2);
+    assert.equal(await cacheManager.get(name, loader), 'after the write', 'the newer download is the one kept');
+});
+
+test('a failed download returns the last good copy, else the fallback, else throws', async () => {
+    const { name } = testDataset({ ttl: 60000 });
+    const failing = () => Promise.reject(new Error('quota exceeded'));
+
+    assert.equal(await cacheManager.get(name, failing, { fallback: () => 'fallback' }), 'fallback');
+    await assert.rejects(cacheManager.get(name, failing), /quota exceeded/);
+
+    await cacheManager.get(name, () => Promise.resolve('good'));
+    cacheManager.invalidate(name);
+    assert.equal(await cacheManager.get(name, failing), 'good');
+    assert.equal(cacheManager.getStats()[name].lastError.message, 'quota exceeded');
+});
+
+test('clear-cache answers 400 with the valid names for a dataset it does not know', async (t) => {
+    const running = await startServer();
+    t.after(() => running.stop());
+
+    const login = await running.request('POST', '/api/instructor-login', { name: 'Ms. Rivera', passcode: '1234' });
+    const cookie = (login.headers.get('set-cookie') || '').split(';')[0];
+
+    const unknown = await running.request('POST', '/api/google-sheets/clear-cache',
+        { datasets: ['students', 'studnets'] }, { Cookie: cookie });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'Unknown cache dataset: studnets');
+    assert.ok(unknown.body.validDatasets.includes('students'));
+    assert.ok(unknown.body.validDatasets.includes('projectLog'));
+
+    const known = await running.request('POST', '/api/google-sheets/clear-cache',
+        { datasets: 'students' }, { Cookie: cookie });
+    assert.equal(known.status, 200);
+    assert.deepEqual(known.body.invalidated, ['students']);
+});
@@ -0,0 +1,167 @@
+/*
+ * Completion certificates: what goes on one, the PDF (pages, text, icon),
+ * keeping it once made, and printing a whole class's from today.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const zlib = require('zlib');
+const { service, fake, daysAgo } = require('./support/setup');
+const certificateService = require('../certificate-service');
+
+const LOG_HEADERS = { A: 'Unique ID', B: 'Date', C: 'SID', I: 'Project Name', J: 'Project Status', V: 'Last Edited By', Z: 'Completed Date', AC: 'Points' };
+const LIST_HEADERS = { A: 'Project Code', B: 'Full Project Name', M: 'Project Icon', BD: 'Points' };
+const BOOKING_HEADERS = { A: 'Email', E: 'Student Name', H: 'Service Title', M: 'Class Date', N: 'Checked In', O: 'Student ID' };
+
+/**
+ * A 2x2 PNG with transparency, as a data: link
+ */
+function pngIcon() {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]); // CRC isn't checked
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(2, 0);
+    header.writeUInt32BE(2, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+    const rows = Buffer.from([
+        0, 255, 0, 0, 255, 0, 255, 0, 128,
+        2, 0, 0, 255, 0, 0, 0, 0, 0 // "Up" filter: same as the row above
+    ]);
+    const png = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(rows)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+    return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+/**
+ * Every compressed stream in a PDF, unpacked (page text is in these)
+ */
+function pdfText(pdf) {
+    const text = [];
+    const raw = pdf.toString('latin1');
+    const pattern = /\/Filter \/FlateDecode \/Length (\d+) >>\nstream\n/g;
+    let match;
+    while ((match = pattern.exec(raw))) {
+        const start = match.index + match[0].length;
+        text.push(zlib.inflateSync(pdf.subarray(start, start + parseInt(match[1], 10))).toString('latin1'));
+    }
+    return text.join('\n');
+}
+
+function sheetDate(days) {
+    return daysAgo(days).toLocaleDateString('en-US');
+}
+
+beforeEach(() => {
+    fs.rmSync(certificateService.CERTIFICATES_DIR, { recursive: true, force: true });
+    fake.setSheet('Projects List', {
+        headers: LIST_HEADERS,
+        rows: [
+            { A: 'PROJ101', B: 'Blinking LED', M: pngIcon(), BD: '10' },
+            { A: 'PROJ102', B: 'Line Follower', BD: '20' },
+            { A: 'PROJ201', B: 'Scratch Maze', M: 'not a link', BD: '15' }
+        ]
+    });
+    fake.setSheet('Project Log', {
+        headers: LOG_HEADERS,
+        rows: [
+            { A: 'L1', B: sheetDate(0), C: 'S001', I: 'PROJ101', J: 'Completed', V: 'Ms. Rivera', Z: sheetDate(0), AC: '12' },
+            { A: 'L2', B: sheetDate(3), C: 'S001', I: 'PROJ201', J: 'Completed', V: 'Mr. Kim', Z: sheetDate(3) },
+            { A: 'L3', B: sheetDate(0), C: 'S002', I: 'PROJ201', J: 'Completed', V: 'Mr. Kim', Z: sheetDate(0), AC: '15' },
+            { A: 'L4', B: sheetDate(0), C: 'S001', I: 'PROJ102', J: 'In Progress' }
+        ]
+    });
+    const today = daysAgo(0).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    fake.setSheet('All Booking Info', {
+        headers: BOOKING_HEADERS,
+        rows: [
+            { E: 'Ava Stone', H: 'Robotics', M: today, N: 'TRUE', O: 'S001' },
+            { E: 'Ben Ortiz', H: 'Coding', M: today, N: 'TRUE', O: 'S002' }
+        ]
+    });
+});
+
+test('a certificate has the child, project, icon, date, points and instructor', async () => {
+    const certificate = await service.getCertificate('s001', 'proj101', { forceRefresh: true });
+
+    assert.deepEqual(
+        [certificate.studentName, certificate.projectCode, certificate.projectName, certificate.completedDate, certificate.points, certificate.instructor],
+        ['Ava Stone', 'PROJ101', 'Blinking LED', sheetDate(0), 12, 'Ms. Rivera']
+    );
+    assert.match(certificate.icon, /^data:image\/png/);
+
+    const { pdf, fileName } = await service.getCertificatePdf('S001', 'PROJ101');
+    assert.equal(pdf.subarray(0, 8).toString('latin1'), '%PDF-1.4');
+    assert.match(pdf.toString('latin1'), /\/Count 1 /);
+    assert.match(pdf.toString('latin1'), /\/Subtype \/Image \/Width 2 \/Height 2 \/ColorSpace \/DeviceRGB .*\/SMask/);
+    const text = pdfText(pdf);
+    ['(Certificate of Completion)', '(Ava Stone)', '(Blinking LED)', '(12 points)', '(Ms. Rivera)', '/Icon Do'].forEach(part => {
+        assert.ok(text.includes(part), `the page shows ${part}`);
+    });
+    assert.equal(fileName, 'Ava Stone - PROJ101 certificate.pdf');
+});
+
+test('points fall back to the Projects List; a bad icon link is left out', async () => {
+    const { certificate, pdf } = await service.getCertificatePdf('S001', 'PROJ201');
+
+    assert.equal(certificate.points, 15);
+    assert.equal(certificate.instructor, 'Mr. Kim');
+    assert.doesNotMatch(pdf.toString('latin1'), /\/Subtype \/Image/);
+});
+
+test('only completed projects get a certificate, unless it was just completed', async () => {
+    await assert.rejects(service.getCertificate('S001', 'PROJ102'), /No completed project PROJ102/);
+    await assert.rejects(service.getCertificate('S999', 'PROJ101'), /Student not found/);
+
+    // Straight after markProjectComplete (e.g. queued offline), before the row can be read back
+    const fresh = await service.getCertificate('S001', 'PROJ102', { completion: { date: new Date('2026-03-01T10:00:00'), instructorName: 'Ms. Rivera' } });
+    assert.deepEqual([fresh.completedDate, fresh.points, fresh.instructor], ['3/1/2026', 20, 'Ms. Rivera']);
+});
+
+test('a certificate is kept once made and made again on refresh', async () => {
+    await service.getCertificatePdf('S001', 'PROJ101');
+    const file = certificateService.certificatePath('S001', 'PROJ101');
+    assert.ok(fs.existsSync(file));
+
+    fs.writeFileSync(file, 'kept copy');
+    const kept = await service.getCertificatePdf('S001', 'PROJ101');
+    assert.equal(kept.pdf.toString(), 'kept copy');
+
+    const remade = await service.getCertificatePdf('S001', 'PROJ101', { refresh: true });
+    assert.match(remade.pdf.subarray(0, 8).toString('latin1'), /^%PDF/);
+});
+
+test('today\'s class certificates: one page per project completed today', async () => {
+    const all = await service.getClassCertificates({}, true);
+    assert.deepEqual(all.map(c => [c.serviceTitle, c.studentId, c.projectCode]), [
+        ['Coding', 'S002', 'PROJ201'],
+        ['Robotics', 'S001', 'PROJ101']
+    ]);
+
+    const robotics = await service.getClassCertificates({ serviceTitle: 'robotics' });
+    assert.deepEqual(robotics.map(c => c.projectCode), ['PROJ101'], 'earlier completions are not reprinted');
+
+    const pdf = await certificateService.renderPdf(all);
+    assert.match(pdf.toString('latin1'), /\/Count 2 /);
+
+    assert.deepEqual(await service.getClassCertificates({ date: '2001-01-01' }), []);
+    await assert.rejects(service.getClassCertificates({ date: 'today' }), /Invalid date/);
+    await assert.rejects(certificateService.renderPdf([]), /No certificates to print/);
+});
+
+test('JPEG sizes are read from the header; other files are not images', () => {
+    // SOI, then a baseline SOF0: 8-bit, 40 high, 60 wide, 3 components
+    const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xC0, 0x00, 0x11, 0x08, 0x00, 0x28, 0x00, 0x3C, 0x03, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+    const image = certificateService.decodeImage(jpeg);
+    assert.deepEqual([image.width, image.height, image.colorSpace, image.filter], [60, 40, 'DeviceRGB', 'DCTDecode']);
+
+    assert.equal(certificateService.decodeImage(Buffer.from('<html>not an image</html>')), null);
+});
@@ -0,0 +1,75 @@
+/*
+ * Column resolver: fields are found by header text, so a column that moved
+ * or was renamed (to one of its aliases) is still read from the right place,
+ * and a header that's gone falls back to the configured column number.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake, config, columnResolver } = require('./support/setup');
+
+const PROJECT_LOG = config.PROGRESS_SHEET;
+
+/**
+ * The Project Log rows with `edit(row, index)` applied to each (index 0 is the header)
+ */
+function editProjectLog(edit) {
+    const rows = fake.getSheet(PROJECT_LOG).map((row, index) => {
+        edit(row, index);
+        return row;
+    });
+    fake.setSheet(PROJECT_LOG, rows);
+}
+
+test('a column inserted in the middle moves every field after it, and reads follow', async () => {
+    const before = await service.fetchProjectLog(true);
+    const entry = before.find(p => p.id === 'PL001');
+    assert.equal(entry.projectStatus, 'Completed');
+
+    // Someone inserts "Notes" before Column D; the resolver still has the old map cached
+    editProjectLog((row, index) => {
+        while (row.length < 3) row.push('');
+        row.splice(3, 0, index === 0 ? 'Notes' : '');
+    });
+
+    const after = await service.fetchProjectLog(true);
+    const moved = after.find(p => p.id === 'PL001');
+    assert.equal(moved.projectStatus, 'Completed');
+    assert.equal(moved.points, '10', 'the last column (AC, now AD) is read too');
+    assert.equal(moved.studentName, 'Ava Stone');
+
+    const columns = await columnResolver.getColumns(fake.sheets, PROJECT_LOG);
+    assert.equal(columns.PROJECT_STATUS, config.PROGRESS_COLUMNS.PROJECT_STATUS + 1);
+    assert.equal(columns.ID, 0, 'fields before the new column stay put');
+});
+
+test('a header renamed to one of its aliases is found wherever it now is', async () => {
+    // "Project Status" (J) becomes "Status", moved out to Column AD
+    editProjectLog(row => {
+        while (row.length < 30) row.push('');
+        row[29] = row[9] === 'Project Status' ? 'Status' : row[9];
+        row[9] = '';
+    });
+
+    const columns = await columnResolver.getColumns(fake.sheets, PROJECT_LOG, true);
+    assert.equal(columns.PROJECT_STATUS, 29);
+    const report = columnResolver.getResolutionReport()[PROJECT_LOG];
+    assert.deepEqual(report.matched.PROJECT_STATUS, { index: 29, header: 'Status' });
+    assert.ok(!report.missing.includes('PROJECT_STATUS'));
+
+    const projects = await service.fetchProjectLog(true);
+    assert.equal(projects.find(p => p.id === 'PL001').projectStatus, 'Completed');
+});
+
+test('a header that is missing falls back to the configured column and is reported', () => {
+    const header = fake.getSheet(PROJECT_LOG)[0];
+    header[9] = 'Progress';
+
+    const columns = columnResolver.resolveFromHeaderRow(PROJECT_LOG, header);
+    assert.equal(columns.PROJECT_STATUS, config.PROGRESS_COLUMNS.PROJECT_STATUS);
+    assert.equal(columns.STUDENT_NAME, config.PROGRESS_COLUMNS.STUDENT_NAME);
+
+    const report = columnResolver.getResolutionReport()[PROJECT_LOG];
+    assert.deepEqual(report.missing, ['PROJECT_STATUS']);
+    assert.deepEqual(report.fallback.PROJECT_STATUS, { index: 9, header: 'Progress' });
+});
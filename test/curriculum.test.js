@@ -0,0 +1,147 @@
+/*
+ * Curriculum tracks: track order from the Projects List, and the next project
+ * being assigned after markProjectComplete().
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake, config } = require('./support/setup');
+const curriculum = require('../curriculum-service');
+
+const PROJECT_HEADERS = { A: 'Project Code', B: 'Full Project Name', BD: 'Points', BE: 'Recommended Tracks', BH: 'Project Difficulty' };
+
+beforeEach(() => {
+    config.CURRICULUM.AUTO_ASSIGN_NEXT_PROJECT = true;
+    fake.setSheet('Projects List', {
+        headers: PROJECT_HEADERS,
+        rows: [
+            { A: 'PROJ110', B: 'Robot Arm', BE: 'track1', BH: '3' },
+            { A: 'PROJ101', B: 'Blinking LED', BE: 'Track 1', BH: '1' },
+            { A: 'PROJ103', B: 'Buzzer', BE: 'Track 1', BH: '3' },
+            { A: 'PROJ102', B: 'Line Follower', BE: 'Track 1, Track 2', BH: '2' },
+            { A: 'PROJ201', B: 'Scratch Maze', BE: 'Track 2', BH: '1' },
+            { A: 'PROJ900', B: 'Free Build' }
+        ]
+    });
+});
+
+/** Project Log rows added by the test, as { sid, code, status } */
+function addedLogRows() {
+    const fixtureIds = ['PL001', 'PL002', 'PL003', 'PL004'];
+    return fake.getSheet('Project Log').slice(1).filter(row => !fixtureIds.includes(row[0]) && !row[0].startsWith('seed-')).map(row => ({ sid: row[2], code: row[8], status: row[9] }));
+}
+
+test('normalizeTrackName treats "Track 1", "track1" and "1" as the same track', () => {
+    assert.equal(curriculum.normalizeTrackName('Track 1'), '1');
+    assert.equal(curriculum.normalizeTrackName(' track1 '), '1');
+    assert.equal(curriculum.normalizeTrackName('1'), '1');
+    assert.equal(curriculum.normalizeTrackName('Advanced Robotics'), 'advancedrobotics');
+    assert.equal(curriculum.normalizeTrackName('Track'), 'track');
+});
+
+test('builds each track in difficulty order, ties broken by code', async () => {
+    const { tracks, untracked } = await service.getCurriculumTracks(true);
+
+    assert.deepEqual(tracks.map(t => t.name), ['Track 1', 'Track 2']);
+    assert.deepEqual(tracks[0].projects.map(p => p.code), ['PROJ101', 'PROJ102', 'PROJ103', 'PROJ110']);
+    assert.deepEqual(tracks[1].projects.map(p => p.code), ['PROJ201', 'PROJ102']);
+    assert.deepEqual(untracked, ['PROJ900']);
+});
+
+test('setupCurriculumTracks reports students per track and track names that match nothing', async () => {
+    const students = fake.getSheet('Child Names');
+    students[3][28] = 'Track 9';
+    fake.setSheet('Child Names', students);
+
+    const result = await service.setupCurriculumTracks();
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.tracks.map(t => [t.name, t.projectCount, t.studentCount]), [['Track 1', 4, 1], ['Track 2', 2, 1]]);
+    assert.deepEqual(result.unknownStudentTracks, [{ track: 'Track 9', studentIds: ['S003'] }]);
+    assert.deepEqual(result.untrackedProjects, ['PROJ900']);
+});
+
+test('preview shows where the student is and what comes next', async () => {
+    const progress = await service.getTrackProgress('S001');
+
+    assert.equal(progress.track, 'Track 1');
+    assert.deepEqual(progress.projects.map(p => p.status), ['completed', 'assigned', 'notStarted', 'notStarted']);
+    assert.equal(progress.completed, 1);
+    assert.equal(progress.total, 4);
+    assert.equal(progress.next.code, 'PROJ102');
+    assert.equal(progress.next.alreadyAssigned, true);
+
+    // What the Teacher Panel shows before completing PROJ102 is what gets assigned
+    const completing = await service.getTrackProgress('S001', { alsoCompleted: ['proj102'] });
+    assert.equal(completing.next.code, 'PROJ103');
+    assert.equal(completing.next.alreadyAssigned, false);
+});
+
+test('completing a project assigns the next uncompleted one in the track', async () => {
+    const result = await service.markProjectComplete('S001', 'PROJ102', '', '5', 'Ms. Rivera');
+
+    assert.equal(result.nextProject.assigned, true);
+    assert.equal(result.nextProject.projectCode, 'PROJ103');
+    assert.equal(result.nextProject.track, 'Track 1');
+    assert.deepEqual(addedLogRows(), [{ sid: 'S001', code: 'PROJ103', status: 'Assigned' }]);
+});
+
+test('a student with nothing in the log starts from the first project', async () => {
+    const result = await service.markProjectComplete('S003', 'PROJ101', '', '5', 'Ms. Rivera');
+
+    assert.equal(result.nextProject.projectCode, 'PROJ102');
+    assert.deepEqual(addedLogRows().map(r => [r.code, r.status]), [['PROJ101', 'Completed'], ['PROJ102', 'Assigned']]);
+});
+
+test('nothing is assigned when the next project is already assigned', async () => {
+    const log = fake.getSheet('Project Log');
+    log.push(['PL004', '3/1/2025', 'S002', '', 'Ben Ortiz', '', '', '', 'PROJ102', 'Assigned']);
+    fake.setSheet('Project Log', log);
+
+    const result = await service.markProjectComplete('S002', 'PROJ201', '', '5', 'Ms. Rivera');
+
+    assert.equal(result.nextProject.assigned, false);
+    assert.equal(result.nextProject.reason, 'alreadyAssigned');
+    assert.equal(result.nextProject.projectCode, 'PROJ102');
+    assert.deepEqual(addedLogRows().map(r => r.code), ['PROJ201']);
+});
+
+test('the instructor can pick a different next project, or none', async () => {
+    const picked = await service.markProjectComplete('S001', 'PROJ102', '', '5', 'Ms. Rivera', 'Completed', new Date(), { nextProjectCode: 'proj201' });
+    assert.equal(picked.nextProject.reason, 'override');
+    assert.equal(picked.nextProject.projectCode, 'PROJ201');
+
+    const none = await service.markProjectComplete('S003', 'PROJ101', '', '5', 'Ms. Rivera', 'Completed', new Date(), { nextProjectCode: '' });
+    assert.equal(none.nextProject.reason, 'skipped');
+
+    assert.deepEqual(addedLogRows().map(r => [r.sid, r.code]), [['S001', 'PROJ201'], ['S003', 'PROJ101']]);
+});
+
+test('finishing the last project of the track assigns nothing', async () => {
+    const log = fake.getSheet('Project Log');
+    ['PROJ102', 'PROJ103'].forEach(code => log.push(['seed-' + code, '3/1/2025', 'S001', '', '', '', '', '', code, 'Completed']));
+    fake.setSheet('Project Log', log);
+
+    const result = await service.markProjectComplete('S001', 'PROJ110', '', '5', 'Ms. Rivera');
+
+    assert.equal(result.nextProject.reason, 'trackComplete');
+});
+
+test('statuses other than Completed, or auto-assign turned off, assign nothing', async () => {
+    const inProgress = await service.markProjectComplete('S001', 'PROJ102', '', '', 'Ms. Rivera', 'In Progress');
+    assert.equal(inProgress.nextProject, undefined);
+
+    config.CURRICULUM.AUTO_ASSIGN_NEXT_PROJECT = false;
+    const off = await service.markProjectComplete('S001', 'PROJ102', '', '5', 'Ms. Rivera');
+    assert.equal(off.nextProject.reason, 'disabled');
+
+    assert.deepEqual(addedLogRows(), []);
+});
+
+test('sending the same completion twice assigns the next project once', async () => {
+    const key = 'complete-S001-PROJ102';
+    await service.markProjectComplete('S001', 'PROJ102', '', '5', 'Ms. Rivera', 'Completed', new Date(), { idempotencyKey: key });
+    await service.markProjectComplete('S001', 'PROJ102', '', '5', 'Ms. Rivera', 'Completed', new Date(), { idempotencyKey: key });
+
+    assert.deepEqual(addedLogRows().map(r => r.code), ['PROJ103']);
+});
@@ -0,0 +1,151 @@
+/*
+ * Tests for the fake Google client itself (test/support/fake-google.js),
+ * so the service tests can trust it behaves like the real API.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGoogle, loadFixture, parseRange } = require('./support/fake-google');
+
+const SPREADSHEET_ID = 'test-spreadsheet';
+let fake;
+
+beforeEach(() => {
+    fake = createFakeGoogle({ spreadsheet: loadFixture('spreadsheet.json'), drive: loadFixture('drive.json') });
+});
+
+test('parseRange understands quoted names, whole columns, rows and single cells', () => {
+    assert.deepEqual(parseRange("'Project Log'!A2:C"), { title: 'Project Log', startRow: 1, endRow: null, startCol: 0, endCol: 2 });
+    assert.deepEqual(parseRange('All Booking Info!N5'), { title: 'All Booking Info', startRow: 4, endRow: 4, startCol: 13, endCol: 13 });
+    assert.deepEqual(parseRange("'Child Names'!1:1"), { title: 'Child Names', startRow: 0, endRow: 0, startCol: null, endCol: null });
+    assert.deepEqual(parseRange("'It''s'!AA:AC"), { title: "It's", startRow: null, endRow: null, startCol: 26, endCol: 28 });
+    assert.equal(parseRange('inventory2').title, 'inventory2');
+});
+
+test('values.get returns strings and leaves out trailing empty cells', async () => {
+    const res = await fake.sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: 'All Booking Info!M:O' });
+    assert.deepEqual(res.data.values, [
+        ['Class Date', 'Checked In', 'Student ID'],
+        ['Jan 4, 2025', 'FALSE', 'S001']
+    ]);
+
+    const header = await fake.sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: "'Project Log'!1:1" });
+    assert.equal(header.data.values[0].length, 29); // A..AC
+    assert.equal(header.data.values[0][28], 'Points');
+
+    const empty = await fake.sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: 'inventory2!C2:E3' });
+    assert.equal(empty.data.values, undefined);
+});
+
+test('values.get rejects unknown tabs and the wrong spreadsheet like Google does', async () => {
+    await assert.rejects(
+        fake.sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: 'Nope!A:A' }),
+        err => err.code === 400 && err.response.status === 400
+    );
+    await assert.rejects(
+        fake.sheets.spreadsheets.values.get({ spreadsheetId: 'other', range: 'inventory2!A:A' }),
+        err => err.code === 404
+    );
+});
+
+test('values.append writes below the last row and reports the updated range', async () => {
+    const res = await fake.sheets.spreadsheets.values.append({
+        spreadsheetId: SPREADSHEET_ID,
+        range: 'redemptions!A:A',
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [['now', 'Ben Ortiz', 'S002', 'Sticker Pack', 5, true]] }
+    });
+
+    assert.equal(res.data.updates.updatedRange, "'redemptions'!A3:F3");
+    assert.deepEqual(fake.getSheet('redemptions')[2], ['now', 'Ben Ortiz', 'S002', 'Sticker Pack', '5', 'TRUE']);
+});
+
+test('values.update and values.batchUpdate write single cells', async () => {
+    await fake.sheets.spreadsheets.values.update({
+        spreadsheetId: SPREADSHEET_ID,
+        range: 'All Booking Info!N2',
+        valueInputOption: 'RAW',
+        requestBody: { values: [['TRUE']] }
+    });
+    await fake.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: SPREADSHEET_ID,
+        resource: { data: [{ range: 'inventory2!G3', values: [['Low']] }, { range: 'inventory2!Z3', values: [['x']] }] }
+    });
+
+    assert.equal(fake.getCell('All Booking Info', 'N2'), 'TRUE');
+    assert.equal(fake.getCell('inventory2', 'G3'), 'Low');
+    assert.equal(fake.getCell('inventory2', 'Z3'), 'x');
+});
+
+test('spreadsheets.get lists tabs and batchUpdate deletes rows by sheetId', async () => {
+    const meta = await fake.sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
+    const log = meta.data.sheets.find(s => s.properties.title === 'Project Log');
+    assert.ok(log);
+
+    await fake.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: SPREADSHEET_ID,
+        resource: {
+            requests: [{ deleteDimension: { range: { sheetId: log.properties.sheetId, dimension: 'ROWS', startIndex: 1, endIndex: 2 } } }]
+        }
+    });
+
+    const ids = fake.getSheet('Project Log').slice(1).map(row => row[0]);
+    assert.deepEqual(ids, ['PL002', 'PL003']);
+
+    await assert.rejects(
+        fake.sheets.spreadsheets.batchUpdate({ spreadsheetId: SPREADSHEET_ID, resource: { requests: [{ addSheet: {} }] } }),
+        err => err.code === 400
+    );
+});
+
+test('failNext makes the next call fail with a Google-shaped error', async () => {
+    fake.failNext('values.get', { status: 429, headers: { 'retry-after': '1' } });
+
+    await assert.rejects(
+        fake.sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: 'inventory2!A:A' }),
+        err => err.code === 429 && err.response.headers['retry-after'] === '1'
+    );
+    const res = await fake.sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: 'inventory2!A:A' });
+    assert.equal(res.data.values.length, 3);
+});
+
+test('drive files.list filters by parent, trashed, name and mimeType', async () => {
+    const res = await fake.drive.files.list({ q: "'0AKsnksCLda4GUk9PVA' in parents and trashed = false" });
+    assert.deepEqual(res.data.files.map(f => f.id), ['video-abc123']);
+
+    const images = await fake.drive.files.list({ q: "mimeType contains 'image/' and name = 'Ava_Stone.jpg'" });
+    assert.deepEqual(images.data.files.map(f => f.id), ['headshot-ava']);
+});
+
+test('drive files.create stores streamed uploads that files.get can read back', async () => {
+    const { Readable } = require('stream');
+    const created = await fake.drive.files.create({
+        requestBody: { name: 'clip.mp4', parents: ['folder-1'] },
+        media: { mimeType: 'video/mp4', body: Readable.from([Buffer.from('hello')]) },
+        fields: 'id, webViewLink'
+    });
+
+    assert.match(created.data.webViewLink, new RegExp(`/file/d/${created.data.id}/`));
+
+    const media = await fake.drive.files.get({ fileId: created.data.id, alt: 'media' }, { responseType: 'stream' });
+    const chunks = [];
+    for await (const chunk of media.data) chunks.push(chunk);
+    assert.equal(Buffer.concat(chunks).toString(), 'hello');
+});
+
+test('drive permissions.create adds to the file', async () => {
+    await fake.drive.permissions.create({ fileId: 'video-abc123', resource: { role: 'reader', type: 'anyone' } });
+    const res = await fake.drive.permissions.list({ fileId: 'video-abc123' });
+    assert.deepEqual(res.data.permissions.map(p => p.type), ['anyone']);
+});
+
+test('reset puts the fixtures back', async () => {
+    fake.setSheet('inventory2', [['Product Barcode']]);
+    await fake.drive.files.delete({ fileId: 'video-abc123' });
+
+    fake.reset();
+
+    assert.equal(fake.getSheet('inventory2').length, 3);
+    assert.equal(fake.getFile('video-abc123').name, 'upload_1736100000.mp4');
+    assert.equal(fake.calls.length, 0);
+});
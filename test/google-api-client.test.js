@@ -0,0 +1,124 @@
+/*
+ * Google API client: 429s and 5xx are retried with growing (or Retry-After)
+ * delays, requests that would be wrong to repeat are not, and after enough
+ * failed calls in a row the circuit opens until a test call gets through.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake, config } = require('./support/setup');
+const googleApiClient = require('../google-api-client');
+
+/**
+ * An error shaped like the ones googleapis throws
+ */
+function googleError(status, headers = {}) {
+    const error = new Error(`Simulated ${status}`);
+    error.code = status;
+    error.response = { status, headers };
+    return error;
+}
+
+/**
+ * A send() that fails with `errors` in turn, then succeeds; records when each attempt was made
+ */
+function flakySend(...errors) {
+    const send = () => {
+        send.attempts.push(Date.now());
+        const error = errors.shift();
+        return error ? Promise.reject(error) : Promise.resolve({ data: 'ok' });
+    };
+    send.attempts = [];
+    return send;
+}
+
+const gaps = (times) => times.slice(1).map((at, i) => at - times[i]);
+
+/**
+ * Real backoff delays for one test (setup turns them down to a few ms)
+ */
+function slowBackoff(t, values) {
+    const saved = { ...config.GOOGLE_API };
+    Object.assign(config.GOOGLE_API, values);
+    t.after(() => Object.assign(config.GOOGLE_API, saved));
+}
+
+test('a 429 is retried, waiting twice as long each time', async (t) => {
+    slowBackoff(t, { BASE_DELAY_MS: 40, MAX_DELAY_MS: 1000 });
+    t.mock.method(Math, 'random', () => 1);   // no jitter: wait the whole cap
+    const send = flakySend(googleError(429), googleError(429), googleError(429));
+
+    const result = await googleApiClient.execute('sheets.spreadsheets.values.get', {}, send);
+
+    assert.deepEqual(result, { data: 'ok' });
+    assert.equal(send.attempts.length, 4);
+    const [first, second, third] = gaps(send.attempts);
+    assert.ok(first >= 38, `waited ${first}ms, then`);
+    assert.ok(second >= 78, `${second}ms, then`);
+    assert.ok(third >= 158, `${third}ms`);
+});
+
+test('a Retry-After header sets the wait instead of the backoff', async (t) => {
+    slowBackoff(t, { BASE_DELAY_MS: 1, MAX_DELAY_MS: 1 });
+    const send = flakySend(googleError(429, { 'retry-after': '0.2' }));
+
+    await googleApiClient.execute('sheets.spreadsheets.values.get', {}, send);
+
+    assert.ok(gaps(send.attempts)[0] >= 195, 'waited the 0.2s Google asked for');
+});
+
+test('only failures that may go away are retried, and appends only on 429', async () => {
+    const badRange = flakySend(googleError(400));
+    await assert.rejects(googleApiClient.execute('sheets.spreadsheets.values.get', {}, badRange), /Simulated 400/);
+    assert.equal(badRange.attempts.length, 1);
+
+    // A 503 may have appended the row already; a 429 was rejected before doing anything
+    const unavailable = flakySend(googleError(503));
+    await assert.rejects(googleApiClient.execute('sheets.spreadsheets.values.append', {}, unavailable), /Simulated 503/);
+    assert.equal(unavailable.attempts.length, 1);
+
+    const throttled = flakySend(googleError(429));
+    await googleApiClient.execute('sheets.spreadsheets.values.append', {}, throttled);
+    assert.equal(throttled.attempts.length, 2);
+
+    // Through the service: the fake answers 429 twice, the read still succeeds
+    fake.failNext('values.get', { status: 429, times: 2 });
+    const projects = await service.fetchProjectLog(true);
+    assert.ok(projects.length > 0);
+});
+
+test('after enough failed calls in a row the circuit opens, then lets one test call through after the cooldown', async (t) => {
+    const clock = { now: Date.now() };
+    t.mock.method(Date, 'now', () => clock.now);
+    const { CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_COOLDOWN_MS, MAX_RETRIES } = config.GOOGLE_API;
+    const down = () => Promise.reject(googleError(503));
+    const retriesBefore = googleApiClient.getStats().totals.retries;
+
+    for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD; i++) {
+        await assert.rejects(googleApiClient.execute('sheets.spreadsheets.values.get', {}, down), /Simulated 503/);
+    }
+    const stats = googleApiClient.getStats();
+    assert.equal(stats.circuit.state, 'open');
+    assert.equal(stats.circuit.consecutiveFailures, CIRCUIT_FAILURE_THRESHOLD, 'one failure per call, not per retry');
+    assert.equal(stats.totals.retries - retriesBefore, CIRCUIT_FAILURE_THRESHOLD * MAX_RETRIES);
+
+    // Open: calls fail straight away without reaching Google
+    const notSent = flakySend();
+    await assert.rejects(googleApiClient.execute('sheets.spreadsheets.values.get', {}, notSent), err => err.code === 'CIRCUIT_OPEN');
+    assert.equal(notSent.attempts.length, 0);
+    assert.ok(googleApiClient.isUnavailableError({ code: 'CIRCUIT_OPEN' }));
+
+    // After the cooldown one call is tried, without retries; failing it opens the circuit again
+    clock.now += CIRCUIT_COOLDOWN_MS;
+    const stillDown = flakySend(googleError(503), googleError(503));
+    await assert.rejects(googleApiClient.execute('sheets.spreadsheets.values.get', {}, stillDown), /Simulated 503/);
+    assert.equal(stillDown.attempts.length, 1);
+    assert.equal(googleApiClient.getStats().circuit.state, 'open');
+
+    // ...and succeeding closes it
+    clock.now += CIRCUIT_COOLDOWN_MS;
+    const back = flakySend();
+    await googleApiClient.execute('sheets.spreadsheets.values.get', {}, back);
+    assert.equal(googleApiClient.getStats().circuit.state, 'closed');
+    assert.equal(googleApiClient.getStats().circuit.consecutiveFailures, 0);
+});
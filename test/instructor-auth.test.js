@@ -0,0 +1,196 @@
+/*
+ * Instructor login: hashed passcodes, sessions, lockout after wrong
+ * passcodes, the middleware that guards instructor routes, and the audit log
+ * naming the logged-in instructor.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { service, fake, config } = require('./support/setup');
+const auth = require('../auth-service');
+const audit = require('../audit-service');
+
+const INSTRUCTOR_HEADERS = { A: 'Instructor Name', I: 'Passcode' };
+
+/**
+ * Just enough of an Express request/response for the middleware
+ */
+function fakeExchange(headers = {}, remoteAddress = '10.0.0.7') {
+    const req = { method: 'POST', originalUrl: '/api/assign-project', ip: remoteAddress, headers, socket: { remoteAddress }, body: {} };
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    return { req, res };
+}
+
+function guard(req, res) {
+    let passed = false;
+    auth.requireInstructor(req, res, () => { passed = true; });
+    return passed;
+}
+
+beforeEach(() => {
+    auth.reset();
+    fake.setSheet('instructors', {
+        headers: INSTRUCTOR_HEADERS,
+        rows: [
+            { A: 'Ms. Rivera', I: '1234' },
+            { A: 'Mr. Kim', I: auth.hashPasscode('9876') },
+            { A: 'No Passcode' }
+        ]
+    });
+});
+
+test('passcodes are hashed as soon as they are read', async () => {
+    const instructors = await service.fetchInstructors(true);
+
+    assert.deepEqual(instructors.map(i => i.name), ['Ms. Rivera', 'Mr. Kim', 'No Passcode']);
+    instructors.forEach(i => assert.equal('passcode' in i, false));
+    assert.ok(auth.isHashed(instructors[0].passcodeHash));
+    assert.doesNotMatch(JSON.stringify(instructors), /1234/);
+    assert.equal(auth.verifyPasscode('1234', instructors[0].passcodeHash), true);
+    assert.equal(auth.verifyPasscode('9876', instructors[1].passcodeHash), true);
+    assert.equal(instructors[2].passcodeHash, '');
+});
+
+test('a plaintext passcode is hashed once, not on every reload', async () => {
+    const first = await service.fetchInstructors(true);
+    const again = await service.fetchInstructors(true);
+    assert.equal(again[0].passcodeHash, first[0].passcodeHash, 'the same hash (and salt) is reused');
+
+    fake.setSheet('instructors', { headers: INSTRUCTOR_HEADERS, rows: [{ A: 'Ms. Rivera', I: '5555' }] });
+    const changed = await service.fetchInstructors(true);
+    assert.notEqual(changed[0].passcodeHash, first[0].passcodeHash);
+    assert.equal(auth.verifyPasscode('5555', changed[0].passcodeHash), true);
+});
+
+test('a correct passcode starts a session; a wrong one does not', async () => {
+    const instructors = await service.fetchInstructors(true);
+
+    const session = auth.login({ name: 'ms. rivera', passcode: '1234' }, instructors);
+    assert.equal(session.name, 'Ms. Rivera');
+    assert.equal(session.role, 'instructor');
+    assert.deepEqual(auth.getSession(session.token).name, 'Ms. Rivera');
+
+    assert.throws(() => auth.login({ name: 'Ms. Rivera', passcode: '0000' }, instructors), /Invalid credentials/);
+    assert.throws(() => auth.login({ name: 'Nobody', passcode: '1234' }, instructors), /Invalid credentials/);
+    assert.throws(() => auth.login({ name: 'No Passcode', passcode: 'x' }, instructors), /Invalid credentials/);
+    assert.throws(() => auth.login({ name: 'Ms. Rivera' }, instructors), /Name and passcode required/);
+
+    // Sessions end when they expire or on logout
+    assert.equal(auth.getSession(session.token, session.expiresAt), null);
+    const again = auth.login({ name: 'Mr. Kim', passcode: '9876' }, instructors);
+    auth.logout(again.token);
+    assert.equal(auth.getSession(again.token), null);
+});
+
+test('five wrong passcodes lock the name out for a while', async () => {
+    const instructors = await service.fetchInstructors(true);
+    const start = Date.now();
+
+    for (let i = 0; i < 5; i++) {
+        assert.throws(() => auth.login({ name: 'Ms. Rivera', passcode: 'wrong' }, instructors, { now: start + i }), /Invalid credentials/);
+    }
+    assert.throws(() => auth.login({ name: 'Ms. Rivera', passcode: '1234' }, instructors, { now: start + 10 }), /Too many failed attempts. Try again in 15 minutes/);
+
+    // Other names are unaffected; the lock lifts after 15 minutes
+    assert.ok(auth.login({ name: 'Mr. Kim', passcode: '9876' }, instructors, { now: start + 10 }));
+    assert.ok(auth.login({ name: 'Ms. Rivera', passcode: '1234' }, instructors, { now: start + 15 * 60000 + 10 }));
+});
+
+test('lockout records are dropped once their failures and lockout run out', async () => {
+    const instructors = await service.fetchInstructors(true);
+    const start = Date.now();
+
+    ['Guess 1', 'Guess 2', 'Guess 3'].forEach(name => {
+        assert.throws(() => auth.login({ name, passcode: 'x' }, instructors, { now: start }), /Invalid credentials/);
+    });
+    for (let i = 0; i < 5; i++) {
+        assert.throws(() => auth.login({ name: 'Ms. Rivera', passcode: 'wrong' }, instructors, { now: start + i }));
+    }
+
+    assert.equal(auth.pruneAttempts(start + 60000), 0, 'still within the window');
+    assert.equal(auth.pruneAttempts(start + 15 * 60000 + 1), 3, 'the three one-off names go');
+    assert.throws(() => auth.login({ name: 'Ms. Rivera', passcode: '1234' }, instructors, { now: start + 15 * 60000 + 1 }), /Too many failed attempts/);
+    assert.equal(auth.pruneAttempts(start + 30 * 60000), 1, 'the lockout goes once it has run out');
+});
+
+test('expired sessions are dropped when the next one starts, not kept forever', () => {
+    const start = Date.now();
+    const kiosk = auth.startSession({ name: 'Ava Stone', role: 'student' }, { now: start });
+    const parent = auth.startSession({ name: 'parent@example.com', role: 'parent' }, { now: start + 3600000 });
+
+    assert.equal(auth.pruneSessions(start + 60000), 0, 'nothing has run out yet');
+
+    // 12 hours later the first has expired; starting a session clears it out
+    auth.startSession({ name: 'Ms. Rivera', role: 'instructor' }, { now: start + 12 * 3600000 + 1 });
+    assert.equal(auth.getSession(kiosk.token, start), null, 'gone, even asked about as of before it expired');
+    assert.ok(auth.getSession(parent.token, start + 12 * 3600000 + 1), 'the unexpired one stays');
+    assert.equal(auth.pruneSessions(start + 13 * 3600000 + 1), 1);
+});
+
+test('instructor routes need a session (cookie or bearer token)', async () => {
+    const instructors = await service.fetchInstructors(true);
+    const session = auth.login({ name: 'Ms. Rivera', passcode: '1234' }, instructors);
+
+    const anonymous = fakeExchange();
+    assert.equal(guard(anonymous.req, anonymous.res), false);
+    assert.equal(anonymous.res.statusCode, 401);
+
+    const byCookie = fakeExchange({ cookie: `theme=dark; ${auth.COOKIE_NAME}=${session.token}` });
+    assert.equal(guard(byCookie.req, byCookie.res), true);
+    assert.deepEqual(byCookie.req.instructor, { name: 'Ms. Rivera', role: 'instructor', source: 'session' });
+
+    const byToken = fakeExchange({ authorization: `Bearer ${session.token}` });
+    assert.equal(guard(byToken.req, byToken.res), true);
+
+    assert.match(auth.sessionCookie(session), /^ltb_session=[0-9a-f]+; Path=\/; HttpOnly; SameSite=Lax; Max-Age=\d+$/);
+});
+
+test('the server computer itself needs a login unless trusting it is turned on', (t) => {
+    const untrusted = fakeExchange({}, '127.0.0.1');
+    assert.equal(guard(untrusted.req, untrusted.res), false, 'off by default');
+    assert.equal(untrusted.res.statusCode, 401);
+
+    config.AUTH.TRUST_LOCALHOST = true;
+    t.after(() => { config.AUTH.TRUST_LOCALHOST = false; });
+
+    const local = fakeExchange({}, '127.0.0.1');
+    assert.equal(guard(local.req, local.res), true);
+    assert.equal(local.req.instructor.source, 'localhost');
+
+    const proxied = fakeExchange({ 'x-forwarded-for': '203.0.113.9' }, '127.0.0.1');
+    assert.equal(guard(proxied.req, proxied.res), false, 'never through a proxy');
+});
+
+test('hashing the sheet replaces plaintext passcodes; logins still work', async () => {
+    const result = await service.hashInstructorPasscodes();
+
+    assert.deepEqual(result, { hashed: 1, names: ['Ms. Rivera'] });
+    const stored = fake.getCell('instructors', 'I2');
+    assert.ok(auth.isHashed(stored));
+
+    const instructors = await service.fetchInstructors();
+    assert.equal(instructors[0].passcodeHash, stored, 'read back as it is');
+    assert.ok(auth.login({ name: 'Ms. Rivera', passcode: '1234' }, instructors));
+
+    assert.deepEqual(await service.hashInstructorPasscodes(), { hashed: 0, names: [] });
+});
+
+test('the audit log names the logged-in instructor over a typed-in name', async () => {
+    fs.rmSync(audit.AUDIT_LOG_PATH, { force: true });
+    const instructors = await service.fetchInstructors(true);
+    const session = auth.login({ name: 'Mr. Kim', passcode: '9876' }, instructors);
+
+    const { req, res } = fakeExchange({ cookie: `${auth.COOKIE_NAME}=${session.token}` });
+    auth.attachSession(req, res, () => { });
+    req.body = { instructorName: 'Someone Else' };
+
+    const entry = audit.record(req, { action: 'assignProject', studentId: 'S001' });
+    assert.equal(entry.user, 'Mr. Kim');
+    assert.equal(entry.userSource, 'session');
+});
@@ -0,0 +1,46 @@
+/*
+ * fetchInventory() kit detection and updateInventory() writes to "inventory2".
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake } = require('./support/setup');
+
+test('detects kits from the "Current Stock in ..." headers', async () => {
+    const { items, kits } = await service.fetchInventory(true);
+
+    assert.deepEqual(kits, ['KIT1', 'KIT2']);
+    assert.equal(items.length, 2);
+    assert.deepEqual(items[0].stocks, { KIT1: 'Full', KIT2: 'Low' });
+    assert.equal(items[0].product, 'Servo Motor');
+    assert.equal(items[0].rowIndex, 2);
+    assert.equal(items[1].rowIndex, 3);
+});
+
+test('writes the status, who/when and the per-kit timestamp', async () => {
+    const result = await service.updateInventory('INV-002', 'KIT2', 'Low', 'teacher@example.com');
+
+    assert.equal(result.success, true);
+    assert.equal(fake.getCell('inventory2', 'H3'), 'Low');
+    assert.equal(fake.getCell('inventory2', 'M3'), 'teacher@example.com');
+    assert.ok(fake.getCell('inventory2', 'L3'), 'Last Log Time is set');
+    assert.equal(fake.getCell('inventory2', 'O3'), fake.getCell('inventory2', 'L3'));
+    assert.equal(fake.getCell('inventory2', 'N3'), '', 'KIT1 timestamp is left alone');
+    assert.equal(fake.getCell('inventory2', 'H2'), 'Low', 'other items are left alone');
+    assert.equal(fake.getCell('inventory2', 'G3'), 'Medium', 'other kits are left alone');
+});
+
+test('the update shows up in fetchInventory', async () => {
+    await service.fetchInventory();
+    await service.updateInventory('INV-001', 'KIT1', 'Medium', 'teacher@example.com');
+
+    const { items } = await service.fetchInventory();
+    assert.equal(items[0].stocks.KIT1, 'Medium');
+    assert.ok(items[0].lastUpdated.KIT1);
+});
+
+test('an unknown kit or item is an error and nothing is written', async () => {
+    await assert.rejects(service.updateInventory('INV-001', 'KIT9', 'Low', 'teacher@example.com'), /KIT9/);
+    await assert.rejects(service.updateInventory('INV-404', 'KIT1', 'Low', 'teacher@example.com'), /Item ID not found/);
+    assert.equal(fake.callsTo('values.batchUpdate').length, 0);
+});
@@ -0,0 +1,102 @@
+/*
+ * Scoped leaderboards (class, track, age band, active only) and seasons:
+ * points counted only inside a season's dates, and final standings that
+ * stay put once archived.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { service, fake, daysAgo } = require('./support/setup');
+const leaderboardService = require('../leaderboard-service');
+
+const LOG_HEADERS = { A: 'Unique ID', B: 'Date', C: 'SID', I: 'Project Name', J: 'Project Status', AC: 'Points' };
+
+function logRow(id, sid, points, date) {
+    return { A: id, B: date.toLocaleDateString('en-US'), C: sid, I: 'PROJ101', J: 'Completed', AC: String(points) };
+}
+
+/**
+ * daysAgo(n) as YYYY-MM-DD (local time, like the season dates)
+ */
+function day(days) {
+    const date = daysAgo(days);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+beforeEach(() => {
+    fs.rmSync(leaderboardService.SEASONS_PATH, { force: true });
+    // Fixtures: S001 Robotics / Track 1 / 9, S002 Coding / Track 2 / 11, S003 Robotics / Track 1 / 8 (inactive)
+    fake.setSheet('Project Log', {
+        headers: LOG_HEADERS,
+        rows: [
+            logRow('L1', 'S001', 10, daysAgo(30)),
+            logRow('L2', 'S002', 50, daysAgo(30)),
+            logRow('L3', 'S001', 20, daysAgo(8)),
+            logRow('L4', 'S003', 5, daysAgo(7)),
+            logRow('L5', 'S002', 4, daysAgo(6))
+        ]
+    });
+});
+
+function ids(board) {
+    return board.map(entry => entry.id);
+}
+
+test('scopes: class, track, age band and active only', async () => {
+    assert.deepEqual(ids(await service.getLeaderboard(true, leaderboardService.parseScope({ serviceTitle: 'robotics' }))), ['S001', 'S003']);
+    assert.deepEqual(ids(await service.getLeaderboard(true, leaderboardService.parseScope({ track: 'track 2' }))), ['S002']);
+    assert.deepEqual(ids(await service.getLeaderboard(true, leaderboardService.parseScope({ ageBand: '8-10' }))), ['S001', 'S003']);
+    assert.deepEqual(ids(await service.getLeaderboard(true, leaderboardService.parseScope({ serviceTitle: 'Robotics', activeOnly: 'true' }))), ['S001']);
+
+    assert.throws(() => leaderboardService.parseScope({ ageBand: 'teens' }), /Invalid age band/);
+});
+
+test('a season ranks by points earned between its dates, lifetime points untouched', async () => {
+    leaderboardService.createSeason({ name: 'Spring Challenge', start: day(10), end: day(5) }, 'Ms. Rivera');
+
+    const board = await service.getLeaderboard(true, leaderboardService.parseScope({ season: 'spring-challenge' }));
+
+    assert.deepEqual(board.map(entry => [entry.id, entry.seasonPoints]), [['S001', 20], ['S003', 5], ['S002', 4]]);
+    assert.equal(board.find(entry => entry.id === 'S002').totalPoints, 54);
+
+    await assert.rejects(service.getLeaderboard(true, { season: 'winter-cup' }), /Season not found/);
+});
+
+test('season names are unique and dates must make sense', () => {
+    leaderboardService.createSeason({ name: 'Spring Challenge', start: day(10), end: day(5) });
+
+    assert.throws(() => leaderboardService.createSeason({ name: 'spring challenge', start: day(10), end: day(5) }), /already exists/);
+    assert.throws(() => leaderboardService.createSeason({ name: 'Later', start: day(5), end: day(10) }), /end on or after/);
+    assert.throws(() => leaderboardService.createSeason({ name: 'Bad', start: '3/1/2026', end: day(5) }), /Invalid date/);
+    assert.throws(() => leaderboardService.createSeason({ name: ' ', start: day(10), end: day(5) }), /name is required/);
+});
+
+test('a season can only be archived once it has ended', async () => {
+    leaderboardService.createSeason({ name: 'Summer Sprint', start: day(3), end: day(-3) });
+
+    await assert.rejects(service.archiveSeasonStandings('summer-sprint', 'Ms. Rivera'), /hasn't ended yet/);
+    await assert.rejects(service.archiveSeasonStandings('nope', 'Ms. Rivera'), /Season not found/);
+    assert.equal(leaderboardService.listSeasons()[0].state, 'active');
+});
+
+test('archived standings do not change when the Project Log does', async () => {
+    leaderboardService.createSeason({ name: 'Spring Challenge', start: day(10), end: day(5) });
+
+    const archived = await service.archiveSeasonStandings('spring-challenge', 'Ms. Rivera');
+    assert.equal(archived.state, 'archived');
+    assert.equal(archived.standingsCount, 3);
+
+    // A late entry dated inside the season would have changed the winner
+    const rows = fake.getSheet('Project Log');
+    rows.push(['L6', daysAgo(7).toLocaleDateString('en-US'), 'S002']);
+    rows[rows.length - 1][28] = '100';
+    fake.setSheet('Project Log', rows);
+
+    const board = await service.getLeaderboard(true, { season: 'spring-challenge' });
+    assert.deepEqual(board.map(entry => [entry.id, entry.seasonPoints, entry.finalRank]), [['S001', 20, 1], ['S003', 5, 2], ['S002', 4, 3]]);
+    assert.equal(board.find(entry => entry.id === 'S002').totalPoints, 154, 'lifetime points are live');
+
+    await assert.rejects(service.archiveSeasonStandings('spring-challenge', 'Mr. Chen'), /already archived/);
+});
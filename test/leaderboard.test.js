@@ -0,0 +1,88 @@
+/*
+ * getLeaderboard(): points earned from the Project Log (all time, last 30
+ * days, last 7 days) and the balance left after redemptions.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake, daysAgo } = require('./support/setup');
+
+const LOG_HEADERS = { A: 'Unique ID', B: 'Date', C: 'SID', I: 'Project Name', J: 'Project Status', AC: 'Points' };
+const REDEMPTION_HEADERS = { A: 'Timestamp', B: 'Student Name', C: 'Student ID', D: 'Prize Name', E: 'Points Cost', F: 'Status' };
+
+function logRow(id, sid, points, date) {
+    return { A: id, B: date.toLocaleDateString('en-US'), C: sid, I: 'PROJ101', J: 'Completed', AC: String(points) };
+}
+
+beforeEach(() => {
+    fake.setSheet('Project Log', {
+        headers: LOG_HEADERS,
+        rows: [
+            logRow('L1', 'S001', 10, daysAgo(1)),
+            logRow('L2', 'S001', 20, daysAgo(10)),
+            logRow('L3', 'S001', 40, daysAgo(60)),
+            logRow('L4', 'S002', 15, daysAgo(3)),
+            logRow('L5', 'S002', 30, daysAgo(20)),
+            logRow('L6', 'GHOST', 500, daysAgo(1)),
+            { A: 'L7', B: daysAgo(2).toLocaleDateString('en-US'), C: 'S003', J: 'Assigned' }
+        ]
+    });
+    fake.setSheet('redemptions', {
+        headers: REDEMPTION_HEADERS,
+        rows: [
+            { A: 'x', B: 'Ava Stone', C: 'S001', D: 'LEGO Minifigure', E: '40' },
+            { A: 'x', B: 'Ben Ortiz', C: 'S002', D: 'Sticker Pack', E: '5' },
+            { A: 'x', B: 'Ghost', C: 'GHOST', D: 'Sticker Pack', E: '5' }
+        ]
+    });
+});
+
+function byId(leaderboard) {
+    return Object.fromEntries(leaderboard.map(entry => [entry.id, entry]));
+}
+
+test('adds up all-time, monthly and weekly points per student', async () => {
+    const board = byId(await service.getLeaderboard(true));
+
+    assert.equal(board.S001.totalPoints, 70);
+    assert.equal(board.S001.monthlyPoints, 30);
+    assert.equal(board.S001.weeklyPoints, 10);
+
+    assert.equal(board.S002.totalPoints, 45);
+    assert.equal(board.S002.monthlyPoints, 45);
+    assert.equal(board.S002.weeklyPoints, 15);
+
+    assert.equal(board.S003.totalPoints, 0);
+});
+
+test('redemptions lower the balance but not the total', async () => {
+    const board = byId(await service.getLeaderboard(true));
+
+    assert.equal(board.S001.spentPoints, 40);
+    assert.equal(board.S001.currentBalance, 30);
+    assert.equal(board.S001.totalPoints, 70);
+
+    assert.equal(board.S002.spentPoints, 5);
+    assert.equal(board.S002.currentBalance, 40);
+});
+
+test('is sorted by total points and ignores IDs that are not on Child Names', async () => {
+    const board = await service.getLeaderboard(true);
+
+    assert.deepEqual(board.map(entry => entry.id), ['S001', 'S002', 'S003']);
+    assert.equal(board.some(entry => entry.id === 'GHOST'), false);
+    assert.equal(board[0].name, 'Ava Stone');
+});
+
+test('picks up new points after a forced refresh', async () => {
+    await service.getLeaderboard(true);
+
+    const rows = fake.getSheet('Project Log');
+    rows.push(['L8', daysAgo(0).toLocaleDateString('en-US'), 'S003']);
+    rows[rows.length - 1][28] = '100';
+    fake.setSheet('Project Log', rows);
+
+    const board = await service.getLeaderboard(true);
+    assert.equal(board[0].id, 'S003');
+    assert.equal(board[0].weeklyPoints, 100);
+});
@@ -0,0 +1,215 @@
+/*
+ * Login cards: QR codes a standard reader can decode, signed tokens that
+ * can't be made up or reused after a card is replaced, the printable sheet
+ * (active students, headshots) and the station scan log.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { service, fake } = require('./support/setup');
+const qrCode = require('../qr-code');
+const loginCards = require('../login-card-service');
+const { startServer } = require('./support/server');
+
+const CHILD_HEADERS = { A: 'ID', C: 'Child Names', I: 'Headshot', K: 'Service Title', M: 'Active Status' };
+
+// Level M block layout (ISO/IEC 18004 table 9), to read the codes back
+const LAYOUT = {
+    1: { ec: 10, blocks: [16] },
+    2: { ec: 16, blocks: [28] },
+    3: { ec: 26, blocks: [44] },
+    4: { ec: 18, blocks: [32, 32] },
+    5: { ec: 24, blocks: [43, 43] }
+};
+
+/**
+ * A small QR reader (byte mode, level M): finds the mask from the format
+ * bits, unmasks, reads the zig-zag, checks each block's error correction
+ * and returns the text
+ */
+function readQr({ modules }) {
+    const size = modules.length;
+    const version = (size - 17) / 4;
+    const layout = LAYOUT[version];
+    assert.ok(layout, `version ${version} is in the test table`);
+
+    // The three finder squares
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([x0, y0]) => {
+        for (let d = 0; d < 7; d++) {
+            assert.equal(modules[y0][x0 + d], true, 'finder edge');
+            assert.equal(modules[y0 + 2][x0 + 2 + (d % 3)], true, 'finder centre');
+        }
+    });
+
+    // Format bits, both copies, must name the same mask
+    let first = 0;
+    let second = 0;
+    for (let i = 0; i <= 5; i++) first |= modules[i][8] << i;
+    first |= modules[7][8] << 6 | modules[8][8] << 7 | modules[8][7] << 8;
+    for (let i = 9; i < 15; i++) first |= modules[8][14 - i] << i;
+    for (let i = 0; i < 8; i++) second |= modules[8][size - 1 - i] << i;
+    for (let i = 8; i < 15; i++) second |= modules[size - 15 + i][8] << i;
+    assert.equal(first, second, 'both format copies agree');
+    const mask = [0, 1, 2, 3, 4, 5, 6, 7].find(m => qrCode.formatBits(m) === first);
+    assert.notEqual(mask, undefined, 'format bits are level M');
+
+    // Everything that isn't data
+    const reserved = (x, y) => {
+        if ((x < 9 && y < 9) || (x >= size - 8 && y < 9) || (x < 9 && y >= size - 8)) return true;
+        if (x === 6 || y === 6) return true;
+        if (version >= 2) {
+            const c = [0, 0, 18, 22, 26, 30][version];
+            if (Math.abs(x - c) <= 2 && Math.abs(y - c) <= 2) return true;
+        }
+        return false;
+    };
+    const masks = [
+        (x, y) => (x + y) % 2 === 0, (x, y) => y % 2 === 0, (x, y) => x % 3 === 0, (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0, (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0, (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    const bits = [];
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let step = 0; step < size; step++) {
+            const y = upward ? size - 1 - step : step;
+            for (const x of [right, right - 1]) {
+                if (!reserved(x, y)) bits.push(modules[y][x] !== masks[mask](x, y) ? 1 : 0);
+            }
+        }
+    }
+    const codewords = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    // De-interleave and check the error correction of each block
+    const blocks = layout.blocks.map(length => ({ data: [], ec: [], length }));
+    let i = 0;
+    for (let k = 0; k < Math.max(...layout.blocks); k++) {
+        blocks.forEach(b => { if (k < b.length) b.data.push(codewords[i++]); });
+    }
+    for (let k = 0; k < layout.ec; k++) blocks.forEach(b => b.ec.push(codewords[i++]));
+    blocks.forEach(b => assert.deepEqual(b.ec, qrCode.errorCorrection(b.data, layout.ec), 'error correction matches'));
+
+    const data = blocks.flatMap(b => b.data);
+    assert.equal(data[0] >> 4, 0b0100, 'byte mode');
+    const length = ((data[0] & 0x0F) << 4) | (data[1] >> 4);
+    const bytes = [];
+    for (let k = 0; k < length; k++) bytes.push(((data[1 + k] & 0x0F) << 4) | (data[2 + k] >> 4));
+    return Buffer.from(bytes).toString('utf8');
+}
+
+beforeEach(() => {
+    fs.rmSync(loginCards.ISSUED_PATH, { force: true });
+    fs.rmSync(loginCards.SCANS_PATH, { force: true });
+
+    fake.setSheet('Child Names', {
+        headers: CHILD_HEADERS,
+        rows: [
+            { A: 'S001', C: 'Ava Stone', I: 'https://drive.google.com/file/d/abc123XYZ/view', K: 'Robotics', M: 'Active' },
+            { A: 'S002', C: 'Ben Park <3', K: 'Robotics', M: 'Active' },
+            { A: 'S003', C: 'Cal Gone', K: 'Robotics', M: 'No' }
+        ]
+    });
+});
+
+test('QR codes read back with a standard reader', () => {
+    // The worked example from the standard: "HELLO WORLD" at 1-M
+    assert.deepEqual(
+        qrCode.errorCorrection([32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17], 10),
+        [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]
+    );
+
+    for (const text of ['hi', 'https://learntobot.com/', loginCards.tokenFor('S001'), 'Ünïcödé ✓ '.repeat(5)]) {
+        const code = qrCode.encode(text);
+        assert.equal(readQr(code), text);
+    }
+    assert.throws(() => qrCode.encode('x'.repeat(300)), /Text too long for a QR code/);
+    assert.match(qrCode.toSvg('hi'), /^<svg [^>]*viewBox="0 0 29 29"/);
+});
+
+test('card tokens are signed, and a replaced card stops working', () => {
+    const token = loginCards.tokenFor('S001');
+    assert.equal(loginCards.tokenFor('S001'), token, 'printing again gives the same card');
+    assert.equal(loginCards.verifyToken(token).studentId, 'S001');
+
+    // Someone making a card for another student by hand
+    const [prefix, , issued, signature] = token.split('.');
+    const forged = [prefix, Buffer.from('S002').toString('base64url'), issued, signature].join('.');
+    assert.throws(() => loginCards.verifyToken(forged), /^Error: Invalid login card$/);
+    assert.throws(() => loginCards.verifyToken('S001'), /Not a LearnToBot login card/);
+    assert.throws(() => loginCards.verifyToken(''), /Not a LearnToBot login card/);
+
+    const replacement = loginCards.tokenFor('S001', { reissue: true, now: Date.now() + 1000 });
+    assert.notEqual(replacement, token);
+    assert.throws(() => loginCards.verifyToken(token), /This login card has been replaced/);
+    assert.equal(loginCards.verifyToken(replacement).studentId, 'S001');
+
+    // Losing login-cards.json doesn't lock every kid out
+    fs.rmSync(loginCards.ISSUED_PATH);
+    assert.equal(loginCards.verifyToken(replacement).studentId, 'S001');
+});
+
+test('the card sheet has the active students with their headshot and QR code', async () => {
+    const students = (await service.fetchStudents(true)).filter(s => s.isActive);
+    const html = loginCards.renderCardSheet(students.map(s => ({ ...s, studentId: s.id, token: loginCards.tokenFor(s.id) })));
+
+    assert.equal((html.match(/class="card"/g) || []).length, 2);
+    assert.match(html, /Ava Stone/);
+    assert.doesNotMatch(html, /Cal Gone/);
+    assert.match(html, /src="https:\/\/drive\.google\.com\/thumbnail\?id=abc123XYZ&amp;sz=w400"/, 'Drive links shown as thumbnails');
+    assert.match(html, /Ben Park &lt;3/);
+    assert.match(html, /class="photo initials">BP</, 'no headshot: initials');
+    assert.equal((html.match(/<svg /g) || []).length, 2);
+
+    assert.throws(() => loginCards.renderCardSheet([]), /No login cards to print/);
+});
+
+test('card scans are kept per day with the station', () => {
+    const today = new Date();
+    loginCards.recordScan({ studentId: 'S001', studentName: 'Ava Stone', station: 'Table 3', ip: '10.0.0.5', checkedIn: true }, today);
+    loginCards.recordScan({ studentId: 'S002', studentName: 'Ben Park', ip: '10.0.0.6', checkedIn: false }, today);
+    loginCards.recordScan({ studentId: 'S001', studentName: 'Ava Stone', station: 'Table 1', checkedIn: true }, new Date(Date.now() - 3 * 86400000));
+
+    const scans = loginCards.readScans();
+    assert.deepEqual(scans.map(s => [s.studentId, s.station, s.checkedIn]), [['S002', '', false], ['S001', 'Table 3', true]], 'today, newest first');
+});
+
+test('the student ID read off a card checks that student in', async () => {
+    const today = new Date();
+    fake.setSheet('All Booking Info', {
+        headers: { A: 'Email', E: 'Student Name', H: 'Service Title', M: 'Class Date', N: 'Checked In', O: 'Student ID' },
+        rows: [
+            { A: 'ava@example.com', E: 'Ava Stone', H: 'Robotics', M: `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`, N: 'FALSE', O: 'S001' },
+            { A: 'ben@example.com', E: 'Ben Park', H: 'Robotics', M: `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`, N: 'FALSE', O: 'S002' }
+        ]
+    });
+
+    const scanned = readQr(qrCode.encode(loginCards.tokenFor('S001')));
+    const { studentId } = loginCards.verifyToken(scanned);
+    assert.equal(await service.markAttendanceByStudentId(studentId), true);
+    assert.equal(fake.getCell('All Booking Info', 'N2'), 'TRUE');
+    assert.equal(fake.getCell('All Booking Info', 'N3'), 'FALSE');
+});
+
+test('a station with nobody logged in can scan a card and starts the student session', async (t) => {
+    const token = loginCards.tokenFor('S001');
+    const running = await startServer();
+    t.after(() => running.stop());
+
+    const scan = await running.request('POST', '/api/card-login', { token, station: 'Table 3' });
+    assert.equal(scan.status, 200);
+    assert.equal(scan.body.success, true);
+    assert.equal(scan.body.role, 'student');
+    assert.equal(scan.body.student.id, 'S001');
+
+    const cookie = (scan.headers.get('set-cookie') || '').split(';')[0];
+    assert.match(cookie, /^ltb_session=[0-9a-f]+$/);
+    const session = await running.request('GET', '/api/session', undefined, { Cookie: cookie });
+    assert.equal(session.body.user.role, 'student');
+    assert.equal(session.body.user.name, 'Ava Stone');
+});
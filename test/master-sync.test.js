@@ -0,0 +1,118 @@
+/*
+ * Master DB sync: nothing is downloaded while the spreadsheet is unmodified,
+ * changes (rows added, cells edited in place) are picked up as soon as it is,
+ * and the local database isn't rewritten when nothing changed.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { service, fake, config } = require('./support/setup');
+
+const MASTER_PATH = path.join(process.env.LTB_DATA_DIR, 'master_sheet_db.json');
+const HISTORY_PATH = path.join(process.env.LTB_DATA_DIR, 'master_sync_history.json');
+
+const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+
+/**
+ * Ranges of the tab downloads made since the call numbered `since`
+ */
+function downloadedRanges(since) {
+    return fake.calls.slice(since)
+        .filter(call => call.method === 'values.batchGet')
+        .flatMap(call => call.params.ranges);
+}
+
+test('tabs are downloaded only when the spreadsheet changed, and an unchanged database is not rewritten', async () => {
+    fs.rmSync(MASTER_PATH, { force: true });
+    fs.rmSync(HISTORY_PATH, { force: true });
+    const tabCount = (await fake.sheets.spreadsheets.get({ spreadsheetId: config.SPREADSHEET_ID })).data.sheets.length;
+
+    // First sync downloads everything
+    const first = await service.syncMasterDatabase();
+    assert.equal(first.success, true);
+    assert.equal(first.downloaded, tabCount);
+    assert.equal(first.changed.length, tabCount);
+    const saved = fs.readFileSync(MASTER_PATH, 'utf8');
+
+    // Spreadsheet not modified: nothing downloaded, nothing written
+    let since = fake.calls.length;
+    const unmodified = await service.syncMasterDatabase();
+    assert.equal(unmodified.skipped, true);
+    assert.deepEqual(downloadedRanges(since), []);
+    assert.equal(fs.readFileSync(MASTER_PATH, 'utf8'), saved);
+
+    // A row added to one tab: that tab is the one that changed
+    await pause();
+    await fake.sheets.spreadsheets.values.append({
+        spreadsheetId: config.SPREADSHEET_ID,
+        range: "'Project Log'!A:A",
+        valueInputOption: 'RAW',
+        requestBody: { values: [['P-NEW', '1/2/2026', 'S001']] }
+    });
+    since = fake.calls.length;
+    const added = await service.syncMasterDatabase();
+    assert.deepEqual(added.changed, ['Project Log']);
+    assert.equal(added.downloaded, tabCount);
+    assert.equal(downloadedRanges(since).length, tabCount, 'in one request');
+    const db = service.getLocalMasterDB();
+    assert.equal(db.sheets['Project Log'].at(-1)[0], 'P-NEW');
+    assert.equal(Object.keys(db.sheets).length, tabCount);
+    const history = JSON.parse(fs.readFileSync(HISTORY_PATH, 'utf8'));
+    assert.equal(history.length, 2);
+    assert.equal(history[0].changes[0].added, 1);
+
+    // A cell edited in place (same size, same Column A) is picked up straight away
+    await pause();
+    await fake.sheets.spreadsheets.values.update({
+        spreadsheetId: config.SPREADSHEET_ID,
+        range: "'Project Log'!J3",
+        valueInputOption: 'RAW',
+        requestBody: { values: [['Completed']] }
+    });
+    since = fake.calls.length;
+    const edited = await service.syncMasterDatabase();
+    assert.equal(edited.success, true);
+    assert.deepEqual(edited.changed, ['Project Log']);
+    assert.ok(downloadedRanges(since).includes("'Project Log'"), 'the edited tab is downloaded again');
+    assert.equal(service.getLocalMasterDB().sheets['Project Log'][2][9], 'Completed');
+    const editHistory = JSON.parse(fs.readFileSync(HISTORY_PATH, 'utf8'));
+    assert.equal(editHistory.length, 3);
+    assert.equal(editHistory[0].changes[0].changed, 1);
+
+    // Modified but with the same values: the new modified time is saved, no history entry
+    await pause();
+    const afterEdit = service.getLocalMasterDB();
+    await fake.sheets.spreadsheets.values.update({
+        spreadsheetId: config.SPREADSHEET_ID,
+        range: "'Project Log'!J3",
+        valueInputOption: 'RAW',
+        requestBody: { values: [['Completed']] }
+    });
+    const same = await service.syncMasterDatabase();
+    assert.deepEqual(same.changed, []);
+    assert.notEqual(service.getLocalMasterDB().spreadsheetModifiedTime, afterEdit.spreadsheetModifiedTime);
+    assert.equal(JSON.parse(fs.readFileSync(HISTORY_PATH, 'utf8')).length, 3, 'no history entry when nothing changed');
+    assert.equal((await service.syncMasterDatabase()).skipped, true, 'and the next sync skips');
+});
+
+test('a forced sync asked for while an ordinary one runs is queued behind it, not dropped', async () => {
+    fs.rmSync(MASTER_PATH, { force: true });
+    await service.syncMasterDatabase();
+
+    // The spreadsheet is unmodified, so the running sync skips; the forced one still downloads
+    const since = fake.calls.length;
+    const running = service.syncMasterDatabase();
+    const forced = service.syncMasterDatabase({ force: true });
+    const alsoForced = service.syncMasterDatabase({ force: true });
+    const waiting = service.syncMasterDatabase();
+
+    const [ordinary, forcedResult, alsoForcedResult, waitingResult] = await Promise.all([running, forced, alsoForced, waiting]);
+    assert.equal(ordinary.skipped, true);
+    assert.equal(waitingResult, ordinary, 'an ordinary call shares the running sync');
+    assert.equal(forcedResult.success, true);
+    assert.ok(!forcedResult.skipped, 'the forced sync compared the tabs');
+    assert.equal(alsoForcedResult, forcedResult, 'forced callers share one queued sync');
+    assert.equal(fake.calls.slice(since).filter(call => call.method === 'values.batchGet').length, 1, 'one download, by the forced sync');
+});
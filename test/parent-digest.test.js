@@ -0,0 +1,184 @@
+/*
+ * Weekly parent digest: what goes in it, sending through the .eml outbox, a
+ * plugged-in transport and SMTP, and not sending the same week twice.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const { service, fake, daysAgo } = require('./support/setup');
+const digestService = require('../digest-service');
+const mailTransport = require('../mail-transport');
+
+const CHILD_HEADERS = { A: 'ID', B: 'Parent Email', C: 'Child Names', E: 'Parent First Name', K: 'Service Title', M: 'Active Status', X: 'Note for child' };
+const LOG_HEADERS = { A: 'Unique ID', B: 'Date', C: 'SID', I: 'Project Name', J: 'Project Status', Z: 'Completed Date', AC: 'Points' };
+const BOOKING_HEADERS = { A: 'Email', E: 'Student Name', H: 'Service Title', M: 'Class Date', N: 'Checked In', O: 'Student ID' };
+
+function sheetDate(days) {
+    return daysAgo(days).toLocaleDateString('en-US');
+}
+
+function bookingDate(days) {
+    return daysAgo(days).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * A one-off SMTP server that accepts everything and keeps what it was sent
+ */
+function startSmtpServer() {
+    const received = [];
+    const server = net.createServer(socket => {
+        let inData = false;
+        let buffer = '';
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        received[received.length - 1].data.push(line);
+                    }
+                } else if (/^EHLO/.test(line)) {
+                    socket.write('250-test\r\n250 8BITMIME\r\n');
+                } else if (/^MAIL FROM/.test(line)) {
+                    received.push({ from: line, data: [] });
+                    socket.write('250 ok\r\n');
+                } else if (/^RCPT TO/.test(line)) {
+                    received[received.length - 1].to = line;
+                    socket.write('250 ok\r\n');
+                } else if (line === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                }
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port })));
+}
+
+beforeEach(() => {
+    fs.rmSync(mailTransport.OUTBOX_DIR, { recursive: true, force: true });
+    fs.rmSync(digestService.SENT_LOG_PATH, { force: true });
+    mailTransport.setTransport(null);
+
+    fake.setSheet('Child Names', {
+        headers: CHILD_HEADERS,
+        rows: [
+            { A: 'S001', B: 'ava.parent@example.com', C: 'Ava Stone', E: 'Maria', K: 'Robotics', M: 'Active', X: 'Great focus on <sensors> this week!' },
+            { A: 'S002', B: '', C: 'Ben Ortiz', E: 'Luis', K: 'Coding', M: 'Active' },
+            { A: 'S003', B: 'cara.parent@example.com', C: 'Cara Lee', E: 'Jin', K: 'Robotics', M: 'No' }
+        ]
+    });
+    fake.setSheet('Project Log', {
+        headers: LOG_HEADERS,
+        rows: [
+            { A: 'L1', B: sheetDate(20), C: 'S001', I: 'PROJ101', J: 'Completed', Z: sheetDate(20), AC: '10' },
+            { A: 'L2', B: sheetDate(2), C: 'S001', I: 'PROJ201', J: 'Completed', Z: sheetDate(2), AC: '15' },
+            { A: 'L3', B: sheetDate(1), C: 'S001', I: 'PROJ102', J: 'In Progress' }
+        ]
+    });
+    fake.setSheet('All Booking Info', {
+        headers: BOOKING_HEADERS,
+        rows: [
+            { E: 'Ava Stone', H: 'Robotics', M: bookingDate(7), N: 'TRUE', O: 'S001' },
+            { E: 'Ava Stone', H: 'Robotics', M: bookingDate(-7), N: 'FALSE', O: 'S001' },
+            { E: 'Ava Stone', H: 'Robotics', M: bookingDate(-14), N: 'FALSE', O: 'S001' }
+        ]
+    });
+});
+
+test('the digest has this week\'s projects, points, upcoming classes and the note', async () => {
+    const digest = await service.buildParentDigest('s001', { forceRefresh: true });
+
+    assert.equal(digest.parentEmail, 'ava.parent@example.com');
+    assert.equal(digest.parentName, 'Maria');
+    assert.deepEqual(digest.completed.map(p => [p.name.startsWith('PROJ201'), p.points]), [[true, 15]], 'last week\'s project is left out');
+    assert.equal(digest.working.length, 1);
+    assert.ok(digest.working[0].startsWith('PROJ102'));
+    assert.equal(digest.pointsEarned, 15);
+    assert.deepEqual(digest.upcoming.map(c => c.classDate), [bookingDate(-7), bookingDate(-14)]);
+
+    const html = digestService.renderHtml(digest);
+    assert.match(html, /Hi Maria/);
+    assert.match(html, /&lt;sensors&gt;/, 'the note is escaped');
+    assert.match(digestService.renderText(digest), /Points earned this week: 15/);
+
+    await assert.rejects(service.buildParentDigest('S999'), /Student not found/);
+});
+
+test('sending writes .eml files to the outbox and skips a week already sent', async () => {
+    const first = await service.sendParentDigests();
+
+    // Active students: S001 (has an email) and S002 (no email)
+    assert.deepEqual(first.results.map(r => [r.studentId, r.status, r.reason]), [
+        ['S001', 'sent', undefined],
+        ['S002', 'skipped', 'noEmail']
+    ]);
+    const files = fs.readdirSync(mailTransport.OUTBOX_DIR);
+    assert.equal(files.length, 1);
+    const raw = fs.readFileSync(`${mailTransport.OUTBOX_DIR}/${files[0]}`, 'utf8');
+    assert.match(raw, /^To: ava\.parent@example\.com$/m);
+    assert.match(raw, /^Subject: Ava Stone's week at LearnToBot$/m);
+
+    const again = await service.sendParentDigests({ studentIds: ['S001'] });
+    assert.deepEqual([again.sent, again.results[0].reason], [0, 'alreadySent']);
+
+    const forced = await service.sendParentDigests({ studentIds: ['S001'], force: true });
+    assert.equal(forced.sent, 1);
+    assert.equal(fs.readdirSync(mailTransport.OUTBOX_DIR).length, 2);
+});
+
+test('a plugged-in transport gets the message; its failures are reported per student', async () => {
+    const sent = [];
+    mailTransport.setTransport({
+        async send(message) {
+            if (message.to === 'cara.parent@example.com') throw new Error('Mailbox full');
+            sent.push(message);
+            return { messageId: '<test@example.com>' };
+        }
+    });
+
+    const result = await service.sendParentDigests({ studentIds: ['S001', 'S003'] });
+
+    assert.deepEqual(sent.map(m => m.to), ['ava.parent@example.com']);
+    assert.match(sent[0].html, /Ava Stone/);
+    assert.deepEqual(result.results.map(r => [r.studentId, r.status, r.error]), [
+        ['S001', 'sent', undefined],
+        ['S003', 'failed', 'Mailbox full']
+    ]);
+    assert.equal(digestService.wasSent('S003', result.weekOf), false, 'a failed send can be retried');
+    assert.throws(() => mailTransport.setTransport({}), /send\(message\)/);
+});
+
+test('the SMTP transport delivers to an SMTP server', async () => {
+    const { server, received, port } = await startSmtpServer();
+    try {
+        const transport = mailTransport.createSmtpTransport({ host: '127.0.0.1', port });
+        const result = await transport.send({
+            from: 'LearnToBot <hello@learntobot.local>',
+            to: 'ava.parent@example.com',
+            subject: 'Ava\'s week',
+            text: '.starts with a dot',
+            html: '<p>Hi</p>'
+        });
+
+        assert.equal(result.transport, 'smtp');
+        assert.equal(received.length, 1);
+        assert.equal(received[0].from, 'MAIL FROM:<hello@learntobot.local>');
+        assert.equal(received[0].to, 'RCPT TO:<ava.parent@example.com>');
+        assert.ok(received[0].data.includes(`Message-ID: ${result.messageId}`));
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    await assert.rejects(mailTransport.send({ from: 'a@b.c', to: '', subject: 'x' }), /needs a recipient/);
+});
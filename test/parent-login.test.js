@@ -0,0 +1,197 @@
+/*
+ * Parent login by emailed code: exact email matches only, codes and links
+ * that work once and expire, rate limits, and a session that covers that
+ * family's children and nobody else's. Asking for a code answers as fast for
+ * an unknown email, and online the limit is per visitor, not per proxy.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { service, fake } = require('./support/setup');
+const config = require('../google-sheets-config');
+const auth = require('../auth-service');
+const access = require('../access-control');
+const parentLogin = require('../parent-login-service');
+const mailTransport = require('../mail-transport');
+const { startServer } = require('./support/server');
+
+const CHILD_HEADERS = { A: 'ID', B: 'Parent Email', C: 'Child Names', E: 'Parent First Name', G: 'File Link', M: 'Active Status' };
+
+let sent;
+
+function codeIn(message) {
+    return message.subject.match(/(\d{6})$/)[1];
+}
+
+beforeEach(() => {
+    parentLogin.reset();
+    auth.reset();
+    sent = [];
+    mailTransport.setTransport({ async send(message) { sent.push(message); return { messageId: `<${sent.length}@test>` }; } });
+    config.PARENT_LOGIN.PUBLIC_URL = '';
+
+    fake.setSheet('Child Names', {
+        headers: CHILD_HEADERS,
+        rows: [
+            { A: 'S001', B: 'Maria.Stone@example.com', C: 'Ava Stone', E: 'Maria', G: 'https://drive.example/ava', M: 'Active' },
+            { A: 'S002', B: 'dad@example.com; maria.stone@example.com', C: 'Ben Stone', E: 'Maria', M: 'Active' },
+            { A: 'S003', B: 'maria.stone@example.com', C: 'Cal Stone', E: 'Maria', M: 'No' },
+            { A: 'S004', B: 'other.family@example.com', C: 'Dee Park', E: 'Jin', M: 'Active' }
+        ]
+    });
+});
+
+afterEach(() => {
+    mailTransport.setTransport(null);
+});
+
+test('only an exact email on file gets a code, for its active children', async () => {
+    const students = await service.fetchStudents(true);
+
+    for (const guess of ['example.com', 'maria', 'stone@example.com']) {
+        const result = await parentLogin.requestCode({ email: guess, ip: `10.0.0.${sent.length + 1}` }, students);
+        assert.equal(result.sent, false, `"${guess}" finds nobody`);
+    }
+    assert.equal(sent.length, 0);
+
+    const result = await parentLogin.requestCode({ email: '  MARIA.stone@example.com ', ip: '10.0.0.9' }, students);
+    assert.equal(result.sent, true);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'maria.stone@example.com');
+    assert.match(sent[0].text, /Ava Stone, Ben Stone's progress is \d{6}/, 'the inactive child is left out');
+    assert.doesNotMatch(sent[0].text, /https?:/, 'no link without PARENT_LOGIN.PUBLIC_URL');
+
+    assert.deepEqual(parentLogin.familyFor('dad@example.com', students).map(c => c.id), ['S002']);
+    await assert.rejects(parentLogin.requestCode({ email: ' ' }, students), /Email is required/);
+});
+
+test('a code works once, for its family, and not after it expires', async () => {
+    const students = await service.fetchStudents(true);
+    const start = Date.now();
+    await parentLogin.requestCode({ email: 'maria.stone@example.com', ip: '10.0.0.1' }, students, { now: start });
+    const code = codeIn(sent[0]);
+
+    assert.throws(() => parentLogin.verifyCode({ email: 'other.family@example.com', code }), /Invalid or expired code/);
+    const family = parentLogin.verifyCode({ email: 'Maria.Stone@example.com', code: ` ${code} ` }, { now: start + 1000 });
+    assert.deepEqual(family.children.map(c => [c.id, c.name, c.parentName]), [['S001', 'Ava Stone', 'Maria'], ['S002', 'Ben Stone', 'Maria']]);
+    assert.throws(() => parentLogin.verifyCode({ email: 'maria.stone@example.com', code }), /Invalid or expired code/, 'used up');
+
+    await parentLogin.requestCode({ email: 'maria.stone@example.com', ip: '10.0.0.1' }, students, { now: start });
+    assert.throws(() => parentLogin.verifyCode({ email: 'maria.stone@example.com', code: codeIn(sent[1]) }, { now: start + 15 * 60000 }), /Invalid or expired code/);
+    assert.throws(() => parentLogin.verifyCode({ email: 'maria.stone@example.com' }), /Email and code required/);
+});
+
+test('wrong codes: five and the code is cancelled', async () => {
+    const students = await service.fetchStudents(true);
+    await parentLogin.requestCode({ email: 'maria.stone@example.com', ip: '10.0.0.1' }, students);
+    const code = codeIn(sent[0]);
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 5; i++) {
+        assert.throws(() => parentLogin.verifyCode({ email: 'maria.stone@example.com', code: wrong }), /Invalid or expired code/);
+    }
+    assert.throws(() => parentLogin.verifyCode({ email: 'maria.stone@example.com', code }), /Invalid or expired code/);
+});
+
+test('the emailed link logs in once when the public address is set', async () => {
+    config.PARENT_LOGIN.PUBLIC_URL = 'https://progress.example.com/';
+    const students = await service.fetchStudents(true);
+    await parentLogin.requestCode({ email: 'other.family@example.com', ip: '10.0.0.1' }, students);
+
+    const link = sent[0].text.match(/https:\/\/progress\.example\.com\/api\/parent-login\/link\?token=([0-9a-f]+)/);
+    assert.ok(link, 'the email has the link');
+    assert.match(sent[0].html, /Log in with one click/);
+
+    assert.deepEqual(parentLogin.verifyLink(link[1]).children.map(c => c.id), ['S004']);
+    assert.throws(() => parentLogin.verifyLink(link[1]), /Invalid or expired link/);
+    assert.throws(() => parentLogin.verifyLink(''), /Invalid or expired link/);
+});
+
+test('code requests are rate limited per email and per computer', async () => {
+    const students = await service.fetchStudents(true);
+    const start = Date.now();
+
+    for (let i = 0; i < 3; i++) {
+        await parentLogin.requestCode({ email: 'maria.stone@example.com', ip: `10.0.1.${i}` }, students, { now: start + i });
+    }
+    await assert.rejects(
+        parentLogin.requestCode({ email: 'maria.stone@example.com', ip: '10.0.1.99' }, students, { now: start + 10 }),
+        /Too many code requests. Try again in 15 minutes/
+    );
+    // Addresses that aren't on file count too, so guessing is limited as well
+    for (let i = 0; i < 10; i++) {
+        await parentLogin.requestCode({ email: `guess${i}@example.com`, ip: '10.0.2.1' }, students, { now: start });
+    }
+    await assert.rejects(parentLogin.requestCode({ email: 'other.family@example.com', ip: '10.0.2.1' }, students, { now: start }), /Too many code requests/);
+
+    // After the window both work again
+    const later = start + 15 * 60000 + 20;
+    assert.equal((await parentLogin.requestCode({ email: 'maria.stone@example.com', ip: '10.0.2.1' }, students, { now: later })).sent, true);
+});
+
+test('the parent session sees that family\'s children only', async () => {
+    const students = await service.fetchStudents(true);
+    await parentLogin.requestCode({ email: 'maria.stone@example.com', ip: '10.0.0.1' }, students);
+    const family = parentLogin.verifyCode({ email: 'maria.stone@example.com', code: codeIn(sent[0]) });
+    const session = auth.startSession({ name: family.email, role: 'parent', students: family.children });
+    const user = { ...auth.getSession(session.token), source: 'session' };
+
+    const summary = access.ruleFor('GET', '/api/student-summary/S002');
+    assert.equal(access.checkAccess(user, summary.rule, { params: summary.params }).allowed, true);
+    const stranger = access.ruleFor('GET', '/api/student-summary/S004');
+    assert.equal(access.checkAccess(user, stranger.rule, { params: stranger.params }).status, 403);
+    const inactive = access.ruleFor('GET', '/api/student-summary/S003');
+    assert.equal(access.checkAccess(user, inactive.rule, { params: inactive.params }).status, 403);
+
+    // child-progress.html looks a child up by name first
+    const byName = access.ruleFor('GET', '/api/resolve-id/Ava%20Stone');
+    assert.equal(access.checkAccess(user, byName.rule, { params: byName.params }).allowed, true);
+    assert.equal(user.students[0].fileLink, 'https://drive.example/ava');
+});
+
+test('without a plugged-in transport the code lands in the outbox', async () => {
+    mailTransport.setTransport(null);
+    fs.rmSync(mailTransport.OUTBOX_DIR, { recursive: true, force: true });
+    const students = await service.fetchStudents(true);
+
+    const result = await parentLogin.requestCode({ email: 'other.family@example.com', ip: '10.0.0.1' }, students);
+    assert.equal(await result.delivery, true);
+
+    const files = fs.readdirSync(mailTransport.OUTBOX_DIR);
+    assert.equal(files.length, 1);
+    const raw = fs.readFileSync(`${mailTransport.OUTBOX_DIR}/${files[0]}`, 'utf8');
+    assert.match(raw, /^To: other\.family@example\.com$/m);
+    assert.match(raw, /^Subject: Your LearnToBot login code: \d{6}$/m);
+});
+
+test('asking for a code doesn\'t wait for the email, known address or not', async () => {
+    const students = await service.fetchStudents(true);
+    let deliver;
+    mailTransport.setTransport({ send: () => new Promise(resolve => { deliver = resolve; }) });
+
+    const known = await parentLogin.requestCode({ email: 'maria.stone@example.com', ip: '10.0.0.1' }, students);
+    const unknown = await parentLogin.requestCode({ email: 'nobody@example.com', ip: '10.0.0.1' }, students);
+    assert.deepEqual([known.sent, unknown.sent], [true, false], 'both answered while the email is still going out');
+    assert.equal(await unknown.delivery, false);
+    deliver({ messageId: '<slow@test>' });
+    assert.equal(await known.delivery, true);
+
+    // An email that can't be sent leaves no code waiting
+    mailTransport.setTransport({ async send() { throw new Error('SMTP down'); } });
+    const failed = await parentLogin.requestCode({ email: 'other.family@example.com', ip: '10.0.0.1' }, students);
+    assert.equal(await failed.delivery, false);
+    assert.throws(() => parentLogin.verifyCode({ email: 'other.family@example.com', code: '123456' }), /Invalid or expired code/);
+});
+
+test('online, the per-computer limit goes by the visitor\'s address behind the proxy', async (t) => {
+    const running = await startServer({ DEPLOYMENT_MODE: 'cloud' });
+    t.after(() => running.stop());
+    const ask = (email, visitor) => running.request('POST', '/api/check-parent-email', { email }, { 'X-Forwarded-For': visitor });
+
+    for (let i = 0; i < config.PARENT_LOGIN.REQUESTS_PER_IP; i++) {
+        assert.equal((await ask(`guess${i}@example.com`, '198.51.100.7')).status, 200);
+    }
+    assert.equal((await ask('guess-more@example.com', '198.51.100.7')).status, 429, 'that visitor is limited');
+    assert.equal((await ask('another@example.com', '203.0.113.20')).status, 200, 'other parents are not');
+});
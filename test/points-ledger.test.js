@@ -0,0 +1,131 @@
+/*
+ * Points ledger: earns (Project Log), spends (redemptions) and manual
+ * adjustments as one list of transactions, totals derived from it, and the
+ * Column AH reconciliation report.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake, daysAgo } = require('./support/setup');
+const pointsLedger = require('../points-ledger-service');
+const { startServer } = require('./support/server');
+
+test('every earn, spend and adjustment is a transaction with the totals worked out from them', async () => {
+    await service.addPointsAdjustment('S001', 15, 'Helped clean up', 'Ms. Rivera');
+    await service.addPointsAdjustment('S001', -3, 'Points double-counted last week', 'Mr. Chen');
+
+    const ledger = await service.getStudentPointsLedger('S001', true);
+
+    assert.deepEqual(ledger.transactions.map(tx => [tx.type, tx.points]).sort(), [
+        ['adjust', -3], ['adjust', 15], ['earn', 10], ['spend', -5]
+    ]);
+    assert.equal(ledger.earned, 10);
+    assert.equal(ledger.adjusted, 12);
+    assert.equal(ledger.spent, 5);
+    assert.equal(ledger.totalPoints, 22);
+    assert.equal(ledger.balance, 17);
+    assert.equal(ledger.weeklyPoints, 12, 'only the adjustments are this week');
+
+    const adjustment = ledger.transactions.find(tx => tx.points === 15);
+    assert.equal(adjustment.reason, 'Helped clean up');
+    assert.equal(adjustment.by, 'Ms. Rivera');
+});
+
+test('adjustments are rows on the points adjustments tab, so every deployment reads the same ones', async () => {
+    const result = await service.addPointsAdjustment('S001', 15, 'Helped clean up', 'Ms. Rivera');
+
+    const rows = fake.getSheet('points adjustments');
+    assert.equal(rows.length, 2, 'header plus the new row');
+    const [at, studentId, studentName, points, reason, instructor, id] = rows[1];
+    assert.equal(studentId, 'S001');
+    assert.ok(studentName);
+    assert.equal(Number(points), 15);
+    assert.equal(reason, 'Helped clean up');
+    assert.equal(instructor, 'Ms. Rivera');
+    assert.equal(id, result.adjustment.id);
+    assert.ok(!Number.isNaN(Date.parse(at)));
+
+    const fromSheet = await service.fetchPointsAdjustments(true);
+    assert.deepEqual(fromSheet.map(a => [a.id, a.studentId, a.points, a.instructor]), [
+        [result.adjustment.id, 'S001', 15, 'Ms. Rivera']
+    ]);
+});
+
+test('the adjust route records the logged-in instructor, not a name typed in the body', async (t) => {
+    const running = await startServer();
+    t.after(() => running.stop());
+
+    const login = await running.request('POST', '/api/instructor-login', { name: 'Ms. Rivera', passcode: '1234' });
+    assert.equal(login.status, 200);
+    const cookie = (login.headers.get('set-cookie') || '').split(';')[0];
+
+    const res = await running.request('POST', '/api/points/adjust',
+        { studentId: 'S001', points: 5, reason: 'Bonus', instructorName: 'Somebody Else' },
+        { Cookie: cookie });
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.adjustment.instructor, 'Ms. Rivera');
+});
+
+test('the leaderboard balance includes adjustments', async () => {
+    await service.addPointsAdjustment('S002', 50, 'Competition winner', 'Ms. Rivera');
+
+    const board = await service.getLeaderboard(true);
+
+    assert.equal(board[0].id, 'S002');
+    assert.equal(board[0].totalPoints, 50);
+    assert.equal(board[0].currentBalance, 50);
+});
+
+test('adjustments need a student on Child Names, whole points and a reason', async () => {
+    await assert.rejects(service.addPointsAdjustment('S999', 5, 'Bonus'), /Student not found/);
+    await assert.rejects(service.addPointsAdjustment('S001', 0, 'Bonus'), /Points must be/);
+    await assert.rejects(service.addPointsAdjustment('S001', 2.5, 'Bonus'), /Points must be/);
+    await assert.rejects(service.addPointsAdjustment('S001', 5, '  '), /reason is required/);
+    assert.deepEqual(await service.fetchPointsAdjustments(true), [], 'nothing written');
+});
+
+test('deleted Project Log rows and rejected redemptions do not count', () => {
+    const transactions = pointsLedger.buildTransactions({
+        projectLog: [
+            { id: 'L1', studentId: 'S001', points: '20', projectStatus: 'Completed', date: '1/10/2025' },
+            { id: 'L2', studentId: 'S001', points: '30', projectStatus: 'Deleted', date: '1/10/2025' }
+        ],
+        redemptions: [
+            { studentId: 'S001', pointsCost: 5, status: 'APPROVED', timestamp: '2/1/2025' },
+            { studentId: 'S001', pointsCost: 8, status: 'REJECTED', timestamp: '2/2/2025' }
+        ]
+    });
+
+    const summary = pointsLedger.summaryFor(pointsLedger.summarize(transactions, { now: daysAgo(0) }), 'S001');
+    assert.equal(summary.totalPoints, 20);
+    assert.equal(summary.balance, 15);
+});
+
+test('reconciliation flags students whose Column AH does not match the ledger', async () => {
+    // Fixtures: AH says S001 = 60, S002 = 25, S003 = 0; the ledger has 10, 0, 0
+    await service.addPointsAdjustment('S002', 25, 'Points from the old paper chart', 'Ms. Rivera');
+
+    const report = await service.reconcilePoints(true);
+
+    assert.equal(report.checked, 3);
+    assert.equal(report.matching, 2);
+    assert.deepEqual(report.mismatches.map(m => [m.studentId, m.sheetTotal, m.ledgerTotal, m.difference]), [
+        ['S001', 60, 10, 50]
+    ]);
+});
+
+test('student totals shown on pages come from the ledger, not Column AH', async () => {
+    // Fixtures: AH says S001 = 60; the ledger has 10 earned
+    await service.addPointsAdjustment('S001', 5, 'Helped a friend', 'Ms. Rivera');
+
+    const kids = await service.fetchAllKids(true);
+    assert.equal(kids.find(k => k.id === 'S001').totalPoints, 15);
+
+    const summary = await service.getStudentProjects('S001', true);
+    assert.equal(summary.totalPoints, 15);
+
+    const [student] = (await service.fetchStudents(true)).filter(s => s.id === 'S001');
+    assert.equal(student.sheetTotalPoints, 60, 'Column AH kept for the reconciliation report');
+    assert.equal(student.totalPoints, undefined);
+});
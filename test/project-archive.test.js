@@ -0,0 +1,116 @@
+/*
+ * Deleting a Project Log entry moves the whole row to the local archive and
+ * marks it Deleted in the sheet (never removed); restoring puts it back
+ * exactly as it was (once).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { service, fake } = require('./support/setup');
+const projectArchive = require('../project-archive-service');
+
+function isConflict(reason) {
+    return error => error.code === 'ROW_CONFLICT' && error.details.reason === reason;
+}
+
+function logIds() {
+    return fake.getSheet('Project Log').slice(1).map(row => row[0]);
+}
+
+beforeEach(() => {
+    fs.rmSync(projectArchive.ARCHIVE_PATH, { force: true });
+});
+
+test('deleting keeps the whole row, who deleted it and when', async () => {
+    const result = await service.deleteProjectEntry('PL001', 'Ms. Rivera');
+
+    assert.deepEqual(logIds(), ['PL001', 'PL002', 'PL003'], 'the row stays in the sheet');
+    assert.equal(fake.getCell('Project Log', 'J2'), 'Deleted');
+    assert.equal(fake.getCell('Project Log', 'V2'), 'Ms. Rivera');
+    assert.equal(fake.getCell('Project Log', 'AC2'), '10');
+    assert.equal(fake.callsTo('spreadsheets.batchUpdate').length, 0, 'no rows removed');
+    const [entry] = projectArchive.listEntries();
+    assert.equal(entry.archiveId, result.archiveId);
+    assert.equal(entry.uniqueId, 'PL001');
+    assert.equal(entry.status, 'Completed');
+    assert.equal(entry.deletedBy, 'Ms. Rivera');
+    assert.ok(entry.deletedAt);
+    assert.equal(entry.values[entry.headers.indexOf('Points')], '10');
+
+    const projects = await service.fetchProjectLog(true);
+    assert.ok(!projects.some(p => p.id === 'PL001'), 'gone from the Project Log');
+    await assert.rejects(service.deleteProjectEntry('PL001', 'Ms. Rivera'), isConflict('missing'));
+});
+
+test('restoring puts the same values back and can only happen once', async () => {
+    const { archiveId } = await service.deleteProjectEntry('PL001', 'Ms. Rivera');
+
+    const result = await service.restoreProjectEntry(archiveId, 'Mr. Chen');
+
+    assert.equal(result.uniqueId, 'PL001');
+    assert.deepEqual(logIds(), ['PL001', 'PL002', 'PL003']);
+    assert.equal(fake.getCell('Project Log', 'J2'), 'Completed');
+    assert.equal(fake.getCell('Project Log', 'AC2'), '10');
+    assert.equal(fake.getCell('Project Log', 'V2'), 'Mr. Chen');
+    assert.ok((await service.fetchProjectLog(true)).some(p => p.id === 'PL001'), 'back in the Project Log');
+    assert.equal(projectArchive.listEntries().length, 0, 'no longer waiting to be restored');
+    assert.equal(projectArchive.listEntries({ includeRestored: true })[0].restoredBy, 'Mr. Chen');
+
+    await assert.rejects(service.restoreProjectEntry(archiveId, 'Mr. Chen'), isConflict('restored'));
+    assert.equal(fake.callsTo('values.append').length, 0);
+});
+
+test('a row removed from the sheet by hand is appended again on restore', async () => {
+    await service.deleteProjectEntry('PL001', 'Ms. Rivera');
+    fake.setSheet('Project Log', fake.getSheet('Project Log').filter(row => row[0] !== 'PL001'));
+
+    await service.restoreProjectEntry('PL001', 'Mr. Chen');
+
+    assert.deepEqual(logIds(), ['PL002', 'PL003', 'PL001']);
+    assert.equal(fake.getCell('Project Log', 'J4'), 'Completed');
+    assert.equal(fake.getCell('Project Log', 'AC4'), '10');
+    assert.equal(fake.getCell('Project Log', 'V4'), 'Mr. Chen');
+});
+
+test('completing a project whose entry was deleted writes a new row', async () => {
+    await service.deleteProjectEntry('PL002', 'Ms. Rivera');
+
+    await service.markProjectComplete('S001', 'PROJ102', '', '5', 'Ms. Rivera');
+
+    assert.equal(fake.getCell('Project Log', 'J3'), 'Deleted', 'the deleted row is left alone');
+    assert.equal(fake.getSheet('Project Log').at(-1)[9], 'Completed');
+});
+
+test('restoring by Unique ID refuses when that ID is already back in the sheet', async () => {
+    await service.deleteProjectEntry('PL002', 'Ms. Rivera');
+    const rows = fake.getSheet('Project Log');
+    fake.setSheet('Project Log', [...rows, ['PL002', '2/14/2025', 'S001']]);
+
+    await assert.rejects(service.restoreProjectEntry('PL002', 'Mr. Chen'), isConflict('exists'));
+    await assert.rejects(service.restoreProjectEntry('nope', 'Mr. Chen'), /Archived entry not found/);
+});
+
+test('restoring follows the headers when columns moved after the delete', async () => {
+    await service.deleteProjectEntry('PL001', 'Ms. Rivera');
+    // Someone inserts a column in front of "Project Status"
+    fake.setSheet('Project Log', fake.getSheet('Project Log').map((row, i) => {
+        const copy = [...row];
+        copy.splice(9, 0, i === 0 ? 'Room' : '');
+        return copy;
+    }));
+
+    await service.restoreProjectEntry('PL001', 'Mr. Chen');
+
+    assert.equal(fake.getCell('Project Log', 'J2'), '');
+    assert.equal(fake.getCell('Project Log', 'K2'), 'Completed');
+});
+
+test('a failed sheet delete leaves no restorable copy behind', async () => {
+    fake.failNext('values.batchUpdate', { status: 400 });
+
+    await assert.rejects(service.deleteProjectEntry('PL001', 'Ms. Rivera'));
+
+    assert.equal(fake.getCell('Project Log', 'J2'), 'Completed');
+    assert.equal(projectArchive.listEntries({ includeRestored: true }).length, 0);
+});
@@ -0,0 +1,79 @@
+/*
+ * markProjectComplete(): updates the student's row for the project in the
+ * Project Log (or appends one), and tidies up the uploaded Drive video.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake } = require('./support/setup');
+
+const VIDEO_LINK = 'https://drive.google.com/file/d/video-abc123/view?usp=drivesdk';
+
+test('updates the existing row for the student and project', async () => {
+    const result = await service.markProjectComplete('S001', 'proj102', VIDEO_LINK, '5', 'Ms. Rivera', 'Completed', new Date(2026, 0, 13));
+
+    assert.equal(result.success, true);
+    const rows = fake.getSheet('Project Log');
+    assert.equal(rows.length, 4, 'no row is added');
+    assert.equal(fake.getCell('Project Log', 'J3'), 'Completed');
+    assert.equal(fake.getCell('Project Log', 'Q3'), VIDEO_LINK);
+    assert.equal(fake.getCell('Project Log', 'AB3'), '5');
+    assert.equal(fake.getCell('Project Log', 'V3'), 'Ms. Rivera');
+    assert.equal(fake.getCell('Project Log', 'B3'), '1/13/2026');
+    assert.equal(fake.getCell('Project Log', 'J4'), 'Assigned', 'other students are left alone');
+});
+
+test('updates the latest row when the project was assigned twice', async () => {
+    const rows = fake.getSheet('Project Log');
+    rows.push(['PL004', '3/1/2025', 'S001', '', 'Ava Stone', '', '', '', 'PROJ102', 'Assigned']);
+    fake.setSheet('Project Log', rows);
+
+    await service.markProjectComplete('S001', 'PROJ102', '', '4', 'Ms. Rivera');
+
+    assert.equal(fake.getCell('Project Log', 'J3'), 'Assigned');
+    assert.equal(fake.getCell('Project Log', 'J5'), 'Completed');
+});
+
+test('appends a new row when the project was never assigned', async () => {
+    await service.markProjectComplete('S002', 'PROJ201', '', '3', 'Ms. Rivera', 'Completed', new Date(2026, 0, 13));
+
+    const rows = fake.getSheet('Project Log');
+    assert.equal(rows.length, 5);
+    const added = rows[4];
+    assert.equal(added[2], 'S002');
+    assert.equal(added[8], 'PROJ201');
+    assert.equal(added[9], 'Completed');
+    assert.equal(added[27], '3');
+    assert.equal(added[21], 'Ms. Rivera');
+    assert.equal(added[1], '1/13/2026');
+    assert.ok(added[0], 'gets a unique ID');
+});
+
+test('renames the Drive video and makes it viewable by link', async () => {
+    await service.markProjectComplete('S001', 'PROJ102', VIDEO_LINK, '5', 'Ms. Rivera');
+
+    const file = fake.getFile('video-abc123');
+    assert.equal(file.name, 'PROJ102 S001');
+    assert.deepEqual(file.permissions.map(p => ({ role: p.role, type: p.type })), [{ role: 'reader', type: 'anyone' }]);
+});
+
+test('a Drive failure does not undo the completion', async () => {
+    fake.failNext('files.update', { status: 403 });
+
+    const result = await service.markProjectComplete('S001', 'PROJ102', VIDEO_LINK, '5', 'Ms. Rivera');
+
+    assert.equal(result.success, true);
+    assert.equal(fake.getCell('Project Log', 'J3'), 'Completed');
+});
+
+test('the completion shows up in fetchProjectLog', async () => {
+    const before = await service.fetchProjectLog();
+    assert.equal(before.find(p => p.id === 'PL002').projectStatus, 'Assigned');
+
+    await service.markProjectComplete('S001', 'PROJ102', '', '5', 'Ms. Rivera');
+
+    const after = await service.fetchProjectLog();
+    const entry = after.find(p => p.id === 'PL002');
+    assert.equal(entry.projectStatus, 'Completed');
+    assert.equal(entry.rating, '5');
+});
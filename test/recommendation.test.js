@@ -0,0 +1,81 @@
+/*
+ * Project recommendations: the prerequisite graph from the Projects List and
+ * the ranking getRecommendations() returns for a student.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake } = require('./support/setup');
+const recommender = require('../recommendation-service');
+
+const PROJECT_HEADERS = { A: 'Project Code', B: 'Full Project Name', BF: 'Type of Project', BH: 'Project Difficulty', BI: 'Prerequisites', BJ: 'Age Range' };
+
+beforeEach(() => {
+    fake.setSheet('Projects List', {
+        headers: PROJECT_HEADERS,
+        rows: [
+            { A: 'PROJ101', B: 'Blinking LED', BF: 'BUILDING', BH: '1' },
+            { A: 'PROJ102', B: 'Line Follower', BF: 'BOTH', BH: '2', BI: 'PROJ101' },
+            { A: 'PROJ103', B: 'Scratch Maze', BF: 'CODING', BH: '2', BI: 'PROJ101', BJ: '8-10' },
+            { A: 'PROJ104', B: 'Robot Arm', BF: 'BUILDING', BH: '2', BI: 'proj101', BJ: '12+' },
+            { A: 'PROJ105', B: 'Maze Solver', BF: 'CODING', BH: '3', BI: 'PROJ103' },
+            { A: 'PROJ106', B: 'Free Build', BH: '1', BI: 'PROJ999' },
+            { A: 'PROJ107', B: 'Chicken', BH: '4', BI: 'PROJ108' },
+            { A: 'PROJ108', B: 'Egg', BH: '4', BI: 'PROJ107' }
+        ]
+    });
+});
+
+test('parseAgeRange understands ranges, "10+" and single ages', () => {
+    assert.deepEqual(recommender.parseAgeRange('8-12'), { min: 8, max: 12 });
+    assert.deepEqual(recommender.parseAgeRange('Ages 12 to 8'), { min: 8, max: 12 });
+    assert.deepEqual(recommender.parseAgeRange('10+'), { min: 10, max: Infinity });
+    assert.deepEqual(recommender.parseAgeRange('9'), { min: 9, max: 9 });
+    assert.equal(recommender.parseAgeRange('all ages'), null);
+});
+
+test('the prerequisite graph reports unknown codes and loops', () => {
+    const graph = recommender.buildPrerequisiteGraph([
+        { id: 'A', prerequisites: '' },
+        { id: 'B', prerequisites: 'A, a; ZZZ' },
+        { id: 'C', prerequisites: 'D' },
+        { id: 'D', prerequisites: 'C' }
+    ]);
+
+    assert.deepEqual(graph.prerequisites.get('B'), ['A']);
+    assert.deepEqual(graph.dependents.get('A'), ['B']);
+    assert.deepEqual(graph.unknown, [{ code: 'B', prerequisite: 'ZZZ' }]);
+    assert.deepEqual(graph.cycles, [['C', 'D']]);
+});
+
+test('ranks ready projects first, best fit first, and skips completed or assigned ones', async () => {
+    const result = await service.getRecommendations('S001', { limit: 10, forceRefresh: true });
+
+    assert.equal(result.level, 1);
+    assert.deepEqual(result.categoryCounts, { BUILDING: 1, CODING: 0 });
+    assert.deepEqual(result.recommendations.map(r => [r.code, r.ready, r.score]), [
+        ['PROJ103', true, 100],
+        ['PROJ106', true, 78],
+        ['PROJ104', true, 70],
+        ['PROJ105', false, 43],
+        ['PROJ107', false, 25],
+        ['PROJ108', false, 25]
+    ]);
+    assert.deepEqual(result.recommendations[3].missingPrerequisites, ['PROJ103']);
+    assert.equal(result.recommendations[0].unlocks, 1);
+    assert.ok(result.recommendations[0].reasons.includes('Made for ages 8-10'));
+    assert.deepEqual(result.unknownPrerequisites, [{ code: 'PROJ106', prerequisite: 'PROJ999' }]);
+    assert.equal(result.prerequisiteCycles.length, 1);
+});
+
+test('returns the configured number of recommendations by default', async () => {
+    const result = await service.getRecommendations('S001');
+
+    assert.equal(result.recommendations.length, 5);
+    assert.equal(result.candidates, 6);
+    assert.equal(result.locked, 3);
+});
+
+test('an unknown student is an error', async () => {
+    await assert.rejects(service.getRecommendations('S404'), /Student not found/);
+});
@@ -0,0 +1,126 @@
+/*
+ * Redemptions: REQUESTED -> APPROVED/REJECTED -> FULFILLED, prize stock and
+ * per-student limits from the prizes tab, and no double-spending.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { service, fake } = require('./support/setup');
+
+beforeEach(() => {
+    fake.setSheet('prizes', {
+        headers: { A: 'Prize Name', B: 'Prize Points', C: 'Prize Image', D: 'Stock', E: 'Limit Per Student' },
+        rows: [
+            { A: 'Sticker Pack', B: '5', C: 'stickers.png' },
+            { A: 'LEGO Minifigure', B: '40', C: 'minifig.png', D: '1' },
+            { A: 'Robot Kit', B: '20', C: 'kit.png', D: '3', E: '1' }
+        ]
+    });
+});
+
+function isRefused(reason) {
+    return error => error.code === 'REDEMPTION_REFUSED' && error.details.reason === reason;
+}
+
+function isConflict(reason) {
+    return error => error.code === 'ROW_CONFLICT' && error.details.reason === reason;
+}
+
+function redemptionRow(redemptionId) {
+    return fake.getSheet('redemptions').find(row => row[6] === redemptionId);
+}
+
+async function balanceOf(studentId) {
+    return (await service.getStudentPointsLedger(studentId, true)).balance;
+}
+
+test('a request is recorded as REQUESTED at the sheet\'s price and holds the points', async () => {
+    // Fixtures: S001 earned 10 and already spent 5 on a Sticker Pack
+    const result = await service.requestRedemption('S001', 'sticker pack');
+
+    assert.equal(result.status, 'REQUESTED');
+    assert.equal(result.cost, 5);
+    assert.equal(result.newBalance, 0);
+    const row = redemptionRow(result.redemptionId);
+    assert.equal(row[2], 'S001');
+    assert.equal(row[3], 'Sticker Pack');
+    assert.equal(row[5], 'REQUESTED');
+    assert.equal(await balanceOf('S001'), 0);
+
+    await assert.rejects(service.requestRedemption('S001', 'Sticker Pack'), isRefused('balance'));
+    await assert.rejects(service.requestRedemption('S001', 'Golden Robot'), /Prize not found/);
+});
+
+test('two requests racing for the same points: only one gets through', async () => {
+    await service.addPointsAdjustment('S002', 25, 'Bonus', 'Ms. Rivera');
+
+    const outcomes = await Promise.allSettled([
+        service.requestRedemption('S002', 'Robot Kit'),
+        service.requestRedemption('S002', 'Sticker Pack'),
+        service.requestRedemption('S002', 'Sticker Pack')
+    ]);
+
+    assert.deepEqual(outcomes.map(o => o.status), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.equal(outcomes[2].reason.details.reason, 'balance');
+    const redemptionAppends = fake.callsTo('values.append').filter(call => call.params.range.startsWith('redemptions!'));
+    assert.equal(redemptionAppends.length, 2);
+    assert.equal(await balanceOf('S002'), 0);
+});
+
+test('stock counts open requests, and a rejected request frees the prize and the points', async () => {
+    await service.addPointsAdjustment('S001', 100, 'Bonus', 'Ms. Rivera');
+    await service.addPointsAdjustment('S002', 100, 'Bonus', 'Ms. Rivera');
+
+    const first = await service.requestRedemption('S001', 'LEGO Minifigure');
+    await assert.rejects(service.requestRedemption('S002', 'LEGO Minifigure'), isRefused('stock'));
+    const prizes = await service.getPrizeAvailability(true);
+    assert.equal(prizes.find(p => p['Prize Name'] === 'LEGO Minifigure').available, 0);
+    assert.equal(prizes.find(p => p['Prize Name'] === 'Sticker Pack').available, null, 'no stock column value = unlimited');
+
+    const before = await balanceOf('S001');
+    await service.updateRedemptionStatus(first.redemptionId, 'reject', 'Ms. Rivera');
+    assert.equal(await balanceOf('S001'), before + 40);
+
+    const second = await service.requestRedemption('S002', 'LEGO Minifigure');
+    assert.equal(second.status, 'REQUESTED');
+});
+
+test('the per-student limit counts every request that was not rejected', async () => {
+    await service.addPointsAdjustment('S001', 100, 'Bonus', 'Ms. Rivera');
+
+    await service.requestRedemption('S001', 'Robot Kit');
+    await assert.rejects(service.requestRedemption('S001', 'Robot Kit'), isRefused('limit'));
+});
+
+test('approve then fulfil: statuses, Handled By, and one off the stock', async () => {
+    await service.addPointsAdjustment('S001', 100, 'Bonus', 'Ms. Rivera');
+    const { redemptionId } = await service.requestRedemption('S001', 'Robot Kit');
+
+    const approved = await service.updateRedemptionStatus(redemptionId, 'approve', 'Ms. Rivera');
+    assert.deepEqual(approved.before, { status: 'REQUESTED' });
+    assert.equal(redemptionRow(redemptionId)[5], 'APPROVED');
+    assert.equal(redemptionRow(redemptionId)[7], 'Ms. Rivera');
+    assert.equal(fake.getCell('prizes', 'D4'), '3', 'stock only moves when the prize is handed over');
+
+    const fulfilled = await service.updateRedemptionStatus(redemptionId, 'fulfill', 'Mr. Chen');
+    assert.equal(fulfilled.stock, 2);
+    assert.equal(redemptionRow(redemptionId)[5], 'FULFILLED');
+    assert.equal(String(fake.getCell('prizes', 'D4')), '2');
+    assert.equal(fake.callsTo('values.batchUpdate').length, 2, 'status and stock in one write');
+
+    await assert.rejects(service.updateRedemptionStatus(redemptionId, 'reject', 'Mr. Chen'), isConflict('changed'));
+    await assert.rejects(service.updateRedemptionStatus('NOPE', 'approve', 'Mr. Chen'), isConflict('missing'));
+    await assert.rejects(service.updateRedemptionStatus(redemptionId, 'refund', 'Mr. Chen'), /Unknown redemption action/);
+});
+
+test('the queue lists open requests only, not rows from before the approval queue', async () => {
+    await service.addPointsAdjustment('S002', 30, 'Bonus', 'Ms. Rivera');
+    const request = await service.requestRedemption('S002', 'Robot Kit');
+
+    const queue = await service.listRedemptions({}, true);
+
+    assert.deepEqual(queue.map(r => [r.redemptionId, r.status]), [[request.redemptionId, 'REQUESTED']]);
+    const fulfilled = await service.listRedemptions({ statuses: ['approved'] }, true);
+    assert.equal(fulfilled.length, 0);
+});
@@ -0,0 +1,91 @@
+/*
+ * Writes find their row by a stable key right before writing, and refuse
+ * (ROW_CONFLICT) when the row no longer holds what the client last saw.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake } = require('./support/setup');
+
+const BOOKING_HEADERS = { A: 'Email', E: 'Student Name', H: 'Service Title', M: 'Class Date', N: 'Checked In', O: 'Student ID' };
+
+function isConflict(reason) {
+    return error => error.code === 'ROW_CONFLICT' && error.details.reason === reason;
+}
+
+test('attendance finds the booking by student ID and class date after the sheet is sorted', async () => {
+    fake.setSheet('All Booking Info', {
+        headers: BOOKING_HEADERS,
+        rows: [
+            { E: 'Ben Ortiz', H: 'Coding', M: 'Jan 4, 2025', N: 'FALSE', O: 'S002' },
+            { E: 'Ava Stone', H: 'Robotics', M: 'Jan 4, 2025', N: 'FALSE', O: 'S001' }
+        ]
+    });
+
+    // The client loaded Ava at row 2 before someone sorted the sheet
+    const result = await service.markStudentAttendance({ studentId: 'S001', classDate: '1/4/2025', rowIndex: 2 }, true, { expected: { checkedIn: false } });
+
+    assert.equal(result.rowIndex, 3);
+    assert.equal(fake.getCell('All Booking Info', 'N3'), 'TRUE');
+    assert.equal(fake.getCell('All Booking Info', 'N2'), 'FALSE', "Ben's booking is left alone");
+});
+
+test('attendance refuses to write when the booking changed, is gone or is ambiguous', async () => {
+    fake.setSheet('All Booking Info', {
+        headers: BOOKING_HEADERS,
+        rows: [
+            { E: 'Ava Stone', H: 'Robotics', M: 'Jan 4, 2025', N: 'TRUE', O: 'S001' },
+            { E: 'Ben Ortiz', H: 'Coding', M: 'Jan 4, 2025', N: 'FALSE', O: 'S002' },
+            { E: 'Ben Ortiz', H: 'Robotics', M: 'Jan 4, 2025', N: 'FALSE', O: 'S002' }
+        ]
+    });
+
+    await assert.rejects(service.markStudentAttendance({ studentId: 'S001', classDate: 'Jan 4, 2025' }, true, { expected: { checkedIn: false } }), isConflict('changed'));
+    await assert.rejects(service.markStudentAttendance({ studentId: 'S003', classDate: 'Jan 4, 2025' }, true), isConflict('missing'));
+    await assert.rejects(service.markStudentAttendance({ studentId: 'S002', classDate: 'Jan 4, 2025' }, true), isConflict('ambiguous'));
+    assert.equal(fake.callsTo('values.update').length, 0);
+
+    const result = await service.markStudentAttendance({ studentId: 'S002', classDate: 'Jan 4, 2025', serviceTitle: 'robotics' }, true);
+    assert.equal(result.rowIndex, 4);
+});
+
+test('attendance needs a student ID and class date, not a bare row number', async () => {
+    await assert.rejects(service.markStudentAttendance(2, true), /Student ID and Class Date are required/);
+});
+
+test('inventory writes the item\'s row even when rows moved after it was loaded', async () => {
+    await service.fetchInventory(true);
+    const rows = fake.getSheet('inventory2');
+    fake.setSheet('inventory2', [rows[0], rows[2], rows[1]]);
+
+    await service.updateInventory('INV-001', 'KIT1', 'Low', 'teacher@example.com', { expected: { status: 'Full' } });
+
+    assert.equal(fake.getCell('inventory2', 'G3'), 'Low');
+    assert.equal(fake.getCell('inventory2', 'G2'), 'Medium', 'INV-002 is left alone');
+});
+
+test('inventory refuses to overwrite a status someone else changed', async () => {
+    await assert.rejects(
+        service.updateInventory('INV-001', 'KIT1', 'Low', 'teacher@example.com', { expected: { status: 'Medium' } }),
+        error => error.code === 'ROW_CONFLICT' && error.details.mismatches[0].actual === 'Full'
+    );
+    assert.equal(fake.callsTo('values.batchUpdate').length, 0);
+});
+
+test('deleting a Project Log entry finds it by Unique ID after a row is inserted above it', async () => {
+    const log = fake.getSheet('Project Log');
+    log.splice(1, 0, ['PL000', '3/1/2025', 'S003', '', 'Cara Lee', '', '', '', 'PROJ101', 'Assigned']);
+    fake.setSheet('Project Log', log);
+
+    await service.deleteProjectEntry('PL002', 'Ms. Rivera', { expected: { studentId: 'S001', projectCode: 'PROJ102', status: 'Assigned' } });
+
+    assert.deepEqual(fake.getSheet('Project Log').slice(1).map(row => [row[0], row[9]]), [
+        ['PL000', 'Assigned'], ['PL001', 'Completed'], ['PL002', 'Deleted'], ['PL003', 'Assigned']
+    ], 'only PL002 is marked');
+});
+
+test('deleting refuses when the entry is gone or no longer what the client saw', async () => {
+    await assert.rejects(service.deleteProjectEntry('PL404', 'Ms. Rivera'), isConflict('missing'));
+    await assert.rejects(service.deleteProjectEntry('PL002', 'Ms. Rivera', { expected: { status: 'Completed' } }), isConflict('changed'));
+    assert.equal(fake.callsTo('values.batchUpdate').length, 0);
+});
@@ -0,0 +1,79 @@
+/*
+ * Schema drift: the startup check reports a tab that isn't in the
+ * spreadsheet, headers that moved or went missing, and says so (rather
+ * than failing) when Google can't be reached.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, config } = require('./support/setup');
+const schemaDrift = require('../schema-drift-service');
+
+const tabIn = (report, name) => report.tabs.find(tab => tab.name === name);
+const headerIn = (tab, field) => tab.headers.find(header => header.field === field);
+
+test('a configured tab missing from the spreadsheet makes the report an error', async () => {
+    // The fixtures have no ClassReport tab
+    const report = await schemaDrift.checkSchema();
+
+    assert.equal(report.status, 'error');
+    assert.deepEqual(tabIn(report, config.CLASS_REPORT_SHEET), {
+        key: 'CLASS_REPORT_SHEET', name: config.CLASS_REPORT_SHEET, exists: false, status: 'error', headers: []
+    });
+    assert.match(report.summary, /Missing tabs: .*ClassReport/);
+    assert.equal(schemaDrift.getLastReport(), report);
+
+    const projectLog = tabIn(report, config.PROGRESS_SHEET);
+    assert.equal(projectLog.exists, true);
+    assert.equal(projectLog.status, 'ok', 'the fixture Project Log matches the config');
+});
+
+test('headers that moved or are missing are listed per field', async () => {
+    // A column inserted before D, and "Project Status" renamed to something unknown
+    const rows = fake.getSheet(config.PROGRESS_SHEET).map((row, index) => {
+        while (row.length < 3) row.push('');
+        row.splice(3, 0, index === 0 ? 'Notes' : '');
+        return row;
+    });
+    rows[0][10] = 'Progress';
+    fake.setSheet(config.PROGRESS_SHEET, rows);
+
+    // The prizes tab is checked by header name only
+    const prizes = fake.getSheet(config.PRIZES_SHEET);
+    prizes[0][1] = 'Cost';
+    fake.setSheet(config.PRIZES_SHEET, prizes);
+
+    const report = await schemaDrift.checkSchema();
+    const projectLog = tabIn(report, config.PROGRESS_SHEET);
+
+    assert.equal(projectLog.status, 'warning');
+    assert.equal(headerIn(projectLog, 'ID').status, 'ok', 'before the new column');
+    assert.deepEqual(headerIn(projectLog, 'STUDENT_NAME'), {
+        field: 'STUDENT_NAME',
+        expectedHeaders: config.COLUMN_HEADERS.PROGRESS_COLUMNS.STUDENT_NAME,
+        expectedColumn: 'E',
+        foundColumn: 'F',
+        foundHeader: 'Student Name',
+        status: 'moved'
+    });
+    const status = headerIn(projectLog, 'PROJECT_STATUS');
+    assert.equal(status.status, 'missing');
+    assert.equal(status.foundColumn, null);
+
+    const prizeTab = tabIn(report, config.PRIZES_SHEET);
+    assert.equal(prizeTab.status, 'warning');
+    assert.equal(headerIn(prizeTab, 'Prize Points').status, 'missing');
+
+    assert.match(report.summary, /Header changes in: .*Project Log/);
+    assert.match(report.summary, /Header changes in: .*prizes/);
+});
+
+test('when Google cannot be reached nothing is checked and the report says so', async () => {
+    fake.failNext('spreadsheets.get', { status: 403, message: 'The caller does not have permission' });
+
+    const report = await schemaDrift.checkSchema();
+
+    assert.equal(report.status, 'unavailable');
+    assert.match(report.summary, /Could not check the spreadsheet/);
+    assert.ok(report.tabs.every(tab => tab.exists === null && tab.status === 'unknown'));
+});
@@ -0,0 +1,145 @@
+/*
+ * Socket.IO and sessions: a socket is whoever its handshake cookie says,
+ * joins its role's rooms, and every event it sends is checked first, so
+ * student-login only takes the logged-in student and teacher-only events are
+ * refused from student screens.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./support/setup');
+const auth = require('../auth-service');
+const access = require('../access-control');
+
+const AVA = { id: 'S001', name: 'Ava Stone', loginName: 'Ava' };
+const BEN = { id: 'S002', name: 'Ben Stone', loginName: 'Ben' };
+
+/**
+ * Just enough of a Socket.IO server-side socket, after the handshake
+ */
+function fakeSocket({ token, address = '10.0.0.7' } = {}) {
+    const socket = {
+        id: `sock-${Math.random().toString(36).slice(2, 8)}`,
+        request: {
+            headers: token ? { cookie: `theme=dark; ${auth.COOKIE_NAME}=${token}` } : {},
+            socket: { remoteAddress: address }
+        },
+        data: {},
+        sent: [],
+        emit(event, data) { this.sent.push({ event, data }); }
+    };
+    let connected = false;
+    auth.attachSocketSession(socket, () => { connected = true; });
+    assert.equal(connected, true, 'sockets without a session still connect');
+    return socket;
+}
+
+/**
+ * Sends an event through the socket's authorizeSocket middleware
+ */
+function send(socket, event, data, ack) {
+    const packet = ack ? [event, data, ack] : [event, data];
+    let passed = false;
+    access.authorizeSocket(socket)(packet, () => { passed = true; });
+    return passed;
+}
+
+function login(name, role, students = []) {
+    return auth.startSession({ name, role, students }).token;
+}
+
+beforeEach(() => {
+    auth.reset();
+});
+
+test('the handshake cookie decides who a socket is', () => {
+    const student = fakeSocket({ token: login('Ava Stone', 'student', [AVA]) });
+    assert.equal(student.data.user.role, 'student');
+    assert.deepEqual(student.data.user.students.map(s => s.id), ['S001']);
+
+    assert.equal(fakeSocket().data.user, null);
+    assert.equal(fakeSocket({ token: 'not-a-session' }).data.user, null);
+    assert.equal(fakeSocket({ address: '127.0.0.1' }).data.user, null, 'the server computer itself, by default');
+
+    config.AUTH.TRUST_LOCALHOST = true;
+    try {
+        assert.equal(fakeSocket({ address: '127.0.0.1' }).data.user.role, 'admin', 'the server computer itself, when trusted');
+    } finally {
+        config.AUTH.TRUST_LOCALHOST = false;
+    }
+});
+
+test('students and teachers join separate rooms', () => {
+    assert.deepEqual(access.socketRooms(fakeSocket({ token: login('Ava Stone', 'student', [AVA]) }).data.user), ['students', 'student:S001']);
+    assert.deepEqual(access.socketRooms(fakeSocket({ token: login('Mr. Kim', 'instructor') }).data.user), ['teachers']);
+    assert.deepEqual(access.socketRooms(fakeSocket({ token: login('Ms. Rivera', 'admin') }).data.user), ['teachers']);
+    // Parents get their children's badge pushes, but are never sent anywhere by the teacher
+    assert.deepEqual(access.socketRooms(fakeSocket({ token: login('mom@example.com', 'parent', [AVA, BEN]) }).data.user), ['student:S001', 'student:S002']);
+    assert.deepEqual(access.socketRooms(null), []);
+});
+
+test('student-login only takes the logged-in student', () => {
+    const ava = fakeSocket({ token: login('Ava Stone', 'student', [AVA]) });
+    assert.equal(send(ava, 'student-login', { studentName: 'Ava Stone', studentId: 'S001' }), true);
+    assert.equal(send(ava, 'student-login', { studentName: 'ava' }), true, 'older pages send only the (login) name');
+
+    let acked = null;
+    assert.equal(send(ava, 'student-login', { studentName: 'Ava Stone', studentId: 'S002' }, reply => { acked = reply; }), false, 'the ID decides, not the name');
+    assert.deepEqual(acked, { success: false, error: 'Not allowed for this student' });
+    assert.deepEqual(ava.sent.at(-1), { event: 'not-allowed', data: { event: 'student-login', error: 'Not allowed for this student' } });
+    assert.equal(send(ava, 'student-login', { studentName: 'Ben Stone' }), false);
+
+    const anonymous = fakeSocket();
+    assert.equal(send(anonymous, 'student-login', { studentName: 'Ava Stone', studentId: 'S001' }), false);
+    assert.equal(anonymous.sent.at(-1).data.error, 'Login required');
+    assert.equal(send(anonymous, 'student-login', 'Ava Stone'), false);
+
+    const teacher = fakeSocket({ token: login('Mr. Kim', 'instructor') });
+    assert.equal(send(teacher, 'student-login', { studentName: 'Ben Stone' }), true, 'staff at a student screen');
+});
+
+test('teacher-only (and unknown) events are refused from student sockets', () => {
+    const ava = fakeSocket({ token: login('Ava Stone', 'student', [AVA]) });
+    const anonymous = fakeSocket();
+    const teacher = fakeSocket({ token: login('Mr. Kim', 'instructor') });
+
+    for (const event of ['navigate', 'teacher-navigate', 'anything-new']) {
+        assert.equal(access.ruleForEvent(event).access, 'instructor');
+        assert.equal(send(ava, event, { url: '/evil.html' }), false, `${event} from a student`);
+        assert.equal(ava.sent.at(-1).data.error, 'Instructors only');
+        assert.equal(send(anonymous, event, {}), false);
+        assert.equal(send(teacher, event, {}), true);
+    }
+
+    // Telemetry and page changes come from every page
+    for (const event of ['client-telemetry', 'telemetry-ping', 'page-change']) {
+        assert.equal(send(anonymous, event, {}), true, event);
+    }
+});
+
+test('a session that ends after the handshake stops counting', () => {
+    const token = login('Ava Stone', 'student', [AVA]);
+    const ava = fakeSocket({ token });
+    auth.logout(token);
+
+    assert.equal(send(ava, 'student-login', { studentId: 'S001' }), false);
+    assert.equal(ava.data.user, null);
+});
+
+test('every socket event server.js listens for has an entry, and navigate goes to students only', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+    const handled = [...source.matchAll(/socket\.on\('([^']+)'/g)].map(m => m[1]).filter(event => event !== 'disconnect');
+    assert.ok(handled.includes('student-login'));
+
+    handled.forEach(event => assert.ok(!access.ruleForEvent(event).isDefault, `"${event}" is in the table`));
+    access.SOCKET_EVENT_PERMISSIONS
+        .filter(rule => rule.event !== 'esm_change') // express-status-monitor's own handler
+        .forEach(rule => assert.ok(handled.includes(rule.event), `"${rule.event}" is still handled`));
+
+    assert.doesNotMatch(source, /io\.emit\('navigate'/, 'no navigate broadcast to every socket');
+    assert.match(source, /io\.to\(accessControl\.STUDENT_ROOM\)\.emit\('navigate'/);
+    assert.match(source, /io\.use\(authService\.attachSocketSession\)/);
+    assert.match(source, /socket\.use\(accessControl\.authorizeSocket\(socket\)\)/);
+});
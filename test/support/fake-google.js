@@ -0,0 +1,610 @@
+/*
+ * ============================================================================
+ * FAKE GOOGLE - IN-MEMORY GOOGLE SHEETS + DRIVE FOR TESTS
+ * ============================================================================
+ *
+ * PURPOSE:
+ * A drop-in stand-in for the clients returned by getGoogleSheetsClient() and
+ * getGoogleDriveClient(), so google-sheets-service.js can be tested without
+ * touching the real spreadsheet.
+ *
+ * WHAT IT SUPPORTS:
+ * Sheets:
+ * - spreadsheets.get                       (tab titles / sheetIds)
+ * - spreadsheets.batchUpdate               (deleteDimension, insertDimension)
+ * - spreadsheets.values.get / batchGet     (A1 ranges: 'Tab'!A:Z, Tab!A1:C5, Tab!1:1, Tab!M:O, 'Tab')
+ * - spreadsheets.values.update / append / batchUpdate / clear
+ * Drive:
+ * - files.list (simple q: in parents, trashed, mimeType/name = or contains)
+ * - files.get (metadata, or alt: 'media' as a stream)
+ * - files.create (with streamed media), files.update, files.delete
+ * - permissions.create / list
+ *
+ * Like the real API, every value comes back as a string and trailing empty
+ * cells / rows are left out of responses.
+ *
+ * FIXTURES (test/fixtures/*.json):
+ * Rows can be arrays or objects keyed by column letter, so wide tabs stay readable:
+ *   { "sheets": { "Project Log": { "headers": { "A": "Unique ID", "J": "Project Status" },
+ *                                  "rows": [ { "A": "P1", "J": "Assigned" } ] } } }
+ *
+ * HOW TO USE IT:
+ *   const fake = createFakeGoogle({ spreadsheet: loadFixture('spreadsheet.json') });
+ *   googleSheetsService.setGoogleClientsForTesting(fake);
+ *   fake.getCell('All Booking Info', 'N2');       // -> 'TRUE'
+ *   fake.failNext('values.get', { status: 503 }); // next call fails like Google would
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// ============================================================================
+// HELPERS: A1 Notation
+// ============================================================================
+
+/**
+ * 'A' -> 0, 'Z' -> 25, 'AA' -> 26
+ */
+function columnIndex(letters) {
+    let index = 0;
+    for (const ch of letters.toUpperCase()) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * 0 -> 'A', 26 -> 'AA'
+ */
+function columnLetter(index) {
+    let letters = '';
+    let temp = index;
+    while (temp >= 0) {
+        letters = String.fromCharCode(65 + (temp % 26)) + letters;
+        temp = Math.floor(temp / 26) - 1;
+    }
+    return letters;
+}
+
+function quoteTitle(title) {
+    return `'${title.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Parses an A1 range into its tab and 0-based bounds (null = open ended)
+ *
+ * "'Project Log'!A2:C"  -> { title: 'Project Log', startRow: 1, endRow: null, startCol: 0, endCol: 2 }
+ * "All Booking Info!N5" -> { title: 'All Booking Info', startRow: 4, endRow: 4, startCol: 13, endCol: 13 }
+ */
+function parseRange(range) {
+    let title;
+    let cells = '';
+
+    if (range.startsWith("'")) {
+        let i = 1;
+        title = '';
+        while (i < range.length) {
+            if (range[i] === "'" && range[i + 1] === "'") {
+                title += "'";
+                i += 2;
+            } else if (range[i] === "'") {
+                i++;
+                break;
+            } else {
+                title += range[i++];
+            }
+        }
+        if (range[i] === '!') cells = range.slice(i + 1);
+    } else {
+        const bang = range.lastIndexOf('!');
+        title = bang === -1 ? range : range.slice(0, bang);
+        cells = bang === -1 ? '' : range.slice(bang + 1);
+    }
+
+    const bounds = { title, startRow: null, endRow: null, startCol: null, endCol: null };
+    if (!cells) return bounds;
+
+    const parseCell = (ref) => {
+        const match = /^([A-Za-z]*)(\d*)$/.exec(ref);
+        if (!match) throw apiError(400, `Unable to parse range: ${range}`);
+        return {
+            col: match[1] ? columnIndex(match[1]) : null,
+            row: match[2] ? parseInt(match[2], 10) - 1 : null
+        };
+    };
+
+    const [startRef, endRef] = cells.split(':');
+    const start = parseCell(startRef);
+    const end = endRef !== undefined ? parseCell(endRef) : start;
+
+    bounds.startRow = start.row;
+    bounds.startCol = start.col;
+    bounds.endRow = end.row;
+    bounds.endCol = end.col;
+    return bounds;
+}
+
+/**
+ * An error shaped like the ones googleapis (gaxios) throws
+ */
+function apiError(status, message, headers = {}) {
+    const error = new Error(message);
+    error.code = status;
+    error.status = status;
+    error.response = { status, headers, data: { error: { code: status, message } } };
+    return error;
+}
+
+/**
+ * Sheets stores what you'd see in the cell: strings ('TRUE', '5', ...)
+ */
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+function trimRow(row) {
+    const copy = row.slice();
+    while (copy.length > 0 && copy[copy.length - 1] === '') copy.pop();
+    return copy;
+}
+
+function trimRows(rows) {
+    const trimmed = rows.map(trimRow);
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) trimmed.pop();
+    return trimmed;
+}
+
+/**
+ * Turns a fixture tab ({ headers, rows } or a plain 2D array) into a 2D array of strings
+ */
+function tabFromFixture(tab) {
+    if (Array.isArray(tab)) {
+        return tab.map(row => row.map(toCell));
+    }
+
+    const toArray = (row) => {
+        if (Array.isArray(row)) return row.map(toCell);
+        const cells = [];
+        Object.keys(row).forEach(letter => {
+            cells[columnIndex(letter)] = toCell(row[letter]);
+        });
+        return Array.from(cells, cell => cell === undefined ? '' : cell);
+    };
+
+    const rows = [];
+    if (tab.headers) rows.push(toArray(tab.headers));
+    (tab.rows || []).forEach(row => rows.push(toArray(row)));
+    return rows;
+}
+
+function readBody(body) {
+    if (body === undefined || body === null) return Promise.resolve('');
+    if (typeof body === 'string' || Buffer.isBuffer(body)) return Promise.resolve(body.toString());
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        body.on('data', chunk => chunks.push(Buffer.from(chunk)));
+        body.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        body.on('error', reject);
+    });
+}
+
+/**
+ * Reads a JSON fixture from test/fixtures (fresh copy every time)
+ */
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+// ============================================================================
+// FUNCTION: Create Fake Google
+// ============================================================================
+
+/**
+ * @param {Object} [fixtures]
+ * @param {Object} [fixtures.spreadsheet] - { spreadsheetId, modifiedTime, sheets: { title: tab } }
+ * @param {Object} [fixtures.drive] - { files: [{ id, name, mimeType, parents, content }] }
+ * @returns {Object} - { sheets, drive, getSheet, setSheet, getCell, failNext, calls, reset }
+ */
+function createFakeGoogle(fixtures = {}) {
+    const initial = JSON.parse(JSON.stringify(fixtures));
+    const state = {};
+    const calls = [];
+    const failures = [];
+
+    function reset() {
+        const spreadsheet = initial.spreadsheet || {};
+        const drive = initial.drive || {};
+
+        state.spreadsheetId = spreadsheet.spreadsheetId || null;
+        state.modifiedTime = spreadsheet.modifiedTime || new Date().toISOString();
+        state.tabs = [];
+        Object.keys(spreadsheet.sheets || {}).forEach((title, index) => {
+            state.tabs.push({ title, sheetId: 1000 + index, rows: tabFromFixture(spreadsheet.sheets[title]) });
+        });
+
+        state.files = (drive.files || []).map(file => ({
+            mimeType: 'application/octet-stream',
+            parents: [],
+            trashed: false,
+            content: '',
+            modifiedTime: state.modifiedTime,
+            ...file,
+            permissions: (file.permissions || []).slice()
+        }));
+        state.nextId = 1;
+        calls.length = 0;
+        failures.length = 0;
+    }
+
+    // ------------------------------------------------------------------
+    // Internal helpers
+    // ------------------------------------------------------------------
+
+    function record(method, params) {
+        calls.push({ method, params: JSON.parse(JSON.stringify(params || {}, (k, v) => (v && typeof v.pipe === 'function') ? '[stream]' : v)) });
+
+        const index = failures.findIndex(f => f.method === method);
+        if (index !== -1) {
+            const failure = failures[index];
+            failure.times--;
+            if (failure.times <= 0) failures.splice(index, 1);
+            if (failure.error) throw failure.error;
+            throw apiError(failure.status || 500, failure.message || `Simulated ${failure.status || 500} for ${method}`, failure.headers);
+        }
+    }
+
+    function checkSpreadsheetId(params) {
+        if (state.spreadsheetId && params.spreadsheetId !== state.spreadsheetId) {
+            throw apiError(404, `Requested entity was not found (spreadsheet ${params.spreadsheetId})`);
+        }
+    }
+
+    function findTab(title) {
+        const tab = state.tabs.find(t => t.title === title);
+        if (!tab) throw apiError(400, `Unable to parse range: ${title}`);
+        return tab;
+    }
+
+    function touch() {
+        state.modifiedTime = new Date().toISOString();
+    }
+
+    function readRange(range) {
+        const bounds = parseRange(range);
+        const tab = findTab(bounds.title);
+        const width = Math.max(0, ...tab.rows.map(r => r.length));
+
+        const startRow = bounds.startRow === null ? 0 : bounds.startRow;
+        const endRow = bounds.endRow === null ? tab.rows.length - 1 : Math.min(bounds.endRow, tab.rows.length - 1);
+        const startCol = bounds.startCol === null ? 0 : bounds.startCol;
+        const endCol = bounds.endCol === null ? width - 1 : bounds.endCol;
+
+        const values = [];
+        for (let r = startRow; r <= endRow; r++) {
+            const row = tab.rows[r] || [];
+            const cells = [];
+            for (let c = startCol; c <= endCol; c++) cells.push(row[c] === undefined ? '' : row[c]);
+            values.push(cells);
+        }
+
+        const trimmed = trimRows(values);
+        const result = { range: `${quoteTitle(tab.title)}!${columnLetter(startCol)}${startRow + 1}:${columnLetter(Math.max(endCol, startCol))}${Math.max(endRow, startRow) + 1}`, majorDimension: 'ROWS' };
+        if (trimmed.length > 0) result.values = trimmed;
+        return result;
+    }
+
+    function writeRange(range, values) {
+        const bounds = parseRange(range);
+        const tab = findTab(bounds.title);
+        const startRow = bounds.startRow === null ? 0 : bounds.startRow;
+        const startCol = bounds.startCol === null ? 0 : bounds.startCol;
+
+        (values || []).forEach((rowValues, r) => {
+            const rowIndex = startRow + r;
+            while (tab.rows.length <= rowIndex) tab.rows.push([]);
+            const row = tab.rows[rowIndex];
+            rowValues.forEach((value, c) => {
+                // null means "leave this cell alone" (same as the real API)
+                if (value === null) return;
+                const colIndex = startCol + c;
+                while (row.length <= colIndex) row.push('');
+                row[colIndex] = toCell(value);
+            });
+        });
+        touch();
+
+        const rows = (values || []).length;
+        const cols = Math.max(0, ...(values || []).map(v => v.length));
+        return {
+            updatedRange: `${quoteTitle(tab.title)}!${columnLetter(startCol)}${startRow + 1}:${columnLetter(startCol + Math.max(cols, 1) - 1)}${startRow + Math.max(rows, 1)}`,
+            updatedRows: rows,
+            updatedColumns: cols,
+            updatedCells: (values || []).reduce((sum, v) => sum + v.length, 0)
+        };
+    }
+
+    function bodyOf(params) {
+        return params.requestBody || params.resource || {};
+    }
+
+    // ------------------------------------------------------------------
+    // Sheets API
+    // ------------------------------------------------------------------
+
+    const values = {
+        async get(params) {
+            record('values.get', params);
+            checkSpreadsheetId(params);
+            return { data: readRange(params.range) };
+        },
+
+        async batchGet(params) {
+            record('values.batchGet', params);
+            checkSpreadsheetId(params);
+            return { data: { spreadsheetId: params.spreadsheetId, valueRanges: (params.ranges || []).map(readRange) } };
+        },
+
+        async update(params) {
+            record('values.update', params);
+            checkSpreadsheetId(params);
+            return { data: { spreadsheetId: params.spreadsheetId, ...writeRange(params.range, bodyOf(params).values) } };
+        },
+
+        async append(params) {
+            record('values.append', params);
+            checkSpreadsheetId(params);
+            const bounds = parseRange(params.range);
+            const tab = findTab(bounds.title);
+
+            // Append below the last row that has anything in it
+            let lastRow = tab.rows.length - 1;
+            while (lastRow >= 0 && trimRow(tab.rows[lastRow]).length === 0) lastRow--;
+
+            const startCol = bounds.startCol === null ? 0 : bounds.startCol;
+            const target = `${quoteTitle(tab.title)}!${columnLetter(startCol)}${lastRow + 2}`;
+            const updates = writeRange(target, bodyOf(params).values);
+            return { data: { spreadsheetId: params.spreadsheetId, tableRange: `${quoteTitle(tab.title)}!A1:${columnLetter(startCol)}${lastRow + 1}`, updates } };
+        },
+
+        async batchUpdate(params) {
+            record('values.batchUpdate', params);
+            checkSpreadsheetId(params);
+            const responses = (bodyOf(params).data || []).map(item => writeRange(item.range, item.values));
+            return { data: { spreadsheetId: params.spreadsheetId, totalUpdatedCells: responses.reduce((s, r) => s + r.updatedCells, 0), responses } };
+        },
+
+        async clear(params) {
+            record('values.clear', params);
+            checkSpreadsheetId(params);
+            const current = readRange(params.range);
+            const bounds = parseRange(params.range);
+            const blank = (current.values || []).map(row => row.map(() => ''));
+            const start = `${quoteTitle(bounds.title)}!${columnLetter(bounds.startCol || 0)}${(bounds.startRow || 0) + 1}`;
+            writeRange(start, blank);
+            return { data: { spreadsheetId: params.spreadsheetId, clearedRange: current.range } };
+        }
+    };
+
+    const spreadsheets = {
+        values,
+
+        async get(params) {
+            record('spreadsheets.get', params);
+            checkSpreadsheetId(params);
+            return {
+                data: {
+                    spreadsheetId: state.spreadsheetId || params.spreadsheetId,
+                    sheets: state.tabs.map((tab, index) => ({
+                        properties: {
+                            sheetId: tab.sheetId,
+                            title: tab.title,
+                            index,
+                            gridProperties: { rowCount: Math.max(tab.rows.length, 1000), columnCount: Math.max(26, ...tab.rows.map(r => r.length)) }
+                        }
+                    }))
+                }
+            };
+        },
+
+        async batchUpdate(params) {
+            record('spreadsheets.batchUpdate', params);
+            checkSpreadsheetId(params);
+            const replies = (bodyOf(params).requests || []).map(request => {
+                const change = request.deleteDimension || request.insertDimension;
+                if (!change) {
+                    throw apiError(400, `Fake Google does not support request: ${Object.keys(request).join(', ')}`);
+                }
+
+                const { sheetId, dimension, startIndex, endIndex } = change.range;
+                const tab = state.tabs.find(t => t.sheetId === sheetId);
+                if (!tab) throw apiError(400, `No grid with id: ${sheetId}`);
+                const count = endIndex - startIndex;
+
+                if (request.deleteDimension) {
+                    if (dimension === 'ROWS') tab.rows.splice(startIndex, count);
+                    else tab.rows.forEach(row => row.splice(startIndex, count));
+                } else if (dimension === 'ROWS') {
+                    tab.rows.splice(startIndex, 0, ...Array.from({ length: count }, () => []));
+                } else {
+                    tab.rows.forEach(row => {
+                        while (row.length < startIndex) row.push('');
+                        row.splice(startIndex, 0, ...new Array(count).fill(''));
+                    });
+                }
+                return {};
+            });
+            touch();
+            return { data: { spreadsheetId: params.spreadsheetId, replies } };
+        }
+    };
+
+    // ------------------------------------------------------------------
+    // Drive API
+    // ------------------------------------------------------------------
+
+    function findFile(fileId) {
+        if (state.spreadsheetId && fileId === state.spreadsheetId) {
+            return { id: fileId, name: 'Spreadsheet', mimeType: 'application/vnd.google-apps.spreadsheet', modifiedTime: state.modifiedTime, parents: [], permissions: [] };
+        }
+        const file = state.files.find(f => f.id === fileId);
+        if (!file) throw apiError(404, `File not found: ${fileId}.`);
+        return file;
+    }
+
+    function metadata(file) {
+        const { content, permissions, ...rest } = file;
+        return {
+            ...rest,
+            webViewLink: `https://drive.google.com/file/d/${file.id}/view?usp=drivesdk`,
+            webContentLink: `https://drive.google.com/uc?id=${file.id}&export=download`
+        };
+    }
+
+    /**
+     * Supports the query clauses the app uses, joined with "and"
+     */
+    function matchesQuery(file, q) {
+        if (!q) return true;
+        return q.split(/\s+and\s+/i).every(clause => {
+            let m;
+            if ((m = /^'([^']+)'\s+in\s+parents$/i.exec(clause.trim()))) return (file.parents || []).includes(m[1]);
+            if ((m = /^trashed\s*=\s*(true|false)$/i.exec(clause.trim()))) return String(!!file.trashed) === m[1].toLowerCase();
+            if ((m = /^(name|mimeType)\s*=\s*'([^']*)'$/i.exec(clause.trim()))) return file[m[1]] === m[2];
+            if ((m = /^(name|mimeType)\s+contains\s+'([^']*)'$/i.exec(clause.trim()))) return (file[m[1]] || '').includes(m[2]);
+            throw apiError(400, `Fake Google does not understand query clause: ${clause}`);
+        });
+    }
+
+    const drive = {
+        files: {
+            async list(params = {}) {
+                record('files.list', params);
+                const files = state.files.filter(file => matchesQuery(file, params.q)).map(metadata);
+                return { data: { files: params.pageSize ? files.slice(0, params.pageSize) : files } };
+            },
+
+            async get(params, options = {}) {
+                record('files.get', params);
+                const file = findFile(params.fileId);
+                if (params.alt === 'media') {
+                    const content = Buffer.from(file.content || '');
+                    return { data: options.responseType === 'stream' ? Readable.from([content]) : content.toString() };
+                }
+                return { data: metadata(file) };
+            },
+
+            async create(params) {
+                record('files.create', params);
+                const body = bodyOf(params);
+                const content = await readBody(params.media && params.media.body);
+                const file = {
+                    id: `fake-file-${state.nextId++}`,
+                    name: body.name || 'Untitled',
+                    mimeType: (params.media && params.media.mimeType) || body.mimeType || 'application/octet-stream',
+                    parents: body.parents || [],
+                    trashed: false,
+                    content,
+                    modifiedTime: new Date().toISOString(),
+                    permissions: []
+                };
+                state.files.push(file);
+                return { data: metadata(file) };
+            },
+
+            async update(params) {
+                record('files.update', params);
+                const file = findFile(params.fileId);
+                Object.assign(file, bodyOf(params), { modifiedTime: new Date().toISOString() });
+                return { data: metadata(file) };
+            },
+
+            async delete(params) {
+                record('files.delete', params);
+                const file = findFile(params.fileId);
+                state.files = state.files.filter(f => f !== file);
+                return { data: '' };
+            }
+        },
+
+        permissions: {
+            async create(params) {
+                record('permissions.create', params);
+                const file = findFile(params.fileId);
+                const permission = { id: `perm-${state.nextId++}`, ...bodyOf(params) };
+                file.permissions.push(permission);
+                return { data: permission };
+            },
+
+            async list(params) {
+                record('permissions.list', params);
+                return { data: { permissions: findFile(params.fileId).permissions.slice() } };
+            }
+        }
+    };
+
+    reset();
+
+    return {
+        sheets: { spreadsheets },
+        drive,
+        calls,
+
+        /** Copy of a tab as a 2D array of strings (header row first) */
+        getSheet(title) {
+            return findTab(title).rows.map(row => row.slice());
+        },
+
+        /** Replaces a tab's contents (rows may be arrays or column-letter objects) */
+        setSheet(title, tab) {
+            const rows = tabFromFixture(tab);
+            const existing = state.tabs.find(t => t.title === title);
+            if (existing) existing.rows = rows;
+            else state.tabs.push({ title, sheetId: 1000 + state.tabs.length, rows });
+            touch();
+        },
+
+        /** Value of one cell, e.g. getCell('All Booking Info', 'N2') ('' if empty) */
+        getCell(title, ref) {
+            const bounds = parseRange(`${quoteTitle(title)}!${ref}`);
+            const row = findTab(title).rows[bounds.startRow] || [];
+            return row[bounds.startCol] === undefined ? '' : row[bounds.startCol];
+        },
+
+        /** A Drive file with its content and permissions */
+        getFile(fileId) {
+            return findFile(fileId);
+        },
+
+        /**
+         * Makes the next call(s) to a method fail
+         * @param {string} method - e.g. 'values.get', 'spreadsheets.batchUpdate', 'files.list'
+         * @param {Object} [failure] - { status, message, headers, times, error }
+         */
+        failNext(method, failure = {}) {
+            failures.push({ method, times: 1, ...failure });
+        },
+
+        /** Calls made to one method (or all calls) */
+        callsTo(method) {
+            return method ? calls.filter(c => c.method === method) : calls.slice();
+        },
+
+        /** Back to the original fixtures */
+        reset
+    };
+}
+
+module.exports = {
+    createFakeGoogle,
+    loadFixture,
+    parseRange,
+    columnIndex,
+    columnLetter
+};
@@ -0,0 +1,121 @@
+/*
+ * ============================================================================
+ * TEST SERVER - RUNS server.js AGAINST THE FAKE GOOGLE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Route tests that need the real Express app (middleware, sessions, access
+ * rules) start server.js in its own process with this file, so its timers
+ * and sockets never keep the test process alive:
+ *
+ *   const running = await startServer();   // { port, request, stop }
+ *   const res = await running.request('POST', '/api/card-login', { token });
+ *   running.stop();
+ *
+ * The child uses the same LTB_DATA_DIR as the test (so files the test writes,
+ * such as the login card secret, are shared) and the same fixtures as
+ * setup.js. It says READY on stdout once server.js is listening.
+ *
+ * ============================================================================
+ */
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// ============================================================================
+// CHILD: load the fake Google, then server.js
+// ============================================================================
+
+if (require.main === module) {
+    const { createFakeGoogle, loadFixture } = require('./fake-google');
+    const spreadsheet = loadFixture('spreadsheet.json');
+    const drive = loadFixture('drive.json');
+    process.env.SPREADSHEET_ID = spreadsheet.spreadsheetId;
+    process.env.DEPLOYMENT_MODE = process.env.DEPLOYMENT_MODE || 'offline';
+
+    // Quiet unless TEST_VERBOSE, apart from the line the parent waits for
+    const log = console.log;
+    if (!process.env.TEST_VERBOSE) {
+        ['log', 'info', 'warn', 'error'].forEach(level => {
+            console[level] = () => { };
+        });
+    }
+    console.log = (...args) => {
+        if (String(args[0]).includes('LEARNTOBOT SERVER STARTED')) log('READY');
+        if (process.env.TEST_VERBOSE) log(...args);
+    };
+
+    const service = require('../../google-sheets-service');
+    service.setGoogleClientsForTesting(createFakeGoogle({ spreadsheet, drive }));
+
+    require('../../server');
+}
+
+// ============================================================================
+// PARENT: start the child and talk to it
+// ============================================================================
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Starts server.js on a free port
+ *
+ * @param {Object} [env] - Extra environment variables for the server
+ * @returns {Promise<Object>} - { port, request(method, path, body, headers), stop() }
+ */
+async function startServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [__filename], {
+        cwd: path.join(__dirname, '..', '..'),
+        env: { ...process.env, ...env, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('server.js did not start within 30s')), 30000);
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('READY')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`server.js exited (${code}) before it started`));
+        });
+    });
+
+    return {
+        port,
+        async request(method, route, body, headers = {}) {
+            const response = await fetch(`http://127.0.0.1:${port}${route}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            const text = await response.text();
+            let json = null;
+            try { json = JSON.parse(text); } catch (e) { /* not JSON */ }
+            return { status: response.status, headers: response.headers, body: json };
+        },
+        stop() {
+            child.kill();
+        }
+    };
+}
+
+module.exports = {
+    startServer
+};
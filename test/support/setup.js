@@ -0,0 +1,88 @@
+/*
+ * ============================================================================
+ * TEST SETUP - LOADS google-sheets-service.js AGAINST THE FAKE GOOGLE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Every test file starts with:
+ *
+ *   const { service, fake } = require('./support/setup');
+ *
+ * which (before the service is loaded):
+ * - points SPREADSHEET_ID at the fixture spreadsheet
+ * - points LTB_DATA_DIR at a temporary folder (data/ is never touched)
+ * - turns the retry delays down so failure tests run fast
+ * - hides the service's console output (set TEST_VERBOSE=1 to see it)
+ *
+ * and before each test puts the fixtures back and empties every cache.
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { beforeEach, after } = require('node:test');
+const { createFakeGoogle, loadFixture } = require('./fake-google');
+
+const spreadsheet = loadFixture('spreadsheet.json');
+const drive = loadFixture('drive.json');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ltb-test-'));
+process.env.LTB_DATA_DIR = dataDir;
+process.env.SPREADSHEET_ID = spreadsheet.spreadsheetId;
+process.env.DEPLOYMENT_MODE = 'offline';
+
+if (!process.env.TEST_VERBOSE) {
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        console[level] = () => { };
+    });
+}
+
+const config = require('../../google-sheets-config');
+Object.assign(config.GOOGLE_API, {
+    BASE_DELAY_MS: 1,
+    MAX_DELAY_MS: 5,
+    SHEETS_READS_PER_MINUTE: 100000,
+    SHEETS_WRITES_PER_MINUTE: 100000
+});
+
+const service = require('../../google-sheets-service');
+const columnResolver = require('../../column-resolver');
+
+const fake = createFakeGoogle({ spreadsheet, drive });
+service.setGoogleClientsForTesting(fake);
+
+beforeEach(() => {
+    fake.reset();
+    service.invalidateCache();
+    service.resetGoogleApiCircuit();
+    columnResolver.invalidate();
+});
+
+after(() => {
+    service.setGoogleClientsForTesting(null);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// ============================================================================
+// HELPERS: Dates
+// ============================================================================
+
+/**
+ * A date `days` days before today (noon, so time zones don't move the day)
+ */
+function daysAgo(days) {
+    const date = new Date();
+    date.setHours(12, 0, 0, 0);
+    date.setDate(date.getDate() - days);
+    return date;
+}
+
+module.exports = {
+    service,
+    fake,
+    config,
+    columnResolver,
+    daysAgo
+};
@@ -0,0 +1,117 @@
+/*
+ * Write journal: writes that overlap (two requests at once, or a request
+ * during a replay) are each sent to Google Sheets exactly once, and writes
+ * Google can't take right now (503, quota) wait to be replayed.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { service, fake } = require('./support/setup');
+const writeJournal = require('../write-journal-service');
+
+/**
+ * A handler that waits until release() is called, counting its calls
+ */
+function slowHandler() {
+    const calls = [];
+    const waiting = [];
+    return {
+        calls,
+        handler: (args) => {
+            calls.push(args.n);
+            return new Promise(resolve => waiting.push(() => resolve({ n: args.n })));
+        },
+        release() {
+            waiting.splice(0).forEach(resolve => resolve());
+        }
+    };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('two overlapping writes are each applied once', async () => {
+    const slow = slowHandler();
+    writeJournal.registerHandler('overlapOp', slow.handler);
+
+    const first = writeJournal.run('overlapOp', { n: 1 });
+    await tick();
+    assert.equal(writeJournal.getJournal({ status: 'applying' }).entries.length, 1, 'the first is marked as being applied');
+
+    const second = writeJournal.run('overlapOp', { n: 2 });
+    await tick();
+    slow.release();
+    await tick();
+    slow.release();
+
+    const results = await Promise.all([first, second]);
+    await writeJournal.replayPending();
+
+    assert.deepEqual(slow.calls.sort(), [1, 2], 'no write is sent twice');
+    assert.deepEqual(results.map(r => r.queued), [false, false]);
+    const entries = writeJournal.getJournal().entries.filter(e => e.operation === 'overlapOp');
+    assert.deepEqual(entries.map(e => e.status), ['applied', 'applied']);
+});
+
+test('a write arriving during a replay does not send the replayed entry again', async () => {
+    let online = false;
+    const calls = [];
+    const waiting = [];
+    writeJournal.registerHandler('replayOp', (args) => {
+        if (!online) {
+            const error = new Error('getaddrinfo ENOTFOUND sheets.googleapis.com');
+            error.code = 'ENOTFOUND';
+            throw error;
+        }
+        calls.push(args.n);
+        return new Promise(resolve => waiting.push(resolve));
+    });
+
+    const offline = await writeJournal.run('replayOp', { n: 1 });
+    assert.equal(offline.queued, true);
+
+    online = true;
+    const replay = writeJournal.replayPending();
+    await tick();
+    const during = writeJournal.run('replayOp', { n: 2 });
+    await tick();
+    while (waiting.length) {
+        waiting.splice(0).forEach(resolve => resolve());
+        await tick();
+    }
+
+    await Promise.all([replay, during]);
+    await writeJournal.replayPending();
+    assert.deepEqual(calls.sort(), [1, 2]);
+    assert.equal(writeJournal.getJournal({ status: ['pending', 'applying'] }).entries.length, 0);
+});
+
+test('a write Google keeps refusing with 503 stays pending for replay', async () => {
+    fake.failNext('values.append', { status: 503, times: 50 });
+    const queued = await service.assignProject('S003', 'PROJ201', 'Ms. Rivera');
+
+    assert.equal(queued.queued, true);
+    const entry = writeJournal.getJournal().entries.find(e => e.id === queued.journalId);
+    assert.equal(entry.status, 'pending');
+    assert.equal(writeJournal.getJournal({ status: 'failed' }).entries.length, 0);
+    writeJournal.discardEntry(queued.journalId);
+});
+
+test('quota and 429 errors leave the entry pending; a rejected write fails', async () => {
+    const errors = {
+        quota: Object.assign(new Error('Sheets quota reached (60/60 writes requests in the last minute)'), { code: 'QUOTA_EXCEEDED' }),
+        tooMany: Object.assign(new Error('Rate Limit Exceeded'), { response: { status: 429 } }),
+        rejected: Object.assign(new Error('Unable to parse range'), { response: { status: 400 } })
+    };
+    writeJournal.registerHandler('refusedOp', (args) => { throw errors[args.kind]; });
+
+    for (const kind of ['quota', 'tooMany']) {
+        const outcome = await writeJournal.run('refusedOp', { kind });
+        assert.equal(outcome.queued, true, kind);
+        assert.equal(outcome.entry.status, 'pending', kind);
+        writeJournal.discardEntry(outcome.entry.id);
+    }
+
+    await assert.rejects(writeJournal.run('refusedOp', { kind: 'rejected' }), /Unable to parse range/);
+    const rejected = writeJournal.getJournal().entries.find(e => e.operation === 'refusedOp' && e.args.kind === 'rejected');
+    assert.equal(rejected.status, 'failed');
+});
@@ -0,0 +1,419 @@
+/*
+ * ============================================================================
+ * WRITE JOURNAL SERVICE - OFFLINE-SAFE GOOGLE SHEETS WRITES
+ * ============================================================================
+ *
+ * PURPOSE:
+ * When the classroom internet drops, writes to Google Sheets (completing a
+ * project, checking a kid in, redeeming a prize...) used to fail and the
+ * instructor's action was lost. This service records every write in a local
+ * journal FIRST, then applies it to Google Sheets. Anything that could not be
+ * applied stays in the journal and is replayed (in order) once we are back online.
+ *
+ * WHAT THIS FILE DOES:
+ * 1. Keeps a durable journal of write operations in data/write-journal.json
+ * 2. Gives every entry an idempotency key so nothing is applied twice
+ * 3. Replays pending entries in the order they were recorded
+ * 4. Exposes the journal for the Teacher Panel (pending / failed / replayed)
+ *
+ * HOW IT WORKS:
+ * - google-sheets-service.js registers a "handler" for each operation name
+ *   (e.g. 'assignProject') using registerHandler().
+ * - Writes go through run(operation, args). The entry is saved, then applied.
+ * - Network errors, and Google being unavailable (429 / 5xx / quota still
+ *   failing after google-api-client.js's retries), leave the entry PENDING.
+ *   Any other error marks it FAILED.
+ * - replayPending() walks the pending entries oldest-first and stops at the
+ *   first network error so later writes never overtake earlier ones.
+ *
+ * ENTRY STATUSES:
+ * - pending:  Recorded, waiting to be sent to Google Sheets
+ * - applying: Being sent right now (nothing else may send it meanwhile)
+ * - applied:  Sent to Google Sheets straight away
+ * - replayed: Sent to Google Sheets later, after connectivity came back
+ * - failed:   Google rejected it (bad data, missing row...). Needs a human.
+ * - discarded: An instructor gave up on a failed/pending entry (kept for the record)
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const googleApiClient = require('./google-api-client'); // 429 / 5xx / quota: Google unavailable, not a rejection
+
+// LTB_DATA_DIR lets the automated tests use a temporary folder instead of data/
+const DATA_DIR = process.env.LTB_DATA_DIR || path.join(__dirname, 'data');
+const JOURNAL_PATH = path.join(DATA_DIR, 'write-journal.json');
+
+// Keep the journal small: finished entries beyond this count are trimmed (oldest first)
+const MAX_FINISHED_ENTRIES = 500;
+
+// Operation name -> async function(args) that performs the real Sheets write
+const handlers = {};
+
+// In-memory copy of the journal (loaded lazily from disk)
+let journal = null;
+
+// Guards so only one replay runs at a time
+let replayPromise = null;
+let autoReplayTimer = null;
+
+// ============================================================================
+// HELPER: Network Error Detection
+// ============================================================================
+
+/**
+ * Decides whether an error means "we are offline" or "Google is unavailable"
+ * (retry later) rather than "Google rejected the write" (do not retry).
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+    if (!error) return false;
+
+    // CIRCUIT_OPEN: google-api-client.js has stopped calling Google for a moment (treat as offline)
+    const networkCodes = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENETUNREACH', 'EHOSTUNREACH', 'CIRCUIT_OPEN'];
+    if (error.code && networkCodes.includes(error.code)) return true;
+
+    // 429, 5xx or QUOTA_EXCEEDED still failing after retries: try again later
+    if (googleApiClient.isUnavailableError(error)) return true;
+
+    const message = (error.message || '').toLowerCase();
+    return message.includes('getaddrinfo') ||
+        message.includes('socket hang up') ||
+        message.includes('network') ||
+        message.includes('timeout');
+}
+
+// ============================================================================
+// HELPER: Load / Save Journal File
+// ============================================================================
+
+function loadJournal() {
+    if (journal) return journal;
+
+    journal = { entries: [] };
+    try {
+        if (fs.existsSync(JOURNAL_PATH)) {
+            const raw = fs.readFileSync(JOURNAL_PATH, 'utf8');
+            const parsed = JSON.parse(raw);
+            if (parsed && Array.isArray(parsed.entries)) {
+                journal = parsed;
+                // The server stopped mid-write: we can't know if it landed, so try again
+                journal.entries.forEach(e => {
+                    if (e.status === 'applying') e.status = 'pending';
+                });
+            }
+        }
+    } catch (err) {
+        console.error('[JOURNAL] Could not read write journal, starting fresh:', err.message);
+    }
+    return journal;
+}
+
+/**
+ * Writes the journal to disk.
+ * Uses write-to-temp + rename so a crash mid-write never corrupts the file.
+ */
+function saveJournal() {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    // Trim old finished entries (never trim pending/failed ones)
+    const finished = journal.entries.filter(e => ['applied', 'replayed', 'discarded'].includes(e.status));
+    if (finished.length > MAX_FINISHED_ENTRIES) {
+        const dropIds = new Set(finished.slice(0, finished.length - MAX_FINISHED_ENTRIES).map(e => e.id));
+        journal.entries = journal.entries.filter(e => !dropIds.has(e.id));
+    }
+
+    const tempPath = JOURNAL_PATH + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(journal, null, 2));
+    fs.renameSync(tempPath, JOURNAL_PATH);
+}
+
+// ============================================================================
+// FUNCTION: Register Operation Handler
+// ============================================================================
+
+/**
+ * Registers the function that actually performs an operation against Google Sheets
+ *
+ * @param {string} operation - Operation name stored in the journal (e.g. 'assignProject')
+ * @param {Function} handler - async (args) => result
+ */
+function registerHandler(operation, handler) {
+    handlers[operation] = handler;
+}
+
+// ============================================================================
+// FUNCTION: Record + Apply a Write
+// ============================================================================
+
+/**
+ * Records a write in the journal and tries to apply it immediately.
+ *
+ * @param {string} operation - Registered operation name
+ * @param {Object} args - Plain JSON arguments for the handler (must be serializable)
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Caller-supplied key. Same key = same write.
+ * @param {string} [options.summary] - Human readable description for the Teacher Panel
+ * @returns {Promise<Object>} - { queued: false, result, entry } or { queued: true, entry }
+ * @throws {Error} - If Google rejected the write (entry is marked failed)
+ */
+async function run(operation, args, options = {}) {
+    if (!handlers[operation]) {
+        throw new Error(`No journal handler registered for operation "${operation}"`);
+    }
+
+    const data = loadJournal();
+    const idempotencyKey = options.idempotencyKey || crypto.randomUUID();
+
+    // Same key seen before? Return the existing entry instead of writing twice.
+    const existing = data.entries.find(e => e.idempotencyKey === idempotencyKey);
+    if (existing) {
+        console.log(`[JOURNAL] Duplicate write ignored (key ${idempotencyKey}, status ${existing.status})`);
+        if (existing.status === 'failed') {
+            throw failureError(existing);
+        }
+        return { queued: ['pending', 'applying'].includes(existing.status), result: existing.result, entry: existing, duplicate: true };
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        idempotencyKey,
+        operation,
+        args,
+        summary: options.summary || operation,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        attempts: 0,
+        lastError: null,
+        appliedAt: null,
+        result: null
+    };
+
+    // 1. Durable record FIRST - if the server dies after this line the write survives
+    data.entries.push(entry);
+    saveJournal();
+
+    // 2. Preserve ordering: if older writes are still waiting, queue behind them
+    // (one being applied right now isn't waiting: replaying it would send it twice)
+    const olderPending = data.entries.some(e => e.status === 'pending' && e.id !== entry.id);
+    if (olderPending) {
+        console.log(`[JOURNAL] ${operation} queued behind earlier pending writes`);
+        replayPending().catch(err => console.error('[JOURNAL] Background replay error:', err.message));
+        return { queued: true, entry };
+    }
+
+    // 3. Try to apply now
+    const outcome = await applyEntry(entry, 'applied');
+    if (outcome === 'pending') {
+        return { queued: true, entry };
+    }
+    if (outcome === 'failed') {
+        throw failureError(entry);
+    }
+    return { queued: false, result: entry.result, entry };
+}
+
+/**
+ * Applies a single entry and updates its status in the journal.
+ *
+ * @param {Object} entry - Journal entry
+ * @param {string} successStatus - 'applied' (first try) or 'replayed' (later)
+ * @returns {Promise<string>} - New status: 'applied' | 'replayed' | 'pending' | 'failed'
+ */
+async function applyEntry(entry, successStatus) {
+    // Claimed before the first await, so a concurrent run()/replay skips it
+    entry.status = 'applying';
+    entry.attempts++;
+    entry.lastAttemptAt = new Date().toISOString();
+
+    try {
+        const result = await handlers[entry.operation](entry.args, entry);
+        entry.status = successStatus;
+        entry.appliedAt = new Date().toISOString();
+        entry.result = result === undefined ? null : result;
+        entry.lastError = null;
+        entry.lastErrorCode = null;
+        entry.lastErrorDetails = null;
+        console.log(`[JOURNAL] ✅ ${entry.operation} ${successStatus} (${entry.id})`);
+    } catch (error) {
+        entry.lastError = error.message;
+        // Kept so callers can tell e.g. a ROW_CONFLICT from any other failure
+        entry.lastErrorCode = error.code || null;
+        entry.lastErrorDetails = error.details || null;
+        if (isNetworkError(error)) {
+            entry.status = 'pending';
+            console.warn(`[JOURNAL] ⚠️ ${entry.operation} kept pending (offline?): ${error.message}`);
+        } else {
+            entry.status = 'failed';
+            console.error(`[JOURNAL] ❌ ${entry.operation} failed: ${error.message}`);
+        }
+    }
+
+    saveJournal();
+    return entry.status;
+}
+
+/**
+ * Rebuilds the error a failed entry was marked with (message, code and details)
+ *
+ * @param {Object} entry - Journal entry with status 'failed'
+ * @returns {Error}
+ */
+function failureError(entry) {
+    const error = new Error(entry.lastError || 'Previous attempt failed');
+    if (entry.lastErrorCode) error.code = entry.lastErrorCode;
+    if (entry.lastErrorDetails) error.details = entry.lastErrorDetails;
+    error.journalEntry = entry;
+    return error;
+}
+
+// ============================================================================
+// FUNCTION: Replay Pending Writes
+// ============================================================================
+
+/**
+ * Sends all pending entries to Google Sheets, oldest first (ones being applied
+ * by run() right now are left to it).
+ * Stops at the first network error (we're still offline) so order is preserved.
+ *
+ * @returns {Promise<Object>} - { replayed, failed, remaining }
+ */
+function replayPending() {
+    if (replayPromise) return replayPromise;
+
+    replayPromise = (async () => {
+        const data = loadJournal();
+        const summary = { replayed: 0, failed: 0, remaining: 0 };
+
+        for (const entry of data.entries) {
+            if (entry.status !== 'pending') continue;
+            if (!handlers[entry.operation]) {
+                // Handler not registered yet (e.g. during startup) - try later
+                break;
+            }
+
+            const status = await applyEntry(entry, 'replayed');
+            if (status === 'replayed') summary.replayed++;
+            if (status === 'failed') summary.failed++;
+            if (status === 'pending') break; // Still offline - keep order, try again later
+        }
+
+        summary.remaining = data.entries.filter(e => e.status === 'pending').length;
+        if (summary.replayed || summary.failed) {
+            console.log(`[JOURNAL] Replay finished: ${summary.replayed} replayed, ${summary.failed} failed, ${summary.remaining} pending`);
+        }
+        return summary;
+    })();
+
+    return replayPromise.finally(() => {
+        replayPromise = null;
+    });
+}
+
+/**
+ * Starts a background timer that replays pending writes periodically
+ *
+ * @param {number} intervalMs - How often to retry (default: 60 seconds)
+ */
+function startAutoReplay(intervalMs = 60 * 1000) {
+    if (autoReplayTimer) return;
+
+    autoReplayTimer = setInterval(() => {
+        const data = loadJournal();
+        if (!data.entries.some(e => e.status === 'pending')) return;
+        replayPending().catch(err => console.error('[JOURNAL] Auto replay error:', err.message));
+    }, intervalMs);
+
+    // Don't keep the process alive just for this timer
+    if (autoReplayTimer.unref) autoReplayTimer.unref();
+}
+
+// ============================================================================
+// FUNCTION: Inspect / Manage Journal (Teacher Panel)
+// ============================================================================
+
+/**
+ * Returns journal entries (newest first) plus status counts
+ *
+ * @param {Object} [filter]
+ * @param {string|Array<string>} [filter.status] - Only return entries with this status (or these)
+ * @param {number} [filter.limit] - Max entries to return (default 200)
+ */
+function getJournal(filter = {}) {
+    const data = loadJournal();
+    const counts = { pending: 0, applying: 0, applied: 0, replayed: 0, failed: 0, discarded: 0 };
+    data.entries.forEach(e => {
+        counts[e.status] = (counts[e.status] || 0) + 1;
+    });
+
+    let entries = data.entries.slice().reverse();
+    if (filter.status) {
+        const wanted = [].concat(filter.status);
+        entries = entries.filter(e => wanted.includes(e.status));
+    }
+
+    return {
+        counts,
+        entries: entries.slice(0, filter.limit || 200)
+    };
+}
+
+/**
+ * Moves a failed entry back to pending so the next replay tries it again
+ *
+ * @param {string} entryId
+ * @returns {Object} - The updated entry
+ */
+function retryEntry(entryId) {
+    const data = loadJournal();
+    const entry = data.entries.find(e => e.id === entryId);
+    if (!entry) {
+        throw new Error(`Journal entry ${entryId} not found`);
+    }
+    if (entry.status !== 'failed') {
+        throw new Error(`Only failed entries can be retried (entry is ${entry.status})`);
+    }
+
+    entry.status = 'pending';
+    saveJournal();
+    return entry;
+}
+
+/**
+ * Gives up on a failed entry (it stays in the journal for the record)
+ *
+ * @param {string} entryId
+ * @returns {Object} - The updated entry
+ */
+function discardEntry(entryId) {
+    const data = loadJournal();
+    const entry = data.entries.find(e => e.id === entryId);
+    if (!entry) {
+        throw new Error(`Journal entry ${entryId} not found`);
+    }
+    if (entry.status !== 'failed' && entry.status !== 'pending') {
+        throw new Error(`Entry is already ${entry.status}`);
+    }
+
+    entry.status = 'discarded';
+    entry.discardedAt = new Date().toISOString();
+    saveJournal();
+    return entry;
+}
+
+module.exports = {
+    registerHandler,
+    run,
+    replayPending,
+    startAutoReplay,
+    getJournal,
+    retryEntry,
+    discardEntry,
+    isNetworkError
+};